@@ -14,6 +14,17 @@ const {
   projectRoutes,
   paymentRoutes,
   adminRoutes,
+  refundRoutes,
+  cashierSessionRoutes,
+  materialRoutes,
+  inventoryRoutes,
+  purchasingRoutes,
+  workOrderRoutes,
+  schedulingRoutes,
+  qcRoutes,
+  deliveryRoutes,
+  warrantyRoutes,
+  changeOrderRoutes,
 } = require('./routes');
 
 const app = express();
@@ -125,8 +136,15 @@ const passwordResetLimiter = rateLimit({
 app.use('/api/auth/forgot-password', passwordResetLimiter);
 app.use('/api/auth/reset-password', passwordResetLimiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (gateway webhooks keep the raw body for signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Basic input sanitization for body/query
@@ -155,6 +173,17 @@ app.use('/api/appointments', appointmentRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/cashier-sessions', cashierSessionRoutes);
+app.use('/api/materials', materialRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/purchasing', purchasingRoutes);
+app.use('/api/work-orders', workOrderRoutes);
+app.use('/api/scheduling', schedulingRoutes);
+app.use('/api/qc', qcRoutes);
+app.use('/api/deliveries', deliveryRoutes);
+app.use('/api/warranties', warrantyRoutes);
+app.use('/api/change-orders', changeOrderRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -46,6 +46,15 @@ module.exports = {
     from: process.env.SMTP_FROM || 'RMV Stainless Steel <noreply@rmvsteel.com>',
   },
 
+  // Company details (receipts and printed documents)
+  company: {
+    name: process.env.COMPANY_NAME || 'RMV Stainless Steel Fabrication & Construction Services',
+    address: process.env.COMPANY_ADDRESS || 'Brgy. Mapulang Lupa, Valenzuela City',
+    phone: process.env.COMPANY_PHONE || '',
+    email: process.env.COMPANY_EMAIL || '',
+    tin: process.env.COMPANY_TIN || '',
+  },
+
   // Frontend URL (for CORS and email links)
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
 
@@ -62,6 +71,83 @@ module.exports = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
   },
 
+  // Payment due-date reminders (background scheduler)
+  paymentReminders: {
+    enabled: process.env.PAYMENT_REMINDERS_ENABLED !== 'false',
+    intervalMinutes: parseInt(process.env.PAYMENT_REMINDER_INTERVAL_MINUTES, 10) || 60,
+    // Days before / after the due date a reminder is sent
+    daysBefore: (process.env.PAYMENT_REMINDER_DAYS_BEFORE || '3,1').split(',').map(Number).filter((n) => n > 0),
+    daysAfter: (process.env.PAYMENT_REMINDER_DAYS_AFTER || '1,7,14').split(',').map(Number).filter((n) => n > 0),
+  },
+
+  // Raw material inventory
+  inventory: {
+    // Email admins when available stock falls to an item's reorder level
+    lowStockAlerts: {
+      enabled: process.env.LOW_STOCK_ALERTS_ENABLED !== 'false',
+      intervalMinutes: parseInt(process.env.LOW_STOCK_CHECK_INTERVAL_MINUTES, 10) || 30,
+    },
+  },
+
+  // Online payment gateway (checkout sessions + signed webhooks)
+  paymentGateway: {
+    provider: process.env.PAYMENT_GATEWAY_PROVIDER || 'mock',
+    // Base URL the provider can reach for webhooks and redirects
+    publicUrl: process.env.API_PUBLIC_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 5000}`,
+    checkoutExpiryMinutes: parseInt(process.env.PAYMENT_CHECKOUT_EXPIRY_MINUTES, 10) || 60,
+    mock: {
+      webhookSecret: process.env.MOCK_GATEWAY_WEBHOOK_SECRET || 'mock-webhook-secret',
+    },
+    paymongo: {
+      apiUrl: process.env.PAYMONGO_API_URL || 'https://api.paymongo.com/v1',
+      secretKey: process.env.PAYMONGO_SECRET_KEY,
+      webhookSecret: process.env.PAYMONGO_WEBHOOK_SECRET,
+    },
+  },
+
+  // Bank statement reconciliation
+  reconciliation: {
+    // How far a statement line's date may be from the transaction's submission
+    dateToleranceDays: parseInt(process.env.RECONCILIATION_DATE_TOLERANCE_DAYS, 10) || 3,
+    // Largest peso difference still treated as the same amount
+    amountTolerance: parseFloat(process.env.RECONCILIATION_AMOUNT_TOLERANCE) || 0,
+    // CSV header names per statement export; dateFormat is YMD, MDY or DMY
+    banks: {
+      generic: {
+        label: 'Generic CSV',
+        date: 'Date',
+        reference: 'Reference',
+        amount: 'Amount',
+        description: 'Description',
+        dateFormat: 'YMD',
+      },
+      bdo: {
+        label: 'BDO',
+        date: 'Posting Date',
+        reference: 'Reference No.',
+        amount: 'Credit',
+        description: 'Description',
+        dateFormat: 'MDY',
+      },
+      bpi: {
+        label: 'BPI',
+        date: 'Transaction Date',
+        reference: 'Reference Number',
+        amount: 'Credit Amount',
+        description: 'Description',
+        dateFormat: 'MDY',
+      },
+      gcash: {
+        label: 'GCash',
+        date: 'Date and Time',
+        reference: 'Reference No.',
+        amount: 'Credit',
+        description: 'Description',
+        dateFormat: 'YMD',
+      },
+    },
+  },
+
   // Business Rules
   business: {
     // Appointment settings
@@ -72,15 +158,193 @@ module.exports = {
     slotDurationMinutes: 60,
     cancellationCutoffHours: 24,
 
-    // Payment stages (percentages)
-    paymentStages: {
-      initial: 30,
-      midpoint: 40,
-      final: 30,
+    // Costing taxes (percentages). Line prices are VAT-inclusive unless a
+    // costing says otherwise; EWT is withheld by corporate clients on the
+    // VAT-exclusive amount.
+    tax: {
+      vatRate: parseFloat(process.env.VAT_RATE) || 12,
+      ewtRate: parseFloat(process.env.EWT_RATE) || 2,
+      defaultVatMode: 'inclusive',
+    },
+
+    // Quote estimator. A recipe lists the catalog materials a project category
+    // uses per unit of a dimension basis: area (width × height, or width ×
+    // depth without a height, m²), perimeter (2 × (width + height), m),
+    // width, height, depth (m) or fixed (per project).
+    // Finishing is priced per m² of area; labor is a share of materials.
+    estimator: {
+      wastagePercent: 10,
+      laborPercent: 35,
+      finishRates: { brushed: 250, polished: 450, matte: 300, mirror: 800, other: 300 },
+      recipes: {
+        gate: [
+          { materialCategory: 'tube', basis: 'perimeter', factor: 2.5 },
+          { materialCategory: 'sheet', basis: 'area', factor: 0.3 },
+          { materialCategory: 'fitting', basis: 'fixed', factor: 4 },
+        ],
+        railing: [
+          { materialCategory: 'tube', basis: 'width', factor: 3 },
+          { materialCategory: 'fitting', basis: 'width', factor: 1 },
+        ],
+        grills: [
+          { materialCategory: 'bar', basis: 'area', factor: 8 },
+          { materialCategory: 'angle', basis: 'perimeter', factor: 1 },
+        ],
+        door: [
+          { materialCategory: 'sheet', basis: 'area', factor: 2 },
+          { materialCategory: 'tube', basis: 'perimeter', factor: 1 },
+          { materialCategory: 'hardware', basis: 'fixed', factor: 3 },
+        ],
+        fence: [
+          { materialCategory: 'tube', basis: 'width', factor: 4 },
+          { materialCategory: 'bar', basis: 'area', factor: 6 },
+        ],
+        staircase: [
+          { materialCategory: 'tube', basis: 'height', factor: 6 },
+          { materialCategory: 'sheet', basis: 'area', factor: 1 },
+          { materialCategory: 'fitting', basis: 'height', factor: 2 },
+        ],
+        furniture: [
+          { materialCategory: 'sheet', basis: 'area', factor: 1.5 },
+          { materialCategory: 'tube', basis: 'perimeter', factor: 1 },
+        ],
+        kitchen: [
+          { materialCategory: 'sheet', basis: 'area', factor: 2.2 },
+          { materialCategory: 'tube', basis: 'perimeter', factor: 1 },
+          { materialCategory: 'hardware', basis: 'width', factor: 2 },
+        ],
+        custom: [
+          { materialCategory: 'sheet', basis: 'area', factor: 1 },
+          { materialCategory: 'tube', basis: 'perimeter', factor: 1 },
+        ],
+        commercial: [
+          { materialCategory: 'sheet', basis: 'area', factor: 1.5 },
+          { materialCategory: 'tube', basis: 'perimeter', factor: 1.5 },
+          { materialCategory: 'fitting', basis: 'perimeter', factor: 1 },
+        ],
+      },
+    },
+
+    // Cutting list stock sizes and saw kerf, in mm
+    cutting: {
+      stockLengthMm: parseInt(process.env.CUTTING_STOCK_LENGTH_MM, 10) || 6000,
+      sheetWidthMm: 1220,   // 4 ft
+      sheetLengthMm: 2440,  // 8 ft
+      kerfMm: parseFloat(process.env.CUTTING_KERF_MM) || 3,
+    },
+
+    // Shop capacity planning
+    scheduling: {
+      // Working days (0 = Sunday) and each staff member's default hours per day
+      workDays: (process.env.SHOP_WORK_DAYS || '1,2,3,4,5,6').split(',').map(Number).filter((d) => d >= 0 && d <= 6),
+      hoursPerDay: parseFloat(process.env.SHOP_HOURS_PER_DAY) || 8,
+      // How far ahead work is booked; tasks that do not fit are reported
+      horizonDays: 120,
+      // Hours assumed for tasks without an estimate
+      defaultTaskHours: {
+        cutting: 4,
+        bending: 4,
+        welding: 8,
+        polishing: 6,
+        assembly: 6,
+        qc: 2,
+      },
+    },
+
+    // Share of the approved amount kept when a project is cancelled, keyed by
+    // the status it was in at cancellation. Unlisted statuses keep nothing.
+    cancellationFees: [
+      { statuses: ['approved', 'pending_initial_payment', 'initial_payment_verified'], percentage: 10 },
+      { statuses: ['in_fabrication', 'pending_midpoint_payment', 'midpoint_payment_verified'], percentage: 50 },
+      {
+        statuses: ['fabrication_done', 'ready_for_pickup', 'ready_for_installation', 'in_installation', 'pending_final_payment'],
+        percentage: 100,
+      },
+    ],
+
+    // Payment plan templates (ordered milestones). Each milestone belongs to a
+    // workflow phase: initial (before fabrication), midpoint, or final.
+    // triggerStatus/dueDays: payment falls due N days after the project enters triggerStatus.
+    defaultPaymentPlan: 'standard',
+    paymentPlans: {
+      standard: [
+        { key: 'initial', label: 'Initial Payment', phase: 'initial', percentage: 30, triggerStatus: 'pending_initial_payment', dueDays: 7 },
+        { key: 'midpoint', label: 'Midpoint Payment', phase: 'midpoint', percentage: 40, triggerStatus: 'pending_midpoint_payment', dueDays: 7 },
+        { key: 'final', label: 'Final Payment', phase: 'final', percentage: 30, triggerStatus: 'pending_final_payment', dueDays: 7 },
+      ],
+      half: [
+        { key: 'initial', label: 'Down Payment', phase: 'initial', percentage: 50, triggerStatus: 'pending_initial_payment', dueDays: 7 },
+        { key: 'final', label: 'Balance Payment', phase: 'final', percentage: 50, triggerStatus: 'pending_final_payment', dueDays: 7 },
+      ],
+      five_milestones: [
+        { key: 'initial', label: 'Mobilization', phase: 'initial', percentage: 20, triggerStatus: 'pending_initial_payment', dueDays: 7 },
+        { key: 'materials', label: 'Materials Delivery', phase: 'midpoint', percentage: 20, triggerStatus: 'in_fabrication', dueDays: 14 },
+        { key: 'midpoint', label: 'Fabrication Midpoint', phase: 'midpoint', percentage: 20, triggerStatus: 'pending_midpoint_payment', dueDays: 7 },
+        { key: 'fabrication_done', label: 'Fabrication Completion', phase: 'final', percentage: 20, triggerStatus: 'fabrication_done', dueDays: 7 },
+        { key: 'final', label: 'Turnover', phase: 'final', percentage: 20, triggerStatus: 'pending_final_payment', dueDays: 7 },
+      ],
+    },
+
+    // QC checklist templates by project category (default for the rest).
+    // An inspection copies its category's items when it starts.
+    qcChecklists: {
+      default: [
+        { key: 'weld_penetration', area: 'weld_quality', label: 'Welds fully fused, no cracks, porosity or undercut' },
+        { key: 'weld_cleaned', area: 'weld_quality', label: 'Weld spatter and heat tint removed' },
+        { key: 'surface_finish', area: 'finish', label: 'Finish matches the specification, no scratches or grinding marks' },
+        { key: 'edges', area: 'finish', label: 'Edges and corners deburred' },
+        { key: 'overall_dimensions', area: 'dimensions', label: 'Overall dimensions within tolerance', requirement: '±3 mm' },
+        { key: 'square_level', area: 'dimensions', label: 'Frame square and level' },
+        { key: 'hardware_complete', area: 'hardware', label: 'Hardware complete and fastened' },
+      ],
+      gate: [
+        { key: 'weld_penetration', area: 'weld_quality', label: 'Welds fully fused, no cracks, porosity or undercut' },
+        { key: 'weld_cleaned', area: 'weld_quality', label: 'Weld spatter and heat tint removed' },
+        { key: 'surface_finish', area: 'finish', label: 'Finish matches the specification, no scratches or grinding marks' },
+        { key: 'overall_dimensions', area: 'dimensions', label: 'Leaf width and height within tolerance', requirement: '±3 mm' },
+        { key: 'diagonals', area: 'dimensions', label: 'Leaf diagonals equal', requirement: '±2 mm' },
+        { key: 'hinges', area: 'hardware', label: 'Hinges swing freely without sagging' },
+        { key: 'lock', area: 'hardware', label: 'Latch and lock engage' },
+      ],
+      railing: [
+        { key: 'weld_penetration', area: 'weld_quality', label: 'Post and rail welds fully fused, no cracks or porosity' },
+        { key: 'weld_blended', area: 'weld_quality', label: 'Welds ground and blended into the tube' },
+        { key: 'surface_finish', area: 'finish', label: 'Finish matches the specification, no scratches or grinding marks' },
+        { key: 'rail_height', area: 'dimensions', label: 'Rail height within tolerance', requirement: '±5 mm' },
+        { key: 'baluster_spacing', area: 'dimensions', label: 'Baluster gap within limit', requirement: 'max 100 mm' },
+        { key: 'base_plates', area: 'hardware', label: 'Base plates, anchors and end caps complete' },
+      ],
+      kitchen: [
+        { key: 'weld_sanitary', area: 'weld_quality', label: 'Welds continuous and sealed, no crevices' },
+        { key: 'weld_passivated', area: 'weld_quality', label: 'Heat tint removed and welds passivated' },
+        { key: 'surface_finish', area: 'finish', label: 'Food-contact surfaces smooth, no scratches' },
+        { key: 'overall_dimensions', area: 'dimensions', label: 'Overall dimensions within tolerance', requirement: '±2 mm' },
+        { key: 'level', area: 'dimensions', label: 'Work top level' },
+        { key: 'hardware_complete', area: 'hardware', label: 'Feet, hinges, handles and drains complete' },
+      ],
+    },
+
+    // Warranty registered when a project is completed: months of coverage
+    // by category (default for the rest) plus extra months by material grade
+    warranty: {
+      categoryMonths: {
+        default: 12,
+        kitchen: 24,
+        commercial: 24,
+        furniture: 6,
+      },
+      gradeMonths: {
+        '316_grade': 12,
+      },
+      // Lookups flag warranties ending within this many days
+      expiringSoonDays: 30,
     },
 
     // Project categories
-    projectCategories: ['gate', 'railing', 'grills', 'door', 'fence', 'staircase', 'furniture', 'kitchen', 'custom', 'gates', 'railings', 'commercial'],
+    projectCategories: ['gate', 'railing', 'grills', 'door', 'fence', 'staircase', 'furniture', 'kitchen', 'custom', 'commercial'],
+
+    // Accept deprecated status/category aliases in requests (mapped to canonical values)
+    acceptLegacyAliases: process.env.ACCEPT_LEGACY_ALIASES !== 'false',
 
     // OTP settings
     otpValidityMinutes: 10,
@@ -0,0 +1,142 @@
+/**
+ * Canonical project vocabulary
+ * Legacy aliases are mapped to their canonical values by the API while
+ * config.business.acceptLegacyAliases is enabled (deprecation window).
+ * Stored documents are rewritten by migrations/001-canonical-project-vocabulary.
+ */
+
+const PROJECT_STATUSES = [
+  'draft',                    // Sales staff creating project
+  'pending_blueprint',        // Waiting for engineer
+  'blueprint_uploaded',       // Blueprint uploaded
+  'pending_customer_approval',// Waiting for customer approval
+  'revision_requested',       // Customer requested changes
+  'client_rejected',          // Customer rejected
+  'approved',                 // Customer approved
+  'pending_initial_payment',  // Waiting for 30% payment
+  'initial_payment_verified', // Cashier verified 30%
+  'in_fabrication',           // Being fabricated
+  'pending_midpoint_payment', // Waiting for 40% payment
+  'midpoint_payment_verified',// Cashier verified 40%
+  'fabrication_done',         // Fabrication complete
+  'ready_for_pickup',         // Ready for pickup/release
+  'ready_for_installation',   // Fabrication complete (install path)
+  'in_installation',          // Being installed
+  'pending_final_payment',    // Waiting for final 30%
+  'released',                 // Released to customer
+  'completed',                // Fully paid and done
+  'cancelled',                // Project cancelled
+  'on_hold',                  // Temporarily paused
+];
+
+// Payment milestone phases, in workflow order. Every milestone of a phase
+// must be verified before the project passes that phase's payment gate.
+const PAYMENT_PHASES = ['initial', 'midpoint', 'final'];
+
+// Costing discounts: a percentage of the base or a fixed peso amount
+const DISCOUNT_TYPES = ['percentage', 'amount'];
+
+// Costing line categories, in the order they are printed
+const COSTING_CATEGORIES = ['materials', 'labor', 'finishing', 'delivery', 'installation', 'other'];
+
+// Stainless steel grades (project specifications and the materials catalog)
+const MATERIAL_GRADES = ['304_grade', '316_grade', 'other'];
+
+// Materials catalog categories
+const MATERIAL_CATEGORIES = ['sheet', 'tube', 'pipe', 'bar', 'angle', 'fitting', 'hardware', 'consumable'];
+
+// Catalog categories cut from stock lengths (the rest of the cut parts come from sheets)
+const LINEAR_MATERIAL_CATEGORIES = ['tube', 'pipe', 'bar', 'angle'];
+
+// Stock movements: receive from suppliers, reserve/release for projects,
+// issue to and return from the shop floor, adjust after a count
+const STOCK_MOVEMENT_TYPES = ['receive', 'reserve', 'release', 'issue', 'return', 'adjust'];
+
+// Shop-floor tasks of a fabrication work order, in the order they are done
+const FABRICATION_TASK_TYPES = ['cutting', 'bending', 'welding', 'polishing', 'assembly', 'qc'];
+
+const FABRICATION_TASK_STATUSES = ['pending', 'in_progress', 'done', 'skipped'];
+
+// Work orders: open until a task starts, completed when every task is done or skipped
+const WORK_ORDER_STATUSES = ['open', 'in_progress', 'completed', 'cancelled'];
+
+// Purchase orders: drafted, sent to the supplier, then received in one or more deliveries
+const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+
+// Areas a QC checklist covers
+const QC_CHECK_AREAS = ['weld_quality', 'finish', 'dimensions', 'hardware'];
+
+// QC inspections: open while items are checked, then passed or failed
+const QC_INSPECTION_STATUSES = ['in_progress', 'passed', 'failed'];
+
+// Result of one checklist item (na = does not apply to the piece)
+const QC_ITEM_RESULTS = ['pending', 'pass', 'fail', 'na'];
+
+// How a finished project leaves the shop
+const DELIVERY_METHODS = ['pickup', 'delivery'];
+
+// Deliveries and pickups: scheduled until released to the receiver
+const DELIVERY_STATUSES = ['scheduled', 'released', 'cancelled'];
+
+// After-sales claims: a warranty repair, or chargeable service outside coverage
+const WARRANTY_CLAIM_TYPES = ['warranty', 'service'];
+
+// Claims are triaged by staff, then repaired on a visit (or rejected)
+const WARRANTY_CLAIM_STATUSES = ['submitted', 'approved', 'rejected', 'visit_scheduled', 'resolved'];
+
+// Change orders after approval: proposed by staff, then approved or
+// declined by the customer (or withdrawn before they decide)
+const CHANGE_ORDER_STATUSES = ['proposed', 'approved', 'declined', 'withdrawn'];
+
+// Supplier invoices (payables)
+const SUPPLIER_INVOICE_STATUSES = ['unpaid', 'partially_paid', 'paid', 'void'];
+
+// How costing prices treat VAT
+const VAT_MODES = ['inclusive', 'exclusive', 'exempt'];
+
+// Deprecated status → canonical status
+const PROJECT_STATUS_ALIASES = {
+  blueprint_pending: 'pending_blueprint',
+  blueprint_submitted: 'blueprint_uploaded',
+  client_approved: 'approved',
+  dp_pending: 'pending_initial_payment',
+};
+
+// Deprecated category → canonical category
+const PROJECT_CATEGORY_ALIASES = {
+  gates: 'gate',
+  railings: 'railing',
+};
+
+const normalizeProjectStatus = (status) => PROJECT_STATUS_ALIASES[status] || status;
+
+const normalizeProjectCategory = (category) => PROJECT_CATEGORY_ALIASES[category] || category;
+
+module.exports = {
+  PROJECT_STATUSES,
+  PAYMENT_PHASES,
+  DISCOUNT_TYPES,
+  COSTING_CATEGORIES,
+  MATERIAL_GRADES,
+  MATERIAL_CATEGORIES,
+  LINEAR_MATERIAL_CATEGORIES,
+  STOCK_MOVEMENT_TYPES,
+  FABRICATION_TASK_TYPES,
+  FABRICATION_TASK_STATUSES,
+  WORK_ORDER_STATUSES,
+  PURCHASE_ORDER_STATUSES,
+  SUPPLIER_INVOICE_STATUSES,
+  QC_CHECK_AREAS,
+  QC_INSPECTION_STATUSES,
+  QC_ITEM_RESULTS,
+  DELIVERY_METHODS,
+  DELIVERY_STATUSES,
+  WARRANTY_CLAIM_TYPES,
+  WARRANTY_CLAIM_STATUSES,
+  CHANGE_ORDER_STATUSES,
+  VAT_MODES,
+  PROJECT_STATUS_ALIASES,
+  PROJECT_CATEGORY_ALIASES,
+  normalizeProjectStatus,
+  normalizeProjectCategory,
+};
@@ -1,8 +1,28 @@
-const { User, Project, Appointment, Payment, ActivityLog } = require('../models');
-const { activityService } = require('../services');
+const fs = require('fs');
+const path = require('path');
+const {
+  User,
+  Project,
+  Appointment,
+  Payment,
+  Refund,
+  ActivityLog,
+  StockMovement,
+  SupplierInvoice,
+} = require('../models');
+const {
+  activityService,
+  cashierSessionService,
+  paymentPlanService,
+  pdfService,
+  transactionService,
+} = require('../services');
 const config = require('../config');
+const { normalizeProjectStatus, normalizeProjectCategory } = require('../config/vocabulary');
 const { asyncHandler, AppError } = require('../middleware');
 
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
 /**
  * @desc    Get admin dashboard overview
  * @route   GET /api/admin/dashboard
@@ -46,12 +66,13 @@ const getDashboard = asyncHandler(async (req, res) => {
     // Payment statistics
     Promise.all([
       Payment.aggregate([
-        { $match: { status: 'verified' } },
-        { $group: { _id: null, total: { $sum: '$amount.received' } } },
+        ...Payment.verifiedTransactionStages(),
+        { $group: { _id: null, total: { $sum: '$transactions.amountReceived' } } },
       ]),
       Payment.aggregate([
-        { $match: { status: 'verified', 'verification.verifiedAt': { $gte: thisMonth } } },
-        { $group: { _id: null, total: { $sum: '$amount.received' } } },
+        ...Payment.verifiedTransactionStages(),
+        { $match: { 'transactions.verification.verifiedAt': { $gte: thisMonth } } },
+        { $group: { _id: null, total: { $sum: '$transactions.amountReceived' } } },
       ]),
       Payment.countDocuments({ status: 'submitted' }),
     ]),
@@ -143,6 +164,12 @@ const getReports = asyncHandler(async (req, res) => {
     case 'appointments':
       report = await generateAppointmentReport(hasDateFilter ? { scheduledDate: dateFilter } : {});
       break;
+    case 'material_costs':
+      report = await generateMaterialCostReport(hasDateFilter ? { createdAt: dateFilter } : {});
+      break;
+    case 'payables':
+      report = await generatePayablesReport();
+      break;
     default:
       // Overview report
       report = {
@@ -158,17 +185,58 @@ const getReports = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Cashier Z-report for a day (per cashier; ?format=pdf to print)
+ * @route   GET /api/admin/reports/z-report
+ * @access  Private/Admin
+ */
+const getZReport = asyncHandler(async (req, res) => {
+  const { date, cashierId, format } = req.query;
+
+  const reports = await cashierSessionService.getZReports(date, cashierId);
+
+  if (format !== 'pdf') {
+    return res.json({
+      success: true,
+      data: { date, reports },
+    });
+  }
+
+  if (!reports.length) {
+    throw new AppError('No cashier activity on this date', 404);
+  }
+
+  const file = await pdfService.generateZReport(reports, date);
+  const absolutePath = path.isAbsolute(file.path) ? file.path : path.join(process.cwd(), file.path);
+
+  await activityService.log({
+    userId: req.userId,
+    userRole: req.userRole,
+    action: 'report_generated',
+    resourceType: 'system',
+    description: `Z-report for ${date} generated`,
+  });
+
+  // Printed on demand; the file is not kept
+  res.download(absolutePath, `z-report-${date}.pdf`, () => {
+    fs.unlink(absolutePath, () => {});
+  });
+});
+
 async function generateRevenueReport(filter) {
-  const [byMonth, byCategory, byStage] = await Promise.all([
+  // Credit notes fall in the period they were issued
+  const refundFilter = filter.createdAt ? { 'creditNote.issuedAt': filter.createdAt } : {};
+
+  const [byMonth, byCategory, byStage, refundsByMonth] = await Promise.all([
     Payment.aggregate([
-      { $match: { status: 'verified', ...filter } },
+      ...Payment.verifiedTransactionStages(filter),
       {
         $group: {
           _id: {
-            year: { $year: '$verification.verifiedAt' },
-            month: { $month: '$verification.verifiedAt' },
+            year: { $year: '$transactions.verification.verifiedAt' },
+            month: { $month: '$transactions.verification.verifiedAt' },
           },
-          total: { $sum: '$amount.received' },
+          total: { $sum: '$transactions.amountReceived' },
           count: { $sum: 1 },
         },
       },
@@ -176,7 +244,7 @@ async function generateRevenueReport(filter) {
       { $limit: 12 },
     ]),
     Payment.aggregate([
-      { $match: { status: 'verified', ...filter } },
+      ...Payment.verifiedTransactionStages(filter),
       {
         $lookup: {
           from: 'projects',
@@ -189,24 +257,52 @@ async function generateRevenueReport(filter) {
       {
         $group: {
           _id: '$projectData.category',
-          total: { $sum: '$amount.received' },
+          total: { $sum: '$transactions.amountReceived' },
           count: { $sum: 1 },
         },
       },
     ]),
     Payment.aggregate([
-      { $match: { status: 'verified', ...filter } },
+      ...Payment.verifiedTransactionStages(filter),
       {
         $group: {
           _id: '$stage',
-          total: { $sum: '$amount.received' },
+          total: { $sum: '$transactions.amountReceived' },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    Refund.aggregate([
+      { $match: { status: { $in: ['approved', 'processed'] }, isDeleted: { $ne: true }, ...refundFilter } },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$creditNote.issuedAt' },
+            month: { $month: '$creditNote.issuedAt' },
+          },
+          total: { $sum: '$amount' },
           count: { $sum: 1 },
         },
       },
+      { $sort: { '_id.year': -1, '_id.month': -1 } },
+      { $limit: 12 },
     ]),
   ]);
 
-  return { byMonth, byCategory, byStage };
+  // Net revenue per month after credit notes, for months with either
+  const monthKey = ({ year, month }) => `${year}-${month}`;
+  const grossTotals = new Map(byMonth.map((m) => [monthKey(m._id), m.total]));
+  const refundTotals = new Map(refundsByMonth.map((r) => [monthKey(r._id), r.total]));
+  const months = new Map([...byMonth, ...refundsByMonth].map((m) => [monthKey(m._id), m._id]));
+  const netByMonth = [...months.values()]
+    .sort((a, b) => b.year - a.year || b.month - a.month)
+    .map((month) => {
+      const gross = grossTotals.get(monthKey(month)) || 0;
+      const refunded = refundTotals.get(monthKey(month)) || 0;
+      return { _id: month, gross, refunded, net: gross - refunded };
+    });
+
+  return { byMonth, byCategory, byStage, refundsByMonth, netByMonth };
 }
 
 async function generateProjectReport(filter) {
@@ -270,6 +366,103 @@ async function generateAppointmentReport(filter) {
   return { byStatus, byType, byCategory };
 }
 
+// Material cost per project: stock issued to it less stock returned, at
+// average cost, against the approved contract amount and the materials
+// lines of the approved costing
+async function generateMaterialCostReport(filter) {
+  const lineCost = { $multiply: ['$quantity', { $ifNull: ['$unitCost', 0] }] };
+
+  const rows = await StockMovement.aggregate([
+    { $match: { type: { $in: ['issue', 'return'] }, project: { $ne: null }, ...filter } },
+    {
+      $group: {
+        _id: '$project',
+        issued: { $sum: { $cond: [{ $eq: ['$type', 'issue'] }, lineCost, 0] } },
+        returned: { $sum: { $cond: [{ $eq: ['$type', 'return'] }, lineCost, 0] } },
+        // Movements recorded before stock was costed
+        unvalued: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$unitCost', null] }, null] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const projects = await Project.find({ _id: { $in: rows.map((row) => row._id) } })
+    .select('projectNumber title status costing customerApproval');
+  const byId = new Map(projects.map((project) => [String(project._id), project]));
+
+  const byProject = rows
+    .filter((row) => byId.has(String(row._id)))
+    .map((row) => {
+      const project = byId.get(String(row._id));
+      const approved = project.getApprovedCosting();
+      const approvedAmount = project.costing?.approvedAmount || 0;
+      const costedMaterials = approved
+        ? approved.breakdown
+          .filter((line) => line.category === 'materials')
+          .reduce((sum, line) => sum + (line.total || 0), 0)
+        : null;
+      const materialCost = round2(row.issued - row.returned);
+
+      return {
+        project: { _id: project._id, projectNumber: project.projectNumber, title: project.title, status: project.status },
+        materialCost,
+        issued: round2(row.issued),
+        returned: round2(row.returned),
+        unvaluedMovements: row.unvalued,
+        approvedAmount,
+        costedMaterials: costedMaterials === null ? null : round2(costedMaterials),
+        // Positive when materials cost more than the costing allowed
+        materialVariance: costedMaterials === null ? null : round2(materialCost - costedMaterials),
+        percentOfApproved: approvedAmount ? round2((materialCost / approvedAmount) * 100) : null,
+      };
+    })
+    .sort((a, b) => b.materialCost - a.materialCost);
+
+  const totals = byProject.reduce((sum, row) => ({
+    materialCost: round2(sum.materialCost + row.materialCost),
+    approvedAmount: round2(sum.approvedAmount + row.approvedAmount),
+  }), { materialCost: 0, approvedAmount: 0 });
+
+  return { byProject, totals };
+}
+
+// What is owed to suppliers, per supplier, split into current and overdue
+async function generatePayablesReport() {
+  const now = new Date();
+  const balance = { $subtract: ['$amount', '$amountPaid'] };
+
+  const bySupplier = await SupplierInvoice.aggregate([
+    { $match: SupplierInvoice.payableQuery() },
+    {
+      $group: {
+        _id: '$supplier',
+        invoices: { $sum: 1 },
+        outstanding: { $sum: balance },
+        overdue: { $sum: { $cond: [{ $lt: ['$dueDate', now] }, balance, 0] } },
+        oldestDueDate: { $min: '$dueDate' },
+      },
+    },
+    { $lookup: { from: 'suppliers', localField: '_id', foreignField: '_id', as: 'supplier' } },
+    { $unwind: '$supplier' },
+    {
+      $project: {
+        supplier: { _id: '$supplier._id', code: '$supplier.code', name: '$supplier.name' },
+        invoices: 1,
+        outstanding: 1,
+        overdue: 1,
+        oldestDueDate: 1,
+      },
+    },
+    { $sort: { overdue: -1, outstanding: -1 } },
+  ]);
+
+  const totals = bySupplier.reduce((sum, row) => ({
+    outstanding: round2(sum.outstanding + row.outstanding),
+    overdue: round2(sum.overdue + row.overdue),
+  }), { outstanding: 0, overdue: 0 });
+
+  return { bySupplier, totals };
+}
+
 /**
  * @desc    Get all projects for admin overview
  * @route   GET /api/admin/projects
@@ -280,8 +473,8 @@ const getAllProjects = asyncHandler(async (req, res) => {
   const skip = (page - 1) * limit;
 
   const query = {};
-  if (status) query.status = status;
-  if (category) query.category = category;
+  if (status) query.status = normalizeProjectStatus(status);
+  if (category) query.category = normalizeProjectCategory(category);
 
   const [projects, total] = await Promise.all([
     Project.find(query)
@@ -309,51 +502,46 @@ const getAllProjects = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Update payment stages for a project (admin override)
- * @route   PUT /api/admin/projects/:id/payment-stages
+ * @desc    Replace the payment plan of a project (admin override)
+ * @route   PUT /api/admin/projects/:id/payment-plan
+ * @route   PUT /api/admin/projects/:id/payment-stages (legacy initial/midpoint/final body)
  * @access  Private/Admin
  */
-const updatePaymentStages = asyncHandler(async (req, res) => {
-  const { initial, midpoint, final } = req.body;
+const updatePaymentPlan = asyncHandler(async (req, res) => {
+  const { template, milestones, initial, midpoint, final } = req.body;
 
-  // Validate percentages sum to 100
-  if (initial + midpoint + final !== 100) {
-    throw new AppError('Payment stage percentages must sum to 100', 400);
-  }
+  const plan = initial !== undefined
+    ? { milestones: paymentPlanService.fromLegacyStages({ initial, midpoint, final }) }
+    : { template, milestones };
 
-  const project = await Project.findById(req.params.id);
+  // Plan and payment records change together
+  const project = await transactionService.run(async (session) => {
+    const project = await Project.findById(req.params.id).session(session);
 
-  if (!project) {
-    throw new AppError('Project not found', 404);
-  }
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
 
-  project.paymentStages.initial.percentage = initial;
-  project.paymentStages.midpoint.percentage = midpoint;
-  project.paymentStages.final.percentage = final;
+    if (['completed', 'cancelled'].includes(project.status)) {
+      throw new AppError(`Cannot change the payment plan of a ${project.status} project`, 400);
+    }
 
-  // Recalculate amounts if approved amount exists
-  if (project.costing.approvedAmount) {
-    const total = project.costing.approvedAmount;
-    project.paymentStages.initial.amount = Math.round((total * initial) / 100);
-    project.paymentStages.midpoint.amount = Math.round((total * midpoint) / 100);
-    project.paymentStages.final.amount = total - project.paymentStages.initial.amount - project.paymentStages.midpoint.amount;
-  }
+    paymentPlanService.applyPlan(project, plan);
 
-  await project.save();
+    // Saving recalculates amounts if approved amount exists
+    await project.save({ session });
 
-  // Update payment records if they exist
-  await Payment.updateOne(
-    { project: project._id, stage: 'initial' },
-    { 'amount.expected': project.paymentStages.initial.amount }
-  );
-  await Payment.updateOne(
-    { project: project._id, stage: 'midpoint' },
-    { 'amount.expected': project.paymentStages.midpoint.amount }
-  );
-  await Payment.updateOne(
-    { project: project._id, stage: 'final' },
-    { 'amount.expected': project.paymentStages.final.amount }
-  );
+    // Payment records only exist once the customer has approved
+    if (project.customerApproval?.isApproved) {
+      await paymentPlanService.syncPayments(project, session);
+    }
+
+    return project;
+  });
+
+  const summary = project.paymentPlan.milestones
+    .map((m) => (m.fixedAmount != null ? `${m.label} ₱${m.fixedAmount}` : `${m.label} ${m.percentage}%`))
+    .join(', ');
 
   // Log activity
   await activityService.logProject(
@@ -361,13 +549,13 @@ const updatePaymentStages = asyncHandler(async (req, res) => {
     req.userRole,
     'project_updated',
     project._id,
-    `Payment stages updated: ${initial}%-${midpoint}%-${final}%`
+    `Payment plan updated (${project.paymentPlan.template}): ${summary}`
   );
 
   res.json({
     success: true,
-    message: 'Payment stages updated',
-    data: { paymentStages: project.paymentStages },
+    message: 'Payment plan updated',
+    data: { paymentPlan: project.paymentPlan },
   });
 });
 
@@ -375,6 +563,7 @@ module.exports = {
   getDashboard,
   getActivityLogs,
   getReports,
+  getZReport,
   getAllProjects,
-  updatePaymentStages,
+  updatePaymentPlan,
 };
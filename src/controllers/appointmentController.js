@@ -1,5 +1,11 @@
 const { Appointment, User } = require('../models');
-const { activityService, emailService } = require('../services');
+const {
+  activityService,
+  cashierSessionService,
+  emailService,
+  transactionService,
+  warrantyService,
+} = require('../services');
 const config = require('../config');
 const { asyncHandler, AppError } = require('../middleware');
 
@@ -111,6 +117,8 @@ const getAppointments = asyncHandler(async (req, res) => {
     query.customer = req.userId;
   } else if (req.userRole === config.roles.SALES_STAFF) {
     query.assignedSalesStaff = req.userId;
+  } else if (req.userRole === config.roles.FABRICATION_STAFF) {
+    query.technician = req.userId;
   }
 
   if (status) query.status = status;
@@ -128,6 +136,7 @@ const getAppointments = asyncHandler(async (req, res) => {
     Appointment.find(query)
       .populate('customer', 'email profile.firstName profile.lastName profile.phone')
       .populate('assignedSalesStaff', 'email profile.firstName profile.lastName')
+      .populate('technician', 'profile.firstName profile.lastName')
       .sort({ scheduledDate: 1 })
       .skip(skip)
       .limit(parseInt(limit)),
@@ -157,6 +166,7 @@ const getAppointment = asyncHandler(async (req, res) => {
   const appointment = await Appointment.findById(req.params.id)
     .populate('customer', 'email profile.firstName profile.lastName profile.phone profile.address')
     .populate('assignedSalesStaff', 'email profile.firstName profile.lastName profile.phone')
+    .populate('technician', 'profile.firstName profile.lastName profile.phone')
     .populate('statusHistory.changedBy', 'profile.firstName profile.lastName');
 
   if (!appointment) {
@@ -351,6 +361,9 @@ const cancelAppointment = asyncHandler(async (req, res) => {
 
   await appointment.save();
 
+  // A cancelled repair visit can be booked again on its claim
+  await warrantyService.releaseVisit(appointment, req.userId);
+
   // Notify customer the appointment is cancelled but keep history intact
   await emailService.sendAppointmentCancellation(
     appointment.customer.email,
@@ -381,9 +394,9 @@ const cancelAppointment = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Complete appointment (sales staff)
+ * @desc    Complete appointment (sales staff, or the technician on a repair visit)
  * @route   PUT /api/appointments/:id/complete
- * @access  Private/Sales Staff
+ * @access  Private/Sales Staff, Fabrication Staff
  */
 const completeAppointment = asyncHandler(async (req, res) => {
   const { salesNotes } = req.body;
@@ -394,7 +407,11 @@ const completeAppointment = asyncHandler(async (req, res) => {
     throw new AppError('Appointment not found', 404);
   }
 
-  if (appointment.assignedSalesStaff.toString() !== req.userId.toString()) {
+  // Repair visits are completed by the technician sent
+  const assignee = appointment.appointmentType === 'repair_visit'
+    ? appointment.technician
+    : appointment.assignedSalesStaff;
+  if (assignee?.toString() !== req.userId.toString()) {
     throw new AppError('You are not assigned to this appointment', 403);
   }
 
@@ -407,7 +424,7 @@ const completeAppointment = asyncHandler(async (req, res) => {
   appointment.statusHistory.push({
     status: 'completed',
     changedBy: req.userId,
-    notes: 'Consultation completed',
+    notes: appointment.appointmentType === 'repair_visit' ? 'Repair visit completed' : 'Consultation completed',
   });
 
   await appointment.save();
@@ -448,6 +465,8 @@ const markNoShow = asyncHandler(async (req, res) => {
 
   await appointment.save();
 
+  await warrantyService.releaseVisit(appointment, req.userId);
+
   // Log activity
   await activityService.logAppointment(
     req.userId,
@@ -556,31 +575,43 @@ const collectTravelFee = asyncHandler(async (req, res) => {
 const verifyTravelFee = asyncHandler(async (req, res) => {
   const { notes } = req.body;
 
-  const appointment = await Appointment.findById(req.params.id);
-  if (!appointment) {
-    throw new AppError('Appointment not found', 404);
-  }
+  // The fee and its drawer entry are recorded together
+  const appointment = await transactionService.run(async (session) => {
+    const appointment = await Appointment.findById(req.params.id).session(session);
+    if (!appointment) {
+      throw new AppError('Appointment not found', 404);
+    }
 
-  if (!appointment.travelFee?.isRequired || appointment.travelFee.status === 'not_required') {
-    throw new AppError('Travel fee is not required for this appointment', 400);
-  }
+    if (!appointment.travelFee?.isRequired || appointment.travelFee.status === 'not_required') {
+      throw new AppError('Travel fee is not required for this appointment', 400);
+    }
 
-  if (appointment.travelFee.status !== 'collected') {
-    throw new AppError('Travel fee is not pending verification', 400);
-  }
+    if (appointment.travelFee.status !== 'collected') {
+      throw new AppError('Travel fee is not pending verification', 400);
+    }
 
-  appointment.travelFee.status = 'verified';
-  appointment.travelFee.verifiedBy = req.userId;
-  appointment.travelFee.verifiedAt = new Date();
-  appointment.travelFee.notes = notes;
+    appointment.travelFee.status = 'verified';
+    appointment.travelFee.verifiedBy = req.userId;
+    appointment.travelFee.verifiedAt = new Date();
+    appointment.travelFee.notes = notes;
 
-  appointment.statusHistory.push({
-    status: appointment.status,
-    changedBy: req.userId,
-    notes: 'Travel fee verified',
-  });
+    appointment.statusHistory.push({
+      status: appointment.status,
+      changedBy: req.userId,
+      notes: 'Travel fee verified',
+    });
 
-  await appointment.save();
+    // Sales staff hand the collected fee over to the cashier's drawer
+    await cashierSessionService.recordEntry(req.userId, {
+      source: 'travel_fee',
+      amount: appointment.travelFee.amount,
+      appointment: appointment._id,
+      description: 'Ocular visit travel fee',
+    }, session);
+
+    await appointment.save({ session });
+    return appointment;
+  });
 
   res.json({
     success: true,
@@ -0,0 +1,159 @@
+const { CashierSession } = require('../models');
+const { activityService, cashierSessionService } = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+// Cashiers only see their own drawers; admins see everyone's
+const findAccessibleSession = async (req) => {
+  const cashierSession = await CashierSession.findById(req.params.id)
+    .populate('cashier', 'email profile.firstName profile.lastName');
+
+  if (!cashierSession) {
+    throw new AppError('Cashier session not found', 404);
+  }
+
+  if (req.userRole === config.roles.CASHIER &&
+      cashierSession.cashier._id.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
+
+  return cashierSession;
+};
+
+/**
+ * @desc    Open a cashier session with the drawer's starting float
+ * @route   POST /api/cashier-sessions
+ * @access  Private/Cashier
+ */
+const openSession = asyncHandler(async (req, res) => {
+  const { openingFloat, notes } = req.body;
+
+  const cashierSession = await cashierSessionService.open(req.userId, { openingFloat, notes });
+
+  // Log activity
+  await activityService.logCashierSession(
+    req.userId,
+    req.userRole,
+    'cashier_session_opened',
+    cashierSession._id,
+    `Cashier session opened with ₱${openingFloat} float`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Cashier session opened',
+    data: { session: cashierSession },
+  });
+});
+
+/**
+ * @desc    Get the cashier's open session
+ * @route   GET /api/cashier-sessions/current
+ * @access  Private/Cashier
+ */
+const getCurrentSession = asyncHandler(async (req, res) => {
+  const cashierSession = await cashierSessionService.getOpenSession(req.userId);
+
+  res.json({
+    success: true,
+    data: { session: cashierSession },
+  });
+});
+
+/**
+ * @desc    Get cashier sessions
+ * @route   GET /api/cashier-sessions
+ * @access  Private/Cashier (own), Admin
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, cashierId, date } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (req.userRole === config.roles.CASHIER) {
+    query.cashier = req.userId;
+  } else if (cashierId) {
+    query.cashier = cashierId;
+  }
+  if (date) {
+    const { start, end } = cashierSessionService.getDayRange(date);
+    query.openedAt = { $gte: start, $lt: end };
+  }
+
+  const [sessions, total] = await Promise.all([
+    CashierSession.find(query)
+      .populate('cashier', 'email profile.firstName profile.lastName')
+      .select('-entries')
+      .sort({ openedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    CashierSession.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      sessions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get cashier session by ID
+ * @route   GET /api/cashier-sessions/:id
+ * @access  Private/Cashier (own), Admin
+ */
+const getSession = asyncHandler(async (req, res) => {
+  const cashierSession = await findAccessibleSession(req);
+
+  res.json({
+    success: true,
+    data: { session: cashierSession },
+  });
+});
+
+/**
+ * @desc    Close a cashier session with the counted cash
+ * @route   PUT /api/cashier-sessions/:id/close
+ * @access  Private/Cashier (own), Admin
+ */
+const closeSession = asyncHandler(async (req, res) => {
+  const { countedAmount, notes } = req.body;
+
+  const cashierSession = await findAccessibleSession(req);
+  await cashierSessionService.close(cashierSession, { countedAmount, notes }, req.userId);
+
+  const { expectedAmount, variance } = cashierSession.closing;
+
+  // Log activity
+  await activityService.logCashierSession(
+    req.userId,
+    req.userRole,
+    'cashier_session_closed',
+    cashierSession._id,
+    `Cashier session closed: counted ₱${countedAmount}, expected ₱${expectedAmount}, variance ₱${variance}`
+  );
+
+  res.json({
+    success: true,
+    message: variance === 0
+      ? 'Cashier session closed. Drawer balanced.'
+      : `Cashier session closed. Drawer ${variance > 0 ? 'over' : 'short'} by ₱${Math.abs(variance)}`,
+    data: { session: cashierSession },
+  });
+});
+
+module.exports = {
+  openSession,
+  getCurrentSession,
+  getSessions,
+  getSession,
+  closeSession,
+};
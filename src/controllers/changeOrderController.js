@@ -0,0 +1,263 @@
+const { ChangeOrder, Project, User } = require('../models');
+const {
+  activityService,
+  changeOrderService,
+  emailService,
+  transactionService,
+} = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+const customerName = (customer) => `${customer.profile.firstName} ${customer.profile.lastName}`;
+
+const formatDelta = (delta) => `${delta < 0 ? '-' : '+'}₱${Math.abs(delta)}`;
+
+// Customers only see and decide their own change orders
+const assertOwner = (changeOrder, req) => {
+  if (req.userRole === config.roles.CUSTOMER &&
+      String(changeOrder.customer?._id || changeOrder.customer) !== String(req.userId)) {
+    throw new AppError('Access denied', 403);
+  }
+};
+
+const notifyCustomer = async (changeOrder) => {
+  const [project, customer] = await Promise.all([
+    Project.findById(changeOrder.project).select('projectNumber title'),
+    User.findById(changeOrder.customer).select('email profile.firstName profile.lastName'),
+  ]);
+  return emailService.sendChangeOrderUpdate(customer.email, changeOrder, project, customerName(customer));
+};
+
+/**
+ * @desc    Get change orders (customers see their own)
+ * @route   GET /api/change-orders
+ * @access  Private
+ */
+const getChangeOrders = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, projectId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (projectId) query.project = projectId;
+  if (req.userRole === config.roles.CUSTOMER) {
+    query.customer = req.userId;
+  }
+
+  const [changeOrders, total] = await Promise.all([
+    ChangeOrder.find(query)
+      .select('-statusHistory')
+      .populate('project', 'projectNumber title status')
+      .populate('proposedBy', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ChangeOrder.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      changeOrders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get change order with its history
+ * @route   GET /api/change-orders/:id
+ * @access  Private
+ */
+const getChangeOrder = asyncHandler(async (req, res) => {
+  const changeOrder = await ChangeOrder.findById(req.params.id)
+    .populate('project', 'projectNumber title status costing.approvedAmount')
+    .populate('proposedBy', 'profile.firstName profile.lastName')
+    .populate('decision.decidedBy', 'profile.firstName profile.lastName')
+    .populate('statusHistory.changedBy', 'profile.firstName profile.lastName');
+
+  if (!changeOrder) {
+    throw new AppError('Change order not found', 404);
+  }
+  assertOwner(changeOrder, req);
+
+  res.json({
+    success: true,
+    data: { changeOrder },
+  });
+});
+
+/**
+ * @desc    Propose a scope and cost change on an approved project
+ * @route   POST /api/change-orders
+ * @access  Private/Sales Staff, Engineer, Admin
+ */
+const createChangeOrder = asyncHandler(async (req, res) => {
+  const { projectId, title, scope, lines } = req.body;
+
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+  changeOrderService.assertCanChange(project);
+
+  const priced = changeOrderService.price(project, lines);
+  const changeOrder = new ChangeOrder({
+    project: project._id,
+    customer: project.customer,
+    title,
+    scope,
+    ...priced,
+    proposedBy: req.userId,
+  });
+  changeOrder.setStatus('proposed', req.userId, `Cost change ${formatDelta(priced.costDelta)}`);
+  await changeOrder.save();
+
+  await notifyCustomer(changeOrder);
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'change_order_proposed',
+    project._id,
+    `${changeOrder.changeOrderNumber} proposed: ${title} (${formatDelta(changeOrder.costDelta)})`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Change order ${changeOrder.changeOrderNumber} sent to the customer`,
+    data: { changeOrder },
+  });
+});
+
+/**
+ * @desc    Customer approves a change order; the approved amount and the
+ *          unpaid payments are updated with it
+ * @route   PUT /api/change-orders/:id/approve
+ * @access  Private/Customer
+ */
+const approveChangeOrder = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  // Change order, approved amount and payment records commit together
+  const { changeOrder, project } = await transactionService.run(async (session) => {
+    const changeOrder = await ChangeOrder.findById(req.params.id).session(session);
+
+    if (!changeOrder) {
+      throw new AppError('Change order not found', 404);
+    }
+    assertOwner(changeOrder, req);
+
+    const project = await Project.findById(changeOrder.project).session(session);
+    await changeOrderService.approve(changeOrder, project, { userId: req.userId, notes }, session);
+    await changeOrder.save({ session });
+
+    return { changeOrder, project };
+  });
+
+  await notifyCustomer(changeOrder);
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'change_order_approved',
+    project._id,
+    `${changeOrder.changeOrderNumber} approved: approved amount ₱${changeOrder.applied.previousAmount} → ₱${changeOrder.applied.newAmount}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Change order approved',
+    data: { changeOrder, paymentPlan: project.paymentPlan },
+  });
+});
+
+/**
+ * @desc    Customer declines a change order
+ * @route   PUT /api/change-orders/:id/decline
+ * @access  Private/Customer
+ */
+const declineChangeOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const changeOrder = await ChangeOrder.findById(req.params.id);
+
+  if (!changeOrder) {
+    throw new AppError('Change order not found', 404);
+  }
+  assertOwner(changeOrder, req);
+  changeOrderService.assertProposed(changeOrder);
+
+  changeOrder.decision = { decidedBy: req.userId, decidedAt: new Date(), notes: reason };
+  changeOrder.setStatus('declined', req.userId, reason);
+  await changeOrder.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'change_order_declined',
+    changeOrder.project,
+    `${changeOrder.changeOrderNumber} declined: ${reason}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Change order declined',
+    data: { changeOrder },
+  });
+});
+
+/**
+ * @desc    Withdraw a change order the customer has not decided on
+ * @route   PUT /api/change-orders/:id/withdraw
+ * @access  Private/Sales Staff, Engineer, Admin
+ */
+const withdrawChangeOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const changeOrder = await ChangeOrder.findById(req.params.id);
+
+  if (!changeOrder) {
+    throw new AppError('Change order not found', 404);
+  }
+  changeOrderService.assertProposed(changeOrder);
+
+  changeOrder.decision = { decidedBy: req.userId, decidedAt: new Date(), notes: reason };
+  changeOrder.setStatus('withdrawn', req.userId, reason);
+  await changeOrder.save();
+
+  await notifyCustomer(changeOrder);
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'change_order_withdrawn',
+    changeOrder.project,
+    `${changeOrder.changeOrderNumber} withdrawn: ${reason}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Change order withdrawn',
+    data: { changeOrder },
+  });
+});
+
+module.exports = {
+  getChangeOrders,
+  getChangeOrder,
+  createChangeOrder,
+  approveChangeOrder,
+  declineChangeOrder,
+  withdrawChangeOrder,
+};
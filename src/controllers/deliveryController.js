@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const { Delivery, Project } = require('../models');
+const {
+  activityService,
+  deliveryService,
+  emailService,
+  pdfService,
+  transactionService,
+} = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+const absolutePath = (file) => (path.isAbsolute(file) ? file : path.join(process.cwd(), file));
+
+const customerName = (customer) => `${customer.profile.firstName} ${customer.profile.lastName}`;
+
+// Customers only see their own projects' deliveries
+const assertCustomerAccess = (project, req) => {
+  if (req.userRole === config.roles.CUSTOMER &&
+      project.customer._id.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
+};
+
+/**
+ * @desc    Get pickups and deliveries (schedule by slot)
+ * @route   GET /api/deliveries
+ * @access  Private/Admin, Fabrication Staff, Cashier
+ */
+const getDeliveries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, method, projectId, from, to } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (method) query.method = method;
+  if (projectId) query.project = projectId;
+  if (from || to) {
+    query['slot.start'] = {};
+    if (from) query['slot.start'].$gte = from;
+    if (to) query['slot.start'].$lte = to;
+  }
+
+  const [deliveries, total] = await Promise.all([
+    Delivery.find(query)
+      .select('-release.signature')
+      .populate('project', 'projectNumber title status')
+      .sort({ 'slot.start': 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Delivery.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get pickup or delivery
+ * @route   GET /api/deliveries/:id
+ * @access  Private
+ */
+const getDelivery = asyncHandler(async (req, res) => {
+  const delivery = await Delivery.findById(req.params.id)
+    .populate('project', 'projectNumber title status customer')
+    .populate('release.releasedBy', 'profile.firstName profile.lastName')
+    .populate('paymentOverride.approvedBy', 'profile.firstName profile.lastName');
+
+  if (!delivery) {
+    throw new AppError('Delivery not found', 404);
+  }
+  assertCustomerAccess(delivery.project, req);
+
+  res.json({
+    success: true,
+    data: { delivery },
+  });
+});
+
+/**
+ * @desc    Schedule a pickup at the shop or a delivery to the site
+ * @route   POST /api/deliveries
+ * @access  Private/Admin, Fabrication Staff
+ */
+const createDelivery = asyncHandler(async (req, res) => {
+  const { projectId, method, address, items, ...details } = req.body;
+
+  const { project, delivery } = await transactionService.run(async (session) => {
+    const project = await Project.findById(projectId).session(session);
+
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+    await deliveryService.assertSchedulable(project, session);
+
+    const delivery = new Delivery({
+      ...details,
+      project: project._id,
+      method,
+      address: method === 'delivery' ? address || deliveryService.formatAddress(project.siteAddress) : undefined,
+      vehicle: method === 'delivery' ? details.vehicle : undefined,
+      driver: method === 'delivery' ? details.driver : undefined,
+      items: items || [{ description: project.title, quantity: 1 }],
+      createdBy: req.userId,
+    });
+    await deliveryService.assertDeliveryDetails(delivery, session);
+    await delivery.save({ session });
+
+    return { project, delivery };
+  });
+
+  await project.populate('customer', 'email profile.firstName profile.lastName');
+  await emailService.sendDeliveryUpdate(project.customer.email, delivery, project, customerName(project.customer), 'scheduled');
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'delivery_scheduled',
+    project._id,
+    `${method === 'pickup' ? 'Pickup' : 'Delivery'} ${delivery.deliveryNumber} scheduled for ${delivery.slot.start.toISOString()}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `${method === 'pickup' ? 'Pickup' : 'Delivery'} ${delivery.deliveryNumber} scheduled`,
+    data: { delivery },
+  });
+});
+
+/**
+ * @desc    Reschedule a pickup or delivery, or change its vehicle, driver or items
+ * @route   PUT /api/deliveries/:id
+ * @access  Private/Admin, Fabrication Staff
+ */
+const updateDelivery = asyncHandler(async (req, res) => {
+  const delivery = await Delivery.findById(req.params.id);
+
+  if (!delivery) {
+    throw new AppError('Delivery not found', 404);
+  }
+  if (delivery.status !== 'scheduled') {
+    throw new AppError(`${delivery.deliveryNumber} is already ${delivery.status}`, 409);
+  }
+  if (delivery.method === 'pickup' && (req.body.vehicle || req.body.driver || req.body.address)) {
+    throw new AppError('Pickups have no vehicle, driver or address', 400);
+  }
+
+  const rescheduled = req.body.slot
+    && (new Date(req.body.slot.start).getTime() !== delivery.slot.start.getTime());
+
+  delivery.set(req.body);
+  await deliveryService.assertDeliveryDetails(delivery);
+  await delivery.save();
+
+  const project = await Project.findById(delivery.project)
+    .populate('customer', 'email profile.firstName profile.lastName');
+  if (rescheduled) {
+    await emailService.sendDeliveryUpdate(project.customer.email, delivery, project, customerName(project.customer), 'scheduled');
+  }
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'delivery_updated',
+    delivery.project,
+    `${delivery.deliveryNumber} ${rescheduled ? `rescheduled to ${delivery.slot.start.toISOString()}` : 'updated'}`
+  );
+
+  res.json({
+    success: true,
+    message: rescheduled ? 'Rescheduled' : 'Delivery updated',
+    data: { delivery },
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled pickup or delivery
+ * @route   PUT /api/deliveries/:id/cancel
+ * @access  Private/Admin, Fabrication Staff
+ */
+const cancelDelivery = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const delivery = await Delivery.findById(req.params.id);
+
+  if (!delivery) {
+    throw new AppError('Delivery not found', 404);
+  }
+  if (delivery.status !== 'scheduled') {
+    throw new AppError(`${delivery.deliveryNumber} is already ${delivery.status}`, 409);
+  }
+
+  delivery.status = 'cancelled';
+  delivery.cancelledAt = new Date();
+  delivery.cancelReason = reason;
+  await delivery.save();
+
+  const project = await Project.findById(delivery.project)
+    .populate('customer', 'email profile.firstName profile.lastName');
+  await emailService.sendDeliveryUpdate(project.customer.email, delivery, project, customerName(project.customer), 'cancelled');
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'delivery_cancelled',
+    delivery.project,
+    `${delivery.deliveryNumber} cancelled: ${reason}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Delivery cancelled',
+    data: { delivery },
+  });
+});
+
+/**
+ * @desc    Release the project to the receiver: records their name and
+ *          signature and moves the project to released. With the final
+ *          payment unverified only an admin can release, with a reason.
+ * @route   PUT /api/deliveries/:id/release
+ * @access  Private/Admin, Fabrication Staff, Cashier
+ */
+const releaseDelivery = asyncHandler(async (req, res) => {
+  const actor = { userId: req.userId, role: req.userRole };
+
+  const { delivery, project, overridden } = await transactionService.run(async (session) => {
+    const delivery = await Delivery.findById(req.params.id).session(session);
+
+    if (!delivery) {
+      throw new AppError('Delivery not found', 404);
+    }
+
+    const project = await Project.findById(delivery.project).session(session);
+    const overridden = await deliveryService.release(delivery, project, req.body, actor, session);
+    await project.save({ session });
+
+    return { delivery, project, overridden };
+  });
+
+  await project.populate('customer', 'email profile.firstName profile.lastName');
+  await emailService.sendDeliveryUpdate(project.customer.email, delivery, project, customerName(project.customer), 'released');
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'project_released',
+    project._id,
+    `${delivery.deliveryNumber}: released to ${delivery.release.receivedBy}`
+  );
+  if (overridden) {
+    await activityService.logProject(
+      req.userId,
+      req.userRole,
+      'release_payment_override',
+      project._id,
+      `${delivery.deliveryNumber} released with the final payment unverified: ${delivery.paymentOverride.reason}`
+    );
+  }
+
+  res.json({
+    success: true,
+    message: overridden ? 'Released with payment override' : 'Project released',
+    data: { delivery, status: project.status },
+  });
+});
+
+/**
+ * @desc    Download the gate pass / delivery receipt PDF (signed once released)
+ * @route   GET /api/deliveries/:id/gate-pass
+ * @access  Private
+ */
+const getGatePass = asyncHandler(async (req, res) => {
+  const delivery = await Delivery.findById(req.params.id)
+    .populate('release.releasedBy', 'profile.firstName profile.lastName');
+
+  if (!delivery) {
+    throw new AppError('Delivery not found', 404);
+  }
+  if (delivery.status === 'cancelled') {
+    throw new AppError('Delivery was cancelled', 409);
+  }
+
+  const project = await Project.findById(delivery.project)
+    .populate('customer', 'profile.firstName profile.lastName');
+  assertCustomerAccess(project, req);
+
+  const file = await pdfService.generateGatePass(delivery, project, project.customer);
+  // Printed on demand; the file is not kept
+  res.download(absolutePath(file.path), `${delivery.deliveryNumber}.pdf`, () => {
+    fs.unlink(absolutePath(file.path), () => {});
+  });
+});
+
+module.exports = {
+  getDeliveries,
+  getDelivery,
+  createDelivery,
+  updateDelivery,
+  cancelDelivery,
+  releaseDelivery,
+  getGatePass,
+};
@@ -4,6 +4,17 @@ const appointmentController = require('./appointmentController');
 const projectController = require('./projectController');
 const paymentController = require('./paymentController');
 const adminController = require('./adminController');
+const refundController = require('./refundController');
+const cashierSessionController = require('./cashierSessionController');
+const materialController = require('./materialController');
+const inventoryController = require('./inventoryController');
+const purchasingController = require('./purchasingController');
+const workOrderController = require('./workOrderController');
+const schedulingController = require('./schedulingController');
+const qcController = require('./qcController');
+const deliveryController = require('./deliveryController');
+const warrantyController = require('./warrantyController');
+const changeOrderController = require('./changeOrderController');
 
 module.exports = {
   authController,
@@ -12,4 +23,15 @@ module.exports = {
   projectController,
   paymentController,
   adminController,
+  refundController,
+  cashierSessionController,
+  materialController,
+  inventoryController,
+  purchasingController,
+  workOrderController,
+  schedulingController,
+  qcController,
+  deliveryController,
+  warrantyController,
+  changeOrderController,
 };
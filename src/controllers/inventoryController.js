@@ -0,0 +1,404 @@
+const {
+  Material,
+  Project,
+  StockItem,
+  StockMovement,
+  StockReservation,
+  Warehouse,
+} = require('../models');
+const { activityService, inventoryService, transactionService } = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+// Roles allowed to record each kind of manual movement
+const MOVEMENT_ROLES = {
+  receive: [config.roles.ADMIN],
+  adjust: [config.roles.ADMIN],
+  issue: [config.roles.ADMIN, config.roles.FABRICATION_STAFF],
+  return: [config.roles.ADMIN, config.roles.FABRICATION_STAFF],
+};
+
+const MOVEMENT_ACTIONS = {
+  receive: 'stock_received',
+  adjust: 'stock_adjusted',
+  issue: 'stock_issued',
+  return: 'stock_returned',
+};
+
+// Low-stock alerts go out in the background; a failed email never fails the request
+const checkLowStock = () => {
+  inventoryService.notifyLowStock().catch((error) => {
+    console.error('Low stock check failed:', error);
+  });
+};
+
+/**
+ * @desc    Get warehouses
+ * @route   GET /api/inventory/warehouses
+ * @access  Private/Admin, Fabrication Staff, Engineer
+ */
+const getWarehouses = asyncHandler(async (req, res) => {
+  const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+  const warehouses = await Warehouse.find(query).sort({ isDefault: -1, code: 1 });
+
+  res.json({
+    success: true,
+    data: { warehouses },
+  });
+});
+
+/**
+ * @desc    Create warehouse
+ * @route   POST /api/inventory/warehouses
+ * @access  Private/Admin
+ */
+const createWarehouse = asyncHandler(async (req, res) => {
+  const existing = await Warehouse.findOne({ code: req.body.code.toUpperCase() });
+  if (existing) {
+    throw new AppError(`Warehouse ${existing.code} already exists`, 409);
+  }
+
+  // Only one default warehouse
+  if (req.body.isDefault) {
+    await Warehouse.updateMany({ isDefault: true }, { isDefault: false });
+  }
+
+  const warehouse = await Warehouse.create(req.body);
+
+  // Log activity
+  await activityService.logInventory(
+    req.userId,
+    req.userRole,
+    'warehouse_created',
+    warehouse._id,
+    `Warehouse ${warehouse.code} created`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Warehouse created',
+    data: { warehouse },
+  });
+});
+
+/**
+ * @desc    Update warehouse
+ * @route   PUT /api/inventory/warehouses/:id
+ * @access  Private/Admin
+ */
+const updateWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await Warehouse.findById(req.params.id);
+
+  if (!warehouse) {
+    throw new AppError('Warehouse not found', 404);
+  }
+
+  if (req.body.isDefault) {
+    await Warehouse.updateMany({ _id: { $ne: warehouse._id }, isDefault: true }, { isDefault: false });
+  }
+
+  warehouse.set(req.body);
+  await warehouse.save();
+
+  // Log activity
+  await activityService.logInventory(
+    req.userId,
+    req.userRole,
+    'warehouse_updated',
+    warehouse._id,
+    `Warehouse ${warehouse.code} updated`
+  );
+
+  res.json({
+    success: true,
+    message: 'Warehouse updated',
+    data: { warehouse },
+  });
+});
+
+/**
+ * @desc    Get stock levels
+ * @route   GET /api/inventory/stock
+ * @access  Private/Admin, Fabrication Staff, Engineer
+ */
+const getStock = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, warehouseId, materialId, lowStock } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = lowStock === 'true' ? inventoryService.lowStockQuery() : {};
+  if (warehouseId) query.warehouse = warehouseId;
+  if (materialId) query.material = materialId;
+
+  const [stock, total] = await Promise.all([
+    StockItem.find(query)
+      .populate('material', 'sku name category grade gauge size unit')
+      .populate('warehouse', 'code name')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    StockItem.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      stock,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get stock item with its open reservations and recent movements
+ * @route   GET /api/inventory/stock/:id
+ * @access  Private/Admin, Fabrication Staff, Engineer
+ */
+const getStockItem = asyncHandler(async (req, res) => {
+  const stockItem = await StockItem.findById(req.params.id)
+    .populate('material', 'sku name category grade gauge size unit')
+    .populate('warehouse', 'code name');
+
+  if (!stockItem) {
+    throw new AppError('Stock item not found', 404);
+  }
+
+  const [reservations, movements] = await Promise.all([
+    StockReservation.find({ stockItem: stockItem._id, status: 'active' })
+      .populate('project', 'projectNumber title status'),
+    StockMovement.find({ stockItem: stockItem._id })
+      .populate('project', 'projectNumber')
+      .populate('createdBy', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .limit(50),
+  ]);
+
+  res.json({
+    success: true,
+    data: { stockItem, reservations, movements },
+  });
+});
+
+/**
+ * @desc    Set a stock item's reorder level or location
+ * @route   PUT /api/inventory/stock/:id
+ * @access  Private/Admin
+ */
+const updateStockItem = asyncHandler(async (req, res) => {
+  const stockItem = await StockItem.findById(req.params.id);
+
+  if (!stockItem) {
+    throw new AppError('Stock item not found', 404);
+  }
+
+  stockItem.set(req.body);
+  await stockItem.save();
+
+  checkLowStock();
+
+  res.json({
+    success: true,
+    message: 'Stock item updated',
+    data: { stockItem },
+  });
+});
+
+/**
+ * @desc    Record a stock movement: receive, issue, return or adjust
+ * @route   POST /api/inventory/movements
+ * @access  Private/Admin (all), Fabrication Staff (issue, return)
+ */
+const recordMovement = asyncHandler(async (req, res) => {
+  const { type, materialId, warehouseId, projectId, quantity, unitCost, reference, notes } = req.body;
+
+  if (!MOVEMENT_ROLES[type].includes(req.userRole)) {
+    throw new AppError(`You do not have permission to record a ${type} movement`, 403);
+  }
+
+  const [material, warehouse, project] = await Promise.all([
+    Material.findById(materialId),
+    Warehouse.findOne({ _id: warehouseId, isActive: true }),
+    projectId ? Project.findById(projectId) : null,
+  ]);
+  if (!material) {
+    throw new AppError('Material not found', 404);
+  }
+  if (!warehouse) {
+    throw new AppError('Warehouse not found', 404);
+  }
+  if (projectId && !project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  const details = { materialId, warehouseId, projectId, quantity, unitCost, reference, notes, userId: req.userId };
+  const result = await transactionService.run((session) => (type === 'issue'
+    ? inventoryService.issue(details, session)
+    : inventoryService.changeOnHand(type, details, session)));
+
+  // Log activity
+  await activityService.logInventory(
+    req.userId,
+    req.userRole,
+    MOVEMENT_ACTIONS[type],
+    result.stockItem._id,
+    `${type} ${quantity} ${material.unit} ${material.sku} @ ${warehouse.code}${project ? ` (${project.projectNumber})` : ''}`
+  );
+
+  checkLowStock();
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock movement recorded',
+    data: result,
+  });
+});
+
+/**
+ * @desc    Get stock movements
+ * @route   GET /api/inventory/movements
+ * @access  Private/Admin, Fabrication Staff, Engineer
+ */
+const getMovements = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, type, warehouseId, materialId, projectId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (type) query.type = type;
+  if (warehouseId) query.warehouse = warehouseId;
+  if (materialId) query.material = materialId;
+  if (projectId) query.project = projectId;
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(query)
+      .populate('material', 'sku name unit')
+      .populate('warehouse', 'code')
+      .populate('project', 'projectNumber')
+      .populate('createdBy', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    StockMovement.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get a project's material reservations
+ * @route   GET /api/inventory/reservations/project/:projectId
+ * @access  Private/Admin, Fabrication Staff, Engineer
+ */
+const getProjectReservations = asyncHandler(async (req, res) => {
+  const reservations = await StockReservation.find({ project: req.params.projectId })
+    .populate('material', 'sku name unit')
+    .populate('warehouse', 'code name')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { reservations },
+  });
+});
+
+/**
+ * @desc    Reserve a project's BOM materials (again, with replace)
+ * @route   POST /api/inventory/reservations/project/:projectId
+ * @access  Private/Admin
+ */
+const reserveProjectMaterials = asyncHandler(async (req, res) => {
+  const { replace } = req.body;
+
+  const { project, reservations, warnings } = await transactionService.run(async (session) => {
+    const project = await Project.findById(req.params.projectId).session(session);
+
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+    if (['completed', 'cancelled'].includes(project.status)) {
+      throw new AppError(`Cannot reserve materials for a ${project.status} project`, 409);
+    }
+
+    const result = await inventoryService.reserveForProject(project, { userId: req.userId, session, replace });
+    return { project, ...result };
+  });
+
+  // Log activity
+  if (reservations.length) {
+    await activityService.logProject(
+      req.userId,
+      req.userRole,
+      'stock_reserved',
+      project._id,
+      `${reservations.length} materials reserved${replace ? ' (replaced)' : ''}`
+    );
+  }
+
+  checkLowStock();
+
+  res.status(reservations.length ? 201 : 200).json({
+    success: true,
+    message: reservations.length ? `${reservations.length} materials reserved` : 'Nothing was reserved',
+    data: { reservations, warnings },
+  });
+});
+
+/**
+ * @desc    Release a project's open reservations
+ * @route   PUT /api/inventory/reservations/project/:projectId/release
+ * @access  Private/Admin
+ */
+const releaseProjectMaterials = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  const project = await Project.findById(req.params.projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  const released = await transactionService.run((session) => inventoryService
+    .releaseForProject(project, { userId: req.userId, session, notes }));
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'stock_released',
+    project._id,
+    `${released} material reservations released`
+  );
+
+  res.json({
+    success: true,
+    message: `${released} reservations released`,
+  });
+});
+
+module.exports = {
+  getWarehouses,
+  createWarehouse,
+  updateWarehouse,
+  getStock,
+  getStockItem,
+  updateStockItem,
+  recordMovement,
+  getMovements,
+  getProjectReservations,
+  reserveProjectMaterials,
+  releaseProjectMaterials,
+};
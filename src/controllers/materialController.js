@@ -0,0 +1,216 @@
+const { Material } = require('../models');
+const { activityService } = require('../services');
+const { asyncHandler, AppError } = require('../middleware');
+
+/**
+ * @desc    Get materials catalog
+ * @route   GET /api/materials
+ * @access  Private/Engineer, Sales Staff, Admin
+ */
+const getMaterials = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, category, grade, isActive, search } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (category) query.category = category;
+  if (grade) query.grade = grade;
+  query.isActive = isActive === undefined ? true : isActive === 'true';
+  if (search) {
+    query.$or = [
+      { sku: { $regex: search, $options: 'i' } },
+      { name: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const [materials, total] = await Promise.all([
+    Material.find(query)
+      .select('-priceHistory')
+      .sort({ category: 1, grade: 1, name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Material.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      materials,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get material with its price history
+ * @route   GET /api/materials/:id
+ * @access  Private/Engineer, Sales Staff, Admin
+ */
+const getMaterial = asyncHandler(async (req, res) => {
+  const material = await Material.findById(req.params.id)
+    .populate('priceHistory.changedBy', 'profile.firstName profile.lastName');
+
+  if (!material) {
+    throw new AppError('Material not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { material },
+  });
+});
+
+/**
+ * @desc    Add a material to the catalog
+ * @route   POST /api/materials
+ * @access  Private/Admin
+ */
+const createMaterial = asyncHandler(async (req, res) => {
+  const { currentPrice, ...fields } = req.body;
+
+  const existing = await Material.findOne({ sku: fields.sku.toUpperCase() });
+  if (existing) {
+    throw new AppError(`SKU ${existing.sku} is already in the catalog`, 409);
+  }
+
+  const material = new Material(fields);
+  material.setPrice(currentPrice, req.userId, 'Initial price');
+  await material.save();
+
+  // Log activity
+  await activityService.logMaterial(
+    req.userId,
+    req.userRole,
+    'material_created',
+    material._id,
+    `Material ${material.sku} added at ₱${currentPrice}/${material.unit}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Material added',
+    data: { material },
+  });
+});
+
+/**
+ * @desc    Update material details (price has its own endpoint)
+ * @route   PUT /api/materials/:id
+ * @access  Private/Admin
+ */
+const updateMaterial = asyncHandler(async (req, res) => {
+  const material = await Material.findById(req.params.id);
+
+  if (!material) {
+    throw new AppError('Material not found', 404);
+  }
+
+  const changes = {};
+  Object.entries(req.body).forEach(([field, value]) => {
+    if (material[field] !== value) {
+      changes[field] = { from: material[field], to: value };
+    }
+  });
+
+  material.set(req.body);
+  await material.save();
+
+  // Log activity
+  await activityService.logMaterial(
+    req.userId,
+    req.userRole,
+    'material_updated',
+    material._id,
+    `Material ${material.sku} updated`,
+    changes
+  );
+
+  res.json({
+    success: true,
+    message: 'Material updated',
+    data: { material },
+  });
+});
+
+/**
+ * @desc    Change a material's price (kept in its price history)
+ * @route   PUT /api/materials/:id/price
+ * @access  Private/Admin
+ */
+const updateMaterialPrice = asyncHandler(async (req, res) => {
+  const { price, notes } = req.body;
+
+  const material = await Material.findById(req.params.id);
+
+  if (!material) {
+    throw new AppError('Material not found', 404);
+  }
+
+  const previousPrice = material.currentPrice;
+  if (previousPrice === price) {
+    throw new AppError('Price is unchanged', 400);
+  }
+
+  material.setPrice(price, req.userId, notes);
+  await material.save();
+
+  // Log activity
+  await activityService.logMaterial(
+    req.userId,
+    req.userRole,
+    'material_price_changed',
+    material._id,
+    `Material ${material.sku} price changed from ₱${previousPrice} to ₱${price}`,
+    { currentPrice: { from: previousPrice, to: price } }
+  );
+
+  res.json({
+    success: true,
+    message: 'Material price updated',
+    data: { material },
+  });
+});
+
+/**
+ * @desc    Deactivate a material (kept for existing costings)
+ * @route   DELETE /api/materials/:id
+ * @access  Private/Admin
+ */
+const deactivateMaterial = asyncHandler(async (req, res) => {
+  const material = await Material.findById(req.params.id);
+
+  if (!material) {
+    throw new AppError('Material not found', 404);
+  }
+
+  material.isActive = false;
+  material.preferred = false;
+  await material.save();
+
+  // Log activity
+  await activityService.logMaterial(
+    req.userId,
+    req.userRole,
+    'material_deactivated',
+    material._id,
+    `Material ${material.sku} deactivated`
+  );
+
+  res.json({
+    success: true,
+    message: 'Material deactivated',
+  });
+});
+
+module.exports = {
+  getMaterials,
+  getMaterial,
+  createMaterial,
+  updateMaterial,
+  updateMaterialPrice,
+  deactivateMaterial,
+};
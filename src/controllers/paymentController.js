@@ -1,8 +1,195 @@
-const { Payment, Project, User } = require('../models');
-const { activityService, emailService } = require('../services');
+const fs = require('fs');
+const path = require('path');
+const { Payment, Project, ReconciliationBatch, Refund, User } = require('../models');
+const {
+  activityService,
+  cashierSessionService,
+  emailService,
+  paymentGatewayService,
+  projectWorkflowService,
+  pdfService,
+  reconciliationService,
+  transactionService,
+} = require('../services');
 const config = require('../config');
 const { asyncHandler, AppError } = require('../middleware');
 
+// Render the receipt PDF for a verified transaction and store its location
+const issueReceipt = async (payment, transaction, project, customer) => {
+  await payment.populate('transactions.verification.verifiedBy', 'profile.firstName profile.lastName');
+  const file = await pdfService.generateReceipt(payment, transaction, project, customer);
+  transaction.receipt.filename = file.filename;
+  transaction.receipt.path = file.path;
+  await payment.save();
+  return transaction.receipt;
+};
+
+// Transaction a cashier acts on: the one named, or the only one awaiting verification
+const findSubmittedTransaction = (payment, transactionId) => {
+  if (transactionId) {
+    const transaction = payment.transactions.id(transactionId);
+    if (!transaction) {
+      throw new AppError('Transaction not found', 404);
+    }
+    if (transaction.status !== 'submitted') {
+      throw new AppError('Transaction is not pending verification', 400);
+    }
+    return transaction;
+  }
+
+  const submitted = payment.transactions.filter((t) => t.status === 'submitted');
+  if (submitted.length === 0) {
+    throw new AppError('Payment is not pending verification', 400);
+  }
+  if (submitted.length > 1) {
+    throw new AppError('Several transactions are pending; specify transactionId', 400);
+  }
+  return submitted[0];
+};
+
+// Verify a submitted transaction, then issue its receipt and notify the customer
+const verifyTransaction = async (paymentId, { transactionId, amountReceived, referenceNumber, notes }, { userId, role }) => {
+  // Payment verification, receipt number and project advancement commit together
+  const { payment, transaction, project } = await transactionService.run(async (session) => {
+    const payment = await Payment.findById(paymentId)
+      .session(session)
+      .populate('customer', 'email profile.firstName profile.lastName');
+
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    // Also stops a retried request from verifying twice
+    const transaction = findSubmittedTransaction(payment, transactionId);
+
+    transaction.status = 'verified';
+    transaction.amountReceived = amountReceived;
+    transaction.referenceNumber = referenceNumber || transaction.referenceNumber;
+    transaction.verification = {
+      verifiedBy: userId,
+      verifiedAt: new Date(),
+      notes,
+    };
+
+    // Generate receipt
+    const receiptNumber = await Payment.generateReceiptNumber({ session });
+    transaction.receipt = {
+      receiptNumber,
+      generatedAt: new Date(),
+    };
+
+    // Cash goes into the verifying cashier's drawer
+    if (transaction.paymentMethod === 'cash') {
+      await cashierSessionService.recordEntry(userId, {
+        source: 'payment',
+        amount: amountReceived,
+        payment: payment._id,
+        transaction: transaction._id,
+        reference: receiptNumber,
+        description: payment.label || payment.stage,
+      }, session);
+    }
+
+    payment.refreshStatus(userId, `Verified - Amount: ₱${amountReceived}`);
+
+    await payment.save({ session });
+
+    const project = await Project.findById(payment.project).session(session);
+
+    // The stage only counts once the received total covers it
+    if (payment.status === 'verified'
+      && await projectWorkflowService.advanceAfterPayment(project, payment, { userId, role })) {
+      await project.save({ session });
+    }
+
+    return { payment, transaction, project };
+  });
+
+  await issueReceipt(payment, transaction, project, payment.customer);
+
+  // Log activity
+  await activityService.logPayment(
+    userId,
+    role,
+    'receipt_generated',
+    payment._id,
+    `Receipt ${transaction.receipt.receiptNumber} generated`
+  );
+
+  // Send email to customer
+  await emailService.sendPaymentVerification(
+    payment.customer.email,
+    payment,
+    transaction,
+    project,
+    `${payment.customer.profile.firstName} ${payment.customer.profile.lastName}`
+  );
+
+  // Log activity
+  await activityService.logPayment(
+    userId,
+    role,
+    'payment_verified',
+    payment._id,
+    `Verified ₱${amountReceived} for ${project.projectNumber}`
+  );
+
+  return { payment, transaction, project };
+};
+
+// Check, parse and apply a gateway webhook, then run the verification side effects
+const receiveWebhook = async (provider, rawBody, headers) => {
+  if (!provider.verifySignature(rawBody, headers)) {
+    throw new AppError('Invalid webhook signature', 401);
+  }
+
+  let event;
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+    event = provider.parseEvent(rawBody);
+  } catch (error) {
+    throw new AppError('Malformed webhook payload', 400);
+  }
+  if (!event.eventId) {
+    throw new AppError('Webhook event id is missing', 400);
+  }
+
+  const result = await paymentGatewayService.processEvent(provider.name, event, payload);
+  const { payment, transaction, project } = result;
+  if (!transaction) {
+    return result;
+  }
+
+  const customer = payment.customer;
+  await issueReceipt(payment, transaction, project, customer);
+
+  await activityService.logPayment(
+    customer._id,
+    config.roles.CUSTOMER,
+    'payment_received_online',
+    payment._id,
+    `Online payment of ₱${transaction.amountReceived} via ${provider.name} for ${project.projectNumber}`
+  );
+  await activityService.logPayment(
+    customer._id,
+    config.roles.CUSTOMER,
+    'receipt_generated',
+    payment._id,
+    `Receipt ${transaction.receipt.receiptNumber} generated`
+  );
+
+  await emailService.sendPaymentVerification(
+    customer.email,
+    payment,
+    transaction,
+    project,
+    `${customer.profile.firstName} ${customer.profile.lastName}`
+  );
+
+  return result;
+};
+
 /**
  * @desc    Get payments for a project
  * @route   GET /api/payments/project/:projectId
@@ -23,9 +210,9 @@ const getProjectPayments = asyncHandler(async (req, res) => {
   }
 
   const payments = await Payment.find({ project: projectId })
-    .populate('verification.verifiedBy', 'profile.firstName profile.lastName')
+    .populate('transactions.verification.verifiedBy', 'profile.firstName profile.lastName')
     .populate('qrCode.uploadedBy', 'profile.firstName profile.lastName')
-    .sort({ stage: 1 });
+    .sort({ sequence: 1 });
 
   res.json({
     success: true,
@@ -42,7 +229,7 @@ const getPayment = asyncHandler(async (req, res) => {
   const payment = await Payment.findById(req.params.id)
     .populate('project', 'projectNumber title category')
     .populate('customer', 'email profile.firstName profile.lastName')
-    .populate('verification.verifiedBy', 'profile.firstName profile.lastName')
+    .populate('transactions.verification.verifiedBy', 'profile.firstName profile.lastName')
     .populate('qrCode.uploadedBy', 'profile.firstName profile.lastName');
 
   if (!payment) {
@@ -103,15 +290,15 @@ const uploadQRCode = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Submit payment proof (customer)
+ * @desc    Submit payment proof for a full or partial transfer (customer)
  * @route   POST /api/payments/:id/proof
  * @access  Private/Customer
  */
 const submitPaymentProof = asyncHandler(async (req, res) => {
-  const { paymentMethod } = req.body;
+  const { paymentMethod, amount, referenceNumber } = req.body;
 
   const payment = await Payment.findById(req.params.id)
-    .populate('project', 'projectNumber');
+    .populate('project', 'projectNumber status');
 
   if (!payment) {
     throw new AppError('Payment not found', 404);
@@ -125,23 +312,34 @@ const submitPaymentProof = asyncHandler(async (req, res) => {
     throw new AppError('Payment has already been verified', 400);
   }
 
+  if (payment.status === 'refunded') {
+    throw new AppError('Payment has been refunded', 400);
+  }
+
+  if (payment.project.status === 'cancelled') {
+    throw new AppError('Project has been cancelled', 400);
+  }
+
   if (!req.file) {
     throw new AppError('No file uploaded', 400);
   }
 
-  payment.paymentProof = {
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    path: req.file.path,
-    uploadedAt: new Date(),
-  };
-  payment.paymentMethod = paymentMethod;
-  payment.status = 'submitted';
-  payment.statusHistory.push({
-    status: 'submitted',
-    changedBy: req.userId,
-    notes: `Payment proof submitted via ${paymentMethod}`,
+  // Without an amount the transfer is taken to cover the remaining balance
+  const transferAmount = amount || payment.balance;
+
+  payment.transactions.push({
+    amount: transferAmount,
+    paymentMethod,
+    referenceNumber,
+    proof: {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      path: req.file.path,
+      uploadedAt: new Date(),
+    },
+    submittedBy: req.userId,
   });
+  payment.refreshStatus(req.userId, `Payment proof submitted via ${paymentMethod}`);
 
   await payment.save();
 
@@ -151,7 +349,7 @@ const submitPaymentProof = asyncHandler(async (req, res) => {
     req.userRole,
     'payment_proof_uploaded',
     payment._id,
-    `Payment proof for ${payment.project.projectNumber}`
+    `Payment proof of ₱${transferAmount} for ${payment.project.projectNumber}`
   );
 
   res.json({
@@ -167,114 +365,170 @@ const submitPaymentProof = asyncHandler(async (req, res) => {
  * @access  Private/Cashier
  */
 const verifyPayment = asyncHandler(async (req, res) => {
-  const { amountReceived, referenceNumber, notes } = req.body;
+  const { transaction, payment } = await verifyTransaction(req.params.id, req.body, {
+    userId: req.userId,
+    role: req.userRole,
+  });
+
+  res.json({
+    success: true,
+    message: payment.status === 'verified'
+      ? 'Payment verified successfully'
+      : `Transaction verified. Remaining balance: ₱${payment.balance}`,
+    data: {
+      payment,
+      receipt: transaction.receipt,
+    },
+  });
+});
+
+/**
+ * @desc    Start an online checkout for a payment (customer)
+ * @route   POST /api/payments/:id/checkout
+ * @access  Private/Customer
+ */
+const createCheckout = asyncHandler(async (req, res) => {
+  const { amount, successUrl, cancelUrl } = req.body;
 
   const payment = await Payment.findById(req.params.id)
-    .populate('project')
-    .populate('customer', 'email profile.firstName profile.lastName');
+    .populate('project', 'projectNumber status');
 
   if (!payment) {
     throw new AppError('Payment not found', 404);
   }
 
-  if (payment.status !== 'submitted') {
-    throw new AppError('Payment is not pending verification', 400);
+  if (payment.customer.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
   }
 
-  payment.amount.received = amountReceived;
-  payment.status = 'verified';
-  payment.verification = {
-    verifiedBy: req.userId,
-    verifiedAt: new Date(),
-    notes,
-    referenceNumber,
-  };
-  payment.statusHistory.push({
-    status: 'verified',
-    changedBy: req.userId,
-    notes: `Verified - Amount: ₱${amountReceived}`,
-  });
-
-  // Generate receipt
-  const receiptNumber = await Payment.generateReceiptNumber();
-  payment.receipt = {
-    receiptNumber,
-    generatedAt: new Date(),
-  };
+  if (['completed', 'cancelled'].includes(payment.project.status)) {
+    throw new AppError(`Project is ${payment.project.status}`, 400);
+  }
 
-  await payment.save();
+  const checkout = await paymentGatewayService.createCheckout(payment, {
+    amount,
+    successUrl,
+    cancelUrl,
+    userId: req.userId,
+  });
 
-  // Update project status based on payment stage
-  const project = await Project.findById(payment.project._id);
-  const stageStatusMap = {
-    initial: 'initial_payment_verified',
-    midpoint: 'midpoint_payment_verified',
-    final: 'completed',
-  };
+  // Log activity
+  await activityService.logPayment(
+    req.userId,
+    req.userRole,
+    'payment_checkout_created',
+    payment._id,
+    `Online checkout of ₱${checkout.amount} via ${checkout.provider} for ${payment.project.projectNumber}`
+  );
 
-  // Only update if current status matches expected
-  const expectedStatuses = {
-    initial: 'pending_initial_payment',
-    midpoint: 'pending_midpoint_payment',
-    final: 'pending_final_payment',
-  };
+  res.status(201).json({
+    success: true,
+    message: 'Checkout created. Continue to the payment page.',
+    data: { checkout },
+  });
+});
 
-  if (project.status === expectedStatuses[payment.stage]) {
-    project.status = stageStatusMap[payment.stage];
-    project.statusHistory.push({
-      status: project.status,
-      changedBy: req.userId,
-      notes: `${payment.stage} payment verified`,
-    });
+/**
+ * @desc    Receive a signed payment gateway webhook
+ * @route   POST /api/payments/webhooks/:provider
+ * @access  Public (signature checked)
+ */
+const handleGatewayWebhook = asyncHandler(async (req, res) => {
+  const provider = paymentGatewayService.getProvider(req.params.provider);
+  const { status } = await receiveWebhook(provider, req.rawBody, req.headers);
 
-    // For initial payment, move to fabrication
-    if (payment.stage === 'initial') {
-      project.status = 'in_fabrication';
-      project.fabrication.startedAt = new Date();
-      project.statusHistory.push({
-        status: 'in_fabrication',
-        changedBy: req.userId,
-        notes: 'Fabrication started after initial payment',
-      });
-    }
+  res.json({
+    success: true,
+    message: `Webhook ${status}`,
+    data: { status },
+  });
+});
 
-    await project.save();
+/**
+ * @desc    Simulate the mock gateway's webhook for a checkout (development only)
+ * @route   POST /api/payments/gateway/mock/:checkoutId/simulate
+ * @access  Private (owner/cashier/admin)
+ */
+const simulateMockCheckout = asyncHandler(async (req, res) => {
+  const { outcome, amount, method } = req.body;
+  const provider = paymentGatewayService.getProvider('mock');
+
+  const payment = await Payment.findOne({ 'checkouts.checkoutId': req.params.checkoutId });
+  const checkout = payment?.checkouts.find((c) => c.checkoutId === req.params.checkoutId);
+  if (!checkout || checkout.provider !== provider.name) {
+    throw new AppError('Checkout not found', 404);
   }
 
-  // Send email to customer
-  await emailService.sendPaymentVerification(
-    payment.customer.email,
-    payment,
-    project,
-    `${payment.customer.profile.firstName} ${payment.customer.profile.lastName}`
-  );
+  if (req.userRole === config.roles.CUSTOMER &&
+      payment.customer.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
 
-  // Log activity
-  await activityService.logPayment(
-    req.userId,
-    req.userRole,
-    'payment_verified',
-    payment._id,
-    `Verified ₱${amountReceived} for ${project.projectNumber}`
+  const { body, headers } = provider.buildEvent(checkout.checkoutId, {
+    outcome,
+    amount: amount || checkout.amount,
+    method,
+  });
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
   );
+  const result = await receiveWebhook(provider, Buffer.from(body), lowerCaseHeaders);
 
   res.json({
     success: true,
-    message: 'Payment verified successfully',
-    data: { 
-      payment,
-      receipt: payment.receipt,
+    message: `Simulated ${outcome} webhook ${result.status}`,
+    data: {
+      status: result.status,
+      payment: result.payment || payment,
     },
   });
 });
 
+/**
+ * @desc    Download official receipt PDF (latest, or ?transactionId=)
+ * @route   GET /api/payments/:id/receipt
+ * @access  Private/Customer (owner), Cashier, Admin
+ */
+const downloadReceipt = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id)
+    .populate('project')
+    .populate('customer', 'email profile.firstName profile.lastName');
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  // Check access for customers
+  if (req.userRole === config.roles.CUSTOMER &&
+      payment.customer._id.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const receipted = payment.transactions.filter((t) => t.status === 'verified' && t.receipt?.receiptNumber);
+  const transaction = req.query.transactionId
+    ? receipted.find((t) => t._id.toString() === req.query.transactionId)
+    : receipted[receipted.length - 1];
+
+  if (!transaction) {
+    throw new AppError('Receipt is only available for verified transactions', 400);
+  }
+
+  // Transactions verified before receipts were rendered get one on first download
+  const absolutePath = (file) => (path.isAbsolute(file) ? file : path.join(process.cwd(), file));
+  if (!transaction.receipt.path || !fs.existsSync(absolutePath(transaction.receipt.path))) {
+    await issueReceipt(payment, transaction, payment.project, payment.customer);
+  }
+
+  res.download(absolutePath(transaction.receipt.path), `${transaction.receipt.receiptNumber}.pdf`);
+});
+
 /**
  * @desc    Reject payment (cashier)
  * @route   PUT /api/payments/:id/reject
  * @access  Private/Cashier
  */
 const rejectPayment = asyncHandler(async (req, res) => {
-  const { reason } = req.body;
+  const { transactionId, reason } = req.body;
 
   const payment = await Payment.findById(req.params.id)
     .populate('project', 'projectNumber');
@@ -283,21 +537,15 @@ const rejectPayment = asyncHandler(async (req, res) => {
     throw new AppError('Payment not found', 404);
   }
 
-  if (payment.status !== 'submitted') {
-    throw new AppError('Payment is not pending verification', 400);
-  }
+  const transaction = findSubmittedTransaction(payment, transactionId);
 
-  payment.status = 'rejected';
-  payment.rejection = {
+  transaction.status = 'rejected';
+  transaction.rejection = {
     rejectedBy: req.userId,
     rejectedAt: new Date(),
     reason,
   };
-  payment.statusHistory.push({
-    status: 'rejected',
-    changedBy: req.userId,
-    notes: reason,
-  });
+  payment.refreshStatus(req.userId, reason);
 
   await payment.save();
 
@@ -326,7 +574,7 @@ const getPendingPayments = asyncHandler(async (req, res) => {
   const payments = await Payment.find({ status: 'submitted' })
     .populate('project', 'projectNumber title category')
     .populate('customer', 'email profile.firstName profile.lastName profile.phone')
-    .sort({ 'paymentProof.uploadedAt': 1 });
+    .sort({ 'transactions.submittedAt': 1 });
 
   res.json({
     success: true,
@@ -340,12 +588,13 @@ const getPendingPayments = asyncHandler(async (req, res) => {
  * @access  Private/Admin, Cashier
  */
 const getAllPayments = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, status, stage, startDate, endDate } = req.query;
+  const { page = 1, limit = 20, status, stage, overdue, startDate, endDate } = req.query;
   const skip = (page - 1) * limit;
 
   const query = {};
   if (status) query.status = status;
   if (stage) query.stage = stage;
+  if (overdue === 'true') query.$and = [Payment.overdueQuery()];
   if (startDate || endDate) {
     query.createdAt = {};
     if (startDate) query.createdAt.$gte = new Date(startDate);
@@ -356,7 +605,7 @@ const getAllPayments = asyncHandler(async (req, res) => {
     Payment.find(query)
       .populate('project', 'projectNumber title')
       .populate('customer', 'email profile.firstName profile.lastName')
-      .populate('verification.verifiedBy', 'profile.firstName profile.lastName')
+      .populate('transactions.verification.verifiedBy', 'profile.firstName profile.lastName')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit)),
@@ -385,43 +634,96 @@ const getAllPayments = asyncHandler(async (req, res) => {
 const getPaymentSummary = asyncHandler(async (req, res) => {
   const { startDate, endDate } = req.query;
 
+  // Money is counted when its transaction was verified
   const dateFilter = {};
   if (startDate || endDate) {
-    dateFilter.createdAt = {};
-    if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-    if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
+    dateFilter['transactions.verification.verifiedAt'] = {};
+    if (startDate) dateFilter['transactions.verification.verifiedAt'].$gte = new Date(startDate);
+    if (endDate) dateFilter['transactions.verification.verifiedAt'].$lte = new Date(endDate);
+  }
+  const received = Payment.verifiedTransactionStages({ isDeleted: { $ne: true } });
+
+  // Refunds are counted when their credit note was issued
+  const refundFilter = {};
+  if (startDate || endDate) {
+    refundFilter['creditNote.issuedAt'] = {};
+    if (startDate) refundFilter['creditNote.issuedAt'].$gte = new Date(startDate);
+    if (endDate) refundFilter['creditNote.issuedAt'].$lte = new Date(endDate);
   }
 
   const [
     totalReceived,
     pendingVerification,
+    outstanding,
     byStage,
     byMethod,
+    refunded,
+    pendingRefunds,
   ] = await Promise.all([
     // Total received amount
     Payment.aggregate([
-      { $match: { status: 'verified', ...dateFilter } },
-      { $group: { _id: null, total: { $sum: '$amount.received' } } },
+      ...received,
+      { $match: dateFilter },
+      { $group: { _id: null, total: { $sum: '$transactions.amountReceived' } } },
     ]),
     // Pending verification count
     Payment.countDocuments({ status: 'submitted' }),
+    // Balance left on partially paid stages (refunded money is owed again, as in the balance virtual)
+    Payment.aggregate([
+      { $match: { status: 'partially_paid', isDeleted: { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          balance: {
+            $sum: {
+              $max: [0, {
+                $subtract: [
+                  '$amount.expected',
+                  { $subtract: ['$amount.received', { $ifNull: ['$amount.refunded', 0] }] },
+                ],
+              }],
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
     // By stage
     Payment.aggregate([
-      { $match: { status: 'verified', ...dateFilter } },
-      { $group: { _id: '$stage', total: { $sum: '$amount.received' }, count: { $sum: 1 } } },
+      ...received,
+      { $match: dateFilter },
+      { $group: { _id: '$stage', total: { $sum: '$transactions.amountReceived' }, count: { $sum: 1 } } },
     ]),
     // By payment method
     Payment.aggregate([
-      { $match: { status: 'verified', ...dateFilter } },
-      { $group: { _id: '$paymentMethod', total: { $sum: '$amount.received' }, count: { $sum: 1 } } },
+      ...received,
+      { $match: dateFilter },
+      { $group: { _id: '$transactions.paymentMethod', total: { $sum: '$transactions.amountReceived' }, count: { $sum: 1 } } },
     ]),
+    // Approved refunds (credit notes)
+    Refund.aggregate([
+      { $match: { status: { $in: ['approved', 'processed'] }, isDeleted: { $ne: true }, ...refundFilter } },
+      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]),
+    // Refunds waiting for admin approval
+    Refund.countDocuments({ status: 'pending_approval' }),
   ]);
 
   res.json({
     success: true,
     data: {
       totalReceived: totalReceived[0]?.total || 0,
+      totalRefunded: refunded[0]?.total || 0,
+      netReceived: (totalReceived[0]?.total || 0) - (refunded[0]?.total || 0),
+      refunds: {
+        count: refunded[0]?.count || 0,
+        pendingApproval: pendingRefunds,
+      },
       pendingVerification,
+      partiallyPaid: {
+        count: outstanding[0]?.count || 0,
+        balance: outstanding[0]?.balance || 0,
+      },
       byStage: byStage.reduce((acc, curr) => {
         acc[curr._id] = { total: curr.total, count: curr.count };
         return acc;
@@ -434,6 +736,217 @@ const getPaymentSummary = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Aging of overdue balances (0-30, 31-60, 60+ days past due)
+ * @route   GET /api/payments/aging
+ * @access  Private/Admin, Cashier
+ */
+const getAgingReport = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const buckets = [
+    { key: '0-30', min: 0, max: 30 },
+    { key: '31-60', min: 31, max: 60 },
+    { key: '60+', min: 61, max: Infinity },
+  ];
+
+  const payments = await Payment.find(Payment.overdueQuery(now))
+    .populate('project', 'projectNumber title status')
+    .populate('customer', 'email profile.firstName profile.lastName profile.phone')
+    .sort({ dueDate: 1 });
+
+  const report = buckets.map(({ key }) => ({ bucket: key, count: 0, balance: 0, payments: [] }));
+  payments
+    .filter((payment) => payment.project && payment.project.status !== 'cancelled')
+    .forEach((payment) => {
+      const { daysOverdue, balance } = payment;
+      const index = buckets.findIndex(({ min, max }) => daysOverdue >= min && daysOverdue <= max);
+      report[index].count += 1;
+      report[index].balance += balance;
+      report[index].payments.push({
+        _id: payment._id,
+        project: payment.project,
+        customer: payment.customer,
+        stage: payment.stage,
+        label: payment.label,
+        dueDate: payment.dueDate,
+        daysOverdue,
+        expected: payment.amount.expected,
+        received: payment.netReceived,
+        balance,
+        lastReminder: payment.reminders[payment.reminders.length - 1] || null,
+      });
+    });
+
+  res.json({
+    success: true,
+    data: {
+      asOf: now,
+      totalBalance: report.reduce((sum, bucket) => sum + bucket.balance, 0),
+      buckets: report,
+    },
+  });
+});
+
+/**
+ * @desc    Import a bank/GCash CSV statement and propose matches
+ * @route   POST /api/payments/reconciliation/import
+ * @access  Private/Cashier, Admin
+ */
+const importStatement = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('No file uploaded', 400);
+  }
+
+  const text = await fs.promises.readFile(req.file.path, 'utf8');
+  const batch = await reconciliationService.importStatement(text, {
+    bank: req.body.bank,
+    file: req.file,
+    userId: req.userId,
+  });
+
+  const { summary } = batch;
+  res.status(201).json({
+    success: true,
+    message: `${summary.proposed} of ${summary.lines} statement lines matched`,
+    data: { batch },
+  });
+});
+
+/**
+ * @desc    List statement imports
+ * @route   GET /api/payments/reconciliation
+ * @access  Private/Cashier, Admin
+ */
+const getReconciliationBatches = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const [batches, total] = await Promise.all([
+    ReconciliationBatch.find()
+      .populate('importedBy', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ReconciliationBatch.countDocuments(),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      batches: batches.map((batch) => ({
+        _id: batch._id,
+        bank: batch.bank,
+        statement: batch.statement,
+        importedBy: batch.importedBy,
+        periodStart: batch.periodStart,
+        periodEnd: batch.periodEnd,
+        summary: batch.summary,
+        createdAt: batch.createdAt,
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get a statement import with its matches and unmatched lines
+ * @route   GET /api/payments/reconciliation/:id
+ * @access  Private/Cashier, Admin
+ */
+const getReconciliationBatch = asyncHandler(async (req, res) => {
+  const paymentPopulate = (path) => ({
+    path,
+    select: 'project customer stage label amount status',
+    populate: [
+      { path: 'project', select: 'projectNumber title' },
+      { path: 'customer', select: 'profile.firstName profile.lastName' },
+    ],
+  });
+
+  const batch = await ReconciliationBatch.findById(req.params.id)
+    .populate('importedBy', 'profile.firstName profile.lastName')
+    .populate(paymentPopulate('lines.match.payment'))
+    .populate(paymentPopulate('unmatchedTransactions.payment'));
+
+  if (!batch) {
+    throw new AppError('Reconciliation batch not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      batch,
+      unmatchedLines: batch.lines.filter((line) => line.status === 'unmatched'),
+      unmatchedTransactions: batch.unmatchedTransactions,
+    },
+  });
+});
+
+/**
+ * @desc    Verify the transactions of proposed matches (all, or the lines given)
+ * @route   POST /api/payments/reconciliation/:id/confirm
+ * @access  Private/Cashier
+ */
+const confirmReconciliation = asyncHandler(async (req, res) => {
+  const { lineIds } = req.body;
+
+  const batch = await ReconciliationBatch.findById(req.params.id);
+  if (!batch) {
+    throw new AppError('Reconciliation batch not found', 404);
+  }
+
+  const lines = batch.lines.filter((line) => line.status === 'proposed'
+    && (!lineIds || lineIds.includes(line._id.toString())));
+  if (!lines.length) {
+    throw new AppError('No proposed matches to confirm', 400);
+  }
+
+  const bankLabel = config.reconciliation.banks[batch.bank]?.label || batch.bank;
+  const confirmed = [];
+  const failed = [];
+
+  // One at a time: each verification is its own transaction and may advance the project
+  for (const line of lines) {
+    try {
+      await verifyTransaction(line.match.payment, {
+        transactionId: line.match.transaction,
+        amountReceived: line.amount,
+        referenceNumber: line.reference || undefined,
+        notes: `Matched to ${bankLabel} statement row ${line.row}`,
+      }, {
+        userId: req.userId,
+        role: req.userRole,
+      });
+      line.status = 'confirmed';
+      line.confirmedBy = req.userId;
+      line.confirmedAt = new Date();
+      line.error = undefined;
+      confirmed.push(line._id);
+    } catch (error) {
+      // e.g. the transaction was verified or rejected since the import
+      if (!error.isOperational) throw error;
+      line.error = error.message;
+      failed.push({ line: line._id, row: line.row, message: error.message });
+    }
+    await batch.save();
+  }
+
+  res.json({
+    success: true,
+    message: `${confirmed.length} of ${lines.length} matched payments verified`,
+    data: {
+      batch,
+      confirmed,
+      failed,
+    },
+  });
+});
+
 /**
  * @desc    Customer get their payments
  * @route   GET /api/payments/my-payments
@@ -456,9 +969,18 @@ module.exports = {
   uploadQRCode,
   submitPaymentProof,
   verifyPayment,
+  createCheckout,
+  handleGatewayWebhook,
+  simulateMockCheckout,
+  downloadReceipt,
   rejectPayment,
   getPendingPayments,
   getAllPayments,
   getPaymentSummary,
+  getAgingReport,
+  importStatement,
+  getReconciliationBatches,
+  getReconciliationBatch,
+  confirmReconciliation,
   getMyPayments,
 };
@@ -1,8 +1,100 @@
-const { Project, Appointment, Payment, User } = require('../models');
-const { activityService, emailService } = require('../services');
+const fs = require('fs');
+const path = require('path');
+const {
+  Project,
+  Appointment,
+  Payment,
+  User,
+  Material,
+  WorkOrder,
+} = require('../models');
+const {
+  activityService,
+  costingService,
+  cuttingListService,
+  emailService,
+  paymentPlanService,
+  pdfService,
+  projectWorkflowService,
+  quoteEstimatorService,
+  schedulingService,
+  transactionService,
+} = require('../services');
 const config = require('../config');
+const { normalizeProjectStatus, normalizeProjectCategory } = require('../config/vocabulary');
 const { asyncHandler, AppError } = require('../middleware');
 
+const absolutePath = (file) => (path.isAbsolute(file) ? file : path.join(process.cwd(), file));
+
+// Next costing version number; editor drafts take a number before they are final
+const nextCostingVersion = (project) => Math.max(0, ...project.costing.versions.map((v) => v.version)) + 1;
+
+// Project and its costing draft, for the engineer editing it
+const findCostingDraft = async (projectId, versionNumber) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  costingService.assertEditable(project);
+
+  const version = project.getCostingVersion(versionNumber);
+  if (!version) {
+    throw new AppError('Costing version not found', 404);
+  }
+  if (version.status !== 'draft') {
+    throw new AppError(`Costing v${version.version} is final; start a new version to change it`, 409);
+  }
+
+  return { project, version };
+};
+
+// Add a computed costing as the project's draft version; one draft at a time
+const pushCostingDraft = (project, costing, { userId, notes }) => {
+  const draft = project.costing.versions.find((v) => v.status === 'draft');
+  if (draft) {
+    throw new AppError(`Costing v${draft.version} is already being edited`, 409);
+  }
+
+  const version = nextCostingVersion(project);
+  project.costing.versions.push({
+    version,
+    status: 'draft',
+    source: 'editor',
+    uploadedBy: userId,
+    uploadedAt: new Date(),
+    totalAmount: costing.summary.totalAmount,
+    breakdown: costing.breakdown,
+    discount: costing.discount,
+    tax: costing.tax,
+    summary: costing.summary,
+    notes,
+  });
+  return project.getCostingVersion(version);
+};
+
+// Plain copy of a stored { type, value } discount
+const copyDiscount = (discount) => (discount?.value ? { type: discount.type, value: discount.value } : undefined);
+
+// Copy of a stored line without its id, for a new version
+const copyCostingLine = (line) => ({
+  category: line.category,
+  material: line.material,
+  item: line.item,
+  quantity: line.quantity,
+  unit: line.unit,
+  unitPrice: line.unitPrice,
+  discount: copyDiscount(line.discount),
+});
+
+// Costing drafts are work in progress; customers only see final versions
+const hideCostingDrafts = (project, req) => {
+  if (req.userRole === config.roles.CUSTOMER) {
+    project.costing.versions = project.costing.versions.filter((v) => v.status !== 'draft');
+  }
+};
+
 /**
  * @desc    Create project (from sales consultation)
  * @route   POST /api/projects
@@ -17,6 +109,7 @@ const createProject = asyncHandler(async (req, res) => {
     description,
     specifications,
     siteAddress,
+    paymentPlanTemplate,
   } = req.body;
 
   // Verify customer exists
@@ -38,6 +131,12 @@ const createProject = asyncHandler(async (req, res) => {
     description,
     specifications,
     siteAddress,
+    ...(paymentPlanTemplate && {
+      paymentPlan: {
+        template: paymentPlanTemplate,
+        milestones: paymentPlanService.fromTemplate(paymentPlanTemplate),
+      },
+    }),
     assignedStaff: {
       salesStaff: req.userId,
     },
@@ -93,8 +192,8 @@ const getProjects = asyncHandler(async (req, res) => {
     query['assignedStaff.salesStaff'] = req.userId;
   }
 
-  if (status) query.status = status;
-  if (category) query.category = category;
+  if (status) query.status = normalizeProjectStatus(status);
+  if (category) query.category = normalizeProjectCategory(category);
   if (customer) query.customer = customer;
 
   const [projects, total] = await Promise.all([
@@ -108,6 +207,8 @@ const getProjects = asyncHandler(async (req, res) => {
     Project.countDocuments(query),
   ]);
 
+  projects.forEach((project) => hideCostingDrafts(project, req));
+
   res.json({
     success: true,
     data: {
@@ -148,9 +249,11 @@ const getProject = asyncHandler(async (req, res) => {
     throw new AppError('Access denied', 403);
   }
 
+  hideCostingDrafts(project, req);
+
   // Get associated payments
   const payments = await Payment.find({ project: project._id })
-    .sort({ stage: 1 });
+    .sort({ sequence: 1 });
 
   res.json({
     success: true,
@@ -249,10 +352,6 @@ const submitToEngineer = asyncHandler(async (req, res) => {
     throw new AppError('Project not found', 404);
   }
 
-  if (project.status !== 'draft') {
-    throw new AppError('Project has already been submitted', 400);
-  }
-
   // Verify engineer
   const engineer = await User.findOne({
     _id: engineerId,
@@ -264,13 +363,12 @@ const submitToEngineer = asyncHandler(async (req, res) => {
     throw new AppError('Engineer not found', 404);
   }
 
-  project.assignedStaff.engineer = engineerId;
-  project.status = 'pending_blueprint';
-  project.statusHistory.push({
-    status: 'pending_blueprint',
-    changedBy: req.userId,
+  await projectWorkflowService.transition(project, 'pending_blueprint', {
+    userId: req.userId,
+    role: req.userRole,
     notes: `Submitted to engineer: ${engineer.profile.firstName} ${engineer.profile.lastName}`,
   });
+  project.assignedStaff.engineer = engineerId;
 
   await project.save();
 
@@ -343,13 +441,151 @@ const uploadBlueprint = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Set the bill of materials of a blueprint version
+ * @route   PUT /api/projects/:id/blueprint/:version/bom
+ * @access  Private/Engineer
+ */
+const updateBlueprintBom = asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  const version = project.getBlueprintVersion(req.params.version);
+  if (!version) {
+    throw new AppError('Blueprint version not found', 404);
+  }
+
+  // Catalog materials fill in what the engineer left out
+  const materialIds = [...new Set(items.filter((item) => item.material).map((item) => item.material))];
+  const materials = await Material.find({ _id: { $in: materialIds } });
+  if (materials.length !== materialIds.length) {
+    throw new AppError('One or more materials were not found', 400);
+  }
+  const byId = new Map(materials.map((m) => [m._id.toString(), m]));
+
+  version.bom = items.map((item) => {
+    const material = item.material && byId.get(item.material);
+    return {
+      ...item,
+      category: item.category || material?.category,
+      grade: item.grade || material?.grade || project.specifications?.material,
+      size: item.size || material?.size,
+    };
+  });
+  version.bomUpdatedAt = new Date();
+  version.bomUpdatedBy = req.userId;
+
+  await project.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'bom_updated',
+    project._id,
+    `Blueprint v${version.version} bill of materials updated (${items.length} items)`
+  );
+
+  res.json({
+    success: true,
+    message: 'Bill of materials updated',
+    data: {
+      bom: version.bom,
+      cuttingList: cuttingListService.generate(version.bom),
+    },
+  });
+});
+
+/**
+ * @desc    Get the bill of materials and cutting list of a blueprint version
+ * @route   GET /api/projects/:id/blueprint/:version/bom
+ * @access  Private/Engineer, Fabrication Staff, Admin
+ */
+const getBlueprintBom = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id)
+    .populate('blueprint.versions.bom.material', 'sku name unit');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  const version = project.getBlueprintVersion(req.params.version);
+  if (!version) {
+    throw new AppError('Blueprint version not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      version: version.version,
+      bom: version.bom,
+      bomUpdatedAt: version.bomUpdatedAt,
+      cuttingList: cuttingListService.generate(version.bom),
+    },
+  });
+});
+
+/**
+ * @desc    Download the cutting list (approved blueprint, or ?version=) as CSV, PDF or JSON
+ * @route   GET /api/projects/:id/fabrication/cutting-list
+ * @access  Private/Fabrication Staff, Engineer, Admin
+ */
+const downloadCuttingList = asyncHandler(async (req, res) => {
+  const { format } = req.query;
+
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  // The shop cuts from the blueprint the customer approved
+  const versionNumber = req.query.version
+    || project.customerApproval?.approvedVersion?.blueprint
+    || project.blueprint.currentVersion;
+  const version = project.getBlueprintVersion(versionNumber);
+  if (!version) {
+    throw new AppError('Blueprint version not found', 404);
+  }
+  if (!version.bom.length) {
+    throw new AppError(`Blueprint v${version.version} has no bill of materials`, 400);
+  }
+
+  const cuttingList = cuttingListService.generate(version.bom);
+  const filename = `${project.projectNumber}-cutting-list-v${version.version}`;
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`${filename}.csv`);
+    return res.send(cuttingListService.toCsv(cuttingList));
+  }
+
+  if (format === 'pdf') {
+    const file = await pdfService.generateCuttingList(project, version, cuttingList);
+    // Printed on demand; the file is not kept
+    return res.download(absolutePath(file.path), `${filename}.pdf`, () => {
+      fs.unlink(absolutePath(file.path), () => {});
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { version: version.version, cuttingList },
+  });
+});
+
 /**
  * @desc    Upload costing (engineer)
  * @route   POST /api/projects/:id/costing
  * @access  Private/Engineer
  */
 const uploadCosting = asyncHandler(async (req, res) => {
-  const { totalAmount, breakdown, notes } = req.body;
+  const { totalAmount, breakdown, vatMode, discount, applyWithholdingTax, notes } = req.body;
 
   const project = await Project.findById(req.params.id);
 
@@ -361,7 +597,19 @@ const uploadCosting = asyncHandler(async (req, res) => {
     throw new AppError('No file uploaded', 400);
   }
 
-  const newVersion = (project.costing.currentVersion || 0) + 1;
+  const draft = project.costing.versions.find((v) => v.status === 'draft');
+  if (draft) {
+    throw new AppError(`Costing v${draft.version} is being edited; finalize or discard it first`, 409);
+  }
+
+  const newVersion = nextCostingVersion(project);
+  const costing = costingService.calculate({
+    breakdown,
+    totalAmount,
+    vatMode,
+    discount,
+    applyWithholdingTax,
+  });
 
   project.costing.versions.push({
     version: newVersion,
@@ -370,8 +618,11 @@ const uploadCosting = asyncHandler(async (req, res) => {
     path: req.file.path,
     uploadedBy: req.userId,
     uploadedAt: new Date(),
-    totalAmount,
-    breakdown: breakdown ? JSON.parse(breakdown) : [],
+    totalAmount: costing.summary.totalAmount,
+    breakdown: costing.breakdown,
+    discount: costing.discount,
+    tax: costing.tax,
+    summary: costing.summary,
     notes,
   });
   project.costing.currentVersion = newVersion;
@@ -383,7 +634,7 @@ const uploadCosting = asyncHandler(async (req, res) => {
     req.userRole,
     action,
     project._id,
-    `Costing v${newVersion} uploaded - ₱${totalAmount}`
+    `Costing v${newVersion} uploaded - ₱${costing.summary.totalAmount}`
   );
 
   await project.save();
@@ -399,184 +650,235 @@ const uploadCosting = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Submit for customer approval (engineer)
- * @route   PUT /api/projects/:id/submit-for-approval
+ * @desc    Compute a costing (VAT, discounts, withholding tax) without saving
+ * @route   POST /api/projects/costing/calculate
+ * @access  Private/Engineer, Sales Staff, Admin
+ */
+const calculateCosting = asyncHandler(async (req, res) => {
+  const costing = costingService.calculate(req.body);
+
+  res.json({
+    success: true,
+    data: { costing },
+  });
+});
+
+/**
+ * @desc    Start a costing draft, empty or copied from an earlier version
+ * @route   POST /api/projects/:id/costing/versions
  * @access  Private/Engineer
  */
-const submitForApproval = asyncHandler(async (req, res) => {
-  const project = await Project.findById(req.params.id)
-    .populate('customer', 'email profile.firstName profile.lastName');
+const createCostingVersion = asyncHandler(async (req, res) => {
+  const { breakdown, vatMode, discount, applyWithholdingTax, notes, copyFrom } = req.body;
+
+  const project = await Project.findById(req.params.id);
 
   if (!project) {
     throw new AppError('Project not found', 404);
   }
 
-  if (!project.blueprint.currentVersion || !project.costing.currentVersion) {
-    throw new AppError('Blueprint and costing must be uploaded first', 400);
+  costingService.assertEditable(project);
+
+  let source = null;
+  if (copyFrom) {
+    source = project.getCostingVersion(copyFrom);
+    if (!source) {
+      throw new AppError(`Costing v${copyFrom} not found`, 404);
+    }
   }
 
-  project.status = 'pending_customer_approval';
-  project.statusHistory.push({
-    status: 'pending_customer_approval',
-    changedBy: req.userId,
-    notes: 'Submitted for customer approval',
+  // Values given in the request win over the copied version
+  const costing = costingService.calculate({
+    breakdown: breakdown || (source ? source.breakdown.map(copyCostingLine) : []),
+    vatMode: vatMode || source?.tax?.vatMode,
+    discount: discount !== undefined ? discount : copyDiscount(source?.discount),
+    applyWithholdingTax: applyWithholdingTax ?? source?.tax?.applyWithholdingTax,
   });
 
+  const draft = pushCostingDraft(project, costing, { userId: req.userId, notes });
   await project.save();
 
-  // Send email to customer
-  await emailService.sendBlueprintReady(
-    project.customer.email,
-    project,
-    `${project.customer.profile.firstName} ${project.customer.profile.lastName}`
-  );
-
-  // Log activity
-  await activityService.logProject(
-    req.userId,
-    req.userRole,
-    'approval_requested',
-    project._id
-  );
-
-  res.json({
+  res.status(201).json({
     success: true,
-    message: 'Project submitted for customer approval',
-    data: { project },
+    message: `Costing draft v${draft.version} created`,
+    data: { costing: draft },
   });
 });
 
 /**
- * @desc    Customer approve project
- * @route   PUT /api/projects/:id/approve
- * @access  Private/Customer
+ * @desc    Estimate a costing from the specifications, measurements and materials catalog
+ * @route   POST /api/projects/:id/costing/estimate
+ * @access  Private/Engineer
  */
-const approveProject = asyncHandler(async (req, res) => {
+const estimateCosting = asyncHandler(async (req, res) => {
+  const { vatMode, applyWithholdingTax, saveAsDraft } = req.body;
+
   const project = await Project.findById(req.params.id);
 
   if (!project) {
     throw new AppError('Project not found', 404);
   }
 
-  if (project.customer.toString() !== req.userId.toString()) {
-    throw new AppError('Access denied', 403);
-  }
+  const { dimensions, breakdown, warnings } = await quoteEstimatorService.estimate(project);
+  const costing = costingService.calculate({ breakdown, vatMode, applyWithholdingTax });
 
-  if (project.status !== 'pending_customer_approval') {
-    throw new AppError('Project is not pending approval', 400);
+  let draft = null;
+  if (saveAsDraft) {
+    costingService.assertEditable(project);
+    draft = pushCostingDraft(project, costing, {
+      userId: req.userId,
+      notes: 'Estimated from the materials catalog',
+    });
+    await project.save();
   }
 
-  // Get latest costing for approved amount
-  const latestCosting = project.costing.versions[project.costing.versions.length - 1];
-  
-  project.customerApproval = {
-    isApproved: true,
-    approvedAt: new Date(),
-    approvedVersion: {
-      blueprint: project.blueprint.currentVersion,
-      costing: project.costing.currentVersion,
+  res.status(draft ? 201 : 200).json({
+    success: true,
+    message: draft ? `Estimate saved as costing draft v${draft.version}` : 'Costing estimated',
+    data: {
+      dimensions,
+      warnings,
+      costing: draft || costing,
     },
-  };
-  project.costing.approvedAmount = latestCosting.totalAmount;
-  project.status = 'approved';
-  project.statusHistory.push({
-    status: 'approved',
-    changedBy: req.userId,
-    notes: 'Approved by customer',
   });
+});
 
-  await project.save();
+/**
+ * @desc    Update a costing draft's lines, VAT, discount or notes
+ * @route   PUT /api/projects/:id/costing/versions/:version
+ * @access  Private/Engineer
+ */
+const updateCostingVersion = asyncHandler(async (req, res) => {
+  const { breakdown, vatMode, discount, applyWithholdingTax, notes } = req.body;
+  const { project, version } = await findCostingDraft(req.params.id, req.params.version);
 
-  // Create payment records for all stages
-  await Payment.create([
-    {
-      project: project._id,
-      customer: project.customer,
-      stage: 'initial',
-      amount: {
-        expected: project.paymentStages.initial.amount,
-      },
-      status: 'pending',
-    },
-    {
-      project: project._id,
-      customer: project.customer,
-      stage: 'midpoint',
-      amount: {
-        expected: project.paymentStages.midpoint.amount,
-      },
-      status: 'pending',
-    },
-    {
-      project: project._id,
-      customer: project.customer,
-      stage: 'final',
-      amount: {
-        expected: project.paymentStages.final.amount,
-      },
-      status: 'pending',
-    },
-  ]);
+  if (breakdown) version.breakdown = breakdown;
+  if (vatMode) version.tax.vatMode = vatMode;
+  if (discount !== undefined) version.discount = discount || undefined;
+  if (applyWithholdingTax !== undefined) version.tax.applyWithholdingTax = applyWithholdingTax;
+  if (notes !== undefined) version.notes = notes;
 
-  // Update project status to pending initial payment
-  project.status = 'pending_initial_payment';
-  project.statusHistory.push({
-    status: 'pending_initial_payment',
-    changedBy: req.userId,
-    notes: 'Waiting for initial 30% payment',
-  });
+  costingService.recalculate(version);
   await project.save();
 
-  // Log activity
-  await activityService.logProject(
-    req.userId,
-    req.userRole,
-    'project_approved',
-    project._id
-  );
-
   res.json({
     success: true,
-    message: 'Project approved successfully. Please proceed with the initial payment.',
-    data: { project },
+    message: 'Costing draft updated',
+    data: { costing: version },
   });
 });
 
 /**
- * @desc    Customer request revision
- * @route   PUT /api/projects/:id/request-revision
- * @access  Private/Customer
+ * @desc    Add a line to a costing draft
+ * @route   POST /api/projects/:id/costing/versions/:version/lines
+ * @access  Private/Engineer
  */
-const requestRevision = asyncHandler(async (req, res) => {
-  const { description, type = 'minor' } = req.body;
+const addCostingLine = asyncHandler(async (req, res) => {
+  const { project, version } = await findCostingDraft(req.params.id, req.params.version);
 
-  const project = await Project.findById(req.params.id);
+  version.breakdown.push(req.body);
+  costingService.recalculate(version);
+  await project.save();
 
-  if (!project) {
-    throw new AppError('Project not found', 404);
-  }
+  res.status(201).json({
+    success: true,
+    message: 'Costing line added',
+    data: { costing: version },
+  });
+});
 
-  if (project.customer.toString() !== req.userId.toString()) {
-    throw new AppError('Access denied', 403);
+/**
+ * @desc    Update a line of a costing draft
+ * @route   PUT /api/projects/:id/costing/versions/:version/lines/:lineId
+ * @access  Private/Engineer
+ */
+const updateCostingLine = asyncHandler(async (req, res) => {
+  const { project, version } = await findCostingDraft(req.params.id, req.params.version);
+
+  const line = version.breakdown.id(req.params.lineId);
+  if (!line) {
+    throw new AppError('Costing line not found', 404);
   }
 
-  if (project.status !== 'pending_customer_approval') {
-    throw new AppError('Project is not pending approval', 400);
+  const { discount, ...fields } = req.body;
+  line.set(fields);
+  if (discount !== undefined) line.discount = discount || undefined;
+
+  costingService.recalculate(version);
+  await project.save();
+
+  res.json({
+    success: true,
+    message: 'Costing line updated',
+    data: { costing: version },
+  });
+});
+
+/**
+ * @desc    Remove a line from a costing draft
+ * @route   DELETE /api/projects/:id/costing/versions/:version/lines/:lineId
+ * @access  Private/Engineer
+ */
+const deleteCostingLine = asyncHandler(async (req, res) => {
+  const { project, version } = await findCostingDraft(req.params.id, req.params.version);
+
+  const line = version.breakdown.id(req.params.lineId);
+  if (!line) {
+    throw new AppError('Costing line not found', 404);
   }
 
-  project.revisions.push({
-    requestedBy: req.userId,
-    requestedAt: new Date(),
-    type,
-    description,
+  line.deleteOne();
+  costingService.recalculate(version);
+  await project.save();
+
+  res.json({
+    success: true,
+    message: 'Costing line removed',
+    data: { costing: version },
   });
+});
 
-  project.status = 'revision_requested';
-  project.statusHistory.push({
-    status: 'revision_requested',
-    changedBy: req.userId,
-    notes: description,
+/**
+ * @desc    Discard a costing draft
+ * @route   DELETE /api/projects/:id/costing/versions/:version
+ * @access  Private/Engineer
+ */
+const deleteCostingDraft = asyncHandler(async (req, res) => {
+  const { project, version } = await findCostingDraft(req.params.id, req.params.version);
+
+  version.deleteOne();
+  await project.save();
+
+  res.json({
+    success: true,
+    message: 'Costing draft discarded',
   });
+});
+
+/**
+ * @desc    Finalize a costing draft: render its PDF and make it the current costing
+ * @route   PUT /api/projects/:id/costing/versions/:version/finalize
+ * @access  Private/Engineer
+ */
+const finalizeCosting = asyncHandler(async (req, res) => {
+  const { project, version } = await findCostingDraft(req.params.id, req.params.version);
+
+  if (!version.breakdown.length) {
+    throw new AppError('Add at least one costing line before finalizing', 400);
+  }
+
+  await project.populate('customer', 'email profile.firstName profile.lastName');
+
+  costingService.recalculate(version);
+  version.finalizedAt = new Date();
+  const file = await pdfService.generateCosting(project, version, project.customer, req.user);
+
+  version.filename = file.filename;
+  version.originalName = `${project.projectNumber}-costing-v${version.version}.pdf`;
+  version.path = file.path;
+  version.status = 'final';
+  const isFirst = !project.costing.currentVersion;
+  project.costing.currentVersion = version.version;
 
   await project.save();
 
@@ -584,26 +886,24 @@ const requestRevision = asyncHandler(async (req, res) => {
   await activityService.logProject(
     req.userId,
     req.userRole,
-    'revision_requested',
+    isFirst ? 'costing_uploaded' : 'costing_revised',
     project._id,
-    `${type} revision: ${description}`
+    `Costing v${version.version} finalized - ₱${version.summary.totalAmount}`
   );
 
   res.json({
     success: true,
-    message: 'Revision request submitted',
-    data: { project },
+    message: `Costing v${version.version} finalized`,
+    data: { costing: version },
   });
 });
 
 /**
- * @desc    Update project status
- * @route   PUT /api/projects/:id/status
- * @access  Private/Staff
+ * @desc    Download a costing version's PDF (drafts render a preview)
+ * @route   GET /api/projects/:id/costing/versions/:version/pdf
+ * @access  Private/Customer (owner, final versions), Staff
  */
-const updateProjectStatus = asyncHandler(async (req, res) => {
-  const { status, notes } = req.body;
-
+const downloadCostingPdf = asyncHandler(async (req, res) => {
   const project = await Project.findById(req.params.id)
     .populate('customer', 'email profile.firstName profile.lastName');
 
@@ -611,50 +911,266 @@ const updateProjectStatus = asyncHandler(async (req, res) => {
     throw new AppError('Project not found', 404);
   }
 
-  const previousStatus = project.status;
-  project.status = status;
-  project.statusHistory.push({
-    status,
-    changedBy: req.userId,
-    notes,
-  });
+  const isCustomer = req.userRole === config.roles.CUSTOMER;
+  if (isCustomer && project.customer._id.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
 
-  // Handle specific status transitions
-  if (status === 'in_fabrication' && previousStatus !== 'in_fabrication') {
-    project.fabrication.startedAt = new Date();
-    if (project.fabrication.progress === 0) {
-      project.fabrication.progress = 5;
-    }
+  const version = project.getCostingVersion(req.params.version);
+  if (!version || (isCustomer && version.status === 'draft')) {
+    throw new AppError('Costing version not found', 404);
+  }
+
+  const filename = `${project.projectNumber}-costing-v${version.version}.pdf`;
+
+  if (version.status === 'draft') {
+    const preview = await pdfService.generateCosting(project, version, project.customer, req.user);
+    // Previews are not kept
+    return res.download(absolutePath(preview.path), filename, () => {
+      fs.unlink(absolutePath(preview.path), () => {});
+    });
+  }
+
+  if (!version.path || !fs.existsSync(absolutePath(version.path))) {
+    throw new AppError('Costing file not found', 404);
+  }
+
+  res.download(absolutePath(version.path), version.originalName || filename);
+});
+
+/**
+ * @desc    Compare two costing versions line by line
+ * @route   GET /api/projects/:id/costing/diff?from=&to=
+ * @access  Private/Customer (owner, final versions), Staff
+ */
+const getCostingDiff = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
   }
-  if (status === 'fabrication_done' && previousStatus !== 'fabrication_done') {
-    project.fabrication.completedAt = new Date();
-    project.fabrication.progress = 100;
+
+  const isCustomer = req.userRole === config.roles.CUSTOMER;
+  if (isCustomer && project.customer.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
   }
-  if (status === 'ready_for_pickup') {
-    if (!project.fabrication.completedAt) {
-      project.fabrication.completedAt = new Date();
+
+  const [fromVersion, toVersion] = [from, to].map((number) => {
+    const version = project.getCostingVersion(number);
+    if (!version || (isCustomer && version.status === 'draft')) {
+      throw new AppError(`Costing v${number} not found`, 404);
     }
-    project.fabrication.progress = Math.max(project.fabrication.progress || 0, 100);
+    return version;
+  });
+
+  res.json({
+    success: true,
+    data: { diff: costingService.diff(fromVersion, toVersion) },
+  });
+});
+
+/**
+ * @desc    Submit for customer approval (engineer)
+ * @route   PUT /api/projects/:id/submit-for-approval
+ * @access  Private/Engineer
+ */
+const submitForApproval = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id)
+    .populate('customer', 'email profile.firstName profile.lastName');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
   }
-  if (status === 'ready_for_installation') {
-    project.fabrication.completedAt = new Date();
-    project.fabrication.progress = 100;
+
+  const draft = project.costing.versions.find((v) => v.status === 'draft');
+  if (draft) {
+    throw new AppError(`Finalize or discard costing draft v${draft.version} first`, 409);
   }
-  if (status === 'in_installation' && !project.installation.startedAt) {
-    project.installation.startedAt = new Date();
+
+  await projectWorkflowService.transition(project, 'pending_customer_approval', {
+    userId: req.userId,
+    role: req.userRole,
+    notes: 'Submitted for customer approval',
+  });
+
+  await project.save();
+
+  // Send email to customer
+  await emailService.sendBlueprintReady(
+    project.customer.email,
+    project,
+    `${project.customer.profile.firstName} ${project.customer.profile.lastName}`
+  );
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'approval_requested',
+    project._id
+  );
+
+  res.json({
+    success: true,
+    message: 'Project submitted for customer approval',
+    data: { project },
+  });
+});
+
+/**
+ * @desc    Customer approve project
+ * @route   PUT /api/projects/:id/approve
+ * @access  Private/Customer
+ */
+const approveProject = asyncHandler(async (req, res) => {
+  // Approval, payment records and the status change commit together
+  const project = await transactionService.run(async (session) => {
+    const project = await Project.findById(req.params.id).session(session);
+
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+
+    if (project.customer.toString() !== req.userId.toString()) {
+      throw new AppError('Access denied', 403);
+    }
+
+    await projectWorkflowService.transition(project, 'approved', {
+      userId: req.userId,
+      role: req.userRole,
+      notes: 'Approved by customer',
+    });
+
+    // Current (latest final) costing gives the approved amount
+    const latestCosting = project.getCostingVersion(project.costing.currentVersion);
+    if (!latestCosting) {
+      throw new AppError('Project has no costing to approve', 400);
+    }
+
+    project.customerApproval = {
+      isApproved: true,
+      approvedAt: new Date(),
+      approvedVersion: {
+        blueprint: project.blueprint.currentVersion,
+        costing: project.costing.currentVersion,
+      },
+    };
+    project.costing.approvedAmount = costingService.getPayableAmount(latestCosting);
+
+    // A custom plan may include fixed amounts that must fit the approved total
+    paymentPlanService.validatePlan(project.paymentPlan.milestones, project.costing.approvedAmount);
+
+    // Update project status to pending initial payment
+    const [firstMilestone] = project.paymentPlan.milestones;
+    await projectWorkflowService.transition(project, 'pending_initial_payment', {
+      userId: req.userId,
+      role: req.userRole,
+      notes: `Waiting for ${firstMilestone.label}`,
+    });
+
+    // Saving computes the payment milestone amounts
+    await project.save({ session });
+
+    // One payment record per milestone of the plan
+    await paymentPlanService.syncPayments(project, session);
+
+    return project;
+  });
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'project_approved',
+    project._id
+  );
+
+  res.json({
+    success: true,
+    message: 'Project approved successfully. Please proceed with the initial payment.',
+    data: { project },
+  });
+});
+
+/**
+ * @desc    Customer request revision
+ * @route   PUT /api/projects/:id/request-revision
+ * @access  Private/Customer
+ */
+const requestRevision = asyncHandler(async (req, res) => {
+  const { description, type = 'minor' } = req.body;
+
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
   }
-  if (status === 'completed') {
-    project.installation.completedAt = new Date();
-    project.timeline.actualCompletion = new Date();
+
+  if (project.customer.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
   }
-  if (status === 'released') {
-    project.fabrication.releasedAt = new Date();
-    project.fabrication.releasedBy = req.userId;
-    project.timeline.actualCompletion = project.timeline.actualCompletion || new Date();
+
+  await projectWorkflowService.transition(project, 'revision_requested', {
+    userId: req.userId,
+    role: req.userRole,
+    notes: description,
+  });
+
+  project.revisions.push({
+    requestedBy: req.userId,
+    requestedAt: new Date(),
+    type,
+    description,
+  });
+
+  await project.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'revision_requested',
+    project._id,
+    `${type} revision: ${description}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Revision request submitted',
+    data: { project },
+  });
+});
+
+/**
+ * @desc    Update project status
+ * @route   PUT /api/projects/:id/status
+ * @access  Private/Staff
+ */
+const updateProjectStatus = asyncHandler(async (req, res) => {
+  const { status, notes } = req.body;
+
+  const project = await Project.findById(req.params.id)
+    .populate('customer', 'email profile.firstName profile.lastName');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
   }
 
+  const previousStatus = await projectWorkflowService.transition(project, status, {
+    userId: req.userId,
+    role: req.userRole,
+    notes,
+  });
+
   await project.save();
 
+  // Holding, resuming or cancelling a project frees or takes shop capacity
+  if ([status, previousStatus].includes('on_hold') || status === 'cancelled') {
+    schedulingService.replanInBackground();
+  }
+
   // Send email notification for major status changes
   const notifyStatuses = ['approved', 'in_fabrication', 'fabrication_done', 'ready_for_pickup', 'ready_for_installation', 'in_installation', 'released', 'completed'];
   if (notifyStatuses.includes(status)) {
@@ -682,6 +1198,32 @@ const updateProjectStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get status transitions available to the current user
+ * @route   GET /api/projects/:id/transitions
+ * @access  Private
+ */
+const getProjectTransitions = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  // Check access for customers
+  if (req.userRole === config.roles.CUSTOMER &&
+      project.customer.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const transitions = await projectWorkflowService.getTransitions(project, req.userRole);
+
+  res.json({
+    success: true,
+    data: transitions,
+  });
+});
+
 /**
  * @desc    Assign fabrication staff
  * @route   PUT /api/projects/:id/assign-fabrication
@@ -740,7 +1282,12 @@ const updateFabricationProgress = asyncHandler(async (req, res) => {
     throw new AppError('Project not found', 404);
   }
 
-  project.fabrication.progress = progress;
+  // Projects with work orders get their progress from task completion
+  if (progress !== undefined && await WorkOrder.exists({ project: project._id, status: { $ne: 'cancelled' } })) {
+    throw new AppError('Progress is computed from the work orders; finish their tasks instead', 409);
+  }
+
+  if (progress !== undefined) project.fabrication.progress = progress;
   if (notes) {
     project.fabrication.notes.push({
       content: notes,
@@ -749,16 +1296,13 @@ const updateFabricationProgress = asyncHandler(async (req, res) => {
     });
   }
 
-  // Auto-mark completion when hitting 100%
+  // Auto-mark completion when hitting 100% (or wait for the midpoint payment)
   if (progress >= 100 && project.status === 'in_fabrication') {
-    project.status = 'fabrication_done';
-    project.statusHistory.push({
-      status: 'fabrication_done',
-      changedBy: req.userId,
+    await projectWorkflowService.finishFabrication(project, {
+      userId: req.userId,
+      role: req.userRole,
       notes: notes || 'Fabrication completed',
     });
-    project.fabrication.completedAt = new Date();
-    project.fabrication.progress = 100;
   }
 
   await project.save();
@@ -827,6 +1371,289 @@ const uploadFabricationPhoto = asyncHandler(async (req, res) => {
   });
 });
 
+// Fabrication staff may only work installations they are crewed on
+const assertInstallationCrew = (project, req) => {
+  if (req.userRole === config.roles.FABRICATION_STAFF &&
+      !project.installation.crew.some((id) => id.toString() === req.userId.toString())) {
+    throw new AppError('You are not assigned to this installation', 403);
+  }
+};
+
+const notifyInstallation = (project, stage) => emailService.sendInstallationUpdate(
+  project.customer.email,
+  project,
+  `${project.customer.profile.firstName} ${project.customer.profile.lastName}`,
+  stage
+);
+
+/**
+ * @desc    Schedule installation and assign crew
+ * @route   PUT /api/projects/:id/installation/schedule
+ * @access  Private/Admin, Fabrication Staff
+ */
+const scheduleInstallation = asyncHandler(async (req, res) => {
+  const { scheduledDate, crewIds, notes } = req.body;
+
+  const project = await Project.findById(req.params.id)
+    .populate('customer', 'email profile.firstName profile.lastName');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  if (project.status !== 'ready_for_installation') {
+    throw new AppError('Project is not ready for installation', 400);
+  }
+
+  // Verify all crew members
+  const crew = await User.find({
+    _id: { $in: crewIds },
+    role: config.roles.FABRICATION_STAFF,
+    isActive: true,
+  });
+
+  if (crew.length !== crewIds.length) {
+    throw new AppError('One or more crew members not found', 404);
+  }
+
+  const isReschedule = Boolean(project.installation.scheduledDate);
+
+  project.installation.scheduledDate = scheduledDate;
+  project.installation.scheduledBy = req.userId;
+  project.installation.crew = crewIds;
+  if (notes) {
+    project.installation.notes = notes;
+  }
+
+  await project.save();
+
+  await notifyInstallation(project, 'scheduled');
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'installation_scheduled',
+    project._id,
+    `Installation ${isReschedule ? 'rescheduled' : 'scheduled'} for ${new Date(scheduledDate).toISOString().split('T')[0]}`
+  );
+
+  res.json({
+    success: true,
+    message: isReschedule ? 'Installation rescheduled' : 'Installation scheduled',
+    data: { installation: project.installation },
+  });
+});
+
+/**
+ * @desc    Start installation
+ * @route   PUT /api/projects/:id/installation/start
+ * @access  Private/Admin, Fabrication Staff
+ */
+const startInstallation = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id)
+    .populate('customer', 'email profile.firstName profile.lastName');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  if (!project.installation.scheduledDate) {
+    throw new AppError('Installation has not been scheduled', 400);
+  }
+
+  assertInstallationCrew(project, req);
+
+  await projectWorkflowService.transition(project, 'in_installation', {
+    userId: req.userId,
+    role: req.userRole,
+    notes: 'Installation started',
+  });
+
+  await project.save();
+
+  await notifyInstallation(project, 'started');
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'installation_started',
+    project._id
+  );
+
+  res.json({
+    success: true,
+    message: 'Installation started',
+    data: {
+      status: project.status,
+      installation: project.installation,
+    },
+  });
+});
+
+/**
+ * @desc    Upload installation photo
+ * @route   POST /api/projects/:id/installation/photo
+ * @access  Private/Admin, Fabrication Staff
+ */
+const uploadInstallationPhoto = asyncHandler(async (req, res) => {
+  const { caption } = req.body;
+
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  if (!req.file) {
+    throw new AppError('No file uploaded', 400);
+  }
+
+  if (!project.installation.startedAt) {
+    throw new AppError('Installation has not started', 400);
+  }
+
+  assertInstallationCrew(project, req);
+
+  project.installation.photos.push({
+    filename: req.file.filename,
+    originalName: req.file.originalname,
+    path: req.file.path,
+    caption,
+    uploadedBy: req.userId,
+    uploadedAt: new Date(),
+  });
+
+  await project.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'installation_photo_uploaded',
+    project._id
+  );
+
+  res.json({
+    success: true,
+    message: 'Photo uploaded successfully',
+    data: { photos: project.installation.photos },
+  });
+});
+
+/**
+ * @desc    Complete installation
+ * @route   PUT /api/projects/:id/installation/complete
+ * @access  Private/Admin, Fabrication Staff
+ */
+const completeInstallation = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  const project = await Project.findById(req.params.id)
+    .populate('customer', 'email profile.firstName profile.lastName');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  if (project.status !== 'in_installation') {
+    throw new AppError('Installation is not in progress', 400);
+  }
+
+  assertInstallationCrew(project, req);
+
+  await projectWorkflowService.transition(project, 'pending_final_payment', {
+    userId: req.userId,
+    role: req.userRole,
+    notes: notes || 'Installation completed',
+  });
+
+  project.installation.completedAt = new Date();
+  if (notes) {
+    project.installation.notes = notes;
+  }
+
+  await project.save();
+
+  await notifyInstallation(project, 'completed');
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'installation_completed',
+    project._id
+  );
+
+  res.json({
+    success: true,
+    message: 'Installation completed',
+    data: {
+      status: project.status,
+      installation: project.installation,
+    },
+  });
+});
+
+/**
+ * @desc    Capture customer sign-off on completed installation
+ * @route   PUT /api/projects/:id/installation/sign-off
+ * @access  Private/Customer, Fabrication Staff, Admin
+ */
+const signOffInstallation = asyncHandler(async (req, res) => {
+  const { receivedBy, signature, remarks } = req.body;
+
+  const project = await Project.findById(req.params.id)
+    .populate('customer', 'email profile.firstName profile.lastName');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  if (req.userRole === config.roles.CUSTOMER &&
+      project.customer._id.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
+
+  assertInstallationCrew(project, req);
+
+  if (!project.installation.completedAt) {
+    throw new AppError('Installation has not been completed', 400);
+  }
+
+  if (project.installation.signOff?.signedAt) {
+    throw new AppError('Installation has already been signed off', 400);
+  }
+
+  project.installation.signOff = {
+    receivedBy,
+    signature,
+    remarks,
+    signedAt: new Date(),
+    capturedBy: req.userId,
+  };
+
+  await project.save();
+
+  await notifyInstallation(project, 'signed_off');
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'installation_signed_off',
+    project._id,
+    `Installation signed off by ${receivedBy}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Installation signed off',
+    data: { installation: project.installation },
+  });
+});
+
 /**
  * @desc    Get projects pending for engineer
  * @route   GET /api/projects/pending/engineer
@@ -858,7 +1685,6 @@ const getFabricationProjects = asyncHandler(async (req, res) => {
     'assignedStaff.fabricationStaff': req.userId,
     status: {
       $in: [
-        'dp_pending',
         'pending_initial_payment',
         'pending_midpoint_payment',
         'midpoint_payment_verified',
@@ -885,14 +1711,34 @@ module.exports = {
   uploadConsultationPhotos,
   submitToEngineer,
   uploadBlueprint,
+  updateBlueprintBom,
+  getBlueprintBom,
+  downloadCuttingList,
   uploadCosting,
+  calculateCosting,
+  createCostingVersion,
+  estimateCosting,
+  updateCostingVersion,
+  addCostingLine,
+  updateCostingLine,
+  deleteCostingLine,
+  deleteCostingDraft,
+  finalizeCosting,
+  downloadCostingPdf,
+  getCostingDiff,
   submitForApproval,
   approveProject,
   requestRevision,
   updateProjectStatus,
+  getProjectTransitions,
   assignFabricationStaff,
   updateFabricationProgress,
   uploadFabricationPhoto,
+  scheduleInstallation,
+  startInstallation,
+  uploadInstallationPhoto,
+  completeInstallation,
+  signOffInstallation,
   getPendingForEngineer,
   getFabricationProjects,
 };
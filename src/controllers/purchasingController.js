@@ -0,0 +1,680 @@
+const mongoose = require('mongoose');
+const {
+  PurchaseOrder,
+  Supplier,
+  SupplierInvoice,
+  Warehouse,
+} = require('../models');
+const {
+  activityService,
+  inventoryService,
+  purchasingService,
+  transactionService,
+} = require('../services');
+const { asyncHandler, AppError } = require('../middleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Warehouse deliveries go to: the one given, else the default warehouse
+const resolveWarehouse = async (warehouseId) => {
+  const warehouse = warehouseId
+    ? await Warehouse.findOne({ _id: warehouseId, isActive: true })
+    : await inventoryService.getDefaultWarehouse();
+  if (!warehouse) {
+    throw new AppError(warehouseId ? 'Warehouse not found' : 'No active warehouse to deliver to', 404);
+  }
+  return warehouse;
+};
+
+const populateOrder = (query) => query
+  .populate('supplier', 'code name email phone paymentTermsDays')
+  .populate('warehouse', 'code name')
+  .populate('lines.material', 'sku name unit')
+  .populate('lines.project', 'projectNumber title');
+
+/**
+ * @desc    Get suppliers
+ * @route   GET /api/purchasing/suppliers
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getSuppliers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, isActive, materialId, search } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  query.isActive = isActive === undefined ? true : isActive === 'true';
+  if (materialId) query['materials.material'] = materialId;
+  if (search) {
+    query.$or = [
+      { code: { $regex: search, $options: 'i' } },
+      { name: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const [suppliers, total] = await Promise.all([
+    Supplier.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Supplier.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      suppliers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get supplier with open orders and unpaid invoices
+ * @route   GET /api/purchasing/suppliers/:id
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.id)
+    .populate('materials.material', 'sku name unit currentPrice');
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404);
+  }
+
+  const [openOrders, unpaidInvoices] = await Promise.all([
+    PurchaseOrder.find({ supplier: supplier._id, status: { $in: ['draft', 'ordered', 'partially_received'] } })
+      .select('poNumber status totalAmount expectedDate createdAt')
+      .sort({ createdAt: -1 }),
+    SupplierInvoice.find({ supplier: supplier._id, ...SupplierInvoice.payableQuery() })
+      .select('invoiceNumber invoiceDate dueDate amount amountPaid status')
+      .sort({ dueDate: 1 }),
+  ]);
+
+  res.json({
+    success: true,
+    data: { supplier, openOrders, unpaidInvoices },
+  });
+});
+
+/**
+ * @desc    Create supplier
+ * @route   POST /api/purchasing/suppliers
+ * @access  Private/Admin
+ */
+const createSupplier = asyncHandler(async (req, res) => {
+  const existing = await Supplier.findOne({ code: req.body.code.toUpperCase() });
+  if (existing) {
+    throw new AppError(`Supplier ${existing.code} already exists`, 409);
+  }
+
+  const supplier = await Supplier.create(req.body);
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'supplier_created',
+    supplier._id,
+    `Supplier ${supplier.code} created`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Supplier created',
+    data: { supplier },
+  });
+});
+
+/**
+ * @desc    Update supplier (materials replaces the quoted materials)
+ * @route   PUT /api/purchasing/suppliers/:id
+ * @access  Private/Admin
+ */
+const updateSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404);
+  }
+
+  supplier.set(req.body);
+  await supplier.save();
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'supplier_updated',
+    supplier._id,
+    `Supplier ${supplier.code} updated`
+  );
+
+  res.json({
+    success: true,
+    message: 'Supplier updated',
+    data: { supplier },
+  });
+});
+
+/**
+ * @desc    Suggested purchases for stock reserved beyond what is on hand or on order
+ * @route   GET /api/purchasing/suggestions
+ * @access  Private/Admin
+ */
+const getPurchaseSuggestions = asyncHandler(async (req, res) => {
+  const suggestions = await purchasingService.suggestFromShortages({ warehouseId: req.query.warehouseId });
+
+  res.json({
+    success: true,
+    data: { suggestions },
+  });
+});
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/purchasing/orders
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, supplierId, projectId, materialId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (supplierId) query.supplier = supplierId;
+  if (projectId) query['lines.project'] = projectId;
+  if (materialId) query['lines.material'] = materialId;
+
+  const [orders, total] = await Promise.all([
+    PurchaseOrder.find(query)
+      .select('-deliveries')
+      .populate('supplier', 'code name')
+      .populate('warehouse', 'code')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PurchaseOrder.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get purchase order with its deliveries and invoices
+ * @route   GET /api/purchasing/orders/:id
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await populateOrder(PurchaseOrder.findById(req.params.id))
+    .populate('deliveries.receivedBy', 'profile.firstName profile.lastName');
+
+  if (!order) {
+    throw new AppError('Purchase order not found', 404);
+  }
+
+  const invoices = await SupplierInvoice.find({ purchaseOrder: order._id }).sort({ invoiceDate: 1 });
+
+  res.json({
+    success: true,
+    data: { order, invoices },
+  });
+});
+
+/**
+ * @desc    Create a draft purchase order (fromShortages fills in the suggested lines)
+ * @route   POST /api/purchasing/orders
+ * @access  Private/Admin
+ */
+const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const { supplierId, warehouseId, fromShortages, expectedDate, notes } = req.body;
+  let { lines } = req.body;
+
+  const supplier = await Supplier.findOne({ _id: supplierId, isActive: true });
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404);
+  }
+  const warehouse = await resolveWarehouse(warehouseId);
+
+  if (fromShortages && !lines) {
+    const suggestions = await purchasingService.suggestFromShortages({ warehouseId: warehouse._id });
+    const suggestion = suggestions.find((s) => s.supplier && String(s.supplier._id) === String(supplier._id));
+    if (!suggestion) {
+      throw new AppError(`No shortages in ${warehouse.code} to order from ${supplier.code}`, 409);
+    }
+    lines = suggestion.lines.map((line) => ({
+      materialId: line.material._id,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      projectId: line.project,
+    }));
+  }
+
+  const order = await PurchaseOrder.create({
+    supplier: supplier._id,
+    warehouse: warehouse._id,
+    lines: await purchasingService.buildLines(supplier, lines),
+    expectedDate,
+    notes,
+    createdBy: req.userId,
+  });
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'purchase_order_created',
+    order._id,
+    `${order.poNumber} drafted for ${supplier.code}: ${order.lines.length} lines, ₱${order.totalAmount}${fromShortages ? ' (from shortages)' : ''}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Purchase order ${order.poNumber} created`,
+    data: { order },
+  });
+});
+
+/**
+ * @desc    Update a draft purchase order
+ * @route   PUT /api/purchasing/orders/:id
+ * @access  Private/Admin
+ */
+const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const { warehouseId, lines, ...fields } = req.body;
+
+  const order = await PurchaseOrder.findById(req.params.id).populate('supplier');
+
+  if (!order) {
+    throw new AppError('Purchase order not found', 404);
+  }
+  if (order.status !== 'draft') {
+    throw new AppError('Only draft purchase orders can be edited', 409);
+  }
+
+  if (warehouseId) {
+    order.warehouse = (await resolveWarehouse(warehouseId))._id;
+  }
+  if (lines) {
+    order.lines = await purchasingService.buildLines(order.supplier, lines);
+  }
+  order.set(fields);
+  await order.save();
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'purchase_order_updated',
+    order._id,
+    `${order.poNumber} updated`
+  );
+
+  res.json({
+    success: true,
+    message: 'Purchase order updated',
+    data: { order },
+  });
+});
+
+/**
+ * @desc    Place a draft purchase order with the supplier
+ * @route   PUT /api/purchasing/orders/:id/place
+ * @access  Private/Admin
+ */
+const placePurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    throw new AppError('Purchase order not found', 404);
+  }
+  if (order.status !== 'draft') {
+    throw new AppError(`Purchase order is already ${order.status}`, 409);
+  }
+
+  order.status = 'ordered';
+  order.orderedAt = new Date();
+  order.orderedBy = req.userId;
+  if (req.body.expectedDate) order.expectedDate = req.body.expectedDate;
+  await order.save();
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'purchase_order_placed',
+    order._id,
+    `${order.poNumber} placed (₱${order.totalAmount})`
+  );
+
+  res.json({
+    success: true,
+    message: `Purchase order ${order.poNumber} placed`,
+    data: { order },
+  });
+});
+
+/**
+ * @desc    Cancel a purchase order; quantities not yet delivered are no longer expected
+ * @route   PUT /api/purchasing/orders/:id/cancel
+ * @access  Private/Admin
+ */
+const cancelPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    throw new AppError('Purchase order not found', 404);
+  }
+  if (['received', 'cancelled'].includes(order.status)) {
+    throw new AppError(`Cannot cancel a ${order.status} purchase order`, 409);
+  }
+
+  order.status = 'cancelled';
+  order.cancelledAt = new Date();
+  order.cancelReason = req.body.reason;
+  await order.save();
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'purchase_order_cancelled',
+    order._id,
+    `${order.poNumber} cancelled: ${req.body.reason}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Purchase order cancelled',
+    data: { order },
+  });
+});
+
+/**
+ * @desc    Receive a (partial) delivery into the order's warehouse
+ * @route   POST /api/purchasing/orders/:id/deliveries
+ * @access  Private/Admin, Fabrication Staff
+ */
+const receivePurchaseOrder = asyncHandler(async (req, res) => {
+  const { reference, lines, notes } = req.body;
+
+  const { order, stockItems } = await transactionService.run(async (session) => {
+    const order = await PurchaseOrder.findById(req.params.id).session(session);
+
+    if (!order) {
+      throw new AppError('Purchase order not found', 404);
+    }
+
+    return purchasingService.receiveDelivery(order, { reference, lines, notes, userId: req.userId }, session);
+  });
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'purchase_order_received',
+    order._id,
+    `${order.poNumber}: ${lines.length} lines received${reference ? ` (DR ${reference})` : ''}, now ${order.status}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: order.status === 'received' ? 'Purchase order fully received' : 'Delivery received',
+    data: { order, stockItems },
+  });
+});
+
+/**
+ * @desc    Record a supplier invoice against a purchase order
+ * @route   POST /api/purchasing/orders/:id/invoices
+ * @access  Private/Admin
+ */
+const createSupplierInvoice = asyncHandler(async (req, res) => {
+  const { invoiceNumber, invoiceDate, dueDate, amount, notes } = req.body;
+
+  const order = await PurchaseOrder.findById(req.params.id).populate('supplier', 'code paymentTermsDays');
+
+  if (!order) {
+    throw new AppError('Purchase order not found', 404);
+  }
+  if (order.status === 'draft' || (order.status === 'cancelled' && !order.deliveries.length)) {
+    throw new AppError(`Cannot invoice a ${order.status} purchase order`, 409);
+  }
+
+  const [existing, invoiced] = await Promise.all([
+    SupplierInvoice.findOne({ supplier: order.supplier._id, invoiceNumber }),
+    SupplierInvoice.aggregate([
+      { $match: { purchaseOrder: order._id, status: { $ne: 'void' } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]),
+  ]);
+  if (existing) {
+    throw new AppError(`Invoice ${invoiceNumber} from ${order.supplier.code} is already recorded`, 409);
+  }
+  const alreadyInvoiced = invoiced[0]?.total || 0;
+  if (round2(alreadyInvoiced + amount) > order.totalAmount) {
+    throw new AppError(
+      `Invoices would exceed the order total: ₱${alreadyInvoiced} of ₱${order.totalAmount} already invoiced`,
+      409
+    );
+  }
+
+  const invoice = await SupplierInvoice.create({
+    invoiceNumber,
+    supplier: order.supplier._id,
+    purchaseOrder: order._id,
+    invoiceDate,
+    dueDate: dueDate || new Date(new Date(invoiceDate).getTime() + order.supplier.paymentTermsDays * DAY_MS),
+    amount,
+    notes,
+    createdBy: req.userId,
+  });
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'supplier_invoice_recorded',
+    invoice._id,
+    `Invoice ${invoiceNumber} from ${order.supplier.code} for ${order.poNumber}: ₱${amount}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Supplier invoice recorded',
+    data: { invoice },
+  });
+});
+
+/**
+ * @desc    Get supplier invoices (payables) with outstanding and overdue totals
+ * @route   GET /api/purchasing/invoices
+ * @access  Private/Admin
+ */
+const getSupplierInvoices = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, supplierId, overdue } = req.query;
+  const skip = (page - 1) * limit;
+  const now = new Date();
+
+  const query = status ? { status } : SupplierInvoice.payableQuery();
+  if (supplierId) query.supplier = new mongoose.Types.ObjectId(supplierId);
+  if (overdue) {
+    Object.assign(query, SupplierInvoice.payableQuery(), { dueDate: { $lt: now } });
+  }
+
+  const [invoices, total, totals] = await Promise.all([
+    SupplierInvoice.find(query)
+      .select('-payments')
+      .populate('supplier', 'code name')
+      .populate('purchaseOrder', 'poNumber')
+      .sort({ dueDate: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    SupplierInvoice.countDocuments(query),
+    SupplierInvoice.aggregate([
+      { $match: { ...query, ...SupplierInvoice.payableQuery() } },
+      {
+        $group: {
+          _id: null,
+          outstanding: { $sum: { $subtract: ['$amount', '$amountPaid'] } },
+          overdue: {
+            $sum: { $cond: [{ $lt: ['$dueDate', now] }, { $subtract: ['$amount', '$amountPaid'] }, 0] },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      invoices,
+      summary: {
+        outstanding: round2(totals[0]?.outstanding || 0),
+        overdue: round2(totals[0]?.overdue || 0),
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get supplier invoice with its payments
+ * @route   GET /api/purchasing/invoices/:id
+ * @access  Private/Admin
+ */
+const getSupplierInvoice = asyncHandler(async (req, res) => {
+  const invoice = await SupplierInvoice.findById(req.params.id)
+    .populate('supplier', 'code name tin')
+    .populate('purchaseOrder', 'poNumber status totalAmount')
+    .populate('payments.recordedBy', 'profile.firstName profile.lastName');
+
+  if (!invoice) {
+    throw new AppError('Supplier invoice not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { invoice },
+  });
+});
+
+/**
+ * @desc    Record a payment to a supplier against an invoice
+ * @route   POST /api/purchasing/invoices/:id/payments
+ * @access  Private/Admin
+ */
+const recordSupplierPayment = asyncHandler(async (req, res) => {
+  const { amount, paidAt, method, referenceNumber, notes } = req.body;
+
+  const invoice = await SupplierInvoice.findById(req.params.id);
+
+  if (!invoice) {
+    throw new AppError('Supplier invoice not found', 404);
+  }
+  if (!['unpaid', 'partially_paid'].includes(invoice.status)) {
+    throw new AppError(`Invoice is ${invoice.status}`, 409);
+  }
+  if (amount > invoice.balance) {
+    throw new AppError(`Payment exceeds the invoice balance of ₱${invoice.balance}`, 409);
+  }
+
+  invoice.addPayment({ amount, paidAt, method, referenceNumber, notes, recordedBy: req.userId });
+  await invoice.save();
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'supplier_invoice_paid',
+    invoice._id,
+    `₱${amount} paid on invoice ${invoice.invoiceNumber} (${invoice.status})`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment recorded',
+    data: { invoice },
+  });
+});
+
+/**
+ * @desc    Void a supplier invoice recorded in error (no payments yet)
+ * @route   PUT /api/purchasing/invoices/:id/void
+ * @access  Private/Admin
+ */
+const voidSupplierInvoice = asyncHandler(async (req, res) => {
+  const invoice = await SupplierInvoice.findById(req.params.id);
+
+  if (!invoice) {
+    throw new AppError('Supplier invoice not found', 404);
+  }
+  if (invoice.status === 'void') {
+    throw new AppError('Invoice is already void', 409);
+  }
+  if (invoice.amountPaid > 0) {
+    throw new AppError('Cannot void an invoice with payments', 409);
+  }
+
+  invoice.status = 'void';
+  invoice.voidedAt = new Date();
+  invoice.voidReason = req.body.reason;
+  await invoice.save();
+
+  // Log activity
+  await activityService.logPurchasing(
+    req.userId,
+    req.userRole,
+    'supplier_invoice_voided',
+    invoice._id,
+    `Invoice ${invoice.invoiceNumber} voided: ${req.body.reason}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Supplier invoice voided',
+    data: { invoice },
+  });
+});
+
+module.exports = {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  getPurchaseSuggestions,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  createSupplierInvoice,
+  getSupplierInvoices,
+  getSupplierInvoice,
+  recordSupplierPayment,
+  voidSupplierInvoice,
+};
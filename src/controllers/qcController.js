@@ -0,0 +1,230 @@
+const { Project, QcInspection } = require('../models');
+const { activityService, qcService, workOrderService } = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+const populateInspection = (query) => query
+  .populate('project', 'projectNumber title category status')
+  .populate('inspector', 'profile.firstName profile.lastName')
+  .populate('items.checkedBy', 'profile.firstName profile.lastName');
+
+// Load an inspection the current user may work on
+const loadInspection = async (req) => {
+  const inspection = await QcInspection.findById(req.params.id);
+
+  if (!inspection) {
+    throw new AppError('Inspection not found', 404);
+  }
+
+  const project = await Project.findById(inspection.project).select('projectNumber assignedStaff');
+  workOrderService.assertProjectStaff(project, req.userId, req.userRole);
+
+  return { inspection, project };
+};
+
+const findItem = (inspection, itemId) => {
+  const item = inspection.items.id(itemId);
+  if (!item) {
+    throw new AppError('Checklist item not found', 404);
+  }
+  return item;
+};
+
+/**
+ * @desc    Get QC checklist templates by project category
+ * @route   GET /api/qc/checklists
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getChecklists = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { checklists: config.business.qcChecklists },
+  });
+});
+
+/**
+ * @desc    Get a project's QC inspections (latest first)
+ * @route   GET /api/qc/projects/:projectId
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getProjectInspections = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.projectId).select('projectNumber status assignedStaff');
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+  workOrderService.assertProjectStaff(project, req.userId, req.userRole);
+
+  const inspections = await QcInspection.find({ project: project._id })
+    .populate('inspector', 'profile.firstName profile.lastName')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      inspections,
+      // Whether the project may be released or sent to installation
+      passed: inspections[0]?.status === 'passed',
+    },
+  });
+});
+
+/**
+ * @desc    Start a QC inspection from the project category's checklist
+ * @route   POST /api/qc/projects/:projectId
+ * @access  Private/Admin, Fabrication Staff
+ */
+const startInspection = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+  workOrderService.assertProjectStaff(project, req.userId, req.userRole);
+
+  const latest = await QcInspection.findLatest(project._id);
+  qcService.assertCanInspect(project, latest);
+
+  const checklist = qcService.getChecklist(project.category);
+  const inspection = await QcInspection.create({
+    project: project._id,
+    checklist: checklist.key,
+    items: checklist.items,
+    inspector: req.userId,
+    notes: req.body.notes,
+  });
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'qc_inspection_started',
+    project._id,
+    `QC inspection ${inspection.inspectionNumber} started (${checklist.key} checklist)`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Inspection ${inspection.inspectionNumber} started`,
+    data: { inspection },
+  });
+});
+
+/**
+ * @desc    Get QC inspection
+ * @route   GET /api/qc/:id
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getInspection = asyncHandler(async (req, res) => {
+  await loadInspection(req);
+
+  const inspection = await populateInspection(QcInspection.findById(req.params.id));
+
+  res.json({
+    success: true,
+    data: { inspection },
+  });
+});
+
+/**
+ * @desc    Record a checklist item's result (failed items need remarks)
+ * @route   PUT /api/qc/:id/items/:itemId
+ * @access  Private/Admin, Fabrication Staff
+ */
+const recordItem = asyncHandler(async (req, res) => {
+  const { inspection } = await loadInspection(req);
+  const item = findItem(inspection, req.params.itemId);
+
+  qcService.recordResult(inspection, item, req.body, req.userId);
+  await inspection.save();
+
+  res.json({
+    success: true,
+    message: 'Item recorded',
+    data: { item, pending: inspection.getPendingItems().length },
+  });
+});
+
+/**
+ * @desc    Upload photos of a checklist item
+ * @route   POST /api/qc/:id/items/:itemId/photos
+ * @access  Private/Admin, Fabrication Staff
+ */
+const uploadItemPhotos = asyncHandler(async (req, res) => {
+  const { inspection, project } = await loadInspection(req);
+  const item = findItem(inspection, req.params.itemId);
+  qcService.assertInProgress(inspection);
+
+  if (!req.files || req.files.length === 0) {
+    throw new AppError('No files uploaded', 400);
+  }
+
+  req.files.forEach((file) => {
+    item.photos.push({
+      filename: file.filename,
+      originalName: file.originalname,
+      path: file.path,
+      caption: req.body.caption,
+      uploadedBy: req.userId,
+      uploadedAt: new Date(),
+    });
+  });
+  await inspection.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'qc_photo_uploaded',
+    project._id,
+    `${inspection.inspectionNumber}: ${req.files.length} photo(s) of "${item.label}"`
+  );
+
+  res.json({
+    success: true,
+    message: 'Photos uploaded successfully',
+    data: { photos: item.photos },
+  });
+});
+
+/**
+ * @desc    Complete an inspection: passed when no item failed (a failed
+ *          project is reworked and inspected again)
+ * @route   PUT /api/qc/:id/complete
+ * @access  Private/Admin, Fabrication Staff
+ */
+const completeInspection = asyncHandler(async (req, res) => {
+  const { inspection, project } = await loadInspection(req);
+
+  const status = qcService.complete(inspection, req.body.notes);
+  await inspection.save();
+
+  const failed = inspection.getFailedItems();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    status === 'passed' ? 'qc_passed' : 'qc_failed',
+    project._id,
+    status === 'passed'
+      ? `QC inspection ${inspection.inspectionNumber} passed`
+      : `QC inspection ${inspection.inspectionNumber} failed: ${failed.map((item) => item.label).join('; ')}`
+  );
+
+  res.json({
+    success: true,
+    message: `Inspection ${status}`,
+    data: { inspection },
+  });
+});
+
+module.exports = {
+  getChecklists,
+  getProjectInspections,
+  startInspection,
+  getInspection,
+  recordItem,
+  uploadItemPhotos,
+  completeInspection,
+};
@@ -0,0 +1,535 @@
+const fs = require('fs');
+const path = require('path');
+const { Refund, Payment, Project } = require('../models');
+const {
+  activityService,
+  cashierSessionService,
+  emailService,
+  pdfService,
+  refundService,
+  transactionService,
+} = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+// Render the credit note PDF for an approved refund and store its location
+const issueCreditNote = async (refund) => {
+  await refund.populate([
+    { path: 'project' },
+    { path: 'payment' },
+    { path: 'customer', select: 'email profile.firstName profile.lastName' },
+    { path: 'approval.approvedBy', select: 'profile.firstName profile.lastName' },
+  ]);
+  const file = await pdfService.generateCreditNote(refund, refund.payment, refund.project, refund.customer);
+  refund.creditNote.filename = file.filename;
+  refund.creditNote.path = file.path;
+  await refund.save();
+  return refund.creditNote;
+};
+
+const notifyCustomer = async (refund) => {
+  await refund.populate([
+    { path: 'project', select: 'projectNumber title' },
+    { path: 'customer', select: 'email profile.firstName profile.lastName' },
+  ]);
+  return emailService.sendRefundUpdate(
+    refund.customer.email,
+    refund,
+    refund.project,
+    `${refund.customer.profile.firstName} ${refund.customer.profile.lastName}`
+  );
+};
+
+/**
+ * @desc    Request a refund against a verified payment (cashier)
+ * @route   POST /api/refunds
+ * @access  Private/Cashier
+ */
+const createRefund = asyncHandler(async (req, res) => {
+  const { paymentId, amount, reason } = req.body;
+
+  const refund = await transactionService.run(async (session) => {
+    const payment = await Payment.findById(paymentId).session(session);
+
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    if (payment.netReceived <= 0) {
+      throw new AppError('Only payments with verified money can be refunded', 400);
+    }
+
+    const refundable = await refundService.getRefundable(payment, session);
+    if (amount > refundable) {
+      throw new AppError(`Refund exceeds the refundable amount of ₱${refundable}`, 400);
+    }
+
+    const [refund] = await Refund.create([{
+      project: payment.project,
+      payment: payment._id,
+      customer: payment.customer,
+      amount,
+      reason,
+      requestedBy: req.userId,
+      statusHistory: [{
+        status: 'pending_approval',
+        changedBy: req.userId,
+        notes: reason,
+      }],
+    }], { session });
+
+    return refund;
+  });
+
+  // Log activity
+  await activityService.logPayment(
+    req.userId,
+    req.userRole,
+    'refund_requested',
+    refund.payment,
+    `Refund of ₱${amount} requested: ${reason}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund requested. Waiting for admin approval.',
+    data: { refund },
+  });
+});
+
+/**
+ * @desc    Get refunds
+ * @route   GET /api/refunds
+ * @access  Private/Cashier, Admin
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, kind, projectId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (kind) query.kind = kind;
+  if (projectId) query.project = projectId;
+
+  const [refunds, total] = await Promise.all([
+    Refund.find(query)
+      .populate('project', 'projectNumber title status')
+      .populate('customer', 'email profile.firstName profile.lastName')
+      .populate('payment', 'stage label amount')
+      .populate('requestedBy', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Refund.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      refunds,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get refunds for a project
+ * @route   GET /api/refunds/project/:projectId
+ * @access  Private/Customer (owner), Cashier, Admin
+ */
+const getProjectRefunds = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  // Check access for customers
+  if (req.userRole === config.roles.CUSTOMER &&
+      project.customer.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
+
+  const refunds = await Refund.find({ project: project._id })
+    .populate('payment', 'stage label amount')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      refunds,
+      cancellationSettlement: project.cancellationSettlement,
+    },
+  });
+});
+
+/**
+ * @desc    Get refund by ID
+ * @route   GET /api/refunds/:id
+ * @access  Private/Cashier, Admin
+ */
+const getRefund = asyncHandler(async (req, res) => {
+  const refund = await Refund.findById(req.params.id)
+    .populate('project', 'projectNumber title status')
+    .populate('customer', 'email profile.firstName profile.lastName')
+    .populate('payment', 'stage label amount status')
+    .populate('requestedBy', 'profile.firstName profile.lastName')
+    .populate('approval.approvedBy', 'profile.firstName profile.lastName')
+    .populate('processing.processedBy', 'profile.firstName profile.lastName');
+
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { refund },
+  });
+});
+
+/**
+ * @desc    Approve a refund and issue its credit note (admin)
+ * @route   PUT /api/refunds/:id/approve
+ * @access  Private/Admin
+ */
+const approveRefund = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  // Approval, credit note number and the payment's refunded total commit together
+  const refund = await transactionService.run(async (session) => {
+    const refund = await Refund.findById(req.params.id).session(session);
+
+    if (!refund) {
+      throw new AppError('Refund not found', 404);
+    }
+
+    // Also stops a retried request from approving twice
+    if (refund.status !== 'pending_approval') {
+      throw new AppError('Refund is not pending approval', 400);
+    }
+
+    const payment = await Payment.findById(refund.payment).session(session);
+    if (refund.amount > payment.netReceived) {
+      throw new AppError(`Refund exceeds the ₱${payment.netReceived} kept on this payment`, 400);
+    }
+
+    refund.status = 'approved';
+    refund.approval = {
+      approvedBy: req.userId,
+      approvedAt: new Date(),
+      notes,
+    };
+    refund.creditNote = {
+      creditNoteNumber: await Refund.generateCreditNoteNumber({ session }),
+      issuedAt: new Date(),
+    };
+    refund.statusHistory.push({
+      status: 'approved',
+      changedBy: req.userId,
+      notes,
+    });
+    await refund.save({ session });
+
+    payment.amount.refunded = (payment.amount.refunded || 0) + refund.amount;
+    payment.refreshStatus(req.userId, `Credit note ${refund.creditNote.creditNoteNumber} for ₱${refund.amount}`);
+    await payment.save({ session });
+
+    return refund;
+  });
+
+  await issueCreditNote(refund);
+
+  // Log activity
+  await activityService.logPayment(
+    req.userId,
+    req.userRole,
+    'credit_note_generated',
+    refund.payment._id,
+    `Credit note ${refund.creditNote.creditNoteNumber} generated`
+  );
+
+  await notifyCustomer(refund);
+
+  // Log activity
+  await activityService.logPayment(
+    req.userId,
+    req.userRole,
+    'refund_approved',
+    refund.payment._id,
+    `Refund of ₱${refund.amount} approved for ${refund.project.projectNumber}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Refund approved and credit note issued',
+    data: { refund },
+  });
+});
+
+/**
+ * @desc    Reject a refund request (admin)
+ * @route   PUT /api/refunds/:id/reject
+ * @access  Private/Admin
+ */
+const rejectRefund = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const refund = await Refund.findById(req.params.id);
+
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+
+  if (refund.status !== 'pending_approval') {
+    throw new AppError('Refund is not pending approval', 400);
+  }
+
+  refund.status = 'rejected';
+  refund.rejection = {
+    rejectedBy: req.userId,
+    rejectedAt: new Date(),
+    reason,
+  };
+  refund.statusHistory.push({
+    status: 'rejected',
+    changedBy: req.userId,
+    notes: reason,
+  });
+
+  await refund.save();
+
+  // Log activity
+  await activityService.logPayment(
+    req.userId,
+    req.userRole,
+    'refund_rejected',
+    refund.payment,
+    reason
+  );
+
+  res.json({
+    success: true,
+    message: 'Refund rejected',
+    data: { refund },
+  });
+});
+
+/**
+ * @desc    Record that an approved refund was paid out (cashier)
+ * @route   PUT /api/refunds/:id/process
+ * @access  Private/Cashier
+ */
+const processRefund = asyncHandler(async (req, res) => {
+  const { method, referenceNumber, notes } = req.body;
+
+  // A cash payout leaves the cashier's drawer in the same transaction
+  const refund = await transactionService.run(async (session) => {
+    const refund = await Refund.findById(req.params.id).session(session);
+
+    if (!refund) {
+      throw new AppError('Refund not found', 404);
+    }
+
+    if (refund.status !== 'approved') {
+      throw new AppError('Only approved refunds can be paid out', 400);
+    }
+
+    refund.status = 'processed';
+    refund.processing = {
+      processedBy: req.userId,
+      processedAt: new Date(),
+      method,
+      referenceNumber,
+      notes,
+    };
+    refund.statusHistory.push({
+      status: 'processed',
+      changedBy: req.userId,
+      notes: `Paid out via ${method}${referenceNumber ? ` (${referenceNumber})` : ''}`,
+    });
+
+    if (method === 'cash') {
+      await cashierSessionService.recordEntry(req.userId, {
+        source: 'refund_payout',
+        amount: refund.amount,
+        payment: refund.payment,
+        refund: refund._id,
+        reference: refund.creditNote?.creditNoteNumber,
+        description: refund.reason,
+      }, session);
+    }
+
+    await refund.save({ session });
+    return refund;
+  });
+
+  await notifyCustomer(refund);
+
+  // Log activity
+  await activityService.logPayment(
+    req.userId,
+    req.userRole,
+    'refund_processed',
+    refund.payment,
+    `Refund of ₱${refund.amount} paid out via ${method}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Refund marked as paid out',
+    data: { refund },
+  });
+});
+
+/**
+ * @desc    Download credit note PDF
+ * @route   GET /api/refunds/:id/credit-note
+ * @access  Private/Customer (owner), Cashier, Admin
+ */
+const downloadCreditNote = asyncHandler(async (req, res) => {
+  const refund = await Refund.findById(req.params.id);
+
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+
+  // Check access for customers
+  if (req.userRole === config.roles.CUSTOMER &&
+      refund.customer.toString() !== req.userId.toString()) {
+    throw new AppError('Access denied', 403);
+  }
+
+  if (!refund.creditNote?.creditNoteNumber) {
+    throw new AppError('Credit note is only available for approved refunds', 400);
+  }
+
+  const absolutePath = (file) => (path.isAbsolute(file) ? file : path.join(process.cwd(), file));
+  if (!refund.creditNote.path || !fs.existsSync(absolutePath(refund.creditNote.path))) {
+    await issueCreditNote(refund);
+  }
+
+  res.download(absolutePath(refund.creditNote.path), `${refund.creditNote.creditNoteNumber}.pdf`);
+});
+
+/**
+ * @desc    Preview the settlement of a cancelled project
+ * @route   GET /api/refunds/settlement/:projectId
+ * @access  Private/Cashier, Admin
+ */
+const getCancellationSettlement = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  const settlement = await refundService.calculateSettlement(project);
+
+  res.json({
+    success: true,
+    data: {
+      settlement: {
+        ...settlement,
+        allocation: settlement.allocation.map(({ payment, amount }) => ({
+          payment: payment._id,
+          stage: payment.stage,
+          label: payment.label,
+          amount,
+        })),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Settle a cancelled project: keep the cancellation fee and
+ *          request refunds for the rest (cashier)
+ * @route   POST /api/refunds/settlement/:projectId
+ * @access  Private/Cashier
+ */
+const settleCancellation = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const { project, refunds, settlement } = await transactionService.run(async (session) => {
+    const project = await Project.findById(req.params.projectId).session(session);
+
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+
+    if (project.cancellationSettlement?.settledAt) {
+      throw new AppError('Project cancellation has already been settled', 400);
+    }
+
+    const settlement = await refundService.calculateSettlement(project, session);
+    const notes = reason || `Cancellation settlement (${settlement.feePercentage}% fee)`;
+
+    const refunds = settlement.allocation.length
+      ? await Refund.create(settlement.allocation.map(({ payment, amount }) => ({
+        project: project._id,
+        payment: payment._id,
+        customer: project.customer,
+        kind: 'cancellation',
+        amount,
+        reason: notes,
+        requestedBy: req.userId,
+        statusHistory: [{
+          status: 'pending_approval',
+          changedBy: req.userId,
+          notes,
+        }],
+      })), { session, ordered: true })
+      : [];
+
+    project.cancellationSettlement = {
+      cancelledFrom: settlement.cancelledFrom,
+      feePercentage: settlement.feePercentage,
+      fee: settlement.cancellationFee,
+      totalReceived: settlement.totalReceived,
+      refundAmount: settlement.refundable,
+      settledAt: new Date(),
+      settledBy: req.userId,
+    };
+    await project.save({ session });
+
+    return { project, refunds, settlement };
+  });
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'project_updated',
+    project._id,
+    `Cancellation settled: fee ₱${settlement.cancellationFee}, refund ₱${settlement.refundable}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: refunds.length
+      ? 'Cancellation settled. Refunds are waiting for admin approval.'
+      : 'Cancellation settled. Nothing to refund.',
+    data: {
+      cancellationSettlement: project.cancellationSettlement,
+      refunds,
+    },
+  });
+});
+
+module.exports = {
+  createRefund,
+  getRefunds,
+  getProjectRefunds,
+  getRefund,
+  approveRefund,
+  rejectRefund,
+  processRefund,
+  downloadCreditNote,
+  getCancellationSettlement,
+  settleCancellation,
+};
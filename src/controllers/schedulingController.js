@@ -0,0 +1,238 @@
+const { Machine, Project, User } = require('../models');
+const { activityService, schedulingService } = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+// Default board window
+const BOARD_DAYS = 14;
+
+/**
+ * @desc    Get shop capacity: fabrication staff hours and skills, and machines
+ * @route   GET /api/scheduling/capacity
+ * @access  Private/Admin
+ */
+const getCapacity = asyncHandler(async (req, res) => {
+  const [staff, machines] = await Promise.all([
+    User.find({ role: config.roles.FABRICATION_STAFF })
+      .select('profile.firstName profile.lastName isActive capacity')
+      .sort({ 'profile.lastName': 1 }),
+    Machine.find().sort({ code: 1 }),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      staff: staff.map((member) => ({
+        _id: member._id,
+        profile: member.profile,
+        isActive: member.isActive,
+        hoursPerDay: schedulingService.getStaffHours(member),
+        // Empty means any task type
+        skills: member.capacity?.skills || [],
+      })),
+      machines,
+      workDays: config.business.scheduling.workDays,
+    },
+  });
+});
+
+/**
+ * @desc    Set a fabrication staff member's daily hours and skills
+ * @route   PUT /api/scheduling/staff/:id/capacity
+ * @access  Private/Admin
+ */
+const updateStaffCapacity = asyncHandler(async (req, res) => {
+  const { hoursPerDay, skills } = req.body;
+
+  const user = await User.findById(req.params.id);
+
+  if (!user || user.role !== config.roles.FABRICATION_STAFF) {
+    throw new AppError('Fabrication staff member not found', 404);
+  }
+
+  if (hoursPerDay !== undefined) user.capacity.hoursPerDay = hoursPerDay;
+  if (skills !== undefined) user.capacity.skills = skills;
+  await user.save();
+
+  // Log activity
+  await activityService.logScheduling(
+    req.userId,
+    req.userRole,
+    'staff_capacity_updated',
+    user._id,
+    `${user.profile.firstName} ${user.profile.lastName}: ${schedulingService.getStaffHours(user)}h/day, ${user.capacity.skills.length ? user.capacity.skills.join(', ') : 'all tasks'}`
+  );
+
+  schedulingService.replanInBackground();
+
+  res.json({
+    success: true,
+    message: 'Capacity updated',
+    data: {
+      capacity: {
+        hoursPerDay: schedulingService.getStaffHours(user),
+        skills: user.capacity.skills,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Add a machine
+ * @route   POST /api/scheduling/machines
+ * @access  Private/Admin
+ */
+const createMachine = asyncHandler(async (req, res) => {
+  const existing = await Machine.findOne({ code: req.body.code.toUpperCase() });
+  if (existing) {
+    throw new AppError(`Machine ${existing.code} already exists`, 409);
+  }
+
+  const machine = await Machine.create(req.body);
+
+  // Log activity
+  await activityService.logScheduling(
+    req.userId,
+    req.userRole,
+    'machine_created',
+    machine._id,
+    `Machine ${machine.code} added for ${machine.taskTypes.join(', ')}`
+  );
+
+  schedulingService.replanInBackground();
+
+  res.status(201).json({
+    success: true,
+    message: 'Machine added',
+    data: { machine },
+  });
+});
+
+/**
+ * @desc    Update machine (deactivate it while it is down)
+ * @route   PUT /api/scheduling/machines/:id
+ * @access  Private/Admin
+ */
+const updateMachine = asyncHandler(async (req, res) => {
+  const machine = await Machine.findById(req.params.id);
+
+  if (!machine) {
+    throw new AppError('Machine not found', 404);
+  }
+
+  machine.set(req.body);
+  await machine.save();
+
+  // Log activity
+  await activityService.logScheduling(
+    req.userId,
+    req.userRole,
+    'machine_updated',
+    machine._id,
+    `Machine ${machine.code} updated`
+  );
+
+  schedulingService.replanInBackground();
+
+  res.json({
+    success: true,
+    message: 'Machine updated',
+    data: { machine },
+  });
+});
+
+/**
+ * @desc    Plan open work orders onto the shop calendar; with apply
+ *          (default) the plan and projected completion dates are stored
+ * @route   POST /api/scheduling/plan
+ * @access  Private/Admin
+ */
+const planSchedule = asyncHandler(async (req, res) => {
+  const { apply } = req.body;
+
+  const schedule = await schedulingService.plan({ apply });
+
+  if (apply) {
+    // Log activity
+    await activityService.logScheduling(
+      req.userId,
+      req.userRole,
+      'schedule_planned',
+      null,
+      `Shop schedule planned for ${schedule.projects.length} projects with ${schedule.warnings.length} warnings`
+    );
+  }
+
+  res.json({
+    success: true,
+    message: apply ? 'Schedule planned' : 'Schedule preview',
+    data: schedule,
+  });
+});
+
+/**
+ * @desc    Get the scheduling board: planned hours per day, staff member
+ *          and machine against capacity (defaults to the next two weeks)
+ * @route   GET /api/scheduling/board
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getBoard = asyncHandler(async (req, res) => {
+  const from = req.query.from || new Date();
+  const to = req.query.to || new Date(new Date(from).getTime() + (BOARD_DAYS - 1) * 24 * 60 * 60 * 1000);
+
+  const board = await schedulingService.getBoard(from, to);
+
+  res.json({
+    success: true,
+    data: board,
+  });
+});
+
+/**
+ * @desc    Set the completion date promised to the customer; the
+ *          schedule warns when the projection runs past it
+ * @route   PUT /api/scheduling/projects/:id/target
+ * @access  Private/Admin
+ */
+const setTargetCompletion = asyncHandler(async (req, res) => {
+  const { targetCompletion } = req.body;
+
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  project.timeline.targetCompletion = targetCompletion || undefined;
+  await project.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'target_completion_set',
+    project._id,
+    targetCompletion
+      ? `Completion promised by ${new Date(targetCompletion).toISOString().slice(0, 10)}`
+      : 'Promised completion date cleared'
+  );
+
+  // Promised dates change the planning order
+  schedulingService.replanInBackground();
+
+  res.json({
+    success: true,
+    message: 'Target completion updated',
+    data: { timeline: project.timeline },
+  });
+});
+
+module.exports = {
+  getCapacity,
+  updateStaffCapacity,
+  createMachine,
+  updateMachine,
+  planSchedule,
+  getBoard,
+  setTargetCompletion,
+};
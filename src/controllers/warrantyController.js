@@ -0,0 +1,506 @@
+const {
+  Appointment,
+  Project,
+  User,
+  Warranty,
+  WarrantyClaim,
+} = require('../models');
+const { activityService, emailService, warrantyService } = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+const customerName = (customer) => `${customer.profile.firstName} ${customer.profile.lastName}`;
+
+// Customers only see their own warranties and claims
+const assertOwner = (record, req) => {
+  if (req.userRole === config.roles.CUSTOMER &&
+      String(record.customer?._id || record.customer) !== String(req.userId)) {
+    throw new AppError('Access denied', 403);
+  }
+};
+
+const notifyClaim = async (claim) => {
+  const [project, customer] = await Promise.all([
+    Project.findById(claim.project).select('projectNumber title'),
+    User.findById(claim.customer).select('email profile.firstName profile.lastName'),
+  ]);
+  return emailService.sendWarrantyClaimUpdate(customer.email, claim, project, customerName(customer));
+};
+
+/**
+ * @desc    Get warranties (customers see their own)
+ * @route   GET /api/warranties
+ * @access  Private
+ */
+const getWarranties = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, customerId, category } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = warrantyService.statusQuery(status);
+  if (customerId) query.customer = customerId;
+  if (category) query.category = category;
+  if (req.userRole === config.roles.CUSTOMER) {
+    query.customer = req.userId;
+  }
+
+  const [warranties, total] = await Promise.all([
+    Warranty.find(query)
+      .populate('project', 'projectNumber title')
+      .populate('customer', 'profile.firstName profile.lastName')
+      .sort({ expiresAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Warranty.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      warranties,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Look up a warranty by warranty or project number
+ * @route   GET /api/warranties/lookup
+ * @access  Private/Staff
+ */
+const lookupWarranty = asyncHandler(async (req, res) => {
+  const number = req.query.number.toUpperCase();
+
+  let warranty = await Warranty.findOne({ warrantyNumber: number });
+  if (!warranty) {
+    const project = await Project.findOne({ projectNumber: number }).select('_id status');
+    warranty = project && await Warranty.findOne({ project: project._id });
+    if (project && !warranty) {
+      throw new AppError(`No warranty yet: project is ${project.status}`, 404);
+    }
+  }
+  if (!warranty) {
+    throw new AppError('Warranty not found', 404);
+  }
+
+  await warranty.populate([
+    { path: 'project', select: 'projectNumber title category' },
+    { path: 'customer', select: 'email profile.firstName profile.lastName profile.phone' },
+  ]);
+  const claims = await WarrantyClaim.find({ warranty: warranty._id })
+    .select('claimNumber type status createdAt')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      warranty,
+      status: warranty.status,
+      daysRemaining: warranty.daysRemaining,
+      claims,
+    },
+  });
+});
+
+/**
+ * @desc    Get warranty with its claims
+ * @route   GET /api/warranties/:id
+ * @access  Private
+ */
+const getWarranty = asyncHandler(async (req, res) => {
+  const warranty = await Warranty.findById(req.params.id)
+    .populate('project', 'projectNumber title category');
+
+  if (!warranty) {
+    throw new AppError('Warranty not found', 404);
+  }
+  assertOwner(warranty, req);
+
+  const claims = await WarrantyClaim.find({ warranty: warranty._id })
+    .select('claimNumber type status createdAt')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { warranty, claims },
+  });
+});
+
+/**
+ * @desc    Void a warranty (e.g. the piece was altered by others)
+ * @route   PUT /api/warranties/:id/void
+ * @access  Private/Admin
+ */
+const voidWarranty = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const warranty = await Warranty.findById(req.params.id);
+
+  if (!warranty) {
+    throw new AppError('Warranty not found', 404);
+  }
+  if (warranty.voidedAt) {
+    throw new AppError('Warranty is already void', 409);
+  }
+
+  warranty.voidedAt = new Date();
+  warranty.voidReason = reason;
+  warranty.voidedBy = req.userId;
+  await warranty.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'warranty_voided',
+    warranty.project,
+    `Warranty ${warranty.warrantyNumber} voided: ${reason}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Warranty voided',
+    data: { warranty },
+  });
+});
+
+/**
+ * @desc    File a warranty or service claim with photos (outside coverage
+ *          the claim becomes a chargeable service request)
+ * @route   POST /api/warranties/claims
+ * @access  Private/Customer
+ */
+const fileClaim = asyncHandler(async (req, res) => {
+  const { projectId, type, description } = req.body;
+
+  const warranty = await Warranty.findOne({ project: projectId });
+
+  if (!warranty || String(warranty.customer) !== String(req.userId)) {
+    throw new AppError('No warranty found for this project', 404);
+  }
+
+  const open = await WarrantyClaim.findOne({
+    project: projectId,
+    status: { $in: ['submitted', 'approved', 'visit_scheduled'] },
+  });
+  if (open) {
+    throw new AppError(`Claim ${open.claimNumber} for this project is still open`, 409);
+  }
+
+  const claim = new WarrantyClaim({
+    warranty: warranty._id,
+    project: projectId,
+    customer: req.userId,
+    type: warrantyService.getClaimType(warranty, type),
+    description,
+    photos: (req.files || []).map((file) => ({
+      filename: file.filename,
+      originalName: file.originalname,
+      path: file.path,
+      uploadedAt: new Date(),
+    })),
+  });
+  claim.setStatus('submitted', req.userId, 'Filed by customer');
+  await claim.save();
+
+  await notifyClaim(claim);
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'warranty_claim_filed',
+    claim.project,
+    `${claim.type === 'warranty' ? 'Warranty claim' : 'Service request'} ${claim.claimNumber} filed`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: claim.type === 'warranty'
+      ? `Warranty claim ${claim.claimNumber} filed`
+      : `Warranty does not cover this project; service request ${claim.claimNumber} filed`,
+    data: { claim },
+  });
+});
+
+/**
+ * @desc    Get claims (customers see their own)
+ * @route   GET /api/warranties/claims
+ * @access  Private
+ */
+const getClaims = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, type, projectId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (projectId) query.project = projectId;
+  if (req.userRole === config.roles.CUSTOMER) {
+    query.customer = req.userId;
+  }
+
+  const [claims, total] = await Promise.all([
+    WarrantyClaim.find(query)
+      .select('-statusHistory')
+      .populate('project', 'projectNumber title')
+      .populate('customer', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    WarrantyClaim.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      claims,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get claim with its repair visits
+ * @route   GET /api/warranties/claims/:id
+ * @access  Private
+ */
+const getClaim = asyncHandler(async (req, res) => {
+  const claim = await WarrantyClaim.findById(req.params.id)
+    .populate('warranty', 'warrantyNumber startsAt expiresAt voidedAt')
+    .populate('project', 'projectNumber title category siteAddress')
+    .populate('customer', 'email profile.firstName profile.lastName profile.phone')
+    .populate({
+      path: 'visits',
+      select: 'scheduledDate status technician notes.salesNotes',
+      populate: { path: 'technician', select: 'profile.firstName profile.lastName' },
+    })
+    .populate('review.reviewedBy', 'profile.firstName profile.lastName')
+    .populate('resolution.resolvedBy', 'profile.firstName profile.lastName');
+
+  if (!claim) {
+    throw new AppError('Claim not found', 404);
+  }
+  assertOwner(claim, req);
+
+  res.json({
+    success: true,
+    data: { claim },
+  });
+});
+
+/**
+ * @desc    Approve or reject a claim
+ * @route   PUT /api/warranties/claims/:id/review
+ * @access  Private/Appointment Agent, Admin
+ */
+const reviewClaim = asyncHandler(async (req, res) => {
+  const { decision, covered, notes } = req.body;
+
+  const claim = await WarrantyClaim.findById(req.params.id);
+
+  if (!claim) {
+    throw new AppError('Claim not found', 404);
+  }
+  warrantyService.assertStatus(claim, ['submitted'], 'review');
+
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+  claim.review = {
+    covered: status === 'approved' ? covered ?? claim.type === 'warranty' : false,
+    notes,
+    reviewedBy: req.userId,
+    reviewedAt: new Date(),
+  };
+  claim.setStatus(status, req.userId, notes);
+  await claim.save();
+
+  await notifyClaim(claim);
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    status === 'approved' ? 'warranty_claim_approved' : 'warranty_claim_rejected',
+    claim.project,
+    `${claim.claimNumber} ${status}${status === 'approved' ? (claim.review.covered ? ' (covered)' : ' (chargeable)') : `: ${notes}`}`
+  );
+
+  res.json({
+    success: true,
+    message: `Claim ${status}`,
+    data: { claim },
+  });
+});
+
+/**
+ * @desc    Book a repair visit for an approved claim (an appointment of
+ *          type repair_visit with a fabrication technician)
+ * @route   POST /api/warranties/claims/:id/visits
+ * @access  Private/Appointment Agent, Admin
+ */
+const scheduleRepairVisit = asyncHandler(async (req, res) => {
+  const { scheduledDate, technicianId, notes } = req.body;
+
+  const claim = await WarrantyClaim.findById(req.params.id);
+
+  if (!claim) {
+    throw new AppError('Claim not found', 404);
+  }
+  warrantyService.assertStatus(claim, ['approved', 'visit_scheduled'], 'schedule a visit for');
+
+  const date = new Date(scheduledDate);
+  const hour = date.getHours();
+  if (hour < config.business.appointmentHours.start || hour >= config.business.appointmentHours.end) {
+    throw new AppError(
+      `Visits must be scheduled between ${config.business.appointmentHours.start}:00 and ${config.business.appointmentHours.end}:00`,
+      400
+    );
+  }
+
+  const technician = await User.findOne({
+    _id: technicianId,
+    role: config.roles.FABRICATION_STAFF,
+    isActive: true,
+  });
+  if (!technician) {
+    throw new AppError('Fabrication staff not found', 404);
+  }
+
+  const conflict = await Appointment.findOne({
+    technician: technicianId,
+    scheduledDate: date,
+    status: { $nin: ['cancelled', 'no_show'] },
+  });
+  if (conflict) {
+    throw new AppError('Technician already has a visit at this time', 400);
+  }
+
+  const [project, customer] = await Promise.all([
+    Project.findById(claim.project).select('projectNumber category siteAddress'),
+    User.findById(claim.customer).select('email profile.firstName profile.lastName'),
+  ]);
+
+  const technicianName = `${technician.profile.firstName} ${technician.profile.lastName}`;
+  const appointment = await Appointment.create({
+    customer: claim.customer,
+    scheduledDate: date,
+    appointmentType: 'repair_visit',
+    interestedCategory: project.category,
+    description: `${claim.claimNumber}: ${claim.description}`.slice(0, 1000),
+    siteAddress: project.siteAddress,
+    technician: technician._id,
+    project: project._id,
+    warrantyClaim: claim._id,
+    notes: {
+      agentNotes: notes,
+    },
+    status: 'scheduled',
+    statusHistory: [{
+      status: 'scheduled',
+      changedBy: req.userId,
+      notes: `Repair visit for ${claim.claimNumber}, assigned to ${technicianName}`,
+    }],
+  });
+
+  claim.visits.push(appointment._id);
+  claim.setStatus('visit_scheduled', req.userId, `Visit on ${date.toISOString()} with ${technicianName}`);
+  await claim.save();
+
+  await emailService.sendAppointmentConfirmation(customer.email, appointment, customerName(customer));
+
+  // Log activity
+  await activityService.logAppointment(
+    req.userId,
+    req.userRole,
+    'appointment_scheduled',
+    appointment._id,
+    `Repair visit for ${claim.claimNumber} assigned to ${technicianName}`
+  );
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'repair_visit_scheduled',
+    claim.project,
+    `${claim.claimNumber}: repair visit on ${date.toISOString()}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Repair visit scheduled',
+    data: { claim, appointment },
+  });
+});
+
+/**
+ * @desc    Resolve a claim once the repair is done
+ * @route   PUT /api/warranties/claims/:id/resolve
+ * @access  Private/Appointment Agent, Fabrication Staff, Admin
+ */
+const resolveClaim = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  const claim = await WarrantyClaim.findById(req.params.id);
+
+  if (!claim) {
+    throw new AppError('Claim not found', 404);
+  }
+  warrantyService.assertStatus(claim, ['approved', 'visit_scheduled'], 'resolve');
+
+  // Technicians resolve claims they visited
+  if (req.userRole === config.roles.FABRICATION_STAFF) {
+    const visited = await Appointment.exists({
+      _id: { $in: claim.visits },
+      technician: req.userId,
+    });
+    if (!visited) {
+      throw new AppError('You have no repair visit on this claim', 403);
+    }
+  }
+
+  claim.resolution = {
+    notes,
+    resolvedBy: req.userId,
+    resolvedAt: new Date(),
+  };
+  claim.setStatus('resolved', req.userId, notes);
+  await claim.save();
+
+  await notifyClaim(claim);
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'warranty_claim_resolved',
+    claim.project,
+    `${claim.claimNumber} resolved`
+  );
+
+  res.json({
+    success: true,
+    message: 'Claim resolved',
+    data: { claim },
+  });
+});
+
+module.exports = {
+  getWarranties,
+  lookupWarranty,
+  getWarranty,
+  voidWarranty,
+  fileClaim,
+  getClaims,
+  getClaim,
+  reviewClaim,
+  scheduleRepairVisit,
+  resolveClaim,
+};
@@ -0,0 +1,422 @@
+const { Project, WorkOrder } = require('../models');
+const {
+  activityService,
+  schedulingService,
+  transactionService,
+  workOrderService,
+} = require('../services');
+const config = require('../config');
+const { asyncHandler, AppError } = require('../middleware');
+
+// Project statuses work orders can be planned in
+const PLANNABLE_PROJECT_STATUSES = [
+  'approved',
+  'pending_initial_payment',
+  'initial_payment_verified',
+  'in_fabrication',
+  'pending_midpoint_payment',
+  'midpoint_payment_verified',
+];
+
+const TASK_ACTIONS = {
+  start: 'fabrication_task_started',
+  finish: 'fabrication_task_completed',
+  skip: 'fabrication_task_skipped',
+};
+
+const populateWorkOrder = (query) => query
+  .populate('project', 'projectNumber title status')
+  .populate('tasks.assignedTo', 'profile.firstName profile.lastName')
+  .populate('tasks.startedBy', 'profile.firstName profile.lastName')
+  .populate('tasks.finishedBy', 'profile.firstName profile.lastName');
+
+/**
+ * @desc    Get work orders (fabrication staff see their projects' orders)
+ * @route   GET /api/work-orders
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getWorkOrders = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, projectId, status } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (projectId) query.project = projectId;
+  if (status) query.status = status;
+
+  if (req.userRole === config.roles.FABRICATION_STAFF) {
+    const projects = await Project.find({ 'assignedStaff.fabricationStaff': req.userId }).select('_id');
+    const ids = projects.map((p) => String(p._id));
+    query.project = projectId
+      ? (ids.includes(String(projectId)) ? projectId : null)
+      : { $in: ids };
+  }
+
+  const [workOrders, total] = await Promise.all([
+    WorkOrder.find(query)
+      .populate('project', 'projectNumber title status')
+      .populate('tasks.assignedTo', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    WorkOrder.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      workOrders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get my open shop-floor tasks (assigned to me, plus unassigned tasks on my projects)
+ * @route   GET /api/work-orders/my-tasks
+ * @access  Private/Fabrication Staff
+ */
+const getMyTasks = asyncHandler(async (req, res) => {
+  const projects = await Project.find({ 'assignedStaff.fabricationStaff': req.userId }).select('_id');
+
+  const workOrders = await WorkOrder.find({
+    project: { $in: projects.map((p) => p._id) },
+    status: { $in: ['open', 'in_progress'] },
+  })
+    .populate('project', 'projectNumber title status')
+    .sort({ createdAt: 1 });
+
+  const tasks = workOrders.flatMap((workOrder) => workOrder.tasks
+    .filter((task) => ['pending', 'in_progress'].includes(task.status)
+      && (!task.assignedTo || String(task.assignedTo) === String(req.userId)))
+    .map((task) => ({
+      workOrder: { _id: workOrder._id, workOrderNumber: workOrder.workOrderNumber, title: workOrder.title },
+      project: workOrder.project,
+      task,
+      // Earlier tasks still to be finished
+      blockedBy: workOrder.getBlockingTasks(task).map((t) => t.type),
+    })));
+
+  res.json({
+    success: true,
+    data: { tasks },
+  });
+});
+
+/**
+ * @desc    Get work order
+ * @route   GET /api/work-orders/:id
+ * @access  Private/Admin, Fabrication Staff
+ */
+const getWorkOrder = asyncHandler(async (req, res) => {
+  const workOrder = await populateWorkOrder(WorkOrder.findById(req.params.id));
+
+  if (!workOrder) {
+    throw new AppError('Work order not found', 404);
+  }
+
+  const project = await Project.findById(workOrder.project._id).select('assignedStaff');
+  workOrderService.assertProjectStaff(project, req.userId, req.userRole);
+
+  res.json({
+    success: true,
+    data: { workOrder },
+  });
+});
+
+/**
+ * @desc    Create a work order (tasks default to cutting through QC)
+ * @route   POST /api/work-orders
+ * @access  Private/Admin
+ */
+const createWorkOrder = asyncHandler(async (req, res) => {
+  const { projectId, title, tasks, notes } = req.body;
+
+  const { project, workOrder } = await transactionService.run(async (session) => {
+    const project = await Project.findById(projectId).session(session);
+
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+    if (!PLANNABLE_PROJECT_STATUSES.includes(project.status)) {
+      throw new AppError(`Cannot plan work orders for a ${project.status} project`, 409);
+    }
+
+    const built = workOrderService.buildTasks(tasks);
+    workOrderService.assertAssignable(project, built.map((t) => t.assignedTo));
+
+    const [workOrder] = await WorkOrder.create([{
+      project: project._id,
+      title,
+      tasks: built,
+      notes,
+      createdBy: req.userId,
+    }], { session });
+
+    // A new order brings the progress down
+    await workOrderService.refreshProgress(project, { userId: req.userId, role: req.userRole }, session);
+    await project.save({ session });
+
+    return { project, workOrder };
+  });
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'work_order_created',
+    project._id,
+    `Work order ${workOrder.workOrderNumber} created: ${workOrder.tasks.map((t) => t.type).join(' → ')}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Work order ${workOrder.workOrderNumber} created`,
+    data: { workOrder, progress: project.fabrication.progress },
+  });
+});
+
+/**
+ * @desc    Update a work order's title or notes
+ * @route   PUT /api/work-orders/:id
+ * @access  Private/Admin
+ */
+const updateWorkOrder = asyncHandler(async (req, res) => {
+  const workOrder = await WorkOrder.findById(req.params.id);
+
+  if (!workOrder) {
+    throw new AppError('Work order not found', 404);
+  }
+
+  workOrder.set(req.body);
+  await workOrder.save();
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'work_order_updated',
+    workOrder.project,
+    `Work order ${workOrder.workOrderNumber} updated`
+  );
+
+  res.json({
+    success: true,
+    message: 'Work order updated',
+    data: { workOrder },
+  });
+});
+
+/**
+ * @desc    Assign a task, change its estimate or description, or pin it to a start date
+ * @route   PUT /api/work-orders/:id/tasks/:taskId
+ * @access  Private/Admin
+ */
+const updateTask = asyncHandler(async (req, res) => {
+  const {
+    assignedTo,
+    estimatedHours,
+    description,
+    pinnedStart,
+  } = req.body;
+
+  const workOrder = await WorkOrder.findById(req.params.id);
+
+  if (!workOrder) {
+    throw new AppError('Work order not found', 404);
+  }
+  const task = workOrder.tasks.id(req.params.taskId);
+  if (!task) {
+    throw new AppError('Task not found', 404);
+  }
+  if (['done', 'skipped'].includes(task.status)) {
+    throw new AppError(`Task is already ${task.status}`, 409);
+  }
+
+  if (assignedTo !== undefined) {
+    const project = await Project.findById(workOrder.project).select('assignedStaff');
+    workOrderService.assertAssignable(project, [assignedTo]);
+    task.assignedTo = assignedTo || undefined;
+  }
+  if (estimatedHours !== undefined) task.estimatedHours = estimatedHours;
+  if (description !== undefined) task.description = description;
+  if (pinnedStart) {
+    if (!task.assignedTo) {
+      throw new AppError('Assign the task before pinning it to a date', 400);
+    }
+    task.set('plan.start', pinnedStart);
+    task.set('plan.pinned', true);
+  } else if (pinnedStart === null) {
+    task.set('plan.pinned', false);
+  }
+  await workOrder.save();
+
+  // Assignments, estimates and pins move the shop plan
+  if (assignedTo !== undefined || estimatedHours !== undefined || pinnedStart !== undefined) {
+    schedulingService.replanInBackground();
+  }
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'work_order_updated',
+    workOrder.project,
+    `Work order ${workOrder.workOrderNumber}: ${task.type} task updated`
+  );
+
+  res.json({
+    success: true,
+    message: 'Task updated',
+    data: { workOrder },
+  });
+});
+
+/**
+ * Start, finish or skip a task, then recompute the project's progress
+ * (finishing the last task marks fabrication done)
+ */
+const changeTask = (action) => asyncHandler(async (req, res) => {
+  const actor = { userId: req.userId, role: req.userRole };
+
+  const { workOrder, task, project, fabricationDone } = await transactionService.run(async (session) => {
+    const workOrder = await WorkOrder.findById(req.params.id).session(session);
+
+    if (!workOrder) {
+      throw new AppError('Work order not found', 404);
+    }
+    const task = workOrder.tasks.id(req.params.taskId);
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    const project = await Project.findById(workOrder.project).session(session);
+    workOrderService.assertProjectStaff(project, req.userId, req.userRole);
+
+    if (action === 'start') {
+      workOrderService.startTask(workOrder, task, project, actor);
+    } else if (action === 'finish') {
+      workOrderService.finishTask(workOrder, task, project, actor, req.body.notes);
+    } else {
+      workOrderService.skipTask(workOrder, task, actor, req.body.reason);
+    }
+    await workOrder.save({ session });
+
+    const fabricationDone = await workOrderService.refreshProgress(project, actor, session);
+    await project.save({ session });
+
+    return { workOrder, task, project, fabricationDone };
+  });
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    TASK_ACTIONS[action],
+    project._id,
+    `${workOrder.workOrderNumber}: ${task.type} ${task.status}; progress ${project.fabrication.progress}%`
+  );
+  if (fabricationDone) {
+    await activityService.logProject(
+      req.userId,
+      req.userRole,
+      'fabrication_completed',
+      project._id,
+      'All work orders completed'
+    );
+  }
+
+  res.json({
+    success: true,
+    message: `Task ${task.status.replace('_', ' ')}`,
+    data: {
+      workOrder,
+      progress: project.fabrication.progress,
+      status: project.status,
+    },
+  });
+});
+
+/**
+ * @desc    Start a task
+ * @route   PUT /api/work-orders/:id/tasks/:taskId/start
+ * @access  Private/Admin, Fabrication Staff
+ */
+const startTask = changeTask('start');
+
+/**
+ * @desc    Finish a task
+ * @route   PUT /api/work-orders/:id/tasks/:taskId/finish
+ * @access  Private/Admin, Fabrication Staff
+ */
+const finishTask = changeTask('finish');
+
+/**
+ * @desc    Skip a task the work order does not need
+ * @route   PUT /api/work-orders/:id/tasks/:taskId/skip
+ * @access  Private/Admin
+ */
+const skipTask = changeTask('skip');
+
+/**
+ * @desc    Cancel a work order; it no longer counts towards progress
+ * @route   PUT /api/work-orders/:id/cancel
+ * @access  Private/Admin
+ */
+const cancelWorkOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const { workOrder, project } = await transactionService.run(async (session) => {
+    const workOrder = await WorkOrder.findById(req.params.id).session(session);
+
+    if (!workOrder) {
+      throw new AppError('Work order not found', 404);
+    }
+    if (['completed', 'cancelled'].includes(workOrder.status)) {
+      throw new AppError(`Work order is already ${workOrder.status}`, 409);
+    }
+
+    workOrder.status = 'cancelled';
+    workOrder.cancelledAt = new Date();
+    workOrder.cancelReason = reason;
+    await workOrder.save({ session });
+
+    const project = await Project.findById(workOrder.project).session(session);
+    await workOrderService.refreshProgress(project, { userId: req.userId, role: req.userRole }, session);
+    await project.save({ session });
+
+    return { workOrder, project };
+  });
+
+  // Log activity
+  await activityService.logProject(
+    req.userId,
+    req.userRole,
+    'work_order_cancelled',
+    project._id,
+    `Work order ${workOrder.workOrderNumber} cancelled: ${reason}`
+  );
+
+  res.json({
+    success: true,
+    message: 'Work order cancelled',
+    data: { workOrder, progress: project.fabrication.progress, status: project.status },
+  });
+});
+
+module.exports = {
+  getWorkOrders,
+  getMyTasks,
+  getWorkOrder,
+  createWorkOrder,
+  updateWorkOrder,
+  updateTask,
+  startTask,
+  finishTask,
+  skipTask,
+  cancelWorkOrder,
+};
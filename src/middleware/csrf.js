@@ -36,6 +36,7 @@ const csrfProtect = (req, res, next) => {
     '/api/auth/forgot-password',
     '/api/auth/reset-password',
     '/api/auth/refresh',
+    '/api/payments/webhooks',
   ];
   if (exemptPaths.some((path) => req.path.startsWith(path))) return next();
 
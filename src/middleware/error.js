@@ -80,6 +80,7 @@ const errorHandler = (err, req, res, next) => {
     message: error.message || 'Internal server error',
     errors: error.errors,
     code: error.code,
+    details: error.details,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 };
@@ -29,6 +29,8 @@ const storage = multer.diskStorage({
       case 'consultationPhoto':
       case 'fabricationPhoto':
       case 'installationPhoto':
+      case 'qcPhoto':
+      case 'claimPhoto':
         uploadPath += 'photos/';
         break;
       case 'paymentProof':
@@ -37,6 +39,9 @@ const storage = multer.diskStorage({
       case 'qrCode':
         uploadPath += 'qrcodes/';
         break;
+      case 'statement':
+        uploadPath += 'statements/';
+        break;
       default:
         uploadPath += 'misc/';
     }
@@ -57,6 +62,8 @@ const fileFilter = (req, file, cb) => {
   const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png'];
   const allowedPdfTypes = ['application/pdf'];
   const allowedTypes = [...allowedImageTypes, ...allowedPdfTypes];
+  // Browsers report CSV files under several types
+  const allowedCsvTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
 
   if (file.fieldname === 'blueprint' || file.fieldname === 'costing') {
     // Only PDF for blueprints and costing
@@ -65,6 +72,12 @@ const fileFilter = (req, file, cb) => {
       error.code = 'INVALID_FILE_TYPE';
       return cb(error, false);
     }
+  } else if (file.fieldname === 'statement') {
+    if (!allowedCsvTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() !== '.csv') {
+      const error = new Error('Only CSV files are allowed for bank statements');
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error, false);
+    }
   } else if (
     file.fieldname === 'paymentProof' ||
     file.fieldname === 'photo' ||
@@ -72,6 +85,8 @@ const fileFilter = (req, file, cb) => {
     file.fieldname === 'consultationPhoto' ||
     file.fieldname === 'fabricationPhoto' ||
     file.fieldname === 'installationPhoto' ||
+    file.fieldname === 'qcPhoto' ||
+    file.fieldname === 'claimPhoto' ||
     file.fieldname === 'qrCode'
   ) {
     // Images and PDFs for proofs and photos
@@ -122,9 +137,12 @@ module.exports = {
   uploadCosting: uploadPdf.single('costing'),
   uploadPaymentProof: uploadImage.single('paymentProof'),
   uploadQrCode: uploadImage.single('qrCode'),
+  uploadStatement: uploadPdf.single('statement'),
   uploadConsultationPhotos: uploadImage.array('consultationPhoto', 10),
   uploadFabricationPhoto: uploadImage.single('fabricationPhoto'),
   uploadInstallationPhoto: uploadImage.single('installationPhoto'),
+  uploadQcPhotos: uploadImage.array('qcPhoto', 5),
+  uploadClaimPhotos: uploadImage.array('claimPhoto', 5),
   uploadSingle: uploadAny.single('file'),
   uploadMultiple: uploadAny.array('files', 10),
 };
@@ -1,5 +1,25 @@
 const Joi = require('joi');
 const config = require('../config');
+const {
+  PROJECT_STATUSES,
+  PAYMENT_PHASES,
+  DISCOUNT_TYPES,
+  COSTING_CATEGORIES,
+  MATERIAL_GRADES,
+  MATERIAL_CATEGORIES,
+  LINEAR_MATERIAL_CATEGORIES,
+  FABRICATION_TASK_TYPES,
+  SUPPLIER_INVOICE_STATUSES,
+  QC_ITEM_RESULTS,
+  DELIVERY_METHODS,
+  DELIVERY_STATUSES,
+  WARRANTY_CLAIM_TYPES,
+  WARRANTY_CLAIM_STATUSES,
+  CHANGE_ORDER_STATUSES,
+  VAT_MODES,
+  normalizeProjectStatus,
+  normalizeProjectCategory,
+} = require('../config/vocabulary');
 
 /**
  * Validation middleware factory
@@ -32,6 +52,121 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+/**
+ * String restricted to canonical values. Deprecated aliases are mapped to
+ * their canonical value while the deprecation window is open.
+ * @param {string[]} canonical - Allowed canonical values
+ * @param {Function} normalize - Maps an alias to its canonical value
+ */
+const canonicalString = (canonical, normalize) => Joi.string().custom((value, helpers) => {
+  const normalized = config.business.acceptLegacyAliases ? normalize(value) : value;
+  if (!canonical.includes(normalized)) {
+    return helpers.error('any.only', { valids: canonical });
+  }
+  return normalized;
+});
+
+const projectStatus = () => canonicalString(PROJECT_STATUSES, normalizeProjectStatus);
+
+const projectCategory = () => canonicalString(config.business.projectCategories, normalizeProjectCategory);
+
+const paymentPlanTemplate = () => Joi.string().valid(...Object.keys(config.business.paymentPlans));
+
+const paymentMilestone = Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required(),
+  label: Joi.string().min(1).max(100).required().trim(),
+  phase: Joi.string().valid(...PAYMENT_PHASES).required(),
+  percentage: Joi.number().greater(0).max(100),
+  fixedAmount: Joi.number().positive(),
+  triggerStatus: projectStatus(),
+  dueDays: Joi.number().integer().min(0).max(365),
+}).xor('percentage', 'fixedAmount');
+
+const costingDiscount = Joi.object({
+  type: Joi.string().valid(...DISCOUNT_TYPES).required(),
+  value: Joi.number().min(0).required()
+    .when('type', { is: 'percentage', then: Joi.number().max(100) }),
+});
+
+const costingLine = Joi.object({
+  category: Joi.string().valid(...COSTING_CATEGORIES).default('other'),
+  material: Joi.string().hex().length(24),
+  item: Joi.string().min(1).max(200).required().trim(),
+  quantity: Joi.number().positive().required(),
+  unit: Joi.string().max(20),
+  unitPrice: Joi.number().min(0).required(),
+  discount: costingDiscount,
+});
+
+/**
+ * Multipart forms send nested values as JSON strings; accept either form
+ * @param {Joi.Schema} schema - Schema of the parsed value
+ */
+const jsonField = (schema) => Joi.alternatives().try(
+  schema,
+  Joi.string().custom((value, helpers) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return helpers.error('any.invalid');
+    }
+    const { error, value: validated } = schema.validate(parsed);
+    if (error) {
+      return helpers.message(error.message);
+    }
+    return validated;
+  })
+);
+
+const costingFields = {
+  totalAmount: Joi.number().positive(),
+  breakdown: jsonField(Joi.array().items(costingLine).max(200)),
+  vatMode: Joi.string().valid(...VAT_MODES),
+  discount: jsonField(costingDiscount),
+  applyWithholdingTax: Joi.boolean().default(false),
+};
+
+const bomItem = Joi.object({
+  part: Joi.string().min(1).max(200).required().trim(),
+  material: Joi.string().hex().length(24),
+  // Taken from the catalog material when one is given
+  category: Joi.string().valid(...MATERIAL_CATEGORIES)
+    .when('material', { is: Joi.exist(), otherwise: Joi.required() }),
+  grade: Joi.string().valid(...MATERIAL_GRADES),
+  thickness: Joi.number().positive(),
+  size: Joi.string().max(50),
+  length: Joi.number().positive()
+    .when('category', { is: Joi.valid(...LINEAR_MATERIAL_CATEGORIES, 'sheet'), then: Joi.required() }),
+  width: Joi.number().positive()
+    .when('category', { is: 'sheet', then: Joi.required() }),
+  quantity: Joi.number().integer().min(1).default(1),
+  notes: Joi.string().max(500).allow(''),
+});
+
+const workOrderTask = Joi.object({
+  type: Joi.string().valid(...FABRICATION_TASK_TYPES).required(),
+  description: Joi.string().max(300),
+  assignedTo: Joi.string().hex().length(24),
+  estimatedHours: Joi.number().positive().max(1000),
+});
+
+const supplierMaterial = Joi.object({
+  material: Joi.string().hex().length(24).required(),
+  supplierSku: Joi.string().max(50).allow(''),
+  unitPrice: Joi.number().min(0),
+  leadTimeDays: Joi.number().integer().min(0).max(365),
+});
+
+const purchaseOrderLine = Joi.object({
+  materialId: Joi.string().hex().length(24).required(),
+  quantity: Joi.number().positive().required(),
+  // Defaults to the supplier's quote, else the catalog price
+  unitPrice: Joi.number().min(0),
+  description: Joi.string().max(300),
+  projectId: Joi.string().hex().length(24),
+});
+
 // Common validation schemas
 const schemas = {
   // Auth schemas
@@ -122,7 +257,7 @@ const schemas = {
   createAppointment: Joi.object({
     scheduledDate: Joi.date().min('now').required(),
     appointmentType: Joi.string().valid('office_consultation', 'ocular_visit').default('office_consultation'),
-    interestedCategory: Joi.string().valid(...config.business.projectCategories),
+    interestedCategory: projectCategory(),
     description: Joi.string().max(1000),
     siteAddress: Joi.object({
       street: Joi.string().max(200),
@@ -168,11 +303,11 @@ const schemas = {
   createProject: Joi.object({
     customerId: Joi.string().hex().length(24).required(),
     appointmentId: Joi.string().hex().length(24),
-    category: Joi.string().valid(...config.business.projectCategories).required(),
+    category: projectCategory().required(),
     title: Joi.string().min(1).max(200).required().trim(),
     description: Joi.string().max(2000),
     specifications: Joi.object({
-      material: Joi.string().valid('304_grade', '316_grade', 'other'),
+      material: Joi.string().valid(...MATERIAL_GRADES),
       dimensions: Joi.object({
         width: Joi.number().positive(),
         height: Joi.number().positive(),
@@ -191,54 +326,642 @@ const schemas = {
       zipCode: Joi.string().max(10),
       landmark: Joi.string().max(200),
     }),
+    paymentPlanTemplate: paymentPlanTemplate(),
+  }),
+
+  // Blueprint bill of materials (lengths and widths in mm)
+  updateBlueprintBom: Joi.object({
+    items: Joi.array().items(bomItem).max(500).required(),
+  }),
+
+  blueprintVersionParams: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+    version: Joi.number().integer().min(1).required(),
+  }),
+
+  cuttingListQuery: Joi.object({
+    version: Joi.number().integer().min(1),
+    format: Joi.string().valid('json', 'csv', 'pdf').default('json'),
+  }),
+
+  // Costing calculator (lines, or a lump-sum totalAmount)
+  calculateCosting: Joi.object(costingFields).or('totalAmount', 'breakdown'),
+
+  uploadCosting: Joi.object({
+    ...costingFields,
+    notes: Joi.string().max(1000).allow(''),
+  }).or('totalAmount', 'breakdown'),
+
+  // Costing editor (JSON)
+  createCostingVersion: Joi.object({
+    breakdown: Joi.array().items(costingLine).max(200),
+    vatMode: Joi.string().valid(...VAT_MODES),
+    discount: costingDiscount.allow(null),
+    applyWithholdingTax: Joi.boolean(),
+    notes: Joi.string().max(1000).allow(''),
+    // Start from an earlier version's lines and settings
+    copyFrom: Joi.number().integer().min(1),
+  }),
+
+  updateCostingVersion: Joi.object({
+    breakdown: Joi.array().items(costingLine).max(200),
+    vatMode: Joi.string().valid(...VAT_MODES),
+    discount: costingDiscount.allow(null),
+    applyWithholdingTax: Joi.boolean(),
+    notes: Joi.string().max(1000).allow(''),
+  }).min(1),
+
+  costingLine,
+
+  updateCostingLine: Joi.object({
+    category: Joi.string().valid(...COSTING_CATEGORIES),
+    material: Joi.string().hex().length(24).allow(null),
+    item: Joi.string().min(1).max(200).trim(),
+    quantity: Joi.number().positive(),
+    unit: Joi.string().max(20),
+    unitPrice: Joi.number().min(0),
+    discount: costingDiscount.allow(null),
+  }).min(1),
+
+  estimateCosting: Joi.object({
+    vatMode: Joi.string().valid(...VAT_MODES),
+    applyWithholdingTax: Joi.boolean(),
+    // Save the estimate as a costing draft for the engineer to adjust
+    saveAsDraft: Joi.boolean().default(false),
   }),
 
+  costingVersionParams: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+    version: Joi.number().integer().min(1).required(),
+  }),
+
+  costingLineParams: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+    version: Joi.number().integer().min(1).required(),
+    lineId: Joi.string().hex().length(24).required(),
+  }),
+
+  costingDiffQuery: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required(),
+  }),
+
+  updatePaymentPlan: Joi.object({
+    template: paymentPlanTemplate(),
+    milestones: Joi.array().items(paymentMilestone).min(1).max(20)
+      .unique('key'),
+    // Legacy three-stage percentages
+    initial: Joi.number().min(0).max(100),
+    midpoint: Joi.number().min(0).max(100),
+    final: Joi.number().min(0).max(100),
+  })
+    .xor('template', 'milestones', 'initial')
+    .and('initial', 'midpoint', 'final'),
+
   updateProjectStatus: Joi.object({
-    status: Joi.string().valid(
-      'draft',
-      'pending_blueprint',
-      'blueprint_pending',
-      'blueprint_submitted',
-      'blueprint_uploaded',
-      'pending_customer_approval',
-      'client_approved',
-      'client_rejected',
-      'revision_requested',
-      'approved',
-      'pending_initial_payment',
-      'dp_pending',
-      'initial_payment_verified',
-      'in_fabrication',
-      'pending_midpoint_payment',
-      'midpoint_payment_verified',
-      'fabrication_done',
-      'ready_for_pickup',
-      'ready_for_installation',
-      'in_installation',
-      'pending_final_payment',
-      'released',
-      'completed',
-      'cancelled',
-      'on_hold'
-    ).required(),
+    status: projectStatus().required(),
     notes: Joi.string().max(500),
   }),
 
+  // Installation schemas
+  scheduleInstallation: Joi.object({
+    scheduledDate: Joi.date().min('now').required(),
+    crewIds: Joi.array().items(Joi.string().hex().length(24)).min(1).required(),
+    notes: Joi.string().max(1000).allow('', null),
+  }),
+
+  completeInstallation: Joi.object({
+    notes: Joi.string().max(1000).allow('', null),
+  }),
+
+  installationSignOff: Joi.object({
+    receivedBy: Joi.string().min(1).max(100).required().trim(),
+    signature: Joi.string().max(2 * 1024 * 1024).required(),
+    remarks: Joi.string().max(1000).allow('', null),
+  }),
+
   // Payment schemas
   submitPaymentProof: Joi.object({
-    paymentMethod: Joi.string().valid('gcash', 'bank_transfer', 'cash', 'other').required(),
+    paymentMethod: Joi.string().valid('gcash', 'maya', 'card', 'bank_transfer', 'cash', 'other').required(),
+    amount: Joi.number().positive(),
+    referenceNumber: Joi.string().max(100),
   }),
 
   verifyPayment: Joi.object({
+    transactionId: Joi.string().hex().length(24),
     amountReceived: Joi.number().positive().required(),
     referenceNumber: Joi.string().max(100),
     notes: Joi.string().max(500),
   }),
 
   rejectPayment: Joi.object({
+    transactionId: Joi.string().hex().length(24),
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  createCheckout: Joi.object({
+    amount: Joi.number().positive(),
+    successUrl: Joi.string().uri(),
+    cancelUrl: Joi.string().uri(),
+  }),
+
+  simulateCheckout: Joi.object({
+    outcome: Joi.string().valid('paid', 'failed', 'expired').default('paid'),
+    amount: Joi.number().positive(),
+    method: Joi.string().valid('gcash', 'maya', 'card').default('gcash'),
+  }),
+
+  importStatement: Joi.object({
+    bank: Joi.string().valid(...Object.keys(config.reconciliation.banks)).required(),
+  }),
+
+  confirmReconciliation: Joi.object({
+    lineIds: Joi.array().items(Joi.string().hex().length(24)).min(1),
+  }),
+
+  // Cashier session schemas
+  openCashierSession: Joi.object({
+    openingFloat: Joi.number().min(0).required(),
+    notes: Joi.string().max(500),
+  }),
+
+  closeCashierSession: Joi.object({
+    countedAmount: Joi.number().min(0).required(),
+    notes: Joi.string().max(500),
+  }),
+
+  zReportQuery: Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+      .messages({ 'string.pattern.base': 'date must be YYYY-MM-DD' }),
+    cashierId: Joi.string().hex().length(24),
+    format: Joi.string().valid('json', 'pdf').default('json'),
+  }),
+
+  // Materials catalog schemas
+  createMaterial: Joi.object({
+    sku: Joi.string().max(50).required().trim(),
+    name: Joi.string().max(200).required().trim(),
+    category: Joi.string().valid(...MATERIAL_CATEGORIES).required(),
+    grade: Joi.string().valid(...MATERIAL_GRADES).required(),
+    gauge: Joi.string().max(20),
+    size: Joi.string().max(100),
+    unit: Joi.string().max(20).required().trim(),
+    coverage: Joi.number().positive(),
+    currentPrice: Joi.number().min(0).required(),
+    preferred: Joi.boolean(),
+    notes: Joi.string().max(1000).allow(''),
+  }),
+
+  updateMaterial: Joi.object({
+    name: Joi.string().max(200).trim(),
+    category: Joi.string().valid(...MATERIAL_CATEGORIES),
+    grade: Joi.string().valid(...MATERIAL_GRADES),
+    gauge: Joi.string().max(20).allow(''),
+    size: Joi.string().max(100).allow(''),
+    unit: Joi.string().max(20).trim(),
+    coverage: Joi.number().positive(),
+    preferred: Joi.boolean(),
+    isActive: Joi.boolean(),
+    notes: Joi.string().max(1000).allow(''),
+  }).min(1),
+
+  updateMaterialPrice: Joi.object({
+    price: Joi.number().min(0).required(),
+    notes: Joi.string().max(500).allow(''),
+  }),
+
+  // Inventory schemas
+  createWarehouse: Joi.object({
+    code: Joi.string().max(20).required().trim(),
+    name: Joi.string().max(100).required().trim(),
+    address: Joi.string().max(300),
+    isDefault: Joi.boolean(),
+  }),
+
+  updateWarehouse: Joi.object({
+    name: Joi.string().max(100).trim(),
+    address: Joi.string().max(300).allow(''),
+    isDefault: Joi.boolean(),
+    isActive: Joi.boolean(),
+  }).min(1),
+
+  updateStockItem: Joi.object({
+    reorderLevel: Joi.number().min(0),
+    location: Joi.string().max(50).allow(''),
+  }).min(1),
+
+  // Adjustments are signed; every other movement is a positive quantity
+  recordStockMovement: Joi.object({
+    type: Joi.string().valid('receive', 'issue', 'return', 'adjust').required(),
+    materialId: Joi.string().hex().length(24).required(),
+    warehouseId: Joi.string().hex().length(24).required(),
+    projectId: Joi.string().hex().length(24)
+      .when('type', { is: 'return', then: Joi.required() }),
+    quantity: Joi.number().invalid(0).required()
+      .when('type', { not: 'adjust', then: Joi.number().positive() }),
+    // Purchase price per unit of a receipt (updates the average cost)
+    unitCost: Joi.number().min(0)
+      .when('type', { not: 'receive', then: Joi.forbidden() }),
+    reference: Joi.string().max(100),
+    notes: Joi.string().max(500)
+      .when('type', { is: 'adjust', then: Joi.required() }),
+  }),
+
+  reserveProjectMaterials: Joi.object({
+    // Release open reservations and reserve the current BOM again
+    replace: Joi.boolean().default(false),
+  }),
+
+  releaseProjectMaterials: Joi.object({
+    notes: Joi.string().max(500),
+  }),
+
+  // Work order schemas
+  // Tasks run in the order given; without tasks, cutting through QC
+  createWorkOrder: Joi.object({
+    projectId: Joi.string().hex().length(24).required(),
+    title: Joi.string().min(1).max(200).required().trim(),
+    tasks: Joi.array().items(workOrderTask).min(1),
+    notes: Joi.string().max(1000),
+  }),
+
+  updateWorkOrder: Joi.object({
+    title: Joi.string().min(1).max(200).trim(),
+    notes: Joi.string().max(1000).allow(''),
+  }).min(1),
+
+  updateWorkOrderTask: Joi.object({
+    // null unassigns the task
+    assignedTo: Joi.string().hex().length(24).allow(null),
+    estimatedHours: Joi.number().positive().max(1000),
+    description: Joi.string().max(300).allow(''),
+    // Keep the task on this date when the shop is re-planned; null unpins it
+    pinnedStart: Joi.date().iso().allow(null),
+  }).min(1),
+
+  finishWorkOrderTask: Joi.object({
+    notes: Joi.string().max(500),
+  }),
+
+  skipWorkOrderTask: Joi.object({
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  cancelWorkOrder: Joi.object({
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  workOrderTaskParams: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+    taskId: Joi.string().hex().length(24).required(),
+  }),
+
+  // QC schemas
+  startQcInspection: Joi.object({
+    notes: Joi.string().max(1000),
+  }),
+
+  recordQcItem: Joi.object({
+    result: Joi.string().valid(...QC_ITEM_RESULTS.filter((r) => r !== 'pending')).required(),
+    measurement: Joi.string().max(100).allow(''),
+    remarks: Joi.string().max(500).allow(''),
+  }),
+
+  completeQcInspection: Joi.object({
+    notes: Joi.string().max(1000),
+  }),
+
+  qcItemParams: Joi.object({
+    id: Joi.string().hex().length(24).required(),
+    itemId: Joi.string().hex().length(24).required(),
+  }),
+
+  // Delivery schemas
+  createDelivery: Joi.object({
+    projectId: Joi.string().hex().length(24).required(),
+    method: Joi.string().valid(...DELIVERY_METHODS).required(),
+    slot: Joi.object({
+      start: Joi.date().iso().required(),
+      end: Joi.date().iso().greater(Joi.ref('start')).required(),
+    }).required(),
+    // Defaults to the project site address
+    address: Joi.string().max(300),
+    contactPerson: Joi.string().max(100),
+    contactPhone: Joi.string().max(30),
+    vehicle: Joi.object({
+      plateNumber: Joi.string().max(20).required().trim(),
+      description: Joi.string().max(100),
+    }),
+    driver: Joi.object({
+      name: Joi.string().max(100).required().trim(),
+      phone: Joi.string().max(30),
+    }),
+    // Defaults to the project itself
+    items: Joi.array().items(Joi.object({
+      description: Joi.string().min(1).max(200).required().trim(),
+      quantity: Joi.number().integer().min(1).default(1),
+    })).min(1),
+    notes: Joi.string().max(1000),
+  }),
+
+  updateDelivery: Joi.object({
+    slot: Joi.object({
+      start: Joi.date().iso().required(),
+      end: Joi.date().iso().greater(Joi.ref('start')).required(),
+    }),
+    address: Joi.string().max(300),
+    contactPerson: Joi.string().max(100).allow(''),
+    contactPhone: Joi.string().max(30).allow(''),
+    vehicle: Joi.object({
+      plateNumber: Joi.string().max(20).required().trim(),
+      description: Joi.string().max(100),
+    }),
+    driver: Joi.object({
+      name: Joi.string().max(100).required().trim(),
+      phone: Joi.string().max(30),
+    }),
+    items: Joi.array().items(Joi.object({
+      description: Joi.string().min(1).max(200).required().trim(),
+      quantity: Joi.number().integer().min(1).default(1),
+    })).min(1),
+    notes: Joi.string().max(1000).allow(''),
+  }).min(1),
+
+  releaseDelivery: Joi.object({
+    receivedBy: Joi.string().min(1).max(100).required().trim(),
+    signature: Joi.string().max(2 * 1024 * 1024).required(),
+    remarks: Joi.string().max(1000).allow('', null),
+    // Admin only, when the final payment is not yet verified
+    overrideReason: Joi.string().min(1).max(500),
+  }),
+
+  cancelDelivery: Joi.object({
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  deliveriesQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...DELIVERY_STATUSES),
+    method: Joi.string().valid(...DELIVERY_METHODS),
+    projectId: Joi.string().hex().length(24),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+  }),
+
+  // Warranty schemas
+  warrantiesQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    // expiring = active and ending within config.business.warranty.expiringSoonDays
+    status: Joi.string().valid('active', 'expiring', 'expired', 'void'),
+    customerId: Joi.string().hex().length(24),
+    category: projectCategory(),
+  }),
+
+  warrantyLookupQuery: Joi.object({
+    // Warranty or project number
+    number: Joi.string().max(50).required().trim(),
+  }),
+
+  voidWarranty: Joi.object({
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  createWarrantyClaim: Joi.object({
+    projectId: Joi.string().hex().length(24).required(),
+    // Defaults to warranty; claims outside coverage become service requests
+    type: Joi.string().valid(...WARRANTY_CLAIM_TYPES),
+    description: Joi.string().min(1).max(2000).required().trim(),
+  }),
+
+  warrantyClaimsQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...WARRANTY_CLAIM_STATUSES),
+    type: Joi.string().valid(...WARRANTY_CLAIM_TYPES),
+    projectId: Joi.string().hex().length(24),
+  }),
+
+  reviewWarrantyClaim: Joi.object({
+    decision: Joi.string().valid('approve', 'reject').required(),
+    // Repaired at no charge; defaults to whether the claim is under warranty
+    covered: Joi.boolean(),
+    notes: Joi.string().max(1000)
+      .when('decision', { is: 'reject', then: Joi.required() }),
+  }),
+
+  scheduleRepairVisit: Joi.object({
+    scheduledDate: Joi.date().min('now').required(),
+    technicianId: Joi.string().hex().length(24).required(),
+    notes: Joi.string().max(500),
+  }),
+
+  resolveWarrantyClaim: Joi.object({
+    notes: Joi.string().min(1).max(1000).required(),
+  }),
+
+  // Change order schemas
+  createChangeOrder: Joi.object({
+    projectId: Joi.string().hex().length(24).required(),
+    title: Joi.string().min(1).max(200).required().trim(),
+    scope: Joi.string().min(1).max(2000).required(),
+    // Added work at its price; removed work as a credit (negative unit price)
+    lines: Joi.array().items(Joi.object({
+      category: Joi.string().valid(...COSTING_CATEGORIES).default('other'),
+      item: Joi.string().min(1).max(200).required().trim(),
+      quantity: Joi.number().positive().required(),
+      unit: Joi.string().max(20),
+      unitPrice: Joi.number().invalid(0).required(),
+    })).max(100),
+  }),
+
+  changeOrdersQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...CHANGE_ORDER_STATUSES),
+    projectId: Joi.string().hex().length(24),
+  }),
+
+  approveChangeOrder: Joi.object({
+    notes: Joi.string().max(1000),
+  }),
+
+  // Declining (customer) or withdrawing (staff)
+  changeOrderReason: Joi.object({
+    reason: Joi.string().min(1).max(1000).required(),
+  }),
+
+  // Scheduling schemas
+  updateStaffCapacity: Joi.object({
+    hoursPerDay: Joi.number().min(0).max(24),
+    // Empty means the staff member can take any task type
+    skills: Joi.array().items(Joi.string().valid(...FABRICATION_TASK_TYPES)).unique(),
+  }).min(1),
+
+  createMachine: Joi.object({
+    code: Joi.string().max(20).required().trim(),
+    name: Joi.string().max(100).required().trim(),
+    taskTypes: Joi.array().items(Joi.string().valid(...FABRICATION_TASK_TYPES)).min(1).unique().required(),
+    hoursPerDay: Joi.number().min(0).max(24),
+    notes: Joi.string().max(500),
+  }),
+
+  updateMachine: Joi.object({
+    name: Joi.string().max(100).trim(),
+    taskTypes: Joi.array().items(Joi.string().valid(...FABRICATION_TASK_TYPES)).min(1).unique(),
+    hoursPerDay: Joi.number().min(0).max(24),
+    isActive: Joi.boolean(),
+    notes: Joi.string().max(500).allow(''),
+  }).min(1),
+
+  planSchedule: Joi.object({
+    // false previews the plan without storing it
+    apply: Joi.boolean().default(true),
+  }),
+
+  scheduleBoardQuery: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+  }),
+
+  setTargetCompletion: Joi.object({
+    // null clears the promised date
+    targetCompletion: Joi.date().iso().allow(null).required(),
+  }),
+
+  // Purchasing schemas
+  createSupplier: Joi.object({
+    code: Joi.string().max(20).required().trim(),
+    name: Joi.string().max(200).required().trim(),
+    contactPerson: Joi.string().max(100),
+    email: Joi.string().email(),
+    phone: Joi.string().max(30),
+    address: Joi.string().max(300),
+    tin: Joi.string().max(30),
+    paymentTermsDays: Joi.number().integer().min(0).max(365),
+    materials: Joi.array().items(supplierMaterial).unique('material'),
+    notes: Joi.string().max(1000).allow(''),
+  }),
+
+  updateSupplier: Joi.object({
+    name: Joi.string().max(200).trim(),
+    contactPerson: Joi.string().max(100).allow(''),
+    email: Joi.string().email().allow(''),
+    phone: Joi.string().max(30).allow(''),
+    address: Joi.string().max(300).allow(''),
+    tin: Joi.string().max(30).allow(''),
+    paymentTermsDays: Joi.number().integer().min(0).max(365),
+    // Replaces the quoted materials
+    materials: Joi.array().items(supplierMaterial).unique('material'),
+    isActive: Joi.boolean(),
+    notes: Joi.string().max(1000).allow(''),
+  }).min(1),
+
+  purchaseSuggestionsQuery: Joi.object({
+    warehouseId: Joi.string().hex().length(24),
+  }),
+
+  // Lines may be left out with fromShortages: the supplier's suggested lines are used
+  createPurchaseOrder: Joi.object({
+    supplierId: Joi.string().hex().length(24).required(),
+    // Defaults to the default warehouse
+    warehouseId: Joi.string().hex().length(24),
+    fromShortages: Joi.boolean().default(false),
+    lines: Joi.array().items(purchaseOrderLine).min(1)
+      .when('fromShortages', { is: false, then: Joi.required() }),
+    expectedDate: Joi.date().iso(),
+    notes: Joi.string().max(1000),
+  }),
+
+  updatePurchaseOrder: Joi.object({
+    warehouseId: Joi.string().hex().length(24),
+    lines: Joi.array().items(purchaseOrderLine).min(1),
+    expectedDate: Joi.date().iso().allow(null),
+    notes: Joi.string().max(1000).allow(''),
+  }).min(1),
+
+  placePurchaseOrder: Joi.object({
+    expectedDate: Joi.date().iso(),
+  }),
+
+  cancelPurchaseOrder: Joi.object({
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  receivePurchaseOrder: Joi.object({
+    // Supplier's delivery receipt number
+    reference: Joi.string().max(100),
+    lines: Joi.array().items(Joi.object({
+      lineId: Joi.string().hex().length(24).required(),
+      quantity: Joi.number().positive().required(),
+    })).min(1).unique('lineId').required(),
+    notes: Joi.string().max(500),
+  }),
+
+  createSupplierInvoice: Joi.object({
+    invoiceNumber: Joi.string().max(50).required().trim(),
+    invoiceDate: Joi.date().iso().required(),
+    // Defaults to the invoice date plus the supplier's payment terms
+    dueDate: Joi.date().iso().min(Joi.ref('invoiceDate')),
+    amount: Joi.number().positive().required(),
+    notes: Joi.string().max(500),
+  }),
+
+  recordSupplierPayment: Joi.object({
+    amount: Joi.number().positive().required(),
+    paidAt: Joi.date().iso(),
+    method: Joi.string().valid('bank_transfer', 'check', 'cash', 'gcash', 'other').required(),
+    referenceNumber: Joi.string().max(100),
+    notes: Joi.string().max(500),
+  }),
+
+  supplierInvoicesQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    // Defaults to unpaid and partially paid invoices
+    status: Joi.string().valid(...SUPPLIER_INVOICE_STATUSES),
+    supplierId: Joi.string().hex().length(24),
+    overdue: Joi.boolean(),
+  }),
+
+  voidSupplierInvoice: Joi.object({
     reason: Joi.string().min(1).max(500).required(),
   }),
 
+  // Refund schemas
+  createRefund: Joi.object({
+    paymentId: Joi.string().hex().length(24).required(),
+    amount: Joi.number().positive().required(),
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  approveRefund: Joi.object({
+    notes: Joi.string().max(500),
+  }),
+
+  rejectRefund: Joi.object({
+    reason: Joi.string().min(1).max(500).required(),
+  }),
+
+  processRefund: Joi.object({
+    method: Joi.string().valid('gcash', 'bank_transfer', 'cash', 'other').required(),
+    referenceNumber: Joi.string().max(100),
+    notes: Joi.string().max(500),
+  }),
+
+  settleCancellation: Joi.object({
+    reason: Joi.string().max(500),
+  }),
+
+  projectIdParam: Joi.object({
+    projectId: Joi.string().hex().length(24).required(),
+  }),
+
+  checkoutIdParam: Joi.object({
+    checkoutId: Joi.string().max(100).required(),
+  }),
+
   // Pagination
   pagination: Joi.object({
     page: Joi.number().integer().min(1).default(1),
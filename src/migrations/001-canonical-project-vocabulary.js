@@ -0,0 +1,59 @@
+/**
+ * Migration 001 - Canonical project vocabulary
+ * Rewrites deprecated project status and category aliases to their
+ * canonical values, including statusHistory entries and appointment
+ * categories of interest.
+ */
+
+const {
+  PROJECT_STATUS_ALIASES,
+  PROJECT_CATEGORY_ALIASES,
+} = require('../config/vocabulary');
+
+const up = async (db) => {
+  const projects = db.collection('projects');
+  const appointments = db.collection('appointments');
+  const result = {
+    projectStatuses: 0,
+    statusHistoryEntries: 0,
+    projectCategories: 0,
+    appointmentCategories: 0,
+  };
+
+  for (const [alias, canonical] of Object.entries(PROJECT_STATUS_ALIASES)) {
+    const statuses = await projects.updateMany(
+      { status: alias },
+      { $set: { status: canonical } }
+    );
+    result.projectStatuses += statuses.modifiedCount;
+
+    const history = await projects.updateMany(
+      { 'statusHistory.status': alias },
+      { $set: { 'statusHistory.$[entry].status': canonical } },
+      { arrayFilters: [{ 'entry.status': alias }] }
+    );
+    result.statusHistoryEntries += history.modifiedCount;
+  }
+
+  for (const [alias, canonical] of Object.entries(PROJECT_CATEGORY_ALIASES)) {
+    const categories = await projects.updateMany(
+      { category: alias },
+      { $set: { category: canonical } }
+    );
+    result.projectCategories += categories.modifiedCount;
+
+    const interests = await appointments.updateMany(
+      { interestedCategory: alias },
+      { $set: { interestedCategory: canonical } }
+    );
+    result.appointmentCategories += interests.modifiedCount;
+  }
+
+  return result;
+};
+
+module.exports = {
+  version: 1,
+  name: 'canonical-project-vocabulary',
+  up,
+};
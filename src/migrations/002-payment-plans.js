@@ -0,0 +1,64 @@
+/**
+ * Migration 002 - Payment plans
+ * Converts the fixed initial/midpoint/final `paymentStages` of projects
+ * into `paymentPlan` milestones and labels existing payment records
+ * with their milestone phase and position.
+ */
+
+const config = require('../config');
+
+const STANDARD = config.business.paymentPlans.standard;
+
+const up = async (db) => {
+  const projects = db.collection('projects');
+  const payments = db.collection('payments');
+  const result = { projects: 0, payments: 0 };
+
+  const cursor = projects.find(
+    { paymentStages: { $exists: true } },
+    { projection: { paymentStages: 1 } }
+  );
+
+  for await (const project of cursor) {
+    const milestones = STANDARD
+      .map((milestone) => ({
+        ...milestone,
+        percentage: project.paymentStages[milestone.key]?.percentage ?? milestone.percentage,
+        amount: project.paymentStages[milestone.key]?.amount,
+      }))
+      .filter((milestone) => milestone.percentage > 0);
+
+    const isStandard = milestones.length === STANDARD.length
+      && milestones.every((m, i) => m.percentage === STANDARD[i].percentage);
+
+    await projects.updateOne(
+      { _id: project._id },
+      {
+        $set: {
+          paymentPlan: {
+            template: isStandard ? 'standard' : 'custom',
+            milestones,
+          },
+        },
+        $unset: { paymentStages: '' },
+      }
+    );
+    result.projects += 1;
+  }
+
+  for (const [sequence, milestone] of STANDARD.entries()) {
+    const labelled = await payments.updateMany(
+      { stage: milestone.key, label: { $exists: false } },
+      { $set: { label: milestone.label, phase: milestone.phase, sequence } }
+    );
+    result.payments += labelled.modifiedCount;
+  }
+
+  return result;
+};
+
+module.exports = {
+  version: 2,
+  name: 'payment-plans',
+  up,
+};
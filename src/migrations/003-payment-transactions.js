@@ -0,0 +1,88 @@
+/**
+ * Migration 003 - Payment transactions
+ * Moves the single proof/verification/receipt of each payment into a
+ * `transactions` entry so a stage can be paid in several transfers, and
+ * drops the old unique receipt number index.
+ */
+
+const mongoose = require('mongoose');
+
+const TRANSACTION_STATUSES = {
+  submitted: 'submitted',
+  verified: 'verified',
+  rejected: 'rejected',
+};
+
+const up = async (db) => {
+  const payments = db.collection('payments');
+  const result = { converted: 0, emptied: 0, droppedIndex: false };
+
+  const cursor = payments.find({ transactions: { $exists: false } });
+
+  for await (const payment of cursor) {
+    const hasTransaction = Boolean(payment.paymentProof?.path || payment.receipt?.receiptNumber)
+      && Boolean(TRANSACTION_STATUSES[payment.status]);
+
+    const transactions = [];
+    if (hasTransaction) {
+      const transaction = {
+        _id: new mongoose.Types.ObjectId(),
+        amount: payment.amount?.received || payment.amount?.expected,
+        paymentMethod: payment.paymentMethod,
+        referenceNumber: payment.verification?.referenceNumber,
+        proof: payment.paymentProof,
+        submittedBy: payment.customer,
+        submittedAt: payment.paymentProof?.uploadedAt || payment.updatedAt,
+        status: TRANSACTION_STATUSES[payment.status],
+      };
+      if (payment.status === 'verified') {
+        transaction.amountReceived = payment.amount?.received;
+        transaction.verification = {
+          verifiedBy: payment.verification?.verifiedBy,
+          verifiedAt: payment.verification?.verifiedAt,
+          notes: payment.verification?.notes,
+        };
+        transaction.receipt = payment.receipt;
+      }
+      if (payment.status === 'rejected') {
+        transaction.rejection = payment.rejection;
+      }
+      transactions.push(transaction);
+    }
+
+    // A verified stage that received less than expected is only partially paid
+    const received = payment.status === 'verified' ? (payment.amount?.received || 0) : 0;
+    const status = payment.status === 'verified' && received < payment.amount?.expected
+      ? 'partially_paid'
+      : payment.status;
+
+    await payments.updateOne(
+      { _id: payment._id },
+      {
+        $set: { transactions, 'amount.received': received, status },
+        $unset: {
+          paymentMethod: '',
+          paymentProof: '',
+          verification: '',
+          rejection: '',
+          receipt: '',
+        },
+      }
+    );
+    result[hasTransaction ? 'converted' : 'emptied'] += 1;
+  }
+
+  const indexes = await payments.indexes();
+  if (indexes.some((index) => index.name === 'receipt.receiptNumber_1')) {
+    await payments.dropIndex('receipt.receiptNumber_1');
+    result.droppedIndex = true;
+  }
+
+  return result;
+};
+
+module.exports = {
+  version: 3,
+  name: 'payment-transactions',
+  up,
+};
@@ -0,0 +1,48 @@
+/**
+ * Migration 004 - Payment due dates
+ * Backfills `dueDate` on payments whose milestone trigger status the
+ * project has already reached.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const up = async (db) => {
+  const projects = db.collection('projects');
+  const payments = db.collection('payments');
+  const result = { projects: 0, payments: 0 };
+
+  const cursor = projects.find(
+    { 'customerApproval.isApproved': true },
+    { projection: { paymentPlan: 1, statusHistory: 1 } }
+  );
+
+  for await (const project of cursor) {
+    let updated = 0;
+    for (const milestone of project.paymentPlan?.milestones || []) {
+      if (!milestone.triggerStatus || milestone.dueDays == null) continue;
+
+      const entered = (project.statusHistory || []).find((h) => h.status === milestone.triggerStatus);
+      if (!entered) continue;
+
+      const dueDate = new Date(new Date(entered.changedAt).getTime() + milestone.dueDays * DAY_MS);
+      const { modifiedCount } = await payments.updateOne(
+        { project: project._id, stage: milestone.key, dueDate: null },
+        { $set: { dueDate } }
+      );
+      updated += modifiedCount;
+    }
+
+    if (updated) {
+      result.projects += 1;
+      result.payments += updated;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  version: 4,
+  name: 'payment-due-dates',
+  up,
+};
@@ -0,0 +1,52 @@
+/**
+ * Migration 005 - Warranties
+ * Registers a warranty for every project completed before warranties
+ * existed, starting at its completion date.
+ */
+
+const Warranty = require('../models/Warranty');
+
+const up = async (db) => {
+  const projects = db.collection('projects');
+  const warranties = db.collection('warranties');
+  const result = { warranties: 0 };
+
+  const cursor = projects.find(
+    { status: 'completed' },
+    { projection: { projectNumber: 1, customer: 1, category: 1, specifications: 1, timeline: 1, statusHistory: 1 } }
+  );
+
+  for await (const project of cursor) {
+    if (await warranties.findOne({ project: project._id }, { projection: { _id: 1 } })) continue;
+
+    const completed = (project.statusHistory || []).filter((h) => h.status === 'completed').pop();
+    const startsAt = new Date(project.timeline?.actualCompletion || completed?.changedAt || Date.now());
+    const materialGrade = project.specifications?.material;
+    const coverageMonths = Warranty.getCoverageMonths(project.category, materialGrade);
+    const expiresAt = new Date(startsAt);
+    expiresAt.setMonth(expiresAt.getMonth() + coverageMonths);
+
+    const now = new Date();
+    await warranties.insertOne({
+      warrantyNumber: `${project.projectNumber}-WTY`,
+      project: project._id,
+      customer: project.customer,
+      category: project.category,
+      materialGrade,
+      coverageMonths,
+      startsAt,
+      expiresAt,
+      createdAt: now,
+      updatedAt: now,
+    });
+    result.warranties += 1;
+  }
+
+  return result;
+};
+
+module.exports = {
+  version: 5,
+  name: 'warranties',
+  up,
+};
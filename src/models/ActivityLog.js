@@ -50,6 +50,7 @@ const activityLogSchema = new mongoose.Schema(
         // Blueprint actions
         'blueprint_uploaded',
         'blueprint_revised',
+        'bom_updated',
         'costing_uploaded',
         'costing_revised',
         
@@ -64,17 +65,90 @@ const activityLogSchema = new mongoose.Schema(
         'payment_rejected',
         'receipt_generated',
         'qr_code_uploaded',
+        'payment_checkout_created',
+        'payment_received_online',
+        'refund_requested',
+        'refund_approved',
+        'refund_rejected',
+        'refund_processed',
+        'credit_note_generated',
+        
+        // Cashier drawer actions
+        'cashier_session_opened',
+        'cashier_session_closed',
+        
+        // Materials catalog actions
+        'material_created',
+        'material_updated',
+        'material_price_changed',
+        'material_deactivated',
+        
+        // Inventory actions
+        'warehouse_created',
+        'warehouse_updated',
+        'stock_received',
+        'stock_issued',
+        'stock_returned',
+        'stock_adjusted',
+        'stock_reserved',
+        'stock_released',
+        
+        // Purchasing actions
+        'supplier_created',
+        'supplier_updated',
+        'purchase_order_created',
+        'purchase_order_updated',
+        'purchase_order_placed',
+        'purchase_order_received',
+        'purchase_order_cancelled',
+        'supplier_invoice_recorded',
+        'supplier_invoice_paid',
+        'supplier_invoice_voided',
         
         // Fabrication actions
         'fabrication_started',
         'fabrication_progress_updated',
         'fabrication_photo_uploaded',
         'fabrication_completed',
+        'work_order_created',
+        'work_order_updated',
+        'work_order_cancelled',
+        'fabrication_task_started',
+        'fabrication_task_completed',
+        'fabrication_task_skipped',
+        'target_completion_set',
+        'qc_inspection_started',
+        'qc_photo_uploaded',
+        'qc_passed',
+        'qc_failed',
+        'delivery_scheduled',
+        'delivery_updated',
+        'delivery_cancelled',
+        'project_released',
+        'release_payment_override',
+        'warranty_voided',
+        'warranty_claim_filed',
+        'warranty_claim_approved',
+        'warranty_claim_rejected',
+        'repair_visit_scheduled',
+        'warranty_claim_resolved',
+        'change_order_proposed',
+        'change_order_approved',
+        'change_order_declined',
+        'change_order_withdrawn',
+        
+        // Scheduling actions
+        'machine_created',
+        'machine_updated',
+        'staff_capacity_updated',
+        'schedule_planned',
         
         // Installation actions
         'installation_scheduled',
         'installation_started',
+        'installation_photo_uploaded',
         'installation_completed',
+        'installation_signed_off',
         
         // System actions
         'system_config_changed',
@@ -86,7 +160,7 @@ const activityLogSchema = new mongoose.Schema(
     // Resource type
     resourceType: {
       type: String,
-      enum: ['user', 'appointment', 'project', 'payment', 'system'],
+      enum: ['user', 'appointment', 'project', 'payment', 'cashier_session', 'material', 'inventory', 'purchasing', 'scheduling', 'system'],
     },
     // Resource ID
     resourceId: {
@@ -14,6 +14,11 @@ const appointmentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Fabrication staff sent on a repair visit
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     // Scheduled date and time
     scheduledDate: {
       type: Date,
@@ -26,7 +31,7 @@ const appointmentSchema = new mongoose.Schema(
     // Appointment type
     appointmentType: {
       type: String,
-      enum: ['office_consultation', 'ocular_visit'],
+      enum: ['office_consultation', 'ocular_visit', 'repair_visit'],
       default: 'office_consultation',
     },
     // For ocular visits - site address
@@ -83,6 +88,15 @@ const appointmentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Project',
     },
+    // Repair visits: the project and after-sales claim being serviced
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    warrantyClaim: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WarrantyClaim',
+    },
     // Timestamps for status changes
     statusHistory: [{
       status: String,
@@ -143,6 +157,7 @@ appointmentSchema.index({ scheduledDate: 1, assignedSalesStaff: 1 });
 appointmentSchema.index({ customer: 1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ isDeleted: 1 });
+appointmentSchema.index({ technician: 1, scheduledDate: 1 });
 
 // Compound index for common query patterns
 appointmentSchema.index({ scheduledDate: 1, status: 1, assignedSalesStaff: 1 });
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const drawerEntrySchema = new mongoose.Schema(
+  {
+    // What moved cash in or out of the drawer
+    source: {
+      type: String,
+      enum: [
+        'payment',        // Verified cash payment transaction
+        'travel_fee',     // Verified ocular visit travel fee
+        'refund_payout',  // Refund paid out in cash (leaves the drawer)
+      ],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    // Transaction within the payment
+    transaction: mongoose.Schema.Types.ObjectId,
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund',
+    },
+    // Receipt or reference number
+    reference: String,
+    description: String,
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+const cashierSessionSchema = new mongoose.Schema(
+  {
+    // Cashier working the drawer
+    cashier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Cashier is required'],
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open',
+    },
+    // Cash in the drawer at the start of the shift
+    openingFloat: {
+      type: Number,
+      required: [true, 'Opening float is required'],
+      min: [0, 'Opening float cannot be negative'],
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    openingNotes: String,
+    // Cash movements during the shift
+    entries: [drawerEntrySchema],
+    // End-of-day count
+    closing: {
+      countedAmount: Number,
+      expectedAmount: Number,
+      // counted - expected (negative means short)
+      variance: Number,
+      closedAt: Date,
+      closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      notes: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+// A cashier has at most one open drawer
+cashierSessionSchema.index(
+  { cashier: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+cashierSessionSchema.index({ cashier: 1, openedAt: -1 });
+cashierSessionSchema.index({ openedAt: -1 });
+
+const sumEntries = (entries, source) => (entries || [])
+  .filter((entry) => entry.source === source)
+  .reduce((sum, entry) => sum + entry.amount, 0);
+
+// Virtual for drawer totals by source and the cash expected at close
+cashierSessionSchema.virtual('totals').get(function () {
+  const payments = sumEntries(this.entries, 'payment');
+  const travelFees = sumEntries(this.entries, 'travel_fee');
+  const refundPayouts = sumEntries(this.entries, 'refund_payout');
+  return {
+    payments,
+    travelFees,
+    refundPayouts,
+    expectedCash: (this.openingFloat || 0) + payments + travelFees - refundPayouts,
+  };
+});
+
+const CashierSession = mongoose.model('CashierSession', cashierSessionSchema);
+
+module.exports = CashierSession;
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const {
+  CHANGE_ORDER_STATUSES,
+  COSTING_CATEGORIES,
+  VAT_MODES,
+} = require('../config/vocabulary');
+
+const changeOrderSchema = new mongoose.Schema(
+  {
+    // e.g. RMV-2025-0001-CO1
+    changeOrderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    // What changes in the work
+    scope: {
+      type: String,
+      required: [true, 'Scope is required'],
+      maxlength: [2000, 'Scope cannot exceed 2000 characters'],
+    },
+    // Priced changes; credits for removed work have a negative unit price
+    lines: [{
+      category: {
+        type: String,
+        enum: COSTING_CATEGORIES,
+        default: 'other',
+      },
+      item: String,
+      quantity: Number,
+      unit: String,
+      unitPrice: Number,
+      total: Number,
+    }],
+    // Tax settings of the approved costing the lines were computed with
+    tax: {
+      vatMode: {
+        type: String,
+        enum: VAT_MODES,
+      },
+      vatRate: Number,
+      applyWithholdingTax: Boolean,
+      ewtRate: Number,
+    },
+    // Computed by costingService.calculate
+    summary: {
+      subtotal: Number,
+      vatableSales: Number,
+      vatExemptSales: Number,
+      vat: Number,
+      totalAmount: Number,
+      withholdingTax: Number,
+      netPayable: Number,
+    },
+    // Change to the approved amount (summary.netPayable, may be negative)
+    costDelta: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: CHANGE_ORDER_STATUSES,
+      default: 'proposed',
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Customer's decision (or the staff withdrawal)
+    decision: {
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      decidedAt: Date,
+      notes: String,
+    },
+    // Effect of an approved change order on the payment plan
+    applied: {
+      previousAmount: Number,
+      newAmount: Number,
+      milestones: [{
+        key: String,
+        label: String,
+        previousAmount: Number,
+        amount: Number,
+      }],
+    },
+    statusHistory: [{
+      status: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      notes: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+changeOrderSchema.index({ project: 1, createdAt: -1 });
+changeOrderSchema.index({ customer: 1, status: 1 });
+
+// Method: Change status and record it in the history
+changeOrderSchema.methods.setStatus = function (status, changedBy, notes) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, notes });
+};
+
+// Pre-validate: Change order number from the project's counter
+changeOrderSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.changeOrderNumber) {
+    const project = await mongoose.model('Project')
+      .findById(this.project)
+      .select('projectNumber')
+      .session(this.$session());
+    if (project) {
+      const seq = await mongoose.model('Counter').next(`change_order:${project.projectNumber}`, {
+        session: this.$session(),
+      });
+      this.changeOrderNumber = `${project.projectNumber}-CO${seq}`;
+    }
+  }
+  next();
+});
+
+const ChangeOrder = mongoose.model('ChangeOrder', changeOrderSchema);
+
+module.exports = ChangeOrder;
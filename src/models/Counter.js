@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema(
+  {
+    // Sequence key, e.g. "project:2025" or "receipt:2025"
+    _id: {
+      type: String,
+      required: true,
+    },
+    // Last issued value
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Static: Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function (key, options = {}) {
+  const increment = () => this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session: options.session }
+  );
+
+  try {
+    const counter = await increment();
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts of the same key can race; the loser retries once
+    if (error.code !== 11000) throw error;
+    // A failed write aborts a transaction, so the retry has to be the whole
+    // transaction: the label makes withTransaction run it again
+    if (options.session?.inTransaction()) {
+      error.addErrorLabel('TransientTransactionError');
+      throw error;
+    }
+    const counter = await increment();
+    return counter.seq;
+  }
+};
+
+// Static: Raise a sequence so it is at least the given value
+counterSchema.statics.ensureAtLeast = async function (key, value) {
+  await this.updateOne(
+    { _id: key },
+    { $max: { seq: value } },
+    { upsert: true }
+  );
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
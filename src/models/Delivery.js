@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { DELIVERY_METHODS, DELIVERY_STATUSES } = require('../config/vocabulary');
+
+const deliverySchema = new mongoose.Schema(
+  {
+    // Gate pass / delivery receipt number, e.g. RMV-2025-0001-DR1
+    deliveryNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    method: {
+      type: String,
+      enum: DELIVERY_METHODS,
+      required: [true, 'Method is required'],
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'scheduled',
+    },
+    // Pickup window at the shop, or delivery window at the site
+    slot: {
+      start: {
+        type: Date,
+        required: [true, 'Slot start is required'],
+      },
+      end: {
+        type: Date,
+        required: [true, 'Slot end is required'],
+      },
+    },
+    // Delivery address (defaults to the project site)
+    address: String,
+    contactPerson: String,
+    contactPhone: String,
+    // Deliveries only
+    vehicle: {
+      plateNumber: {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+      description: String,
+    },
+    driver: {
+      name: String,
+      phone: String,
+    },
+    // Listed on the gate pass
+    items: [{
+      _id: false,
+      description: {
+        type: String,
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+    }],
+    // Receiver sign-off on release
+    release: {
+      receivedBy: String,
+      signature: String, // Base64 image
+      remarks: String,
+      releasedAt: Date,
+      releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    // Admin release with the final payment not yet verified
+    paymentOverride: {
+      reason: String,
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      approvedAt: Date,
+    },
+    cancelledAt: Date,
+    cancelReason: String,
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+deliverySchema.index({ project: 1, status: 1 });
+deliverySchema.index({ status: 1, 'slot.start': 1 });
+deliverySchema.index({ 'vehicle.plateNumber': 1, 'slot.start': 1 });
+
+// Pre-validate: Number the delivery after its project
+deliverySchema.pre('validate', async function (next) {
+  if (this.isNew && !this.deliveryNumber) {
+    const project = await mongoose.model('Project')
+      .findById(this.project)
+      .select('projectNumber')
+      .session(this.$session());
+    if (project) {
+      const seq = await mongoose.model('Counter').next(`delivery:${project.projectNumber}`, {
+        session: this.$session(),
+      });
+      this.deliveryNumber = `${project.projectNumber}-DR${seq}`;
+    }
+  }
+  next();
+});
+
+const Delivery = mongoose.model('Delivery', deliverySchema);
+
+module.exports = Delivery;
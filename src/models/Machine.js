@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { FABRICATION_TASK_TYPES } = require('../config/vocabulary');
+
+const machineSchema = new mongoose.Schema(
+  {
+    // Short code shown on the schedule (e.g. SHEAR1, BRAKE1)
+    code: {
+      type: String,
+      required: [true, 'Machine code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Machine name is required'],
+      trim: true,
+    },
+    // Tasks of these types need the machine (or another machine of the type)
+    taskTypes: [{
+      type: String,
+      enum: FABRICATION_TASK_TYPES,
+    }],
+    // Hours the machine can run per working day
+    hoursPerDay: {
+      type: Number,
+      default: 8,
+      min: 0,
+      max: 24,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Machine = mongoose.model('Machine', machineSchema);
+
+module.exports = Machine;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { MATERIAL_GRADES, MATERIAL_CATEGORIES } = require('../config/vocabulary');
+
+const materialSchema = new mongoose.Schema(
+  {
+    // Stock keeping unit
+    sku: {
+      type: String,
+      required: [true, 'SKU is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Material name is required'],
+      trim: true,
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+    category: {
+      type: String,
+      enum: MATERIAL_CATEGORIES,
+      required: [true, 'Material category is required'],
+    },
+    grade: {
+      type: String,
+      enum: MATERIAL_GRADES,
+      required: [true, 'Grade is required'],
+    },
+    // Gauge or wall thickness as quoted by suppliers (e.g. "16", "1.5mm")
+    gauge: String,
+    // Stock size (e.g. "4ft x 8ft", "1.5in OD x 6m")
+    size: String,
+    // Unit the price is quoted in (sheet, length, pc, kg)
+    unit: {
+      type: String,
+      required: [true, 'Unit is required'],
+      trim: true,
+    },
+    // Estimator basis one unit covers: m² per sheet, metres per length, 1 per piece
+    coverage: {
+      type: Number,
+      default: 1,
+      min: [0.0001, 'Coverage must be positive'],
+    },
+    // Price per unit
+    currentPrice: {
+      type: Number,
+      required: [true, 'Price is required'],
+      min: [0, 'Price cannot be negative'],
+    },
+    // Every price the material has had, oldest first
+    priceHistory: [{
+      price: Number,
+      effectiveAt: {
+        type: Date,
+        default: Date.now,
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      notes: String,
+    }],
+    // Picked by the quote estimator for its category and grade
+    preferred: {
+      type: Boolean,
+      default: false,
+    },
+    // Inactive materials stay on old costings but are not offered
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+materialSchema.index({ category: 1, grade: 1, isActive: 1 });
+
+// Method: Change the price, keeping the old one in the history
+materialSchema.methods.setPrice = function (price, userId, notes) {
+  this.currentPrice = price;
+  this.priceHistory.push({
+    price,
+    effectiveAt: new Date(),
+    changedBy: userId,
+    notes,
+  });
+};
+
+const Material = mongoose.model('Material', materialSchema);
+
+module.exports = Material;
@@ -1,67 +1,48 @@
 const mongoose = require('mongoose');
+const { PAYMENT_PHASES } = require('../config/vocabulary');
 
-const paymentSchema = new mongoose.Schema(
+const transactionSchema = new mongoose.Schema(
   {
-    // Associated project
-    project: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Project',
-      required: [true, 'Project is required'],
-    },
-    // Customer (denormalized for easier queries)
-    customer: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: [true, 'Customer is required'],
-    },
-    // Payment stage
-    stage: {
-      type: String,
-      enum: ['initial', 'midpoint', 'final'],
-      required: [true, 'Payment stage is required'],
-    },
-    // Amount details
+    // Amount the customer says they sent
     amount: {
-      expected: {
-        type: Number,
-        required: [true, 'Expected amount is required'],
-      },
-      received: Number,
+      type: Number,
+      required: [true, 'Transaction amount is required'],
+      min: [0.01, 'Transaction amount must be positive'],
     },
     // Payment method
     paymentMethod: {
       type: String,
-      enum: ['gcash', 'bank_transfer', 'cash', 'other'],
+      enum: ['gcash', 'maya', 'card', 'bank_transfer', 'cash', 'other'],
     },
+    // Bank/GCash reference
+    referenceNumber: String,
     // Payment proof uploaded by customer
-    paymentProof: {
+    proof: {
       filename: String,
       originalName: String,
       path: String,
       uploadedAt: Date,
     },
-    // QR Code for this payment (uploaded by cashier)
-    qrCode: {
-      filename: String,
-      originalName: String,
-      path: String,
-      uploadedBy: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-      },
-      uploadedAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
     },
-    // Payment status
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Transaction status
     status: {
       type: String,
       enum: [
-        'pending',      // Waiting for payment
-        'submitted',    // Customer submitted proof
-        'verified',     // Cashier verified
-        'rejected',     // Payment proof rejected
+        'submitted',    // Waiting for cashier
+        'verified',     // Cashier confirmed the money arrived
+        'rejected',     // Proof rejected
       ],
-      default: 'pending',
+      default: 'submitted',
     },
+    // Amount actually received (set on verification)
+    amountReceived: Number,
     // Verification details
     verification: {
       verifiedBy: {
@@ -70,7 +51,6 @@ const paymentSchema = new mongoose.Schema(
       },
       verifiedAt: Date,
       notes: String,
-      referenceNumber: String, // Bank/GCash reference
     },
     // Rejection details
     rejection: {
@@ -81,15 +61,143 @@ const paymentSchema = new mongoose.Schema(
       rejectedAt: Date,
       reason: String,
     },
-    // Receipt (generated after verification)
+    // Official receipt (generated after verification)
     receipt: {
       receiptNumber: String,
       generatedAt: Date,
       filename: String,
       path: String,
     },
-    // Due date
+    // Set when the transaction came from a payment gateway webhook
+    gateway: {
+      provider: String,
+      checkoutId: String,
+      eventId: String,
+    },
+  }
+);
+
+const checkoutSchema = new mongoose.Schema(
+  {
+    // Gateway provider name (e.g. "paymongo", "mock")
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Provider's checkout session id
+    checkoutId: {
+      type: String,
+      required: true,
+    },
+    // Hosted page the customer is sent to
+    checkoutUrl: String,
+    // Amount requested in this checkout
+    amount: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'paid', 'failed', 'expired'],
+      default: 'open',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: Date,
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    // Associated project
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    // Customer (denormalized for easier queries)
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer is required'],
+    },
+    // Payment stage (key of the project's payment plan milestone)
+    stage: {
+      type: String,
+      required: [true, 'Payment stage is required'],
+    },
+    // Milestone label shown to customers (e.g. "Down Payment")
+    label: String,
+    // Workflow phase of the milestone
+    phase: {
+      type: String,
+      enum: PAYMENT_PHASES,
+      default: 'initial',
+    },
+    // Position of the milestone in the payment plan
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    // Amount details
+    amount: {
+      expected: {
+        type: Number,
+        required: [true, 'Expected amount is required'],
+      },
+      // Sum of verified transactions
+      received: {
+        type: Number,
+        default: 0,
+      },
+      // Sum of approved refunds (credit notes)
+      refunded: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Transfers made against this stage (a stage may be paid in several)
+    transactions: [transactionSchema],
+    // Online checkout sessions opened with the payment gateway
+    checkouts: [checkoutSchema],
+    // QR Code for this payment (uploaded by cashier)
+    qrCode: {
+      filename: String,
+      originalName: String,
+      path: String,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      uploadedAt: Date,
+    },
+    // Payment status
+    status: {
+      type: String,
+      enum: [
+        'pending',        // Waiting for payment
+        'submitted',      // A transaction is waiting for verification
+        'partially_paid', // Some money verified, balance remaining
+        'verified',       // Verified transactions cover the expected amount
+        'rejected',       // Latest proof rejected, nothing received
+        'refunded',       // Everything received was refunded
+      ],
+      default: 'pending',
+    },
+    // Due date (set when the milestone's trigger status is reached)
     dueDate: Date,
+    // Due-date reminders already sent (e.g. "before:3", "after:7")
+    reminders: [{
+      key: String,
+      sentAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
     // Status history
     statusHistory: [{
       status: String,
@@ -119,8 +227,13 @@ const paymentSchema = new mongoose.Schema(
 
 // Indexes
 paymentSchema.index({ project: 1, stage: 1 }, { unique: true });
+// Not unique: a unique multikey index would collide on transactions without
+// a receipt. Numbers come from the atomic counter; numbering:repair audits them.
+paymentSchema.index({ 'transactions.receipt.receiptNumber': 1 });
+paymentSchema.index({ 'checkouts.checkoutId': 1 });
 paymentSchema.index({ customer: 1 });
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ status: 1, dueDate: 1 });
 paymentSchema.index({ isDeleted: 1 });
 
 // Compound index for common query patterns
@@ -132,18 +245,87 @@ paymentSchema.virtual('completionPercentage').get(function () {
   return Math.min(100, Math.round((this.amount.received / this.amount.expected) * 100));
 });
 
-// Static: Generate receipt number
-paymentSchema.statics.generateReceiptNumber = async function () {
-  const year = new Date().getFullYear();
-  const month = String(new Date().getMonth() + 1).padStart(2, '0');
-  const count = await this.countDocuments({
-    'receipt.receiptNumber': { $exists: true },
-    createdAt: {
-      $gte: new Date(year, 0, 1),
-      $lt: new Date(year + 1, 0, 1),
-    },
-  });
-  return `RMV-RCT-${year}${month}-${String(count + 1).padStart(4, '0')}`;
+// Virtual for the amount kept after refunds
+paymentSchema.virtual('netReceived').get(function () {
+  return (this.amount.received || 0) - (this.amount.refunded || 0);
+});
+
+// Virtual for the amount still owed
+paymentSchema.virtual('balance').get(function () {
+  return Math.max(0, (this.amount.expected || 0) - this.netReceived);
+});
+
+// Statuses still waiting on the customer (submitted ones wait on the cashier)
+const OUTSTANDING_STATUSES = ['pending', 'partially_paid', 'rejected'];
+
+// Virtual for whole days past the due date (0 when not overdue)
+paymentSchema.virtual('daysOverdue').get(function () {
+  if (!this.dueDate || !OUTSTANDING_STATUSES.includes(this.status)) return 0;
+  return Math.max(0, Math.floor((Date.now() - this.dueDate.getTime()) / (24 * 60 * 60 * 1000)));
+});
+
+// Virtual for overdue flag
+paymentSchema.virtual('isOverdue').get(function () {
+  return Boolean(this.dueDate && OUTSTANDING_STATUSES.includes(this.status) && this.dueDate < new Date());
+});
+
+// Static: Query for payments still waiting on the customer
+paymentSchema.statics.outstandingQuery = function () {
+  return { status: { $in: OUTSTANDING_STATUSES } };
+};
+
+// Static: Query for payments past their due date
+paymentSchema.statics.overdueQuery = function (now = new Date()) {
+  return { ...this.outstandingQuery(), dueDate: { $lt: now } };
+};
+
+// Method: Recompute the received total and status from the transactions,
+// recording a status history entry when the status changes
+paymentSchema.methods.refreshStatus = function (changedBy, notes) {
+  this.amount.received = this.transactions
+    .filter((t) => t.status === 'verified')
+    .reduce((sum, t) => sum + t.amountReceived, 0);
+
+  let status = 'pending';
+  if (this.amount.refunded > 0 && this.netReceived <= 0) {
+    status = 'refunded';
+  } else if (this.netReceived >= this.amount.expected) {
+    status = 'verified';
+  } else if (this.transactions.some((t) => t.status === 'submitted')) {
+    status = 'submitted';
+  } else if (this.netReceived > 0) {
+    status = 'partially_paid';
+  } else if (this.transactions.length) {
+    status = 'rejected';
+  }
+
+  if (status !== this.status) {
+    this.status = status;
+    this.statusHistory.push({ status, changedBy, notes });
+  }
+  return status;
+};
+
+// Static: Aggregation stages yielding one document per verified transaction
+paymentSchema.statics.verifiedTransactionStages = function (match = {}) {
+  return [
+    { $match: match },
+    { $unwind: '$transactions' },
+    { $match: { 'transactions.status': 'verified' } },
+  ];
+};
+
+// Static: Format a receipt number (sequence runs per year)
+paymentSchema.statics.formatReceiptNumber = function (year, month, seq) {
+  return `RMV-RCT-${year}${String(month).padStart(2, '0')}-${String(seq).padStart(4, '0')}`;
+};
+
+// Static: Generate receipt number from the yearly counter
+paymentSchema.statics.generateReceiptNumber = async function (options = {}) {
+  const now = new Date();
+  const year = now.getFullYear();
+  const seq = await mongoose.model('Counter').next(`receipt:${year}`, options);
+  return this.formatReceiptNumber(year, now.getMonth() + 1, seq);
 };
 
 // Soft delete middleware
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const config = require('../config');
+const {
+  PROJECT_STATUSES,
+  PAYMENT_PHASES,
+  DISCOUNT_TYPES,
+  COSTING_CATEGORIES,
+  MATERIAL_GRADES,
+  MATERIAL_CATEGORIES,
+  VAT_MODES,
+} = require('../config/vocabulary');
+
+// Money is kept to the centavo
+const toCentavos = (value) => Math.round((value + Number.EPSILON) * 100);
 
 const projectSchema = new mongoose.Schema(
   {
@@ -41,7 +53,7 @@ const projectSchema = new mongoose.Schema(
     specifications: {
       material: {
         type: String,
-        enum: ['304_grade', '316_grade', 'other'],
+        enum: MATERIAL_GRADES,
         default: '304_grade',
       },
       dimensions: {
@@ -72,33 +84,7 @@ const projectSchema = new mongoose.Schema(
     // Project status
     status: {
       type: String,
-      enum: [
-        'draft',                    // Sales staff creating project
-        'pending_blueprint',        // Waiting for engineer
-        'blueprint_pending',        // Alias for waiting on blueprint
-        'blueprint_submitted',      // Engineer submitted blueprint
-        'blueprint_uploaded',       // Blueprint uploaded
-        'pending_customer_approval',// Waiting for customer approval
-        'revision_requested',       // Customer requested changes
-        'client_approved',          // Customer approved (alias)
-        'client_rejected',          // Customer rejected (alias)
-        'approved',                 // Customer approved
-        'pending_initial_payment',  // Waiting for 30% payment
-        'dp_pending',               // Alias for initial payment pending
-        'initial_payment_verified', // Cashier verified 30%
-        'in_fabrication',           // Being fabricated
-        'pending_midpoint_payment', // Waiting for 40% payment
-        'midpoint_payment_verified',// Cashier verified 40%
-        'fabrication_done',         // Fabrication complete
-        'ready_for_pickup',         // Ready for pickup/release
-        'ready_for_installation',   // Fabrication complete (install path)
-        'in_installation',          // Being installed
-        'pending_final_payment',    // Waiting for final 30%
-        'released',                 // Released to customer
-        'completed',                // Fully paid and done
-        'cancelled',                // Project cancelled
-        'on_hold',                  // Temporarily paused
-      ],
+      enum: PROJECT_STATUSES,
       default: 'draft',
     },
     // Assigned staff
@@ -159,6 +145,42 @@ const projectSchema = new mongoose.Schema(
           default: Date.now,
         },
         notes: String,
+        // Bill of materials; the cutting list is computed from it
+        bom: [{
+          // Part name or mark on the drawing
+          part: String,
+          // Catalog material, when one is specified
+          material: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Material',
+          },
+          category: {
+            type: String,
+            enum: MATERIAL_CATEGORIES,
+          },
+          grade: {
+            type: String,
+            enum: MATERIAL_GRADES,
+          },
+          // Gauge/wall thickness in mm
+          thickness: Number,
+          // Profile or section (e.g. "1.5in OD", "50x50")
+          size: String,
+          // Cut length in mm
+          length: Number,
+          // Cut width in mm (sheet parts)
+          width: Number,
+          quantity: {
+            type: Number,
+            default: 1,
+          },
+          notes: String,
+        }],
+        bomUpdatedAt: Date,
+        bomUpdatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
       }],
     },
     // Costing data (from engineer)
@@ -169,6 +191,18 @@ const projectSchema = new mongoose.Schema(
       },
       versions: [{
         version: Number,
+        // Drafts are edited line by line and get their PDF when finalized
+        status: {
+          type: String,
+          enum: ['draft', 'final'],
+          default: 'final',
+        },
+        // Uploaded PDF, or generated from the lines for editor versions
+        source: {
+          type: String,
+          enum: ['upload', 'editor'],
+          default: 'upload',
+        },
         filename: String,
         originalName: String,
         path: String,
@@ -180,16 +214,71 @@ const projectSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        finalizedAt: Date,
+        // VAT-inclusive contract price (summary.totalAmount)
         totalAmount: Number,
         breakdown: [{
+          category: {
+            type: String,
+            enum: COSTING_CATEGORIES,
+            default: 'other',
+          },
+          // Catalog material the line was priced from
+          material: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Material',
+          },
           item: String,
           quantity: Number,
+          unit: String,
           unitPrice: Number,
+          // Line discount
+          discount: {
+            type: {
+              type: String,
+              enum: DISCOUNT_TYPES,
+            },
+            value: Number,
+          },
+          discountAmount: Number,
+          // quantity × unitPrice less the line discount
           total: Number,
         }],
+        // Header discount on the subtotal
+        discount: {
+          type: {
+            type: String,
+            enum: DISCOUNT_TYPES,
+          },
+          value: Number,
+        },
+        // Tax settings the version was computed with
+        tax: {
+          vatMode: {
+            type: String,
+            enum: VAT_MODES,
+          },
+          vatRate: Number,
+          applyWithholdingTax: Boolean,
+          ewtRate: Number,
+        },
+        // Computed by costingService.calculate
+        summary: {
+          grossAmount: Number,
+          lineDiscounts: Number,
+          subtotal: Number,
+          headerDiscount: Number,
+          vatableSales: Number,
+          vatExemptSales: Number,
+          vat: Number,
+          totalAmount: Number,
+          withholdingTax: Number,
+          // What the customer pays (total less withholding tax)
+          netPayable: Number,
+        },
         notes: String,
       }],
-      // Final approved costing
+      // Net payable of the approved version (basis of the payment plan)
       approvedAmount: Number,
     },
     // Customer approval
@@ -227,28 +316,59 @@ const projectSchema = new mongoose.Schema(
         ref: 'User',
       },
     }],
-    // Payment stages (30-40-30 default)
-    paymentStages: {
-      initial: {
-        percentage: {
-          type: Number,
-          default: config.business.paymentStages.initial,
-        },
-        amount: Number,
+    // Payment plan (ordered milestones, defaults to the standard 30-40-30 template)
+    paymentPlan: {
+      template: {
+        type: String,
+        default: config.business.defaultPaymentPlan,
       },
-      midpoint: {
-        percentage: {
-          type: Number,
-          default: config.business.paymentStages.midpoint,
-        },
-        amount: Number,
+      milestones: {
+        type: [{
+          // Key stored as Payment.stage
+          key: {
+            type: String,
+            required: true,
+          },
+          label: {
+            type: String,
+            required: true,
+          },
+          // Workflow phase the milestone must be paid in
+          phase: {
+            type: String,
+            enum: PAYMENT_PHASES,
+            required: true,
+          },
+          // Either a share of the balance left after fixed amounts...
+          percentage: Number,
+          // ...or an absolute amount
+          fixedAmount: Number,
+          // Computed from the approved amount
+          amount: Number,
+          // Due-date rule: due N days after the project enters triggerStatus
+          triggerStatus: {
+            type: String,
+            enum: PROJECT_STATUSES,
+          },
+          dueDays: {
+            type: Number,
+            min: 0,
+          },
+        }],
+        default: () => config.business.paymentPlans[config.business.defaultPaymentPlan],
       },
-      final: {
-        percentage: {
-          type: Number,
-          default: config.business.paymentStages.final,
-        },
-        amount: Number,
+    },
+    // Cancellation settlement (fee kept and refunds raised)
+    cancellationSettlement: {
+      cancelledFrom: String,
+      feePercentage: Number,
+      fee: Number,
+      totalReceived: Number,
+      refundAmount: Number,
+      settledAt: Date,
+      settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
       },
     },
     // Fabrication tracking
@@ -295,9 +415,28 @@ const projectSchema = new mongoose.Schema(
     // Installation tracking
     installation: {
       scheduledDate: Date,
+      scheduledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      crew: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      }],
       startedAt: Date,
       completedAt: Date,
       notes: String,
+      // Customer sign-off on completed installation
+      signOff: {
+        receivedBy: String,
+        signature: String, // Base64 or file path
+        remarks: String,
+        signedAt: Date,
+        capturedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
       photos: [{
         filename: String,
         originalName: String,
@@ -315,7 +454,10 @@ const projectSchema = new mongoose.Schema(
     },
     // Timeline tracking
     timeline: {
+      // Projected by the shop schedule (schedulingService)
       estimatedCompletion: Date,
+      // Completion date promised to the customer
+      targetCompletion: Date,
       actualCompletion: Date,
     },
     // Status history for audit
@@ -352,6 +494,7 @@ projectSchema.index({ status: 1 });
 projectSchema.index({ category: 1 });
 projectSchema.index({ 'assignedStaff.engineer': 1 });
 projectSchema.index({ 'assignedStaff.fabricationStaff': 1 });
+projectSchema.index({ 'installation.crew': 1 });
 projectSchema.index({ isDeleted: 1 });
 projectSchema.index({ createdAt: -1 });
 
@@ -366,28 +509,71 @@ projectSchema.virtual('totalPaidAmount').get(function () {
   return 0; // Placeholder - actual calculation done via aggregation
 });
 
-// Pre-save: Generate project number
-projectSchema.pre('save', async function (next) {
+// Static: Format a project number
+projectSchema.statics.formatProjectNumber = function (year, seq) {
+  return `RMV-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+// Pre-validate: Generate project number from the yearly counter
+// (runs before validation so the required check sees the number)
+projectSchema.pre('validate', async function (next) {
   if (this.isNew && !this.projectNumber) {
     const year = new Date().getFullYear();
-    const count = await mongoose.model('Project').countDocuments({
-      createdAt: {
-        $gte: new Date(year, 0, 1),
-        $lt: new Date(year + 1, 0, 1),
-      },
-    });
-    this.projectNumber = `RMV-${year}-${String(count + 1).padStart(4, '0')}`;
+    const seq = await mongoose.model('Counter').next(`project:${year}`, { session: this.$session() });
+    this.projectNumber = this.constructor.formatProjectNumber(year, seq);
   }
   next();
 });
 
-// Pre-save: Calculate payment stage amounts
+// Static: Split a total across payment milestones.
+// Fixed amounts are taken first; percentages share the remaining balance
+// and the last percentage milestone absorbs rounding. Amounts are
+// allocated in centavos so every milestone is kept to the centavo.
+projectSchema.statics.allocatePaymentPlan = function (milestones, total) {
+  const fixedTotal = milestones.reduce((sum, m) => sum + toCentavos(m.fixedAmount || 0), 0);
+  const balance = toCentavos(total) - fixedTotal;
+  const lastPercentageIndex = milestones.map((m) => m.fixedAmount == null).lastIndexOf(true);
+
+  let allocated = 0;
+  return milestones.map((milestone, index) => {
+    if (milestone.fixedAmount != null) {
+      return milestone.fixedAmount;
+    }
+    if (index === lastPercentageIndex) {
+      return (balance - allocated) / 100;
+    }
+    const amount = Math.round((balance * milestone.percentage) / 100);
+    allocated += amount;
+    return amount / 100;
+  });
+};
+
+// Method: Blueprint version by number
+projectSchema.methods.getBlueprintVersion = function (version) {
+  return this.blueprint.versions.find((v) => v.version === Number(version)) || null;
+};
+
+// Method: Costing version by number
+projectSchema.methods.getCostingVersion = function (version) {
+  return this.costing.versions.find((v) => v.version === Number(version)) || null;
+};
+
+// Method: Costing version the customer approved
+projectSchema.methods.getApprovedCosting = function () {
+  const version = this.customerApproval?.approvedVersion?.costing;
+  return version ? this.getCostingVersion(version) : null;
+};
+
+// Pre-save: Calculate payment milestone amounts
 projectSchema.pre('save', function (next) {
   if (this.costing?.approvedAmount) {
-    const total = this.costing.approvedAmount;
-    this.paymentStages.initial.amount = Math.round((total * this.paymentStages.initial.percentage) / 100);
-    this.paymentStages.midpoint.amount = Math.round((total * this.paymentStages.midpoint.percentage) / 100);
-    this.paymentStages.final.amount = total - this.paymentStages.initial.amount - this.paymentStages.midpoint.amount;
+    const amounts = this.constructor.allocatePaymentPlan(
+      this.paymentPlan.milestones,
+      this.costing.approvedAmount
+    );
+    this.paymentPlan.milestones.forEach((milestone, index) => {
+      milestone.amount = amounts[index];
+    });
   }
   next();
 });
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { PURCHASE_ORDER_STATUSES } = require('../config/vocabulary');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    // e.g. RMV-PO-2025-0001
+    poNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required'],
+    },
+    // Deliveries are received into this warehouse
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: [true, 'Warehouse is required'],
+    },
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: 'draft',
+    },
+    lines: [{
+      material: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true,
+      },
+      description: String,
+      // In the material's unit
+      quantity: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      unitPrice: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      // quantity × unitPrice
+      total: Number,
+      // Delivered so far
+      received: {
+        type: Number,
+        default: 0,
+      },
+      // Project whose shortage the line covers
+      project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+      },
+    }],
+    // Sum of the line totals
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    expectedDate: Date,
+    orderedAt: Date,
+    orderedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Goods received against the order
+    deliveries: [{
+      // Supplier's delivery receipt number
+      reference: String,
+      receivedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      lines: [{
+        line: mongoose.Schema.Types.ObjectId,
+        material: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Material',
+        },
+        quantity: Number,
+      }],
+      notes: String,
+    }],
+    cancelledAt: Date,
+    cancelReason: String,
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'lines.material': 1, status: 1 });
+purchaseOrderSchema.index({ 'lines.project': 1 });
+
+// Static: Format a purchase order number
+purchaseOrderSchema.statics.formatPoNumber = function (year, seq) {
+  return `RMV-PO-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+// Method: Quantity of a line still to be delivered
+purchaseOrderSchema.methods.getOutstanding = function (line) {
+  return Math.max(0, line.quantity - (line.received || 0));
+};
+
+// Method: Status from what has been delivered so far
+purchaseOrderSchema.methods.refreshReceiptStatus = function () {
+  const received = this.lines.some((line) => line.received > 0);
+  const complete = this.lines.every((line) => this.getOutstanding(line) === 0);
+  if (complete) {
+    this.status = 'received';
+  } else if (received) {
+    this.status = 'partially_received';
+  }
+  return this.status;
+};
+
+// Pre-validate: Generate the PO number from the yearly counter
+purchaseOrderSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.poNumber) {
+    const year = new Date().getFullYear();
+    const seq = await mongoose.model('Counter').next(`purchase_order:${year}`, { session: this.$session() });
+    this.poNumber = this.constructor.formatPoNumber(year, seq);
+  }
+  next();
+});
+
+// Pre-save: Line and order totals
+purchaseOrderSchema.pre('save', function (next) {
+  this.lines.forEach((line) => {
+    line.total = round2(line.quantity * line.unitPrice);
+  });
+  this.totalAmount = round2(this.lines.reduce((sum, line) => sum + line.total, 0));
+  next();
+});
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
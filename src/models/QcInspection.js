@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const {
+  QC_CHECK_AREAS,
+  QC_INSPECTION_STATUSES,
+  QC_ITEM_RESULTS,
+} = require('../config/vocabulary');
+
+const qcInspectionSchema = new mongoose.Schema(
+  {
+    // e.g. RMV-2025-0001-QC1
+    inspectionNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    // Checklist template the items were copied from (config.business.qcChecklists)
+    checklist: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: QC_INSPECTION_STATUSES,
+      default: 'in_progress',
+    },
+    items: [{
+      key: {
+        type: String,
+        required: true,
+      },
+      area: {
+        type: String,
+        enum: QC_CHECK_AREAS,
+        required: true,
+      },
+      label: {
+        type: String,
+        required: true,
+      },
+      // Tolerance or limit the item is checked against (e.g. ±3 mm)
+      requirement: String,
+      result: {
+        type: String,
+        enum: QC_ITEM_RESULTS,
+        default: 'pending',
+      },
+      // Measured value for dimension checks
+      measurement: String,
+      remarks: String,
+      photos: [{
+        filename: String,
+        originalName: String,
+        path: String,
+        caption: String,
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      }],
+      checkedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      checkedAt: Date,
+    }],
+    inspector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    completedAt: Date,
+    notes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+qcInspectionSchema.index({ project: 1, createdAt: -1 });
+qcInspectionSchema.index({ status: 1 });
+
+// Method: Items still to be checked
+qcInspectionSchema.methods.getPendingItems = function () {
+  return this.items.filter((item) => item.result === 'pending');
+};
+
+// Method: Items that failed
+qcInspectionSchema.methods.getFailedItems = function () {
+  return this.items.filter((item) => item.result === 'fail');
+};
+
+// Static: Latest inspection of a project
+qcInspectionSchema.statics.findLatest = function (projectId, session = null) {
+  return this.findOne({ project: projectId }).sort({ createdAt: -1 }).session(session);
+};
+
+// Pre-validate: Number the inspection after its project
+qcInspectionSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.inspectionNumber) {
+    const project = await mongoose.model('Project')
+      .findById(this.project)
+      .select('projectNumber')
+      .session(this.$session());
+    if (project) {
+      const seq = await mongoose.model('Counter').next(`qc_inspection:${project.projectNumber}`, {
+        session: this.$session(),
+      });
+      this.inspectionNumber = `${project.projectNumber}-QC${seq}`;
+    }
+  }
+  next();
+});
+
+const QcInspection = mongoose.model('QcInspection', qcInspectionSchema);
+
+module.exports = QcInspection;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const statementLineSchema = new mongoose.Schema(
+  {
+    // Row number in the CSV (header is row 1)
+    row: Number,
+    date: Date,
+    reference: String,
+    amount: Number,
+    description: String,
+    // Matching outcome
+    status: {
+      type: String,
+      enum: [
+        'proposed',   // A submitted transaction matches; waiting for the cashier
+        'unmatched',  // Nothing on our side matches
+        'confirmed',  // Cashier verified the matched transaction
+      ],
+      default: 'unmatched',
+    },
+    // Proposed match
+    match: {
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+      },
+      transaction: mongoose.Schema.Types.ObjectId,
+      // Criteria that agreed: reference, amount, date
+      reasons: [String],
+      score: Number,
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    confirmedAt: Date,
+    // Why a confirmation attempt failed
+    error: String,
+  }
+);
+
+const reconciliationBatchSchema = new mongoose.Schema(
+  {
+    // Statement format key from config.reconciliation.banks
+    bank: {
+      type: String,
+      required: [true, 'Bank is required'],
+    },
+    // Uploaded CSV
+    statement: {
+      filename: String,
+      originalName: String,
+      path: String,
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Incoming credits from the statement
+    lines: [statementLineSchema],
+    // Rows skipped as debits, blanks or unreadable
+    skippedRows: [{
+      row: Number,
+      reason: String,
+    }],
+    // Submitted transactions no statement line matched at import time
+    unmatchedTransactions: [{
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+      },
+      transaction: mongoose.Schema.Types.ObjectId,
+      amount: Number,
+      referenceNumber: String,
+      submittedAt: Date,
+    }],
+    // Date range covered by the statement lines
+    periodStart: Date,
+    periodEnd: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+reconciliationBatchSchema.index({ createdAt: -1 });
+reconciliationBatchSchema.index({ 'lines.match.transaction': 1 });
+
+// Virtual for line counts by status
+reconciliationBatchSchema.virtual('summary').get(function () {
+  const lines = this.lines || [];
+  const count = (status) => lines.filter((line) => line.status === status).length;
+  return {
+    lines: lines.length,
+    proposed: count('proposed'),
+    unmatched: count('unmatched'),
+    confirmed: count('confirmed'),
+    skipped: (this.skippedRows || []).length,
+    unmatchedTransactions: (this.unmatchedTransactions || []).length,
+  };
+});
+
+const ReconciliationBatch = mongoose.model('ReconciliationBatch', reconciliationBatchSchema);
+
+module.exports = ReconciliationBatch;
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema(
+  {
+    // Associated project
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    // Payment the money is returned from
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: [true, 'Payment is required'],
+    },
+    // Customer (denormalized for easier queries)
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer is required'],
+    },
+    // Refund origin
+    kind: {
+      type: String,
+      enum: [
+        'refund',       // Ad-hoc refund (e.g. overpayment)
+        'cancellation', // Settlement of a cancelled project
+      ],
+      default: 'refund',
+    },
+    // Amount returned to the customer
+    amount: {
+      type: Number,
+      required: [true, 'Refund amount is required'],
+      min: [0.01, 'Refund amount must be positive'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Refund reason is required'],
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // Refund status
+    status: {
+      type: String,
+      enum: [
+        'pending_approval', // Requested by cashier
+        'approved',         // Approved by admin, credit note issued
+        'rejected',         // Declined by admin
+        'processed',        // Money returned to the customer
+      ],
+      default: 'pending_approval',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Approval details
+    approval: {
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      approvedAt: Date,
+      notes: String,
+    },
+    // Rejection details
+    rejection: {
+      rejectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      rejectedAt: Date,
+      reason: String,
+    },
+    // Payout details
+    processing: {
+      processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      processedAt: Date,
+      method: {
+        type: String,
+        enum: ['gcash', 'bank_transfer', 'cash', 'other'],
+      },
+      referenceNumber: String,
+      notes: String,
+    },
+    // Credit note (issued on approval)
+    creditNote: {
+      creditNoteNumber: String,
+      issuedAt: Date,
+      filename: String,
+      path: String,
+    },
+    // Status history
+    statusHistory: [{
+      status: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      notes: String,
+    }],
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+refundSchema.index({ 'creditNote.creditNoteNumber': 1 }, { unique: true, sparse: true });
+refundSchema.index({ project: 1 });
+refundSchema.index({ payment: 1, status: 1 });
+refundSchema.index({ customer: 1 });
+refundSchema.index({ status: 1 });
+
+// Static: Format a credit note number (sequence runs per year)
+refundSchema.statics.formatCreditNoteNumber = function (year, month, seq) {
+  return `RMV-CN-${year}${String(month).padStart(2, '0')}-${String(seq).padStart(4, '0')}`;
+};
+
+// Static: Generate credit note number from the yearly counter
+refundSchema.statics.generateCreditNoteNumber = async function (options = {}) {
+  const now = new Date();
+  const year = now.getFullYear();
+  const seq = await mongoose.model('Counter').next(`credit_note:${year}`, options);
+  return this.formatCreditNoteNumber(year, now.getMonth() + 1, seq);
+};
+
+// Soft delete middleware
+refundSchema.pre(/^find/, function (next) {
+  if (this.getOptions().includeDeleted !== true) {
+    this.where({ isDeleted: { $ne: true } });
+  }
+  next();
+});
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
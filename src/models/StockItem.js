@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const stockItemSchema = new mongoose.Schema(
+  {
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Material',
+      required: [true, 'Material is required'],
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: [true, 'Warehouse is required'],
+    },
+    // Physically in the warehouse, in the material's unit
+    onHand: {
+      type: Number,
+      default: 0,
+    },
+    // Set aside for projects in fabrication, not yet issued
+    reserved: {
+      type: Number,
+      default: 0,
+    },
+    // Admins are alerted when available stock falls to this level (0 = never)
+    reorderLevel: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Moving average cost per unit, updated by priced receipts
+    averageCost: {
+      type: Number,
+      default: 0,
+    },
+    // Rack or bin location
+    location: String,
+    // Set when a low-stock alert went out; cleared once stock recovers
+    lowStockAlertedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+stockItemSchema.index({ material: 1, warehouse: 1 }, { unique: true });
+stockItemSchema.index({ warehouse: 1 });
+
+// Virtual: Stock free to reserve (negative when reservations exceed stock)
+stockItemSchema.virtual('available').get(function () {
+  return (this.onHand || 0) - (this.reserved || 0);
+});
+
+// Virtual: At or below the reorder level
+stockItemSchema.virtual('isLowStock').get(function () {
+  return this.reorderLevel > 0 && this.available <= this.reorderLevel;
+});
+
+const StockItem = mongoose.model('StockItem', stockItemSchema);
+
+module.exports = StockItem;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { STOCK_MOVEMENT_TYPES } = require('../config/vocabulary');
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: STOCK_MOVEMENT_TYPES,
+      required: [true, 'Movement type is required'],
+    },
+    stockItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockItem',
+      required: true,
+    },
+    // Denormalized for reporting
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Material',
+      required: true,
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: true,
+    },
+    // Project the stock was reserved for, issued to or returned from
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockReservation',
+    },
+    // Positive, except adjustments which carry their sign
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+    },
+    // Cost per unit: the purchase price for receipts, the stock item's
+    // average cost for everything else
+    unitCost: Number,
+    // Purchase order a receipt was delivered against
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+    },
+    // Stock levels after the movement
+    onHandAfter: Number,
+    reservedAfter: Number,
+    // Delivery receipt, issue slip, count sheet...
+    reference: String,
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+stockMovementSchema.index({ stockItem: 1, createdAt: -1 });
+stockMovementSchema.index({ project: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Material',
+      required: [true, 'Material is required'],
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: [true, 'Warehouse is required'],
+    },
+    stockItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockItem',
+      required: true,
+    },
+    // Blueprint version whose BOM was reserved
+    blueprintVersion: Number,
+    // Quantity set aside, in the material's unit
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Quantity issued to the shop floor so far
+    issued: {
+      type: Number,
+      default: 0,
+    },
+    // Quantity not covered by stock when it was reserved
+    shortage: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: [
+        'active',     // Holding stock
+        'fulfilled',  // Fully issued
+        'released',   // Given back (cancelled project or re-reserved)
+      ],
+      default: 'active',
+    },
+    releasedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+stockReservationSchema.index({ project: 1, status: 1 });
+stockReservationSchema.index({ stockItem: 1, status: 1 });
+
+// Virtual: Reserved quantity not yet issued
+stockReservationSchema.virtual('outstanding').get(function () {
+  return Math.max(0, this.quantity - this.issued);
+});
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+module.exports = StockReservation;
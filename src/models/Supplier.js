@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema(
+  {
+    // Short code used on purchase orders (e.g. SSMETAL)
+    code: {
+      type: String,
+      required: [true, 'Supplier code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Supplier name is required'],
+      trim: true,
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+    contactPerson: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    phone: String,
+    address: String,
+    // Tax identification number (printed on withholding certificates)
+    tin: String,
+    // Invoice due date = invoice date + terms
+    paymentTermsDays: {
+      type: Number,
+      default: 30,
+      min: 0,
+    },
+    // Catalog materials the supplier quotes; the cheapest supplier is
+    // suggested for shortages
+    materials: [{
+      material: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true,
+      },
+      // Supplier's own item code
+      supplierSku: String,
+      // Last quoted price per catalog unit
+      unitPrice: {
+        type: Number,
+        min: 0,
+      },
+      leadTimeDays: {
+        type: Number,
+        min: 0,
+      },
+    }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+supplierSchema.index({ 'materials.material': 1 });
+supplierSchema.index({ isActive: 1, name: 1 });
+
+// Method: Quote for a catalog material, or null
+supplierSchema.methods.getMaterialQuote = function (materialId) {
+  return this.materials.find((m) => String(m.material?._id || m.material) === String(materialId)) || null;
+};
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { SUPPLIER_INVOICE_STATUSES } = require('../config/vocabulary');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const supplierInvoiceSchema = new mongoose.Schema(
+  {
+    // Supplier's own invoice number
+    invoiceNumber: {
+      type: String,
+      required: [true, 'Invoice number is required'],
+      trim: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+      required: true,
+    },
+    invoiceDate: {
+      type: Date,
+      required: [true, 'Invoice date is required'],
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: 0,
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: SUPPLIER_INVOICE_STATUSES,
+      default: 'unpaid',
+    },
+    // Payments made to the supplier
+    payments: [{
+      amount: {
+        type: Number,
+        required: true,
+      },
+      paidAt: {
+        type: Date,
+        default: Date.now,
+      },
+      method: {
+        type: String,
+        enum: ['bank_transfer', 'check', 'cash', 'gcash', 'other'],
+      },
+      referenceNumber: String,
+      notes: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    }],
+    voidedAt: Date,
+    voidReason: String,
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+supplierInvoiceSchema.index({ supplier: 1, invoiceNumber: 1 }, { unique: true });
+supplierInvoiceSchema.index({ purchaseOrder: 1 });
+supplierInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Virtual: Still owed to the supplier
+supplierInvoiceSchema.virtual('balance').get(function () {
+  return this.status === 'void' ? 0 : round2(this.amount - (this.amountPaid || 0));
+});
+
+// Virtual: Past due and not fully paid
+supplierInvoiceSchema.virtual('isOverdue').get(function () {
+  return ['unpaid', 'partially_paid'].includes(this.status) && this.dueDate < new Date();
+});
+
+// Static: Filter for invoices still owed
+supplierInvoiceSchema.statics.payableQuery = function () {
+  return { status: { $in: ['unpaid', 'partially_paid'] } };
+};
+
+// Method: Record a payment and update the status
+supplierInvoiceSchema.methods.addPayment = function (payment) {
+  this.payments.push(payment);
+  this.amountPaid = round2(this.payments.reduce((sum, p) => sum + p.amount, 0));
+  this.status = this.amountPaid >= this.amount ? 'paid' : 'partially_paid';
+  return this;
+};
+
+const SupplierInvoice = mongoose.model('SupplierInvoice', supplierInvoiceSchema);
+
+module.exports = SupplierInvoice;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const config = require('../config');
+const { FABRICATION_TASK_TYPES } = require('../config/vocabulary');
 
 const userSchema = new mongoose.Schema(
   {
@@ -51,6 +52,20 @@ const userSchema = new mongoose.Schema(
       },
       avatar: String,
     },
+    // Shop capacity (fabrication staff)
+    capacity: {
+      // Defaults to config.business.scheduling.hoursPerDay
+      hoursPerDay: {
+        type: Number,
+        min: 0,
+        max: 24,
+      },
+      // Task types the staff member is scheduled for; empty = all
+      skills: [{
+        type: String,
+        enum: FABRICATION_TASK_TYPES,
+      }],
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const warehouseSchema = new mongoose.Schema(
+  {
+    // Short code used on stock documents (e.g. MAIN, ANNEX)
+    code: {
+      type: String,
+      required: [true, 'Warehouse code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Warehouse name is required'],
+      trim: true,
+    },
+    address: String,
+    // Project reservations are taken from the default warehouse
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Warehouse = mongoose.model('Warehouse', warehouseSchema);
+
+module.exports = Warehouse;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { MATERIAL_GRADES } = require('../config/vocabulary');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const warrantySchema = new mongoose.Schema(
+  {
+    // e.g. RMV-2025-0001-WTY
+    warrantyNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // One warranty per completed project
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+      unique: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer is required'],
+    },
+    // Copied from the project; they set the coverage period
+    category: {
+      type: String,
+      enum: config.business.projectCategories,
+    },
+    materialGrade: {
+      type: String,
+      enum: MATERIAL_GRADES,
+    },
+    coverageMonths: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Voided coverage (e.g. the piece was modified by others)
+    voidedAt: Date,
+    voidReason: String,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+warrantySchema.index({ customer: 1 });
+warrantySchema.index({ expiresAt: 1 });
+
+// Virtual: active, expired or void
+warrantySchema.virtual('status').get(function () {
+  if (this.voidedAt) return 'void';
+  return this.expiresAt > new Date() ? 'active' : 'expired';
+});
+
+// Virtual: Whole days of coverage left
+warrantySchema.virtual('daysRemaining').get(function () {
+  if (this.voidedAt) return 0;
+  return Math.max(0, Math.ceil((this.expiresAt - new Date()) / DAY_MS));
+});
+
+// Method: Whether a date falls within the coverage
+warrantySchema.methods.covers = function (date = new Date()) {
+  return !this.voidedAt && date >= this.startsAt && date <= this.expiresAt;
+};
+
+// Static: Months of coverage for a category and material grade
+warrantySchema.statics.getCoverageMonths = function (category, materialGrade) {
+  const { categoryMonths, gradeMonths } = config.business.warranty;
+  return (categoryMonths[category] ?? categoryMonths.default) + (gradeMonths[materialGrade] || 0);
+};
+
+const Warranty = mongoose.model('Warranty', warrantySchema);
+
+module.exports = Warranty;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { WARRANTY_CLAIM_TYPES, WARRANTY_CLAIM_STATUSES } = require('../config/vocabulary');
+
+const warrantyClaimSchema = new mongoose.Schema(
+  {
+    // e.g. RMV-WC-2025-0001
+    claimNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    warranty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warranty',
+      required: [true, 'Warranty is required'],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer is required'],
+    },
+    // Service claims are outside coverage and chargeable
+    type: {
+      type: String,
+      enum: WARRANTY_CLAIM_TYPES,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    photos: [{
+      filename: String,
+      originalName: String,
+      path: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    status: {
+      type: String,
+      enum: WARRANTY_CLAIM_STATUSES,
+      default: 'submitted',
+    },
+    // Staff triage
+    review: {
+      // Repaired at no charge under the warranty
+      covered: Boolean,
+      notes: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: Date,
+    },
+    // Repair visits (appointments of type repair_visit)
+    visits: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+    }],
+    resolution: {
+      notes: String,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      resolvedAt: Date,
+    },
+    statusHistory: [{
+      status: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      notes: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+warrantyClaimSchema.index({ customer: 1, createdAt: -1 });
+warrantyClaimSchema.index({ project: 1 });
+warrantyClaimSchema.index({ status: 1 });
+
+// Method: Change status and record it in the history
+warrantyClaimSchema.methods.setStatus = function (status, changedBy, notes) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, notes });
+};
+
+// Pre-validate: Claim number
+warrantyClaimSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.claimNumber) {
+    const year = new Date().getFullYear();
+    const seq = await mongoose.model('Counter').next(`warranty_claim:${year}`, { session: this.$session() });
+    this.claimNumber = `RMV-WC-${year}-${String(seq).padStart(4, '0')}`;
+  }
+  next();
+});
+
+const WarrantyClaim = mongoose.model('WarrantyClaim', warrantyClaimSchema);
+
+module.exports = WarrantyClaim;
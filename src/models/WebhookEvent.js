@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Gateway provider that sent the event
+    provider: {
+      type: String,
+      required: [true, 'Provider is required'],
+    },
+    // Provider's event id (used to ignore redeliveries)
+    eventId: {
+      type: String,
+      required: [true, 'Event id is required'],
+    },
+    // Normalized event type (payment.paid, payment.failed, checkout.expired)
+    type: String,
+    // Checkout session the event refers to
+    checkoutId: String,
+    // Payment the checkout belongs to
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    // Outcome of handling the event
+    status: {
+      type: String,
+      enum: [
+        'processed',  // Applied to the payment
+        'ignored',    // Unknown checkout or nothing to change
+      ],
+      default: 'processed',
+    },
+    // Why the event was ignored
+    notes: String,
+    // Raw event as received
+    payload: mongoose.Schema.Types.Mixed,
+    processedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ checkoutId: 1 });
+webhookEventSchema.index({ payment: 1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
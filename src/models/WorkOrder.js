@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const {
+  FABRICATION_TASK_TYPES,
+  FABRICATION_TASK_STATUSES,
+  WORK_ORDER_STATUSES,
+} = require('../config/vocabulary');
+
+const workOrderSchema = new mongoose.Schema(
+  {
+    // e.g. RMV-2025-0001-WO2
+    workOrderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+    },
+    // Part or assembly the order covers (e.g. "Main counter frame")
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    status: {
+      type: String,
+      enum: WORK_ORDER_STATUSES,
+      default: 'open',
+    },
+    // Done in sequence: a task starts once every earlier task is done or skipped
+    tasks: [{
+      type: {
+        type: String,
+        enum: FABRICATION_TASK_TYPES,
+        required: true,
+      },
+      sequence: {
+        type: Number,
+        required: true,
+      },
+      description: String,
+      // One of the project's fabrication staff
+      assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      // Progress is weighted by hours when every task has an estimate
+      estimatedHours: {
+        type: Number,
+        min: 0,
+      },
+      status: {
+        type: String,
+        enum: FABRICATION_TASK_STATUSES,
+        default: 'pending',
+      },
+      startedAt: Date,
+      startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      finishedAt: Date,
+      finishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      notes: String,
+      // Place on the shop schedule (schedulingService)
+      plan: {
+        start: Date,
+        end: Date,
+        staff: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        machine: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Machine',
+        },
+        // Hours booked per working day
+        days: [{
+          _id: false,
+          date: Date,
+          hours: Number,
+        }],
+        // Pinned tasks keep their start date when the shop is re-planned
+        pinned: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    }],
+    completedAt: Date,
+    cancelledAt: Date,
+    cancelReason: String,
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+workOrderSchema.index({ project: 1, status: 1 });
+workOrderSchema.index({ 'tasks.assignedTo': 1, status: 1 });
+workOrderSchema.index({ 'tasks.plan.days.date': 1 });
+
+// Method: Tasks that must be finished before the given one can start
+workOrderSchema.methods.getBlockingTasks = function (task) {
+  return this.tasks.filter((t) => t.sequence < task.sequence && !['done', 'skipped'].includes(t.status));
+};
+
+// Method: Status from the state of the tasks
+workOrderSchema.methods.refreshStatus = function () {
+  if (this.status === 'cancelled') {
+    return this.status;
+  }
+  if (this.tasks.every((t) => ['done', 'skipped'].includes(t.status))) {
+    this.status = 'completed';
+    this.completedAt = this.completedAt || new Date();
+  } else {
+    this.status = this.tasks.some((t) => t.status !== 'pending') ? 'in_progress' : 'open';
+    this.completedAt = undefined;
+  }
+  return this.status;
+};
+
+// Pre-validate: Number the order after its project
+workOrderSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.workOrderNumber) {
+    const project = await mongoose.model('Project')
+      .findById(this.project)
+      .select('projectNumber')
+      .session(this.$session());
+    if (project) {
+      const seq = await mongoose.model('Counter').next(`work_order:${project.projectNumber}`, {
+        session: this.$session(),
+      });
+      this.workOrderNumber = `${project.projectNumber}-WO${seq}`;
+    }
+  }
+  next();
+});
+
+const WorkOrder = mongoose.model('WorkOrder', workOrderSchema);
+
+module.exports = WorkOrder;
@@ -4,6 +4,26 @@ const Appointment = require('./Appointment');
 const Project = require('./Project');
 const Payment = require('./Payment');
 const ActivityLog = require('./ActivityLog');
+const Counter = require('./Counter');
+const Refund = require('./Refund');
+const WebhookEvent = require('./WebhookEvent');
+const ReconciliationBatch = require('./ReconciliationBatch');
+const CashierSession = require('./CashierSession');
+const Material = require('./Material');
+const Warehouse = require('./Warehouse');
+const StockItem = require('./StockItem');
+const StockMovement = require('./StockMovement');
+const StockReservation = require('./StockReservation');
+const Supplier = require('./Supplier');
+const PurchaseOrder = require('./PurchaseOrder');
+const SupplierInvoice = require('./SupplierInvoice');
+const WorkOrder = require('./WorkOrder');
+const Machine = require('./Machine');
+const QcInspection = require('./QcInspection');
+const Delivery = require('./Delivery');
+const Warranty = require('./Warranty');
+const WarrantyClaim = require('./WarrantyClaim');
+const ChangeOrder = require('./ChangeOrder');
 
 module.exports = {
   User,
@@ -12,4 +32,24 @@ module.exports = {
   Project,
   Payment,
   ActivityLog,
+  Counter,
+  Refund,
+  WebhookEvent,
+  ReconciliationBatch,
+  CashierSession,
+  Material,
+  Warehouse,
+  StockItem,
+  StockMovement,
+  StockReservation,
+  Supplier,
+  PurchaseOrder,
+  SupplierInvoice,
+  WorkOrder,
+  Machine,
+  QcInspection,
+  Delivery,
+  Warranty,
+  WarrantyClaim,
+  ChangeOrder,
 };
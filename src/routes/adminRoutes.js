@@ -16,14 +16,30 @@ router.get('/activity-logs', adminController.getActivityLogs);
 // Reports
 router.get('/reports', adminController.getReports);
 
+// Cashier Z-report (?format=pdf to print)
+router.get(
+  '/reports/z-report',
+  validate(schemas.zReportQuery, 'query'),
+  adminController.getZReport
+);
+
 // All projects overview
 router.get('/projects', adminController.getAllProjects);
 
-// Update payment stages for a project
+// Update payment plan for a project
+router.put(
+  '/projects/:id/payment-plan',
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updatePaymentPlan),
+  adminController.updatePaymentPlan
+);
+
+// Legacy three-stage percentages
 router.put(
   '/projects/:id/payment-stages',
   validate(schemas.mongoId, 'params'),
-  adminController.updatePaymentStages
+  validate(schemas.updatePaymentPlan),
+  adminController.updatePaymentPlan
 );
 
 module.exports = router;
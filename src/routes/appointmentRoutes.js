@@ -52,10 +52,10 @@ router.put(
   appointmentController.cancelAppointment
 );
 
-// Complete appointment (sales staff)
+// Complete appointment (sales staff, or the technician on a repair visit)
 router.put(
   '/:id/complete',
-  authorize(ROLES.SALES_STAFF),
+  authorize(ROLES.SALES_STAFF, ROLES.FABRICATION_STAFF),
   validate(schemas.mongoId, 'params'),
   appointmentController.completeAppointment
 );
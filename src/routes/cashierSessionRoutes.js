@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { cashierSessionController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Sessions (cashier: own, admin: all)
+router.get(
+  '/',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  cashierSessionController.getSessions
+);
+
+// Open a session (cashier)
+router.post(
+  '/',
+  authorize(ROLES.CASHIER),
+  validate(schemas.openCashierSession),
+  cashierSessionController.openSession
+);
+
+// Current open session (cashier)
+router.get(
+  '/current',
+  authorize(ROLES.CASHIER),
+  cashierSessionController.getCurrentSession
+);
+
+// Get single session
+router.get(
+  '/:id',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  cashierSessionController.getSession
+);
+
+// Close a session with the counted cash (cashier/admin)
+router.put(
+  '/:id/close',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.closeCashierSession),
+  cashierSessionController.closeSession
+);
+
+module.exports = router;
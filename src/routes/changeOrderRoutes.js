@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { changeOrderController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Change orders (customers see their own)
+router.get(
+  '/',
+  validate(schemas.changeOrdersQuery, 'query'),
+  changeOrderController.getChangeOrders
+);
+
+// Propose a change to an approved project
+router.post(
+  '/',
+  authorize(ROLES.SALES_STAFF, ROLES.ENGINEER, ROLES.ADMIN),
+  validate(schemas.createChangeOrder),
+  changeOrderController.createChangeOrder
+);
+
+// Change order details with its history
+router.get(
+  '/:id',
+  validate(schemas.mongoId, 'params'),
+  changeOrderController.getChangeOrder
+);
+
+// Customer approves a change order
+router.put(
+  '/:id/approve',
+  authorize(ROLES.CUSTOMER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.approveChangeOrder),
+  changeOrderController.approveChangeOrder
+);
+
+// Customer declines a change order
+router.put(
+  '/:id/decline',
+  authorize(ROLES.CUSTOMER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.changeOrderReason),
+  changeOrderController.declineChangeOrder
+);
+
+// Withdraw a change order before the customer decides
+router.put(
+  '/:id/withdraw',
+  authorize(ROLES.SALES_STAFF, ROLES.ENGINEER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.changeOrderReason),
+  changeOrderController.withdrawChangeOrder
+);
+
+module.exports = router;
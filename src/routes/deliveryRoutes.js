@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { deliveryController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Pickup and delivery schedule
+router.get(
+  '/',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.CASHIER),
+  validate(schemas.deliveriesQuery, 'query'),
+  deliveryController.getDeliveries
+);
+
+// Schedule a pickup or delivery
+router.post(
+  '/',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.createDelivery),
+  deliveryController.createDelivery
+);
+
+// Pickup or delivery details (customers see their own)
+router.get(
+  '/:id',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.CASHIER, ROLES.CUSTOMER),
+  validate(schemas.mongoId, 'params'),
+  deliveryController.getDelivery
+);
+
+// Reschedule or change vehicle, driver or items
+router.put(
+  '/:id',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateDelivery),
+  deliveryController.updateDelivery
+);
+
+// Cancel a scheduled pickup or delivery
+router.put(
+  '/:id/cancel',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.cancelDelivery),
+  deliveryController.cancelDelivery
+);
+
+// Release to the receiver with their signature
+router.put(
+  '/:id/release',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.CASHIER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.releaseDelivery),
+  deliveryController.releaseDelivery
+);
+
+// Gate pass / delivery receipt PDF
+router.get(
+  '/:id/gate-pass',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.CASHIER, ROLES.CUSTOMER),
+  validate(schemas.mongoId, 'params'),
+  deliveryController.getGatePass
+);
+
+module.exports = router;
@@ -4,6 +4,17 @@ const appointmentRoutes = require('./appointmentRoutes');
 const projectRoutes = require('./projectRoutes');
 const paymentRoutes = require('./paymentRoutes');
 const adminRoutes = require('./adminRoutes');
+const refundRoutes = require('./refundRoutes');
+const cashierSessionRoutes = require('./cashierSessionRoutes');
+const materialRoutes = require('./materialRoutes');
+const inventoryRoutes = require('./inventoryRoutes');
+const purchasingRoutes = require('./purchasingRoutes');
+const workOrderRoutes = require('./workOrderRoutes');
+const schedulingRoutes = require('./schedulingRoutes');
+const qcRoutes = require('./qcRoutes');
+const deliveryRoutes = require('./deliveryRoutes');
+const warrantyRoutes = require('./warrantyRoutes');
+const changeOrderRoutes = require('./changeOrderRoutes');
 
 module.exports = {
   authRoutes,
@@ -12,4 +23,15 @@ module.exports = {
   projectRoutes,
   paymentRoutes,
   adminRoutes,
+  refundRoutes,
+  cashierSessionRoutes,
+  materialRoutes,
+  inventoryRoutes,
+  purchasingRoutes,
+  workOrderRoutes,
+  schedulingRoutes,
+  qcRoutes,
+  deliveryRoutes,
+  warrantyRoutes,
+  changeOrderRoutes,
 };
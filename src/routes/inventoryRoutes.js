@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { inventoryController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Warehouses (admin/fabrication/engineer)
+router.get(
+  '/warehouses',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.ENGINEER),
+  inventoryController.getWarehouses
+);
+
+// Create warehouse (admin)
+router.post(
+  '/warehouses',
+  authorize(ROLES.ADMIN),
+  validate(schemas.createWarehouse),
+  inventoryController.createWarehouse
+);
+
+// Update warehouse (admin)
+router.put(
+  '/warehouses/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateWarehouse),
+  inventoryController.updateWarehouse
+);
+
+// Stock levels (?lowStock=true for items at their reorder level)
+router.get(
+  '/stock',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.ENGINEER),
+  inventoryController.getStock
+);
+
+// Single stock item with reservations and movements
+router.get(
+  '/stock/:id',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.ENGINEER),
+  validate(schemas.mongoId, 'params'),
+  inventoryController.getStockItem
+);
+
+// Set reorder level or location (admin)
+router.put(
+  '/stock/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateStockItem),
+  inventoryController.updateStockItem
+);
+
+// Stock movements
+router.get(
+  '/movements',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.ENGINEER),
+  inventoryController.getMovements
+);
+
+// Receive, issue, return or adjust stock (admin; fabrication staff issue/return)
+router.post(
+  '/movements',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.recordStockMovement),
+  inventoryController.recordMovement
+);
+
+// Project material reservations
+router.get(
+  '/reservations/project/:projectId',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF, ROLES.ENGINEER),
+  validate(schemas.projectIdParam, 'params'),
+  inventoryController.getProjectReservations
+);
+
+// Reserve a project's BOM materials (admin)
+router.post(
+  '/reservations/project/:projectId',
+  authorize(ROLES.ADMIN),
+  validate(schemas.projectIdParam, 'params'),
+  validate(schemas.reserveProjectMaterials),
+  inventoryController.reserveProjectMaterials
+);
+
+// Release a project's reservations (admin)
+router.put(
+  '/reservations/project/:projectId/release',
+  authorize(ROLES.ADMIN),
+  validate(schemas.projectIdParam, 'params'),
+  validate(schemas.releaseProjectMaterials),
+  inventoryController.releaseProjectMaterials
+);
+
+module.exports = router;
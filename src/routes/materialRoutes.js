@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { materialController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Materials catalog (engineer/sales/admin)
+router.get(
+  '/',
+  authorize(ROLES.ENGINEER, ROLES.SALES_STAFF, ROLES.ADMIN),
+  materialController.getMaterials
+);
+
+// Add a material (admin)
+router.post(
+  '/',
+  authorize(ROLES.ADMIN),
+  validate(schemas.createMaterial),
+  materialController.createMaterial
+);
+
+// Get single material with price history
+router.get(
+  '/:id',
+  authorize(ROLES.ENGINEER, ROLES.SALES_STAFF, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  materialController.getMaterial
+);
+
+// Update material details (admin)
+router.put(
+  '/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateMaterial),
+  materialController.updateMaterial
+);
+
+// Change material price (admin)
+router.put(
+  '/:id/price',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateMaterialPrice),
+  materialController.updateMaterialPrice
+);
+
+// Deactivate material (admin)
+router.delete(
+  '/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  materialController.deactivateMaterial
+);
+
+module.exports = router;
@@ -10,9 +10,21 @@ const {
   ROLES 
 } = require('../middleware');
 
-// All routes require authentication
+// Payment gateway webhooks (authenticated by signature)
+router.post('/webhooks/:provider', paymentController.handleGatewayWebhook);
+
+// All other routes require authentication
 router.use(authenticate);
 
+// Simulate a mock gateway checkout outcome (development only)
+router.post(
+  '/gateway/mock/:checkoutId/simulate',
+  authorize(ROLES.CUSTOMER, ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.checkoutIdParam, 'params'),
+  validate(schemas.simulateCheckout),
+  paymentController.simulateMockCheckout
+);
+
 // Customer get their payments
 router.get(
   '/my-payments',
@@ -34,6 +46,46 @@ router.get(
   paymentController.getPaymentSummary
 );
 
+// Overdue aging report (cashier/admin)
+router.get(
+  '/aging',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  paymentController.getAgingReport
+);
+
+// Import bank statement CSV for reconciliation (cashier/admin)
+router.post(
+  '/reconciliation/import',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  upload.uploadStatement,
+  validate(schemas.importStatement),
+  paymentController.importStatement
+);
+
+// Statement imports (cashier/admin)
+router.get(
+  '/reconciliation',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  paymentController.getReconciliationBatches
+);
+
+// Statement import with matches and unmatched lines (cashier/admin)
+router.get(
+  '/reconciliation/:id',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  paymentController.getReconciliationBatch
+);
+
+// Verify proposed matches (cashier)
+router.post(
+  '/reconciliation/:id/confirm',
+  authorize(ROLES.CASHIER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.confirmReconciliation),
+  paymentController.confirmReconciliation
+);
+
 // All payments (admin/cashier)
 router.get(
   '/',
@@ -47,6 +99,14 @@ router.get('/project/:projectId', paymentController.getProjectPayments);
 // Get single payment
 router.get('/:id', validate(schemas.mongoId, 'params'), paymentController.getPayment);
 
+// Download official receipt (owner/cashier/admin)
+router.get(
+  '/:id/receipt',
+  authorize(ROLES.CUSTOMER, ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  paymentController.downloadReceipt
+);
+
 // Upload QR code (cashier)
 router.post(
   '/:id/qrcode',
@@ -66,6 +126,15 @@ router.post(
   paymentController.submitPaymentProof
 );
 
+// Start an online checkout (customer)
+router.post(
+  '/:id/checkout',
+  authorize(ROLES.CUSTOMER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.createCheckout),
+  paymentController.createCheckout
+);
+
 // Verify payment (cashier)
 router.put(
   '/:id/verify',
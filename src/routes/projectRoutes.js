@@ -30,6 +30,14 @@ router.get(
   projectController.getFabricationProjects
 );
 
+// Costing calculator preview (VAT, discounts, withholding tax)
+router.post(
+  '/costing/calculate',
+  authorize(ROLES.ENGINEER, ROLES.SALES_STAFF, ROLES.ADMIN),
+  validate(schemas.calculateCosting),
+  projectController.calculateCosting
+);
+
 // Create project (sales staff)
 router.post(
   '/',
@@ -75,15 +83,117 @@ router.post(
   projectController.uploadBlueprint
 );
 
+// Set blueprint version bill of materials (engineer)
+router.put(
+  '/:id/blueprint/:version/bom',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.blueprintVersionParams, 'params'),
+  validate(schemas.updateBlueprintBom),
+  projectController.updateBlueprintBom
+);
+
+// Blueprint version bill of materials with its cutting list
+router.get(
+  '/:id/blueprint/:version/bom',
+  authorize(ROLES.ENGINEER, ROLES.FABRICATION_STAFF, ROLES.ADMIN),
+  validate(schemas.blueprintVersionParams, 'params'),
+  projectController.getBlueprintBom
+);
+
 // Upload costing (engineer)
 router.post(
   '/:id/costing',
   authorize(ROLES.ENGINEER),
   validate(schemas.mongoId, 'params'),
   upload.uploadCosting,
+  validate(schemas.uploadCosting),
   projectController.uploadCosting
 );
 
+// Costing editor: start a draft (engineer)
+router.post(
+  '/:id/costing/versions',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.createCostingVersion),
+  projectController.createCostingVersion
+);
+
+// Estimate a costing from the materials catalog (engineer)
+router.post(
+  '/:id/costing/estimate',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.estimateCosting),
+  projectController.estimateCosting
+);
+
+// Costing editor: update a draft (engineer)
+router.put(
+  '/:id/costing/versions/:version',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.costingVersionParams, 'params'),
+  validate(schemas.updateCostingVersion),
+  projectController.updateCostingVersion
+);
+
+// Costing editor: discard a draft (engineer)
+router.delete(
+  '/:id/costing/versions/:version',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.costingVersionParams, 'params'),
+  projectController.deleteCostingDraft
+);
+
+// Costing editor: add a line (engineer)
+router.post(
+  '/:id/costing/versions/:version/lines',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.costingVersionParams, 'params'),
+  validate(schemas.costingLine),
+  projectController.addCostingLine
+);
+
+// Costing editor: update a line (engineer)
+router.put(
+  '/:id/costing/versions/:version/lines/:lineId',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.costingLineParams, 'params'),
+  validate(schemas.updateCostingLine),
+  projectController.updateCostingLine
+);
+
+// Costing editor: remove a line (engineer)
+router.delete(
+  '/:id/costing/versions/:version/lines/:lineId',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.costingLineParams, 'params'),
+  projectController.deleteCostingLine
+);
+
+// Finalize a costing draft and render its PDF (engineer)
+router.put(
+  '/:id/costing/versions/:version/finalize',
+  authorize(ROLES.ENGINEER),
+  validate(schemas.costingVersionParams, 'params'),
+  projectController.finalizeCosting
+);
+
+// Costing PDF of a version
+router.get(
+  '/:id/costing/versions/:version/pdf',
+  validate(schemas.costingVersionParams, 'params'),
+  projectController.downloadCostingPdf
+);
+
+// Compare costing versions
+router.get(
+  '/:id/costing/diff',
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.costingDiffQuery, 'query'),
+  projectController.getCostingDiff
+);
+
 // Submit for customer approval (engineer)
 router.put(
   '/:id/submit-for-approval',
@@ -108,6 +218,13 @@ router.put(
   projectController.requestRevision
 );
 
+// Get allowed status transitions for the current user
+router.get(
+  '/:id/transitions',
+  validate(schemas.mongoId, 'params'),
+  projectController.getProjectTransitions
+);
+
 // Update project status (staff)
 router.put(
   '/:id/status',
@@ -139,6 +256,15 @@ router.put(
   projectController.updateFabricationProgress
 );
 
+// Cutting list as JSON, CSV or PDF
+router.get(
+  '/:id/fabrication/cutting-list',
+  authorize(ROLES.FABRICATION_STAFF, ROLES.ENGINEER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.cuttingListQuery, 'query'),
+  projectController.downloadCuttingList
+);
+
 // Upload fabrication photo
 router.post(
   '/:id/fabrication/photo',
@@ -148,4 +274,48 @@ router.post(
   projectController.uploadFabricationPhoto
 );
 
+// Schedule installation and assign crew
+router.put(
+  '/:id/installation/schedule',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.scheduleInstallation),
+  projectController.scheduleInstallation
+);
+
+// Start installation
+router.put(
+  '/:id/installation/start',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  projectController.startInstallation
+);
+
+// Upload installation photo
+router.post(
+  '/:id/installation/photo',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  upload.uploadInstallationPhoto,
+  projectController.uploadInstallationPhoto
+);
+
+// Complete installation
+router.put(
+  '/:id/installation/complete',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.completeInstallation),
+  projectController.completeInstallation
+);
+
+// Customer sign-off on installation
+router.put(
+  '/:id/installation/sign-off',
+  authorize(ROLES.CUSTOMER, ROLES.FABRICATION_STAFF, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.installationSignOff),
+  projectController.signOffInstallation
+);
+
 module.exports = router;
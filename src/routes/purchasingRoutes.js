@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const { purchasingController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Suppliers (admin/fabrication)
+router.get(
+  '/suppliers',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  purchasingController.getSuppliers
+);
+
+// Create supplier (admin)
+router.post(
+  '/suppliers',
+  authorize(ROLES.ADMIN),
+  validate(schemas.createSupplier),
+  purchasingController.createSupplier
+);
+
+// Supplier with open orders and unpaid invoices
+router.get(
+  '/suppliers/:id',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  purchasingController.getSupplier
+);
+
+// Update supplier and its quoted materials (admin)
+router.put(
+  '/suppliers/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateSupplier),
+  purchasingController.updateSupplier
+);
+
+// Suggested purchases from reservation shortages (admin)
+router.get(
+  '/suggestions',
+  authorize(ROLES.ADMIN),
+  validate(schemas.purchaseSuggestionsQuery, 'query'),
+  purchasingController.getPurchaseSuggestions
+);
+
+// Purchase orders (admin/fabrication)
+router.get(
+  '/orders',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  purchasingController.getPurchaseOrders
+);
+
+// Create draft purchase order (admin)
+router.post(
+  '/orders',
+  authorize(ROLES.ADMIN),
+  validate(schemas.createPurchaseOrder),
+  purchasingController.createPurchaseOrder
+);
+
+// Purchase order with deliveries and invoices
+router.get(
+  '/orders/:id',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  purchasingController.getPurchaseOrder
+);
+
+// Edit draft purchase order (admin)
+router.put(
+  '/orders/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updatePurchaseOrder),
+  purchasingController.updatePurchaseOrder
+);
+
+// Place purchase order with the supplier (admin)
+router.put(
+  '/orders/:id/place',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.placePurchaseOrder),
+  purchasingController.placePurchaseOrder
+);
+
+// Cancel purchase order (admin)
+router.put(
+  '/orders/:id/cancel',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.cancelPurchaseOrder),
+  purchasingController.cancelPurchaseOrder
+);
+
+// Receive a delivery into inventory (admin/fabrication)
+router.post(
+  '/orders/:id/deliveries',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.receivePurchaseOrder),
+  purchasingController.receivePurchaseOrder
+);
+
+// Record supplier invoice (admin)
+router.post(
+  '/orders/:id/invoices',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.createSupplierInvoice),
+  purchasingController.createSupplierInvoice
+);
+
+// Payables (admin)
+router.get(
+  '/invoices',
+  authorize(ROLES.ADMIN),
+  validate(schemas.supplierInvoicesQuery, 'query'),
+  purchasingController.getSupplierInvoices
+);
+
+// Supplier invoice with payments (admin)
+router.get(
+  '/invoices/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  purchasingController.getSupplierInvoice
+);
+
+// Record payment to supplier (admin)
+router.post(
+  '/invoices/:id/payments',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.recordSupplierPayment),
+  purchasingController.recordSupplierPayment
+);
+
+// Void supplier invoice (admin)
+router.put(
+  '/invoices/:id/void',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.voidSupplierInvoice),
+  purchasingController.voidSupplierInvoice
+);
+
+module.exports = router;
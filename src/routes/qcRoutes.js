@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { qcController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  upload,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Checklist templates by project category
+router.get(
+  '/checklists',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  qcController.getChecklists
+);
+
+// Inspections of a project
+router.get(
+  '/projects/:projectId',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.projectIdParam, 'params'),
+  qcController.getProjectInspections
+);
+
+// Start an inspection
+router.post(
+  '/projects/:projectId',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.projectIdParam, 'params'),
+  validate(schemas.startQcInspection),
+  qcController.startInspection
+);
+
+// Inspection with its checklist
+router.get(
+  '/:id',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  qcController.getInspection
+);
+
+// Record an item's result
+router.put(
+  '/:id/items/:itemId',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.qcItemParams, 'params'),
+  validate(schemas.recordQcItem),
+  qcController.recordItem
+);
+
+// Upload photos of an item
+router.post(
+  '/:id/items/:itemId/photos',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.qcItemParams, 'params'),
+  upload.uploadQcPhotos,
+  qcController.uploadItemPhotos
+);
+
+// Complete the inspection
+router.put(
+  '/:id/complete',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.completeQcInspection),
+  qcController.completeInspection
+);
+
+module.exports = router;
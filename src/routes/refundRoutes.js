@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const { refundController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// All refunds (cashier/admin)
+router.get(
+  '/',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  refundController.getRefunds
+);
+
+// Request a refund (cashier)
+router.post(
+  '/',
+  authorize(ROLES.CASHIER),
+  validate(schemas.createRefund),
+  refundController.createRefund
+);
+
+// Cancellation settlement preview (cashier/admin)
+router.get(
+  '/settlement/:projectId',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.projectIdParam, 'params'),
+  refundController.getCancellationSettlement
+);
+
+// Settle a cancelled project (cashier)
+router.post(
+  '/settlement/:projectId',
+  authorize(ROLES.CASHIER),
+  validate(schemas.projectIdParam, 'params'),
+  validate(schemas.settleCancellation),
+  refundController.settleCancellation
+);
+
+// Refunds for a project (owner/cashier/admin)
+router.get(
+  '/project/:projectId',
+  authorize(ROLES.CUSTOMER, ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.projectIdParam, 'params'),
+  refundController.getProjectRefunds
+);
+
+// Get single refund
+router.get(
+  '/:id',
+  authorize(ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  refundController.getRefund
+);
+
+// Download credit note (owner/cashier/admin)
+router.get(
+  '/:id/credit-note',
+  authorize(ROLES.CUSTOMER, ROLES.CASHIER, ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  refundController.downloadCreditNote
+);
+
+// Approve refund (admin)
+router.put(
+  '/:id/approve',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.approveRefund),
+  refundController.approveRefund
+);
+
+// Reject refund (admin)
+router.put(
+  '/:id/reject',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.rejectRefund),
+  refundController.rejectRefund
+);
+
+// Mark refund as paid out (cashier)
+router.put(
+  '/:id/process',
+  authorize(ROLES.CASHIER),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.processRefund),
+  refundController.processRefund
+);
+
+module.exports = router;
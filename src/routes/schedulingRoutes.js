@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { schedulingController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Staff and machine capacity (admin)
+router.get(
+  '/capacity',
+  authorize(ROLES.ADMIN),
+  schedulingController.getCapacity
+);
+
+// Set a staff member's hours and skills (admin)
+router.put(
+  '/staff/:id/capacity',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateStaffCapacity),
+  schedulingController.updateStaffCapacity
+);
+
+// Add machine (admin)
+router.post(
+  '/machines',
+  authorize(ROLES.ADMIN),
+  validate(schemas.createMachine),
+  schedulingController.createMachine
+);
+
+// Update machine (admin)
+router.put(
+  '/machines/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateMachine),
+  schedulingController.updateMachine
+);
+
+// Plan or preview the shop schedule (admin)
+router.post(
+  '/plan',
+  authorize(ROLES.ADMIN),
+  validate(schemas.planSchedule),
+  schedulingController.planSchedule
+);
+
+// Scheduling board
+router.get(
+  '/board',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.scheduleBoardQuery, 'query'),
+  schedulingController.getBoard
+);
+
+// Set a project's promised completion date (admin)
+router.put(
+  '/projects/:id/target',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.setTargetCompletion),
+  schedulingController.setTargetCompletion
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { warrantyController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  upload,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Warranties (customers see their own)
+router.get(
+  '/',
+  validate(schemas.warrantiesQuery, 'query'),
+  warrantyController.getWarranties
+);
+
+// Look up coverage by warranty or project number
+router.get(
+  '/lookup',
+  authorize(ROLES.ADMIN, ROLES.APPOINTMENT_AGENT, ROLES.SALES_STAFF, ROLES.FABRICATION_STAFF),
+  validate(schemas.warrantyLookupQuery, 'query'),
+  warrantyController.lookupWarranty
+);
+
+// Claims (customers see their own)
+router.get(
+  '/claims',
+  validate(schemas.warrantyClaimsQuery, 'query'),
+  warrantyController.getClaims
+);
+
+// File a claim with photos
+router.post(
+  '/claims',
+  authorize(ROLES.CUSTOMER),
+  upload.uploadClaimPhotos,
+  validate(schemas.createWarrantyClaim),
+  warrantyController.fileClaim
+);
+
+// Claim details
+router.get(
+  '/claims/:id',
+  validate(schemas.mongoId, 'params'),
+  warrantyController.getClaim
+);
+
+// Approve or reject a claim
+router.put(
+  '/claims/:id/review',
+  authorize(ROLES.ADMIN, ROLES.APPOINTMENT_AGENT),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.reviewWarrantyClaim),
+  warrantyController.reviewClaim
+);
+
+// Book a repair visit
+router.post(
+  '/claims/:id/visits',
+  authorize(ROLES.ADMIN, ROLES.APPOINTMENT_AGENT),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.scheduleRepairVisit),
+  warrantyController.scheduleRepairVisit
+);
+
+// Resolve a claim
+router.put(
+  '/claims/:id/resolve',
+  authorize(ROLES.ADMIN, ROLES.APPOINTMENT_AGENT, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.resolveWarrantyClaim),
+  warrantyController.resolveClaim
+);
+
+// Warranty details with its claims
+router.get(
+  '/:id',
+  validate(schemas.mongoId, 'params'),
+  warrantyController.getWarranty
+);
+
+// Void a warranty
+router.put(
+  '/:id/void',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.voidWarranty),
+  warrantyController.voidWarranty
+);
+
+module.exports = router;
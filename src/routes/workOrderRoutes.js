@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const { workOrderController } = require('../controllers');
+const {
+  authenticate,
+  authorize,
+  validate,
+  schemas,
+  ROLES
+} = require('../middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Work orders (fabrication staff see their projects' orders)
+router.get(
+  '/',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  workOrderController.getWorkOrders
+);
+
+// Shop-floor task queue of the current staff member
+router.get(
+  '/my-tasks',
+  authorize(ROLES.FABRICATION_STAFF),
+  workOrderController.getMyTasks
+);
+
+// Create work order (admin)
+router.post(
+  '/',
+  authorize(ROLES.ADMIN),
+  validate(schemas.createWorkOrder),
+  workOrderController.createWorkOrder
+);
+
+// Work order with its tasks
+router.get(
+  '/:id',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.mongoId, 'params'),
+  workOrderController.getWorkOrder
+);
+
+// Update title or notes (admin)
+router.put(
+  '/:id',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.updateWorkOrder),
+  workOrderController.updateWorkOrder
+);
+
+// Cancel work order (admin)
+router.put(
+  '/:id/cancel',
+  authorize(ROLES.ADMIN),
+  validate(schemas.mongoId, 'params'),
+  validate(schemas.cancelWorkOrder),
+  workOrderController.cancelWorkOrder
+);
+
+// Assign a task or change its estimate (admin)
+router.put(
+  '/:id/tasks/:taskId',
+  authorize(ROLES.ADMIN),
+  validate(schemas.workOrderTaskParams, 'params'),
+  validate(schemas.updateWorkOrderTask),
+  workOrderController.updateTask
+);
+
+// Start a task
+router.put(
+  '/:id/tasks/:taskId/start',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.workOrderTaskParams, 'params'),
+  workOrderController.startTask
+);
+
+// Finish a task
+router.put(
+  '/:id/tasks/:taskId/finish',
+  authorize(ROLES.ADMIN, ROLES.FABRICATION_STAFF),
+  validate(schemas.workOrderTaskParams, 'params'),
+  validate(schemas.finishWorkOrderTask),
+  workOrderController.finishTask
+);
+
+// Skip a task (admin)
+router.put(
+  '/:id/tasks/:taskId/skip',
+  authorize(ROLES.ADMIN),
+  validate(schemas.workOrderTaskParams, 'params'),
+  validate(schemas.skipWorkOrderTask),
+  workOrderController.skipTask
+);
+
+module.exports = router;
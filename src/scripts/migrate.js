@@ -0,0 +1,65 @@
+/**
+ * Data migration runner
+ * Applies pending migrations from src/migrations in version order and
+ * records each applied version in the `migrations` collection.
+ *
+ * Usage: npm run migrate
+ *        npm run migrate -- --status
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+const loadMigrations = () => fs
+  .readdirSync(MIGRATIONS_DIR)
+  .filter((file) => /^\d+-.+\.js$/.test(file))
+  .map((file) => require(path.join(MIGRATIONS_DIR, file)))
+  .sort((a, b) => a.version - b.version);
+
+const migrate = async () => {
+  const statusOnly = process.argv.includes('--status');
+
+  try {
+    await mongoose.connect(config.mongodbUri);
+    console.log('Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const applied = await db.collection('migrations').find().toArray();
+    const appliedVersions = new Set(applied.map((m) => m.version));
+    const pending = loadMigrations().filter((m) => !appliedVersions.has(m.version));
+
+    applied.forEach((m) => {
+      console.log(`✓ ${String(m.version).padStart(3, '0')} ${m.name} (${m.appliedAt.toISOString()})`);
+    });
+    pending.forEach((m) => {
+      console.log(`• ${String(m.version).padStart(3, '0')} ${m.name} (pending)`);
+    });
+
+    if (!statusOnly) {
+      for (const migration of pending) {
+        console.log(`Applying ${migration.version} ${migration.name}...`);
+        const result = await migration.up(db);
+        await db.collection('migrations').insertOne({
+          version: migration.version,
+          name: migration.name,
+          appliedAt: new Date(),
+          result,
+        });
+        console.log('Done:', result);
+      }
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,207 @@
+/**
+ * Project/receipt/credit note numbering repair
+ * Reports duplicate numbers and gaps per year, and raises the counters
+ * collection to the highest number already issued so new numbers never
+ * collide with existing ones.
+ *
+ * Usage: npm run numbering:repair
+ *        npm run numbering:repair -- --fix   (also renumbers duplicate receipts)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config');
+const { Project, Payment, Refund, Counter } = require('../models');
+
+const PROJECT_PATTERN = /^RMV-(\d{4})-(\d+)$/;
+const RECEIPT_PATTERN = /^RMV-RCT-(\d{4})(\d{2})-(\d+)$/;
+const CREDIT_NOTE_PATTERN = /^RMV-CN-(\d{4})(\d{2})-(\d+)$/;
+
+/**
+ * Group parsed numbers by year and find duplicates and gaps
+ * @param {Array<{ number: string, year: number, seq: number }>} entries
+ */
+const analyze = (entries) => {
+  const byYear = {};
+  entries.forEach((entry) => {
+    byYear[entry.year] = byYear[entry.year] || [];
+    byYear[entry.year].push(entry);
+  });
+
+  return Object.entries(byYear).map(([year, items]) => {
+    const seen = new Map();
+    items.forEach((item) => {
+      seen.set(item.seq, [...(seen.get(item.seq) || []), item]);
+    });
+
+    const max = Math.max(...items.map((item) => item.seq));
+    const gaps = [];
+    for (let seq = 1; seq <= max; seq += 1) {
+      if (!seen.has(seq)) gaps.push(seq);
+    }
+
+    const duplicates = [...seen.values()].filter((group) => group.length > 1);
+
+    return { year: Number(year), count: items.length, max, gaps, duplicates };
+  });
+};
+
+const printReport = (label, results, invalid) => {
+  console.log(`\n${label}`);
+  if (results.length === 0) {
+    console.log('  No numbers issued');
+  }
+  results.forEach(({ year, count, max, gaps, duplicates }) => {
+    console.log(`  ${year}: ${count} issued, highest ${max}`);
+    if (gaps.length) {
+      console.log(`    Gaps (${gaps.length}): ${gaps.slice(0, 50).join(', ')}${gaps.length > 50 ? ', ...' : ''}`);
+    }
+    duplicates.forEach((group) => {
+      console.log(`    Duplicate ${group[0].number}: ${group.map((item) => item.id).join(', ')}`);
+    });
+  });
+  invalid.forEach((item) => {
+    console.log(`  Unrecognized number "${item.number}" on ${item.id}`);
+  });
+};
+
+const repairNumbering = async () => {
+  const fix = process.argv.includes('--fix');
+
+  try {
+    // Skip index builds: the unique project number index fails while duplicates exist
+    await mongoose.connect(config.mongodbUri, { autoIndex: false });
+    console.log('Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+
+    // Projects (including soft-deleted ones, which still own their number)
+    const projects = await db.collection('projects')
+      .find({}, { projection: { projectNumber: 1 } })
+      .toArray();
+    const projectEntries = [];
+    const invalidProjects = [];
+    projects.forEach((project) => {
+      const match = PROJECT_PATTERN.exec(project.projectNumber || '');
+      if (!match) {
+        invalidProjects.push({ id: project._id, number: project.projectNumber });
+        return;
+      }
+      projectEntries.push({
+        id: project._id,
+        number: project.projectNumber,
+        year: Number(match[1]),
+        seq: Number(match[2]),
+      });
+    });
+
+    // Receipts (one per verified transaction)
+    const receipts = await db.collection('payments').aggregate([
+      { $unwind: '$transactions' },
+      { $match: { 'transactions.receipt.receiptNumber': { $exists: true, $ne: null } } },
+      {
+        $project: {
+          transactionId: '$transactions._id',
+          receipt: '$transactions.receipt',
+        },
+      },
+    ]).toArray();
+    const receiptEntries = [];
+    const invalidReceipts = [];
+    receipts.forEach((entry) => {
+      const match = RECEIPT_PATTERN.exec(entry.receipt.receiptNumber);
+      if (!match) {
+        invalidReceipts.push({ id: entry._id, number: entry.receipt.receiptNumber });
+        return;
+      }
+      receiptEntries.push({
+        id: entry._id,
+        transactionId: entry.transactionId,
+        number: entry.receipt.receiptNumber,
+        year: Number(match[1]),
+        seq: Number(match[3]),
+        generatedAt: entry.receipt.generatedAt,
+      });
+    });
+
+    // Credit notes
+    const refunds = await db.collection('refunds')
+      .find({ 'creditNote.creditNoteNumber': { $exists: true, $ne: null } }, { projection: { creditNote: 1 } })
+      .toArray();
+    const creditNoteEntries = [];
+    const invalidCreditNotes = [];
+    refunds.forEach((refund) => {
+      const match = CREDIT_NOTE_PATTERN.exec(refund.creditNote.creditNoteNumber);
+      if (!match) {
+        invalidCreditNotes.push({ id: refund._id, number: refund.creditNote.creditNoteNumber });
+        return;
+      }
+      creditNoteEntries.push({
+        id: refund._id,
+        number: refund.creditNote.creditNoteNumber,
+        year: Number(match[1]),
+        seq: Number(match[3]),
+      });
+    });
+
+    const projectResults = analyze(projectEntries);
+    const receiptResults = analyze(receiptEntries);
+
+    printReport('Project numbers', projectResults, invalidProjects);
+    printReport('Receipt numbers', receiptResults, invalidReceipts);
+    const creditNoteResults = analyze(creditNoteEntries);
+    printReport('Credit note numbers', creditNoteResults, invalidCreditNotes);
+
+    // Counters never go below what has been issued
+    for (const { year, max } of projectResults) {
+      await Counter.ensureAtLeast(`project:${year}`, max);
+    }
+    for (const { year, max } of receiptResults) {
+      await Counter.ensureAtLeast(`receipt:${year}`, max);
+    }
+    for (const { year, max } of creditNoteResults) {
+      await Counter.ensureAtLeast(`credit_note:${year}`, max);
+    }
+    console.log('\nCounters synchronized');
+
+    if (fix) {
+      // Keep the earliest receipt of each duplicate; reissue the rest.
+      // The stored PDF is cleared so it is re-rendered with the new number.
+      for (const { year, duplicates } of receiptResults) {
+        for (const group of duplicates) {
+          const [, ...reissue] = [...group].sort((a, b) => new Date(a.generatedAt) - new Date(b.generatedAt));
+          for (const item of reissue) {
+            const seq = await Counter.next(`receipt:${year}`);
+            const month = Number(RECEIPT_PATTERN.exec(item.number)[2]);
+            const receiptNumber = Payment.formatReceiptNumber(year, month, seq);
+            await db.collection('payments').updateOne(
+              { _id: item.id },
+              {
+                $set: { 'transactions.$[entry].receipt.receiptNumber': receiptNumber },
+                $unset: {
+                  'transactions.$[entry].receipt.filename': '',
+                  'transactions.$[entry].receipt.path': '',
+                },
+              },
+              { arrayFilters: [{ 'entry._id': item.transactionId }] }
+            );
+            console.log(`Reissued receipt ${item.number} on ${item.id} as ${receiptNumber}`);
+          }
+        }
+      }
+
+      await Promise.all([Project.createIndexes(), Payment.createIndexes(), Refund.createIndexes()]);
+      console.log('Indexes built');
+    } else if (receiptResults.some((result) => result.duplicates.length)) {
+      console.log('Run with --fix to renumber duplicate receipts');
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Numbering repair failed:', error);
+    process.exit(1);
+  }
+};
+
+repairNumbering();
@@ -1,6 +1,7 @@
 const app = require('./app');
 const config = require('./config');
 const connectDB = require('./config/database');
+const { inventoryService, paymentReminderService } = require('./services');
 
 const startServer = async () => {
   try {
@@ -22,6 +23,10 @@ const startServer = async () => {
       `);
     });
 
+    // Background jobs
+    paymentReminderService.start();
+    inventoryService.start();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       console.error('Unhandled Rejection:', err);
@@ -39,6 +44,8 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received. Shutting down gracefully...');
+      paymentReminderService.stop();
+      inventoryService.stop();
       server.close(() => {
         console.log('Process terminated');
         process.exit(0);
@@ -89,6 +89,81 @@ class ActivityService {
     });
   }
 
+  /**
+   * Log cashier drawer activity
+   */
+  async logCashierSession(userId, userRole, action, sessionId, description = null, metadata = {}) {
+    return this.log({
+      userId,
+      userRole,
+      action,
+      resourceType: 'cashier_session',
+      resourceId: sessionId,
+      description: description || this.getCashierSessionDescription(action),
+      metadata,
+    });
+  }
+
+  /**
+   * Log materials catalog activity
+   */
+  async logMaterial(userId, userRole, action, materialId, description = null, changes = null) {
+    return this.log({
+      userId,
+      userRole,
+      action,
+      resourceType: 'material',
+      resourceId: materialId,
+      description: description || this.getMaterialDescription(action),
+      changes,
+    });
+  }
+
+  /**
+   * Log inventory activity (warehouses and stock items)
+   */
+  async logInventory(userId, userRole, action, resourceId, description = null, metadata = {}) {
+    return this.log({
+      userId,
+      userRole,
+      action,
+      resourceType: 'inventory',
+      resourceId,
+      description: description || this.getInventoryDescription(action),
+      metadata,
+    });
+  }
+
+  /**
+   * Log purchasing activity (suppliers, purchase orders and supplier invoices)
+   */
+  async logPurchasing(userId, userRole, action, resourceId, description = null, metadata = {}) {
+    return this.log({
+      userId,
+      userRole,
+      action,
+      resourceType: 'purchasing',
+      resourceId,
+      description: description || this.getPurchasingDescription(action),
+      metadata,
+    });
+  }
+
+  /**
+   * Log scheduling activity (machines, staff capacity and shop plans)
+   */
+  async logScheduling(userId, userRole, action, resourceId, description = null, metadata = {}) {
+    return this.log({
+      userId,
+      userRole,
+      action,
+      resourceType: 'scheduling',
+      resourceId,
+      description: description || this.getSchedulingDescription(action),
+      metadata,
+    });
+  }
+
   /**
    * Get user's activity history
    */
@@ -232,6 +307,7 @@ class ActivityService {
       project_cancelled: 'Project cancelled',
       blueprint_uploaded: 'Blueprint uploaded',
       blueprint_revised: 'Blueprint revised',
+      bom_updated: 'Bill of materials updated',
       costing_uploaded: 'Costing uploaded',
       costing_revised: 'Costing revised',
       approval_requested: 'Approval requested from customer',
@@ -241,9 +317,37 @@ class ActivityService {
       fabrication_progress_updated: 'Fabrication progress updated',
       fabrication_photo_uploaded: 'Fabrication photo uploaded',
       fabrication_completed: 'Fabrication completed',
+      work_order_created: 'Work order created',
+      work_order_updated: 'Work order updated',
+      work_order_cancelled: 'Work order cancelled',
+      fabrication_task_started: 'Fabrication task started',
+      fabrication_task_completed: 'Fabrication task completed',
+      fabrication_task_skipped: 'Fabrication task skipped',
+      target_completion_set: 'Promised completion date set',
+      qc_inspection_started: 'QC inspection started',
+      qc_photo_uploaded: 'QC photo uploaded',
+      qc_passed: 'QC inspection passed',
+      qc_failed: 'QC inspection failed',
+      delivery_scheduled: 'Pickup or delivery scheduled',
+      delivery_updated: 'Pickup or delivery updated',
+      delivery_cancelled: 'Pickup or delivery cancelled',
+      project_released: 'Project released to the customer',
+      release_payment_override: 'Released with the final payment unverified',
+      warranty_voided: 'Warranty voided',
+      warranty_claim_filed: 'Warranty claim filed',
+      warranty_claim_approved: 'Warranty claim approved',
+      warranty_claim_rejected: 'Warranty claim rejected',
+      repair_visit_scheduled: 'Repair visit scheduled',
+      warranty_claim_resolved: 'Warranty claim resolved',
+      change_order_proposed: 'Change order proposed',
+      change_order_approved: 'Change order approved',
+      change_order_declined: 'Change order declined',
+      change_order_withdrawn: 'Change order withdrawn',
       installation_scheduled: 'Installation scheduled',
       installation_started: 'Installation started',
+      installation_photo_uploaded: 'Installation photo uploaded',
       installation_completed: 'Installation completed',
+      installation_signed_off: 'Installation signed off by customer',
     };
     return descriptions[action] || action;
   }
@@ -255,6 +359,71 @@ class ActivityService {
       payment_rejected: 'Payment rejected',
       receipt_generated: 'Receipt generated',
       qr_code_uploaded: 'QR code uploaded',
+      payment_checkout_created: 'Online checkout started',
+      payment_received_online: 'Online payment received',
+      refund_requested: 'Refund requested',
+      refund_approved: 'Refund approved',
+      refund_rejected: 'Refund rejected',
+      refund_processed: 'Refund paid out',
+      credit_note_generated: 'Credit note generated',
+    };
+    return descriptions[action] || action;
+  }
+
+  getCashierSessionDescription(action) {
+    const descriptions = {
+      cashier_session_opened: 'Cashier session opened',
+      cashier_session_closed: 'Cashier session closed',
+    };
+    return descriptions[action] || action;
+  }
+
+  getMaterialDescription(action) {
+    const descriptions = {
+      material_created: 'Material added to catalog',
+      material_updated: 'Material updated',
+      material_price_changed: 'Material price changed',
+      material_deactivated: 'Material deactivated',
+    };
+    return descriptions[action] || action;
+  }
+
+  getInventoryDescription(action) {
+    const descriptions = {
+      warehouse_created: 'Warehouse created',
+      warehouse_updated: 'Warehouse updated',
+      stock_received: 'Stock received',
+      stock_issued: 'Stock issued',
+      stock_returned: 'Stock returned',
+      stock_adjusted: 'Stock adjusted',
+      stock_reserved: 'Materials reserved',
+      stock_released: 'Material reservations released',
+    };
+    return descriptions[action] || action;
+  }
+
+  getPurchasingDescription(action) {
+    const descriptions = {
+      supplier_created: 'Supplier created',
+      supplier_updated: 'Supplier updated',
+      purchase_order_created: 'Purchase order created',
+      purchase_order_updated: 'Purchase order updated',
+      purchase_order_placed: 'Purchase order placed',
+      purchase_order_received: 'Purchase order delivery received',
+      purchase_order_cancelled: 'Purchase order cancelled',
+      supplier_invoice_recorded: 'Supplier invoice recorded',
+      supplier_invoice_paid: 'Supplier invoice payment recorded',
+      supplier_invoice_voided: 'Supplier invoice voided',
+    };
+    return descriptions[action] || action;
+  }
+
+  getSchedulingDescription(action) {
+    const descriptions = {
+      machine_created: 'Machine added',
+      machine_updated: 'Machine updated',
+      staff_capacity_updated: 'Staff capacity updated',
+      schedule_planned: 'Shop schedule planned',
     };
     return descriptions[action] || action;
   }
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { CashierSession, Payment, User } = require('../models');
+const { AppError } = require('../middleware/error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CashierSessionService {
+  /**
+   * Open a drawer for a cashier with the starting float
+   * @param {string} cashierId
+   * @param {{ openingFloat: number, notes?: string }} options
+   */
+  async open(cashierId, { openingFloat, notes }) {
+    if (await this.getOpenSession(cashierId)) {
+      throw new AppError('You already have an open cashier session', 409);
+    }
+
+    try {
+      return await CashierSession.create({
+        cashier: cashierId,
+        openingFloat,
+        openingNotes: notes,
+      });
+    } catch (error) {
+      // Two opens raced past the check; the partial unique index kept one
+      if (error.code === 11000) {
+        throw new AppError('You already have an open cashier session', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The cashier's open session, or null
+   * @param {string} cashierId
+   * @param {ClientSession} [session]
+   */
+  async getOpenSession(cashierId, session = null) {
+    return CashierSession.findOne({ cashier: cashierId, status: 'open' }).session(session);
+  }
+
+  /**
+   * Attach a cash movement to the cashier's open session. Cash cannot be
+   * accepted or paid out without an open drawer.
+   * @param {string} cashierId
+   * @param {Object} entry - Drawer entry (source, amount, references)
+   * @param {ClientSession} [session]
+   */
+  async recordEntry(cashierId, entry, session = null) {
+    const cashierSession = await CashierSession.findOneAndUpdate(
+      { cashier: cashierId, status: 'open' },
+      { $push: { entries: { ...entry, recordedAt: new Date() } } },
+      { new: true, session }
+    );
+    if (!cashierSession) {
+      throw new AppError('Open a cashier session before handling cash', 409);
+    }
+    return cashierSession;
+  }
+
+  /**
+   * Close a session with the counted cash and record the variance
+   * @param {Object} cashierSession - Open session document
+   * @param {{ countedAmount: number, notes?: string }} options
+   * @param {string} userId - Cashier or admin closing it
+   */
+  async close(cashierSession, { countedAmount, notes }, userId) {
+    if (cashierSession.status !== 'open') {
+      throw new AppError('Cashier session is already closed', 400);
+    }
+
+    const { expectedCash } = cashierSession.totals;
+    cashierSession.status = 'closed';
+    cashierSession.closing = {
+      countedAmount,
+      expectedAmount: expectedCash,
+      variance: Math.round((countedAmount - expectedCash) * 100) / 100,
+      closedAt: new Date(),
+      closedBy: userId,
+      notes,
+    };
+    await cashierSession.save();
+    return cashierSession;
+  }
+
+  /**
+   * Start and end of a calendar day (server time)
+   * @param {string|Date} date - e.g. "2025-03-14"
+   */
+  getDayRange(date) {
+    const day = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+      ? new Date(`${date}T00:00:00`)
+      : new Date(date);
+    if (Number.isNaN(day.getTime())) {
+      throw new AppError('Invalid report date', 400);
+    }
+    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  /**
+   * Z-reports for a day: one per cashier with the day's drawer sessions,
+   * cash expected vs counted, and everything they verified by method
+   * @param {string|Date} date
+   * @param {string} [cashierId] - Limit to one cashier
+   */
+  async getZReports(date, cashierId = null) {
+    const { start, end } = this.getDayRange(date);
+    const cashierFilter = cashierId ? { cashier: cashierId } : {};
+
+    const [sessions, verified] = await Promise.all([
+      CashierSession.find({ ...cashierFilter, openedAt: { $gte: start, $lt: end } })
+        .sort({ openedAt: 1 }),
+      Payment.aggregate([
+        ...Payment.verifiedTransactionStages(),
+        {
+          $match: {
+            'transactions.verification.verifiedAt': { $gte: start, $lt: end },
+            'transactions.verification.verifiedBy': cashierId
+              ? new mongoose.Types.ObjectId(cashierId)
+              : { $exists: true },
+          },
+        },
+        {
+          $group: {
+            _id: {
+              cashier: '$transactions.verification.verifiedBy',
+              method: '$transactions.paymentMethod',
+            },
+            total: { $sum: '$transactions.amountReceived' },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { '_id.method': 1 } },
+      ]),
+    ]);
+
+    const cashierIds = [...new Set([
+      ...sessions.map((s) => s.cashier.toString()),
+      ...verified.map((v) => v._id.cashier && v._id.cashier.toString()).filter(Boolean),
+    ])];
+    const cashiers = await User.find({ _id: { $in: cashierIds } }).select('email profile.firstName profile.lastName');
+
+    return cashiers.map((cashier) => {
+      const own = sessions.filter((s) => s.cashier.toString() === cashier._id.toString());
+      const sum = (pick) => own.reduce((total, s) => total + (pick(s) || 0), 0);
+      const closed = own.filter((s) => s.status === 'closed');
+
+      return {
+        cashier,
+        date: start,
+        sessions: own.map((s) => ({
+          _id: s._id,
+          status: s.status,
+          openedAt: s.openedAt,
+          closedAt: s.closing?.closedAt,
+          openingFloat: s.openingFloat,
+          totals: s.totals,
+          closing: s.status === 'closed' ? s.closing : undefined,
+          entries: s.entries,
+        })),
+        totals: {
+          openingFloat: sum((s) => s.openingFloat),
+          payments: sum((s) => s.totals.payments),
+          travelFees: sum((s) => s.totals.travelFees),
+          refundPayouts: sum((s) => s.totals.refundPayouts),
+          expectedCash: sum((s) => s.totals.expectedCash),
+          countedCash: closed.reduce((total, s) => total + s.closing.countedAmount, 0),
+          variance: Math.round(closed.reduce((total, s) => total + s.closing.variance, 0) * 100) / 100,
+          openSessions: own.length - closed.length,
+        },
+        verifiedByMethod: verified
+          .filter((v) => v._id.cashier && v._id.cashier.toString() === cashier._id.toString())
+          .map((v) => ({ method: v._id.method || 'other', total: v.total, count: v.count })),
+      };
+    });
+  }
+}
+
+module.exports = new CashierSessionService();
@@ -0,0 +1,105 @@
+const { AppError } = require('../middleware/error');
+const costingService = require('./costingService');
+const paymentPlanService = require('./paymentPlanService');
+
+// Project statuses past which the scope can no longer change
+const CLOSED_PROJECT_STATUSES = ['released', 'completed', 'cancelled'];
+
+// Money is kept to the centavo
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+class ChangeOrderService {
+  /**
+   * Throw unless the project takes change orders: approved by the
+   * customer (earlier changes go through a revision) and not yet closed
+   */
+  assertCanChange(project) {
+    if (!project.customerApproval?.isApproved) {
+      throw new AppError('Project is not approved yet; request a revision instead', 409);
+    }
+    if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+      throw new AppError(`Cannot change a ${project.status} project`, 409);
+    }
+  }
+
+  /**
+   * Price change order lines with the tax settings of the approved costing
+   * @param {Object} project - Approved project
+   * @param {Array} lines - { category?, item, quantity, unit?, unitPrice }
+   * @returns {{ lines: Array, tax: Object, summary: Object, costDelta: number }}
+   */
+  price(project, lines = []) {
+    if (!lines.length) {
+      return { lines: [], tax: undefined, summary: undefined, costDelta: 0 };
+    }
+
+    const approved = project.getApprovedCosting();
+    const costing = costingService.calculate({
+      breakdown: lines,
+      vatMode: approved?.tax?.vatMode,
+      applyWithholdingTax: approved?.tax?.applyWithholdingTax,
+    });
+
+    return {
+      lines: costing.breakdown.map(({ category, item, quantity, unit, unitPrice, total }) => ({
+        category, item, quantity, unit, unitPrice, total,
+      })),
+      tax: costing.tax,
+      summary: costing.summary,
+      costDelta: costing.summary.netPayable,
+    };
+  }
+
+  /**
+   * Apply an approved change order: moves the approved amount by its
+   * cost delta and reprices the open payments. The caller saves the
+   * change order.
+   * @param {Object} changeOrder - Proposed change order (in the session)
+   * @param {Object} project - Its project (in the session)
+   * @param {{ userId, notes? }} decision
+   */
+  async approve(changeOrder, project, { userId, notes }, session) {
+    this.assertProposed(changeOrder);
+    this.assertCanChange(project);
+
+    const previousAmount = project.costing.approvedAmount;
+    const previous = new Map(project.paymentPlan.milestones.map((m) => [m.key, m.amount]));
+
+    if (changeOrder.costDelta) {
+      const total = round2(previousAmount + changeOrder.costDelta);
+      if (total <= 0) {
+        throw new AppError('The change would bring the approved amount to zero or less', 400);
+      }
+      await paymentPlanService.reprice(project, total, session, `Change order ${changeOrder.changeOrderNumber}`);
+      // Saving recomputes the milestone amounts
+      await project.save({ session });
+      await paymentPlanService.syncPayments(project, session);
+    }
+
+    changeOrder.applied = {
+      previousAmount,
+      newAmount: project.costing.approvedAmount,
+      milestones: project.paymentPlan.milestones
+        .filter((m) => previous.get(m.key) !== m.amount)
+        .map((m) => ({
+          key: m.key,
+          label: m.label,
+          previousAmount: previous.get(m.key),
+          amount: m.amount,
+        })),
+    };
+    changeOrder.decision = { decidedBy: userId, decidedAt: new Date(), notes };
+    changeOrder.setStatus('approved', userId, notes);
+  }
+
+  /**
+   * Throw unless the change order still awaits the customer
+   */
+  assertProposed(changeOrder) {
+    if (changeOrder.status !== 'proposed') {
+      throw new AppError(`${changeOrder.changeOrderNumber} is already ${changeOrder.status}`, 409);
+    }
+  }
+}
+
+module.exports = new ChangeOrderService();
@@ -0,0 +1,266 @@
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+const { VAT_MODES } = require('../config/vocabulary');
+
+// Project statuses in which the engineer may still change the costing
+const COSTING_EDITABLE_STATUSES = [
+  'draft',
+  'pending_blueprint',
+  'blueprint_uploaded',
+  'revision_requested',
+  'client_rejected',
+];
+
+// Line fields compared between versions
+const LINE_DIFF_FIELDS = ['quantity', 'unit', 'unitPrice', 'discountAmount', 'total'];
+
+// Summary totals compared between versions
+const SUMMARY_DIFF_FIELDS = [
+  'subtotal', 'lineDiscounts', 'headerDiscount', 'vatableSales', 'vat',
+  'totalAmount', 'withholdingTax', 'netPayable',
+];
+
+// Money is kept to the centavo
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Amount taken off a base by a { type, value } discount, never more than the base
+ */
+const discountAmount = (base, discount) => {
+  if (!discount || !discount.value) return 0;
+  const amount = discount.type === 'percentage' ? (base * discount.value) / 100 : discount.value;
+  return round2(Math.min(base, Math.max(0, amount)));
+};
+
+class CostingService {
+  /**
+   * Compute a costing from its lines:
+   * line totals → subtotal → header discount → VAT → withholding tax → net payable.
+   *
+   * With inclusive VAT the prices already contain VAT and it is extracted;
+   * with exclusive VAT it is added on top; exempt costings carry none.
+   * Withholding tax (EWT) is taken on the VAT-exclusive amount.
+   *
+   * @param {Object} input
+   * @param {Array} input.breakdown - { item, quantity, unitPrice, discount? }
+   * @param {number} [input.totalAmount] - Lump sum used when there are no lines
+   * @param {string} [input.vatMode] - inclusive, exclusive or exempt
+   * @param {{ type: string, value: number }} [input.discount] - Header discount
+   * @param {boolean} [input.applyWithholdingTax] - Client withholds EWT
+   * @returns {{ breakdown: Array, tax: Object, discount: Object, summary: Object }}
+   */
+  calculate({ breakdown = [], totalAmount, vatMode, discount, applyWithholdingTax = false }) {
+    const { vatRate, ewtRate, defaultVatMode } = config.business.tax;
+    const mode = VAT_MODES.includes(vatMode) ? vatMode : defaultVatMode;
+
+    // A lump sum without lines (PDF-only costings) becomes a single line
+    const lines = breakdown.length || totalAmount == null
+      ? breakdown
+      : [{ item: 'Project total', quantity: 1, unitPrice: totalAmount }];
+
+    const computedLines = lines.map((line) => {
+      const gross = round2((line.quantity || 0) * (line.unitPrice || 0));
+      const lineDiscount = discountAmount(gross, line.discount);
+      return {
+        _id: line._id,
+        category: line.category,
+        material: line.material,
+        item: line.item,
+        quantity: line.quantity,
+        unit: line.unit,
+        unitPrice: line.unitPrice,
+        discount: line.discount?.value ? line.discount : undefined,
+        discountAmount: lineDiscount,
+        total: round2(gross - lineDiscount),
+      };
+    });
+
+    const grossAmount = round2(computedLines.reduce((sum, line) => sum + line.total + line.discountAmount, 0));
+    const lineDiscounts = round2(computedLines.reduce((sum, line) => sum + line.discountAmount, 0));
+    const subtotal = round2(grossAmount - lineDiscounts);
+    const headerDiscount = discountAmount(subtotal, discount);
+    const discountedSubtotal = round2(subtotal - headerDiscount);
+
+    let vatableSales = discountedSubtotal;
+    let vat = 0;
+    let total = discountedSubtotal;
+    if (mode === 'exclusive') {
+      vat = round2((discountedSubtotal * vatRate) / 100);
+      total = round2(discountedSubtotal + vat);
+    } else if (mode === 'inclusive') {
+      vatableSales = round2(discountedSubtotal / (1 + vatRate / 100));
+      vat = round2(discountedSubtotal - vatableSales);
+    }
+
+    const withholdingTax = applyWithholdingTax ? round2((vatableSales * ewtRate) / 100) : 0;
+
+    return {
+      breakdown: computedLines,
+      tax: {
+        vatMode: mode,
+        vatRate: mode === 'exempt' ? 0 : vatRate,
+        applyWithholdingTax: Boolean(applyWithholdingTax),
+        ewtRate: applyWithholdingTax ? ewtRate : 0,
+      },
+      discount: discount?.value ? discount : undefined,
+      summary: {
+        grossAmount,
+        lineDiscounts,
+        subtotal,
+        headerDiscount,
+        vatableSales: mode === 'exempt' ? 0 : vatableSales,
+        vatExemptSales: mode === 'exempt' ? discountedSubtotal : 0,
+        vat,
+        totalAmount: total,
+        withholdingTax,
+        netPayable: round2(total - withholdingTax),
+      },
+    };
+  }
+
+  /**
+   * Recompute a stored costing version from its lines and settings
+   * @param {Object} version - Costing version subdocument
+   */
+  recalculate(version) {
+    const costing = this.calculate({
+      breakdown: version.breakdown.map((line) => line.toObject()),
+      vatMode: version.tax?.vatMode,
+      discount: version.discount?.value
+        ? { type: version.discount.type, value: version.discount.value }
+        : undefined,
+      applyWithholdingTax: version.tax?.applyWithholdingTax,
+    });
+    version.breakdown = costing.breakdown;
+    version.discount = costing.discount;
+    version.tax = costing.tax;
+    version.summary = costing.summary;
+    version.totalAmount = costing.summary.totalAmount;
+    return version;
+  }
+
+  /**
+   * Throw unless the project's costing can still be changed
+   */
+  assertEditable(project) {
+    if (!COSTING_EDITABLE_STATUSES.includes(project.status)) {
+      throw new AppError(`Costing cannot be changed while the project is ${project.status}`, 409);
+    }
+  }
+
+  /**
+   * Differences between two costing versions. Lines are paired by category
+   * and item name (repeated names pair in order).
+   * @param {Object} from - Older version
+   * @param {Object} to - Newer version
+   */
+  diff(from, to) {
+    const keyed = (version) => {
+      const seen = {};
+      return new Map(version.breakdown.map((line) => {
+        const base = `${line.category || 'other'}|${String(line.item).trim().toLowerCase()}`;
+        seen[base] = (seen[base] || 0) + 1;
+        return [`${base}#${seen[base]}`, line];
+      }));
+    };
+    const before = keyed(from);
+    const after = keyed(to);
+    const describe = (line) => ({
+      category: line.category,
+      item: line.item,
+      quantity: line.quantity,
+      unit: line.unit,
+      unitPrice: line.unitPrice,
+      total: line.total,
+    });
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    after.forEach((line, key) => {
+      const previous = before.get(key);
+      if (!previous) {
+        added.push(describe(line));
+        return;
+      }
+      const changes = {};
+      LINE_DIFF_FIELDS.forEach((field) => {
+        if ((previous[field] ?? null) !== (line[field] ?? null)) {
+          changes[field] = { from: previous[field], to: line[field] };
+        }
+      });
+      if (Object.keys(changes).length) {
+        changed.push({ category: line.category, item: line.item, changes });
+      } else {
+        unchanged += 1;
+      }
+    });
+    before.forEach((line, key) => {
+      if (!after.has(key)) removed.push(describe(line));
+    });
+
+    const settingsOf = (version) => ({
+      vatMode: version.tax?.vatMode ?? null,
+      applyWithholdingTax: version.tax?.applyWithholdingTax ?? null,
+      discount: version.discount?.value ? `${version.discount.type}:${version.discount.value}` : null,
+    });
+    const fromSettings = settingsOf(from);
+    const toSettings = settingsOf(to);
+    const settings = {};
+    Object.keys(fromSettings).forEach((field) => {
+      if (fromSettings[field] !== toSettings[field]) {
+        settings[field] = { from: fromSettings[field], to: toSettings[field] };
+      }
+    });
+
+    const totals = {};
+    SUMMARY_DIFF_FIELDS.forEach((field) => {
+      const a = from.summary?.[field] ?? (field === 'totalAmount' ? from.totalAmount : null);
+      const b = to.summary?.[field] ?? (field === 'totalAmount' ? to.totalAmount : null);
+      if (a !== b) {
+        totals[field] = { from: a, to: b, difference: round2((b || 0) - (a || 0)) };
+      }
+    });
+
+    return {
+      from: from.version,
+      to: to.version,
+      lines: { added, removed, changed, unchanged },
+      settings,
+      totals,
+    };
+  }
+
+  /**
+   * Amount the customer actually pays for a costing version (after EWT).
+   * Versions saved before the calculator only have totalAmount.
+   */
+  getPayableAmount(version) {
+    return version.summary?.netPayable ?? version.totalAmount;
+  }
+
+  /**
+   * Tax share of an amount paid against a costing, in proportion to its
+   * net payable (for receipts)
+   * @param {Object} version - Approved costing version
+   * @param {number} amount - Amount received
+   * @returns {{ vatableSales, vatExemptSales, vat, withholdingTax } | null}
+   */
+  allocateTaxes(version, amount) {
+    const summary = version?.summary;
+    if (!summary?.netPayable) {
+      return null;
+    }
+    const ratio = amount / summary.netPayable;
+    return {
+      vatableSales: round2(summary.vatableSales * ratio),
+      vatExemptSales: round2(summary.vatExemptSales * ratio),
+      vat: round2(summary.vat * ratio),
+      withholdingTax: round2(summary.withholdingTax * ratio),
+    };
+  }
+}
+
+module.exports = new CostingService();
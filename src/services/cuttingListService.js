@@ -0,0 +1,194 @@
+const config = require('../config');
+const { LINEAR_MATERIAL_CATEGORIES } = require('../config/vocabulary');
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Parts cut from the same stock share grade, category, thickness and section
+const stockKey = (item) => [item.category, item.grade, item.thickness, item.size].join('|');
+
+const stockLabel = (item) => [
+  item.category,
+  item.grade && item.grade.replace('_grade', ''),
+  item.thickness && `${item.thickness}mm`,
+  item.size,
+].filter(Boolean).join(' ');
+
+// One entry per physical piece, longest first
+const explode = (items) => items
+  .flatMap((item) => Array.from({ length: item.quantity || 1 }, () => item))
+  .sort((a, b) => (b.length * (b.width || 1)) - (a.length * (a.width || 1)));
+
+const groupBy = (items) => items.reduce((groups, item) => {
+  const key = stockKey(item);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(item);
+  return groups;
+}, new Map());
+
+class CuttingListService {
+  /**
+   * Cut linear parts from stock lengths, first fit decreasing.
+   * Each cut after the first on a bar loses a saw kerf.
+   * @param {Array} items - BOM items of one stock
+   */
+  cutLengths(items, warnings) {
+    const { stockLengthMm, kerfMm } = config.business.cutting;
+    const bars = [];
+
+    explode(items).forEach((item) => {
+      if (item.length > stockLengthMm) {
+        warnings.push(`${item.part}: ${item.length}mm is longer than the ${stockLengthMm}mm stock`);
+        return;
+      }
+
+      let bar = bars.find((b) => b.remaining >= item.length + (b.cuts.length ? kerfMm : 0));
+      if (!bar) {
+        bar = { cuts: [], remaining: stockLengthMm };
+        bars.push(bar);
+      }
+      bar.remaining -= item.length + (bar.cuts.length ? kerfMm : 0);
+      bar.cuts.push({ part: item.part, length: item.length });
+    });
+
+    const used = bars.reduce((sum, bar) => sum + bar.cuts.reduce((s, cut) => s + cut.length, 0), 0);
+    const stock = bars.length * stockLengthMm;
+
+    return {
+      stockLength: stockLengthMm,
+      stockCount: bars.length,
+      bars: bars.map((bar, index) => ({
+        number: index + 1,
+        cuts: bar.cuts,
+        offcut: bar.remaining,
+      })),
+      wastePercent: stock ? round1(((stock - used) / stock) * 100) : 0,
+    };
+  }
+
+  /**
+   * Nest sheet parts on standard sheets in shelves (rows across the sheet
+   * length). Parts are turned when that fits an existing shelf or the sheet.
+   * @param {Array} items - BOM items of one stock
+   */
+  cutSheets(items, warnings) {
+    const { sheetWidthMm, sheetLengthMm, kerfMm } = config.business.cutting;
+    const sheets = [];
+
+    // Shelf height is the piece's shorter side when it fits across the sheet
+    const orient = (item) => {
+      const short = Math.min(item.length, item.width);
+      const long = Math.max(item.length, item.width);
+      if (long <= sheetLengthMm && short <= sheetWidthMm) return { x: long, y: short };
+      if (long <= sheetWidthMm && short <= sheetLengthMm) return { x: short, y: long };
+      return null;
+    };
+
+    explode(items).forEach((item) => {
+      const size = orient(item);
+      if (!size) {
+        warnings.push(`${item.part}: ${item.length}x${item.width}mm does not fit a ${sheetLengthMm}x${sheetWidthMm}mm sheet`);
+        return;
+      }
+
+      const place = (sheet, shelf, x, y) => {
+        sheet.placements.push({ part: item.part, x: shelf.used, y: shelf.y, length: x, width: y });
+        shelf.used += x + kerfMm;
+      };
+
+      for (const sheet of sheets) {
+        for (const shelf of sheet.shelves) {
+          for (const [x, y] of [[size.x, size.y], [size.y, size.x]]) {
+            if (y <= shelf.height && shelf.used + x <= sheetLengthMm) {
+              place(sheet, shelf, x, y);
+              return;
+            }
+          }
+        }
+        if (sheet.nextY + size.y <= sheetWidthMm) {
+          const shelf = { y: sheet.nextY, height: size.y, used: 0 };
+          sheet.shelves.push(shelf);
+          sheet.nextY += size.y + kerfMm;
+          place(sheet, shelf, size.x, size.y);
+          return;
+        }
+      }
+
+      const shelf = { y: 0, height: size.y, used: 0 };
+      const sheet = { shelves: [shelf], placements: [], nextY: size.y + kerfMm };
+      sheets.push(sheet);
+      place(sheet, shelf, size.x, size.y);
+    });
+
+    const sheetArea = sheetWidthMm * sheetLengthMm;
+    const usedArea = sheets.reduce((sum, sheet) => sum + sheet.placements
+      .reduce((s, p) => s + p.length * p.width, 0), 0);
+
+    return {
+      sheetSize: { length: sheetLengthMm, width: sheetWidthMm },
+      stockCount: sheets.length,
+      sheets: sheets.map((sheet, index) => ({
+        number: index + 1,
+        placements: sheet.placements,
+        utilization: round1((sheet.placements.reduce((s, p) => s + p.length * p.width, 0) / sheetArea) * 100),
+      })),
+      wastePercent: sheets.length ? round1(((sheets.length * sheetArea - usedArea) / (sheets.length * sheetArea)) * 100) : 0,
+    };
+  }
+
+  /**
+   * Cutting list of a bill of materials: linear parts by stock length,
+   * sheet parts nested on sheets, and the uncut items (fittings, hardware)
+   * @param {Array} bom - Blueprint version BOM items
+   */
+  generate(bom) {
+    const warnings = [];
+    const items = bom.map((item) => (item.toObject ? item.toObject() : item));
+
+    const linearItems = items.filter((item) => LINEAR_MATERIAL_CATEGORIES.includes(item.category));
+    const sheetItems = items.filter((item) => item.category === 'sheet');
+    const hardware = items
+      .filter((item) => !LINEAR_MATERIAL_CATEGORIES.includes(item.category) && item.category !== 'sheet')
+      .map(({ part, category, grade, size, quantity }) => ({ part, category, grade, size, quantity }));
+
+    const missing = (item, fields) => {
+      const absent = fields.filter((field) => !item[field]);
+      if (absent.length) warnings.push(`${item.part}: missing ${absent.join(' and ')}`);
+      return absent.length > 0;
+    };
+
+    // Groups whose parts were all skipped are left out
+    const linear = [...groupBy(linearItems.filter((item) => !missing(item, ['length']))).values()]
+      .map((group) => ({ stock: stockLabel(group[0]), ...this.cutLengths(group, warnings) }))
+      .filter((group) => group.stockCount > 0);
+    const sheets = [...groupBy(sheetItems.filter((item) => !missing(item, ['length', 'width']))).values()]
+      .map((group) => ({ stock: stockLabel(group[0]), ...this.cutSheets(group, warnings) }))
+      .filter((group) => group.stockCount > 0);
+
+    return { linear, sheets, hardware, warnings };
+  }
+
+  /**
+   * Cutting list as CSV, one row per cut piece and per uncut item
+   */
+  toCsv(cuttingList) {
+    const escape = (value) => {
+      const text = value == null ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [['Stock', 'Stock No.', 'Part', 'Length (mm)', 'Width (mm)', 'X (mm)', 'Y (mm)', 'Offcut (mm)', 'Quantity']];
+    cuttingList.linear.forEach((group) => group.bars.forEach((bar) => bar.cuts.forEach((cut, index) => {
+      rows.push([group.stock, bar.number, cut.part, cut.length, '', '', '', index === bar.cuts.length - 1 ? bar.offcut : '', 1]);
+    })));
+    cuttingList.sheets.forEach((group) => group.sheets.forEach((sheet) => sheet.placements.forEach((p) => {
+      rows.push([group.stock, sheet.number, p.part, p.length, p.width, p.x, p.y, '', 1]);
+    })));
+    cuttingList.hardware.forEach((item) => {
+      rows.push([[item.category, item.grade, item.size].filter(Boolean).join(' '), '', item.part, '', '', '', '', '', item.quantity]);
+    });
+
+    return `${rows.map((row) => row.map(escape).join(',')).join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = new CuttingListService();
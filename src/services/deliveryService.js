@@ -0,0 +1,127 @@
+const { Delivery } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+const paymentPlanService = require('./paymentPlanService');
+const projectWorkflowService = require('./projectWorkflowService');
+
+// Project statuses a pickup or delivery can be scheduled in
+const SCHEDULABLE_PROJECT_STATUSES = ['fabrication_done', 'ready_for_pickup', 'pending_final_payment'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class DeliveryService {
+  /**
+   * One-line address from the project's site address
+   */
+  formatAddress(siteAddress = {}) {
+    return ['street', 'barangay', 'city', 'province', 'zipCode']
+      .map((field) => siteAddress[field])
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  /**
+   * Throw unless a pickup or delivery can be scheduled for the project
+   */
+  async assertSchedulable(project, session = null) {
+    if (!SCHEDULABLE_PROJECT_STATUSES.includes(project.status)) {
+      throw new AppError(`Cannot schedule a release for a ${project.status} project`, 409);
+    }
+    const existing = await Delivery.findOne({ project: project._id, status: 'scheduled' }).session(session);
+    if (existing) {
+      throw new AppError(`${existing.method === 'pickup' ? 'Pickup' : 'Delivery'} ${existing.deliveryNumber} is already scheduled`, 409);
+    }
+  }
+
+  /**
+   * Deliveries need a vehicle, driver and address; the vehicle and driver
+   * cannot be booked on another delivery in an overlapping slot
+   * @param {Object} delivery - Delivery document (new or being rescheduled)
+   */
+  async assertDeliveryDetails(delivery, session = null) {
+    if (delivery.method !== 'delivery') {
+      return;
+    }
+    if (!delivery.vehicle?.plateNumber || !delivery.driver?.name || !delivery.address) {
+      throw new AppError('Deliveries need a vehicle, a driver and an address', 400);
+    }
+
+    const clash = await Delivery.findOne({
+      _id: { $ne: delivery._id },
+      method: 'delivery',
+      status: 'scheduled',
+      'slot.start': { $lt: delivery.slot.end },
+      'slot.end': { $gt: delivery.slot.start },
+      $or: [
+        { 'vehicle.plateNumber': delivery.vehicle.plateNumber.toUpperCase() },
+        { 'driver.name': new RegExp(`^${escapeRegex(delivery.driver.name.trim())}$`, 'i') },
+      ],
+    }).session(session);
+
+    if (clash) {
+      const what = clash.vehicle.plateNumber === delivery.vehicle.plateNumber.toUpperCase()
+        ? `Vehicle ${clash.vehicle.plateNumber}`
+        : `Driver ${clash.driver.name}`;
+      throw new AppError(`${what} is already booked for ${clash.deliveryNumber} in that slot`, 409);
+    }
+  }
+
+  /**
+   * Record the receiver's sign-off and release the project. While the
+   * final payment is unverified only an admin can release, with a reason
+   * that is kept on the delivery. The caller saves the project.
+   * @param {Object} delivery - Scheduled delivery (in the session)
+   * @param {Object} project - Its project (in the session)
+   * @param {{ receivedBy, signature, remarks?, overrideReason? }} signOff
+   * @param {{ userId, role }} actor
+   * @returns {Promise<boolean>} true when the payment check was overridden
+   */
+  async release(delivery, project, { receivedBy, signature, remarks, overrideReason }, { userId, role }, session) {
+    if (delivery.status !== 'scheduled') {
+      throw new AppError(`${delivery.deliveryNumber} is already ${delivery.status}`, 409);
+    }
+
+    const paid = await paymentPlanService.isPhaseVerified(project, 'final', session);
+    if (!paid) {
+      if (role !== config.roles.ADMIN) {
+        throw new AppError('Final payment is not verified; only an admin can release with an override', 409);
+      }
+      if (!overrideReason) {
+        throw new AppError('Final payment is not verified; give an override reason to release', 400);
+      }
+      delivery.paymentOverride = {
+        reason: overrideReason,
+        approvedBy: userId,
+        approvedAt: new Date(),
+      };
+    }
+
+    // Check the project can be released before the sign-off is recorded;
+    // the signed release itself is what satisfies releaseSignedFor
+    const waive = paid ? [] : ['finalPaymentVerified'];
+    await projectWorkflowService.assertTransition(project, 'released', role, {
+      waive: [...waive, 'releaseSignedFor'],
+    });
+
+    delivery.status = 'released';
+    delivery.release = {
+      receivedBy,
+      signature,
+      remarks,
+      releasedAt: new Date(),
+      releasedBy: userId,
+    };
+    await delivery.save({ session });
+
+    await projectWorkflowService.transition(project, 'released', {
+      userId,
+      role,
+      notes: `${delivery.method === 'pickup' ? 'Picked up' : 'Delivered'} (${delivery.deliveryNumber}), received by ${receivedBy}`,
+      waive,
+    });
+
+    return !paid;
+  }
+}
+
+module.exports = new DeliveryService();
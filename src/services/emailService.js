@@ -1,6 +1,12 @@
 const nodemailer = require('nodemailer');
 const config = require('../config');
 
+const APPOINTMENT_TYPE_LABELS = {
+  office_consultation: 'Office Consultation',
+  ocular_visit: 'Ocular Visit',
+  repair_visit: 'Repair Visit',
+};
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -14,7 +20,7 @@ class EmailService {
     });
   }
 
-  async sendEmail({ to, subject, html, text }) {
+  async sendEmail({ to, subject, html, text, attachments }) {
     try {
       const mailOptions = {
         from: config.smtp.from,
@@ -22,6 +28,7 @@ class EmailService {
         subject,
         html,
         text,
+        attachments,
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -122,7 +129,7 @@ class EmailService {
             <div class="details">
               <p><strong>Date:</strong> ${formattedDate}</p>
               <p><strong>Time:</strong> ${formattedTime}</p>
-              <p><strong>Type:</strong> ${appointment.appointmentType === 'ocular_visit' ? 'Ocular Visit' : 'Office Consultation'}</p>
+              <p><strong>Type:</strong> ${APPOINTMENT_TYPE_LABELS[appointment.appointmentType] || 'Office Consultation'}</p>
               ${appointment.interestedCategory ? `<p><strong>Category:</strong> ${appointment.interestedCategory}</p>` : ''}
             </div>
             <p>Please arrive 10 minutes before your scheduled time.</p>
@@ -188,7 +195,7 @@ class EmailService {
             <div class="details">
               <p><strong>Date:</strong> ${formattedDate}</p>
               <p><strong>Time:</strong> ${formattedTime}</p>
-              <p><strong>Type:</strong> ${details.appointmentType === 'ocular_visit' ? 'Ocular Visit' : 'Office Consultation'}</p>
+              <p><strong>Type:</strong> ${APPOINTMENT_TYPE_LABELS[details.appointmentType] || 'Office Consultation'}</p>
               <p><strong>Reason:</strong> ${reason}</p>
             </div>
             <p>${message}</p>
@@ -261,12 +268,9 @@ class EmailService {
     });
   }
 
-  async sendPaymentVerification(email, payment, project, customerName) {
-    const stageNames = {
-      initial: 'Initial Payment (30%)',
-      midpoint: 'Midpoint Payment (40%)',
-      final: 'Final Payment (30%)',
-    };
+  async sendPaymentVerification(email, payment, transaction, project, customerName) {
+    const milestone = project.paymentPlan?.milestones?.find((m) => m.key === payment.stage);
+    const stageName = `${payment.label || milestone?.label || payment.stage}${milestone?.percentage ? ` (${milestone.percentage}%)` : ''}`;
 
     const html = `
       <!DOCTYPE html>
@@ -292,11 +296,15 @@ class EmailService {
             <p>Your payment has been verified successfully.</p>
             <div class="payment-box">
               <p><strong>Project:</strong> ${project.projectNumber}</p>
-              <p><strong>Payment Stage:</strong> ${stageNames[payment.stage]}</p>
-              <p class="amount">₱${payment.amount.received?.toLocaleString()}</p>
-              <p><strong>Reference:</strong> ${payment.verification.referenceNumber || 'N/A'}</p>
+              <p><strong>Payment Stage:</strong> ${stageName}</p>
+              <p class="amount">₱${transaction.amountReceived?.toLocaleString()}</p>
+              <p><strong>Reference:</strong> ${transaction.referenceNumber || 'N/A'}</p>
+              <p><strong>Total Received:</strong> ₱${payment.amount.received?.toLocaleString()} of ₱${payment.amount.expected?.toLocaleString()}</p>
             </div>
-            <p>Thank you for your payment. Your project will proceed to the next phase.</p>
+            ${transaction.receipt?.path ? `<p>Your official receipt <strong>${transaction.receipt.receiptNumber}</strong> is attached to this email.</p>` : ''}
+            ${payment.balance > 0
+    ? `<p>Thank you for your payment. A balance of <strong>₱${payment.balance.toLocaleString()}</strong> remains for this stage.</p>`
+    : '<p>Thank you for your payment. Your project will proceed to the next phase.</p>'}
           </div>
           <div class="footer">
             <p>RMV Stainless Steel Fabrication & Construction Services</p>
@@ -311,7 +319,10 @@ class EmailService {
       to: email,
       subject: `RMV Stainless Steel - Payment Verified: ${project.projectNumber}`,
       html,
-      text: `Your ${stageNames[payment.stage]} for project ${project.projectNumber} has been verified.`,
+      text: `Your ${stageName} for project ${project.projectNumber} has been verified.`,
+      attachments: transaction.receipt?.path
+        ? [{ filename: `${transaction.receipt.receiptNumber}.pdf`, path: transaction.receipt.path }]
+        : undefined,
     });
   }
 
@@ -366,6 +377,449 @@ class EmailService {
       text: message,
     });
   }
+
+  async sendInstallationUpdate(email, project, customerName, stage) {
+    const scheduledDate = project.installation?.scheduledDate
+      ? new Date(project.installation.scheduledDate).toLocaleDateString('en-PH', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      })
+      : null;
+
+    const stageMessages = {
+      scheduled: `Your installation has been scheduled for <strong>${scheduledDate}</strong>. Our crew will coordinate with you before the visit.`,
+      started: 'Our installation crew has started work on your project.',
+      completed: 'Installation of your project is complete. Please review the work and sign off with our crew.',
+      signed_off: 'Thank you for signing off on your installation.',
+    };
+
+    const stageTitles = {
+      scheduled: 'Installation Scheduled',
+      started: 'Installation Started',
+      completed: 'Installation Completed',
+      signed_off: 'Installation Signed Off',
+    };
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #1a1a2e; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          .project-box { background-color: white; padding: 20px; margin: 20px 0; border-left: 4px solid #1a1a2e; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          .cta { background-color: #1a1a2e; color: white; padding: 12px 24px; text-decoration: none; 
+                 display: inline-block; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${stageTitles[stage]}</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${customerName},</p>
+            <p>${stageMessages[stage]}</p>
+            <div class="project-box">
+              <p><strong>Project:</strong> ${project.projectNumber} - ${project.title}</p>
+              ${scheduledDate ? `<p><strong>Installation Date:</strong> ${scheduledDate}</p>` : ''}
+            </div>
+            <a href="${config.frontendUrl}/customer/projects/${project._id}" class="cta">View Project</a>
+          </div>
+          <div class="footer">
+            <p>RMV Stainless Steel Fabrication & Construction Services</p>
+            <p>Brgy. Mapulang Lupa, Valenzuela City</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `RMV Stainless Steel - ${stageTitles[stage]}: ${project.projectNumber}`,
+      html,
+      text: `${stageTitles[stage]} for project ${project.projectNumber}.${scheduledDate ? ` Installation date: ${scheduledDate}.` : ''}`,
+    });
+  }
+
+  async sendDeliveryUpdate(email, delivery, project, customerName, stage) {
+    const formatTime = (date) => new Date(date).toLocaleTimeString('en-PH', { hour: 'numeric', minute: '2-digit' });
+    const slot = `${new Date(delivery.slot.start).toLocaleDateString('en-PH', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    })}, ${formatTime(delivery.slot.start)} - ${formatTime(delivery.slot.end)}`;
+    const isPickup = delivery.method === 'pickup';
+
+    const stageMessages = {
+      scheduled: isPickup
+        ? `Your project is ready. Pickup at our shop is scheduled for <strong>${slot}</strong>. Please bring a valid ID.`
+        : `Your project is scheduled for delivery on <strong>${slot}</strong>. Please make sure someone can receive it.`,
+      cancelled: `The scheduled ${isPickup ? 'pickup' : 'delivery'} has been cancelled. We will contact you to arrange a new schedule.`,
+      released: `Your project was ${isPickup ? 'picked up' : 'delivered'} and received by ${delivery.release?.receivedBy}. Thank you for choosing us!`,
+    };
+
+    const stageTitles = {
+      scheduled: isPickup ? 'Pickup Scheduled' : 'Delivery Scheduled',
+      cancelled: isPickup ? 'Pickup Cancelled' : 'Delivery Cancelled',
+      released: isPickup ? 'Project Picked Up' : 'Project Delivered',
+    };
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #1a1a2e; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          .project-box { background-color: white; padding: 20px; margin: 20px 0; border-left: 4px solid #1a1a2e; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          .cta { background-color: #1a1a2e; color: white; padding: 12px 24px; text-decoration: none; 
+                 display: inline-block; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${stageTitles[stage]}</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${customerName},</p>
+            <p>${stageMessages[stage]}</p>
+            <div class="project-box">
+              <p><strong>Project:</strong> ${project.projectNumber} - ${project.title}</p>
+              <p><strong>Reference:</strong> ${delivery.deliveryNumber}</p>
+              ${!isPickup && delivery.address ? `<p><strong>Address:</strong> ${delivery.address}</p>` : ''}
+            </div>
+            <a href="${config.frontendUrl}/customer/projects/${project._id}" class="cta">View Project</a>
+          </div>
+          <div class="footer">
+            <p>RMV Stainless Steel Fabrication & Construction Services</p>
+            <p>Brgy. Mapulang Lupa, Valenzuela City</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `RMV Stainless Steel - ${stageTitles[stage]}: ${project.projectNumber}`,
+      html,
+      text: `${stageTitles[stage]} for project ${project.projectNumber} (${delivery.deliveryNumber}).${stage === 'scheduled' ? ` Schedule: ${slot}.` : ''}`,
+    });
+  }
+
+  async sendWarrantyClaimUpdate(email, claim, project, customerName) {
+    const stageMessages = {
+      submitted: 'We received your claim and will review it shortly.',
+      approved: claim.review?.covered
+        ? 'Your claim was approved and will be repaired under warranty. We will schedule a repair visit with you.'
+        : 'Your service request was approved. Our team will contact you with the service charge and schedule a visit.',
+      rejected: `Your claim was not approved: ${claim.review?.notes || ''}`,
+      resolved: `Your claim has been resolved. ${claim.resolution?.notes || ''}`,
+    };
+
+    const stageTitles = {
+      submitted: 'Claim Received',
+      approved: 'Claim Approved',
+      rejected: 'Claim Not Approved',
+      resolved: 'Claim Resolved',
+    };
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #1a1a2e; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          .project-box { background-color: white; padding: 20px; margin: 20px 0; border-left: 4px solid #1a1a2e; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          .cta { background-color: #1a1a2e; color: white; padding: 12px 24px; text-decoration: none; 
+                 display: inline-block; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${stageTitles[claim.status]}</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${customerName},</p>
+            <p>${stageMessages[claim.status]}</p>
+            <div class="project-box">
+              <p><strong>Claim:</strong> ${claim.claimNumber} (${claim.type === 'warranty' ? 'Warranty' : 'Service'})</p>
+              <p><strong>Project:</strong> ${project.projectNumber} - ${project.title}</p>
+            </div>
+            <a href="${config.frontendUrl}/customer/projects/${project._id}" class="cta">View Project</a>
+          </div>
+          <div class="footer">
+            <p>RMV Stainless Steel Fabrication & Construction Services</p>
+            <p>Brgy. Mapulang Lupa, Valenzuela City</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `RMV Stainless Steel - ${stageTitles[claim.status]}: ${claim.claimNumber}`,
+      html,
+      text: `${stageTitles[claim.status]} - ${claim.claimNumber} for project ${project.projectNumber}.`,
+    });
+  }
+
+  async sendChangeOrderUpdate(email, changeOrder, project, customerName) {
+    const delta = changeOrder.costDelta;
+    const deltaText = delta
+      ? `${delta > 0 ? 'adds' : 'deducts'} <strong>₱${Math.abs(delta).toLocaleString()}</strong>`
+      : 'does not change the contract price';
+
+    const stageMessages = {
+      proposed: `We have proposed a change to your project that ${deltaText}. Please review it and approve or decline it in your account.`,
+      approved: `Your approval of the change has been recorded. The contract price is now <strong>₱${changeOrder.applied?.newAmount?.toLocaleString()}</strong> and your remaining payments have been updated.`,
+      withdrawn: 'The proposed change has been withdrawn. No action is needed on your part.',
+    };
+
+    const stageTitles = {
+      proposed: 'Change Order for Your Approval',
+      approved: 'Change Order Approved',
+      withdrawn: 'Change Order Withdrawn',
+    };
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #1a1a2e; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          .project-box { background-color: white; padding: 20px; margin: 20px 0; border-left: 4px solid #1a1a2e; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          .cta { background-color: #1a1a2e; color: white; padding: 12px 24px; text-decoration: none;
+                 display: inline-block; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${stageTitles[changeOrder.status]}</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${customerName},</p>
+            <p>${stageMessages[changeOrder.status]}</p>
+            <div class="project-box">
+              <p><strong>Change Order:</strong> ${changeOrder.changeOrderNumber} - ${changeOrder.title}</p>
+              <p><strong>Project:</strong> ${project.projectNumber} - ${project.title}</p>
+              <p><strong>Scope:</strong> ${changeOrder.scope}</p>
+            </div>
+            <a href="${config.frontendUrl}/customer/projects/${project._id}" class="cta">View Project</a>
+          </div>
+          <div class="footer">
+            <p>RMV Stainless Steel Fabrication & Construction Services</p>
+            <p>Brgy. Mapulang Lupa, Valenzuela City</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `RMV Stainless Steel - ${stageTitles[changeOrder.status]}: ${changeOrder.changeOrderNumber}`,
+      html,
+      text: `${stageTitles[changeOrder.status]} - ${changeOrder.changeOrderNumber} for project ${project.projectNumber}.`,
+    });
+  }
+
+  async sendPaymentReminder(email, payment, project, customerName, now = new Date()) {
+    const dueDate = new Date(payment.dueDate).toLocaleDateString('en-PH', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+    const overdue = payment.dueDate < now;
+    const title = overdue ? 'Payment Overdue' : 'Payment Reminder';
+    const message = overdue
+      ? `Your <strong>${payment.label || payment.stage}</strong> was due on <strong>${dueDate}</strong> and is now overdue. Please settle the remaining balance to avoid delays to your project.`
+      : `This is a friendly reminder that your <strong>${payment.label || payment.stage}</strong> is due on <strong>${dueDate}</strong>.`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: ${overdue ? '#c0392b' : '#1a1a2e'}; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          .payment-box { background-color: white; padding: 20px; margin: 20px 0; border-left: 4px solid ${overdue ? '#c0392b' : '#1a1a2e'}; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          .amount { font-size: 24px; font-weight: bold; }
+          .cta { background-color: #1a1a2e; color: white; padding: 12px 24px; text-decoration: none; 
+                 display: inline-block; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${title}</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${customerName},</p>
+            <p>${message}</p>
+            <div class="payment-box">
+              <p><strong>Project:</strong> ${project.projectNumber} - ${project.title}</p>
+              <p><strong>Due Date:</strong> ${dueDate}</p>
+              <p class="amount">₱${payment.balance.toLocaleString()}</p>
+            </div>
+            <p>If you have already paid, please upload your proof of payment so our cashier can verify it.</p>
+            <a href="${config.frontendUrl}/customer/projects/${project._id}" class="cta">View Payment</a>
+          </div>
+          <div class="footer">
+            <p>RMV Stainless Steel Fabrication & Construction Services</p>
+            <p>Brgy. Mapulang Lupa, Valenzuela City</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `RMV Stainless Steel - ${title}: ${project.projectNumber}`,
+      html,
+      text: `${title}: ₱${payment.balance} for project ${project.projectNumber} is due on ${dueDate}.`,
+    });
+  }
+
+  async sendLowStockAlert(emails, stockItems) {
+    const rows = stockItems.map((item) => `
+      <tr>
+        <td>${item.material.sku}</td>
+        <td>${item.material.name}</td>
+        <td>${item.warehouse.code}</td>
+        <td>${item.onHand}</td>
+        <td>${item.reserved}</td>
+        <td><strong>${item.available}</strong></td>
+        <td>${item.reorderLevel}</td>
+      </tr>`).join('');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 700px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #c0392b; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          table { width: 100%; border-collapse: collapse; background-color: white; }
+          th, td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; font-size: 13px; }
+          th { background-color: #1a1a2e; color: white; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Low Stock Alert</h1>
+          </div>
+          <div class="content">
+            <p>The following materials are at or below their reorder level:</p>
+            <table>
+              <tr><th>SKU</th><th>Material</th><th>Warehouse</th><th>On Hand</th><th>Reserved</th><th>Available</th><th>Reorder At</th></tr>
+              ${rows}
+            </table>
+          </div>
+          <div class="footer">
+            <p>RMV Stainless Steel Fabrication & Construction Services</p>
+            <p>Brgy. Mapulang Lupa, Valenzuela City</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: emails.join(', '),
+      subject: `RMV Stainless Steel - Low stock: ${stockItems.length} material${stockItems.length === 1 ? '' : 's'}`,
+      html,
+      text: stockItems
+        .map((item) => `${item.material.sku} @ ${item.warehouse.code}: ${item.available} available (reorder at ${item.reorderLevel})`)
+        .join('\n'),
+    });
+  }
+
+  async sendRefundUpdate(email, refund, project, customerName) {
+    const approved = refund.status === 'approved';
+    const title = approved ? 'Refund Approved' : 'Refund Sent';
+    const message = approved
+      ? `A refund of <strong>₱${refund.amount.toLocaleString()}</strong> has been approved. We will send the money to you shortly.`
+      : `We have sent your refund of <strong>₱${refund.amount.toLocaleString()}</strong> via ${(refund.processing?.method || 'other').replace('_', ' ')}.`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #1a1a2e; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          .payment-box { background-color: white; padding: 20px; margin: 20px 0; border-left: 4px solid #1a1a2e; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${title}</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${customerName},</p>
+            <p>${message}</p>
+            <div class="payment-box">
+              <p><strong>Project:</strong> ${project.projectNumber} - ${project.title}</p>
+              <p><strong>Credit Note:</strong> ${refund.creditNote?.creditNoteNumber || 'N/A'}</p>
+              ${refund.processing?.referenceNumber ? `<p><strong>Reference:</strong> ${refund.processing.referenceNumber}</p>` : ''}
+            </div>
+            ${approved && refund.creditNote?.path ? '<p>Your credit note is attached to this email.</p>' : ''}
+          </div>
+          <div class="footer">
+            <p>RMV Stainless Steel Fabrication & Construction Services</p>
+            <p>Brgy. Mapulang Lupa, Valenzuela City</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `RMV Stainless Steel - ${title}: ${project.projectNumber}`,
+      html,
+      text: `${title}: ₱${refund.amount} for project ${project.projectNumber}.`,
+      attachments: approved && refund.creditNote?.path
+        ? [{ filename: `${refund.creditNote.creditNoteNumber}.pdf`, path: refund.creditNote.path }]
+        : undefined,
+    });
+  }
 }
 
 module.exports = new EmailService();
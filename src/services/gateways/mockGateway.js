@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const sign = (rawBody) => crypto
+  .createHmac('sha256', config.paymentGateway.mock.webhookSecret)
+  .update(rawBody)
+  .digest('hex');
+
+/**
+ * Offline provider for development and testing. Checkouts are never shown
+ * to anyone; POST /api/payments/gateway/mock/:checkoutId/simulate sends the
+ * signed webhook a real provider would.
+ */
+const mockGateway = {
+  name: 'mock',
+
+  async createCheckout({ amount }) {
+    const checkoutId = `mock_cs_${uuidv4().replace(/-/g, '')}`;
+    return {
+      checkoutId,
+      checkoutUrl: `${config.paymentGateway.publicUrl}/api/payments/gateway/mock/${checkoutId}/simulate`,
+      amount,
+    };
+  },
+
+  verifySignature(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(sign(rawBody));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  // Mock events are already in the normalized shape
+  parseEvent(rawBody) {
+    const { id, type, data = {} } = JSON.parse(rawBody.toString('utf8'));
+    return {
+      eventId: id,
+      type,
+      checkoutId: data.checkoutId,
+      amount: data.amount,
+      method: data.method,
+      referenceNumber: data.referenceNumber,
+      paidAt: data.paidAt ? new Date(data.paidAt) : new Date(),
+    };
+  },
+
+  /**
+   * Signed webhook request for a checkout outcome
+   * @param {string} checkoutId
+   * @param {{ outcome: string, amount: number, method: string }} options
+   * @returns {{ body: string, headers: Object }}
+   */
+  buildEvent(checkoutId, { outcome, amount, method }) {
+    const types = {
+      paid: 'payment.paid',
+      failed: 'payment.failed',
+      expired: 'checkout.expired',
+    };
+    const body = JSON.stringify({
+      id: `mock_evt_${uuidv4().replace(/-/g, '')}`,
+      type: types[outcome],
+      data: {
+        checkoutId,
+        amount,
+        method,
+        referenceNumber: outcome === 'paid' ? `MOCK-${Date.now()}` : undefined,
+        paidAt: new Date().toISOString(),
+      },
+    });
+    return {
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: sign(body),
+      },
+    };
+  },
+};
+
+module.exports = mockGateway;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { AppError } = require('../../middleware/error');
+const config = require('../../config');
+
+// PayMongo payment method types → our payment methods
+const METHODS = {
+  gcash: 'gcash',
+  paymaya: 'maya',
+  card: 'card',
+};
+
+// Signatures older than this are treated as replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const authHeader = () => `Basic ${Buffer.from(`${config.paymentGateway.paymongo.secretKey}:`).toString('base64')}`;
+
+/**
+ * PayMongo checkout sessions (GCash, Maya and cards).
+ * Amounts are sent in centavos.
+ */
+const paymongoGateway = {
+  name: 'paymongo',
+
+  async createCheckout({ amount, description, referenceNumber, successUrl, cancelUrl, metadata }) {
+    const { apiUrl, secretKey } = config.paymentGateway.paymongo;
+    if (!secretKey) {
+      throw new AppError('PayMongo is not configured', 503);
+    }
+
+    const response = await fetch(`${apiUrl}/checkout_sessions`, {
+      method: 'POST',
+      headers: {
+        Authorization: authHeader(),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        data: {
+          attributes: {
+            line_items: [{
+              name: description,
+              amount: Math.round(amount * 100),
+              currency: 'PHP',
+              quantity: 1,
+            }],
+            payment_method_types: Object.keys(METHODS),
+            description,
+            reference_number: referenceNumber,
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            metadata,
+          },
+        },
+      }),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = body.errors?.[0]?.detail || response.statusText;
+      throw new AppError(`Payment gateway error: ${detail}`, 502);
+    }
+
+    return {
+      checkoutId: body.data.id,
+      checkoutUrl: body.data.attributes.checkout_url,
+      amount,
+    };
+  },
+
+  /**
+   * Check the Paymongo-Signature header: "t=<timestamp>,te=<test sig>,li=<live sig>",
+   * each an HMAC-SHA256 of "<timestamp>.<raw body>"
+   */
+  verifySignature(rawBody, headers) {
+    const { webhookSecret } = config.paymentGateway.paymongo;
+    const header = headers['paymongo-signature'];
+    if (!rawBody || !webhookSecret || typeof header !== 'string') {
+      return false;
+    }
+
+    const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${parts.t}.${rawBody}`)
+      .digest('hex'));
+
+    return [parts.li, parts.te].filter(Boolean).some((signature) => {
+      const received = Buffer.from(signature);
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+  },
+
+  // Only paid checkout sessions are acted on; other events are recorded and ignored
+  parseEvent(rawBody) {
+    const { data } = JSON.parse(rawBody.toString('utf8'));
+    const { type, data: resource } = data.attributes;
+
+    if (type !== 'checkout_session.payment.paid') {
+      return { eventId: data.id, type, checkoutId: resource?.id };
+    }
+
+    const paid = resource.attributes.payments?.[0]?.attributes || {};
+    return {
+      eventId: data.id,
+      type: 'payment.paid',
+      checkoutId: resource.id,
+      amount: (paid.amount || 0) / 100,
+      method: METHODS[paid.source?.type] || 'other',
+      referenceNumber: resource.attributes.payments?.[0]?.id,
+      paidAt: paid.paid_at ? new Date(paid.paid_at * 1000) : new Date(),
+    };
+  },
+};
+
+module.exports = paymongoGateway;
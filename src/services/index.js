@@ -1,9 +1,49 @@
 const emailService = require('./emailService');
 const tokenService = require('./tokenService');
 const activityService = require('./activityService');
+const cashierSessionService = require('./cashierSessionService');
+const changeOrderService = require('./changeOrderService');
+const costingService = require('./costingService');
+const deliveryService = require('./deliveryService');
+const cuttingListService = require('./cuttingListService');
+const inventoryService = require('./inventoryService');
+const paymentGatewayService = require('./paymentGatewayService');
+const paymentPlanService = require('./paymentPlanService');
+const paymentReminderService = require('./paymentReminderService');
+const projectWorkflowService = require('./projectWorkflowService');
+const quoteEstimatorService = require('./quoteEstimatorService');
+const pdfService = require('./pdfService');
+const purchasingService = require('./purchasingService');
+const qcService = require('./qcService');
+const reconciliationService = require('./reconciliationService');
+const refundService = require('./refundService');
+const schedulingService = require('./schedulingService');
+const transactionService = require('./transactionService');
+const warrantyService = require('./warrantyService');
+const workOrderService = require('./workOrderService');
 
 module.exports = {
   emailService,
   tokenService,
   activityService,
+  cashierSessionService,
+  changeOrderService,
+  costingService,
+  deliveryService,
+  cuttingListService,
+  inventoryService,
+  paymentGatewayService,
+  paymentPlanService,
+  paymentReminderService,
+  projectWorkflowService,
+  quoteEstimatorService,
+  pdfService,
+  purchasingService,
+  qcService,
+  reconciliationService,
+  refundService,
+  schedulingService,
+  transactionService,
+  warrantyService,
+  workOrderService,
 };
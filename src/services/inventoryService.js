@@ -0,0 +1,380 @@
+const {
+  Warehouse,
+  StockItem,
+  StockMovement,
+  StockReservation,
+  User,
+} = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+const { LINEAR_MATERIAL_CATEGORIES } = require('../config/vocabulary');
+const cuttingListService = require('./cuttingListService');
+const emailService = require('./emailService');
+
+// Available stock (on hand less reserved) at or below the reorder level
+const LOW_STOCK_EXPR = { $lte: [{ $subtract: ['$onHand', '$reserved'] }, '$reorderLevel'] };
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+class InventoryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Warehouse project reservations are taken from: the default one, else
+   * the oldest active warehouse
+   * @param {ClientSession} [session]
+   */
+  async getDefaultWarehouse(session = null) {
+    return Warehouse.findOne({ isActive: true })
+      .sort({ isDefault: -1, createdAt: 1 })
+      .session(session);
+  }
+
+  /**
+   * Filter for stock items at or below their reorder level
+   */
+  lowStockQuery() {
+    return { reorderLevel: { $gt: 0 }, $expr: LOW_STOCK_EXPR };
+  }
+
+  /**
+   * Stock record of a material in a warehouse, created empty on first use
+   * @param {ClientSession} [session]
+   */
+  async getStockItem(materialId, warehouseId, session = null) {
+    return StockItem.findOneAndUpdate(
+      { material: materialId, warehouse: warehouseId },
+      { $setOnInsert: { onHand: 0, reserved: 0 } },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  /**
+   * Apply a movement to a stock item and record it. Stock on hand never
+   * goes below zero; reservations may exceed it (a shortage).
+   * @param {string} type - Movement type
+   * @param {Object} stockItem - Stock item document
+   * @param {{ onHand?: number, reserved?: number }} change - Level deltas
+   * @param {Object} details - quantity, project, reservation, purchaseOrder,
+   *   unitCost (defaults to the average cost), reference, notes, userId, session
+   * @returns {Promise<Object>} Updated stock item
+   */
+  async move(type, stockItem, { onHand = 0, reserved = 0 }, {
+    quantity, project, reservation, purchaseOrder, unitCost, reference, notes, userId, session = null,
+  }) {
+    const filter = { _id: stockItem._id };
+    if (onHand < 0) {
+      filter.onHand = { $gte: -onHand };
+    }
+
+    const updated = await StockItem.findOneAndUpdate(
+      filter,
+      { $inc: { onHand, reserved } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new AppError(`Not enough stock: ${stockItem.onHand} on hand, ${-onHand} needed`, 409);
+    }
+
+    await StockMovement.create([{
+      type,
+      stockItem: updated._id,
+      material: updated.material,
+      warehouse: updated.warehouse,
+      project,
+      reservation,
+      purchaseOrder,
+      quantity,
+      unitCost: unitCost ?? updated.averageCost,
+      onHandAfter: updated.onHand,
+      reservedAfter: updated.reserved,
+      reference,
+      notes,
+      createdBy: userId,
+    }], { session });
+
+    return updated;
+  }
+
+  /**
+   * Stock quantities a BOM needs, per catalog material: stock lengths or
+   * sheets from the cutting list, piece counts for everything else.
+   * Items without a catalog material cannot be reserved.
+   * @param {Array} bom - Blueprint version BOM
+   * @returns {{ quantities: Array<{ material, quantity }>, warnings: string[] }}
+   */
+  getBomQuantities(bom) {
+    const warnings = [];
+    const byMaterial = new Map();
+
+    bom.forEach((entry) => {
+      const item = entry.toObject ? entry.toObject() : entry;
+      if (!item.material) {
+        warnings.push(`${item.part}: no catalog material, not reserved`);
+        return;
+      }
+      const key = idOf(item.material);
+      if (!byMaterial.has(key)) byMaterial.set(key, []);
+      byMaterial.get(key).push(item);
+    });
+
+    const quantities = [];
+    byMaterial.forEach((items, material) => {
+      const { category } = items[0];
+      let quantity;
+      if (LINEAR_MATERIAL_CATEGORIES.includes(category)) {
+        quantity = cuttingListService.cutLengths(items.filter((i) => i.length), warnings).stockCount;
+      } else if (category === 'sheet') {
+        quantity = cuttingListService.cutSheets(items.filter((i) => i.length && i.width), warnings).stockCount;
+      } else {
+        quantity = items.reduce((sum, i) => sum + (i.quantity || 1), 0);
+      }
+      if (quantity > 0) {
+        quantities.push({ material, quantity });
+      }
+    });
+
+    return { quantities, warnings };
+  }
+
+  /**
+   * Reserve the materials of a project's approved blueprint BOM in the
+   * default warehouse. Does nothing when the project already holds
+   * reservations, unless replace is set: then open reservations are
+   * released and the BOM is reserved again, less what was already issued.
+   * @param {Object} project - Project document
+   * @param {{ userId?, session?, replace?: boolean }} options
+   * @returns {Promise<{ reservations: Array, warnings: string[] }>}
+   */
+  async reserveForProject(project, { userId, session = null, replace = false } = {}) {
+    const previous = await StockReservation.find({ project: project._id }).session(session);
+    if (!replace && previous.some((r) => r.status !== 'released')) {
+      return { reservations: [], warnings: ['Materials are already reserved for this project'] };
+    }
+
+    const versionNumber = project.customerApproval?.approvedVersion?.blueprint || project.blueprint.currentVersion;
+    const version = project.getBlueprintVersion(versionNumber);
+    if (!version?.bom?.length) {
+      return { reservations: [], warnings: [`Blueprint v${versionNumber || 0} has no bill of materials to reserve`] };
+    }
+
+    const warehouse = await this.getDefaultWarehouse(session);
+    if (!warehouse) {
+      return { reservations: [], warnings: ['No active warehouse to reserve from'] };
+    }
+
+    if (replace) {
+      await this.releaseForProject(project, { userId, session, notes: 'Re-reserved from the BOM' });
+    }
+
+    const issued = previous.reduce((totals, r) => {
+      totals[idOf(r.material)] = (totals[idOf(r.material)] || 0) + r.issued;
+      return totals;
+    }, {});
+
+    const { quantities, warnings } = this.getBomQuantities(version.bom);
+    const reservations = [];
+
+    for (const { material, quantity: needed } of quantities) {
+      const quantity = needed - (issued[material] || 0);
+      if (quantity <= 0) continue;
+
+      const stockItem = await this.getStockItem(material, warehouse._id, session);
+      const [reservation] = await StockReservation.create([{
+        project: project._id,
+        material,
+        warehouse: warehouse._id,
+        stockItem: stockItem._id,
+        blueprintVersion: version.version,
+        quantity,
+        shortage: Math.max(0, quantity - Math.max(0, stockItem.available)),
+      }], { session });
+
+      await this.move('reserve', stockItem, { reserved: quantity }, {
+        quantity,
+        project: project._id,
+        reservation: reservation._id,
+        notes: `${project.projectNumber} blueprint v${version.version}`,
+        userId,
+        session,
+      });
+      reservations.push(reservation);
+    }
+
+    return { reservations, warnings };
+  }
+
+  /**
+   * Give back what a project's open reservations still hold
+   * @param {Object} project - Project document
+   * @param {{ userId?, session?, notes?: string }} options
+   * @returns {Promise<number>} Reservations released
+   */
+  async releaseForProject(project, { userId, session = null, notes } = {}) {
+    const reservations = await StockReservation.find({ project: project._id, status: 'active' })
+      .session(session);
+
+    for (const reservation of reservations) {
+      const { outstanding } = reservation;
+      if (outstanding > 0) {
+        await this.move('release', { _id: reservation.stockItem }, { reserved: -outstanding }, {
+          quantity: outstanding,
+          project: project._id,
+          reservation: reservation._id,
+          notes,
+          userId,
+          session,
+        });
+      }
+      reservation.status = 'released';
+      reservation.releasedAt = new Date();
+      await reservation.save({ session });
+    }
+
+    return reservations.length;
+  }
+
+  /**
+   * Issue stock to the shop floor. Issues for a project draw down its open
+   * reservation of the material first.
+   * @param {{ materialId, warehouseId, projectId?, quantity, reference?, notes?, userId }} options
+   * @param {ClientSession} [session]
+   */
+  async issue({ materialId, warehouseId, projectId, quantity, reference, notes, userId }, session = null) {
+    const stockItem = await this.getStockItem(materialId, warehouseId, session);
+    const reservation = projectId
+      ? await StockReservation.findOne({
+        project: projectId,
+        stockItem: stockItem._id,
+        status: 'active',
+      }).session(session)
+      : null;
+    const covered = reservation ? Math.min(quantity, reservation.outstanding) : 0;
+
+    const updated = await this.move('issue', stockItem, { onHand: -quantity, reserved: -covered }, {
+      quantity,
+      project: projectId,
+      reservation: reservation?._id,
+      reference,
+      notes,
+      userId,
+      session,
+    });
+
+    if (reservation) {
+      reservation.issued += quantity;
+      if (reservation.issued >= reservation.quantity) {
+        reservation.status = 'fulfilled';
+      }
+      await reservation.save({ session });
+    }
+
+    return { stockItem: updated, reservation };
+  }
+
+  /**
+   * Receive, return or adjust stock on hand. Adjustments carry their sign.
+   * A receipt with a unit cost moves the stock item's average cost.
+   * @param {string} type - receive, return or adjust
+   * @param {{ materialId, warehouseId, projectId?, purchaseOrderId?, quantity, unitCost?, reference?, notes?, userId }} options
+   * @param {ClientSession} [session]
+   */
+  async changeOnHand(type, {
+    materialId, warehouseId, projectId, purchaseOrderId, quantity, unitCost, reference, notes, userId,
+  }, session = null) {
+    const stockItem = await this.getStockItem(materialId, warehouseId, session);
+    const updated = await this.move(type, stockItem, { onHand: quantity }, {
+      quantity,
+      project: projectId,
+      purchaseOrder: purchaseOrderId,
+      unitCost: type === 'receive' ? unitCost : undefined,
+      reference,
+      notes,
+      userId,
+      session,
+    });
+
+    if (type === 'receive' && unitCost != null) {
+      const before = updated.onHand - quantity;
+      updated.averageCost = before > 0
+        ? round2((before * updated.averageCost + quantity * unitCost) / updated.onHand)
+        : unitCost;
+      await StockItem.updateOne({ _id: updated._id }, { $set: { averageCost: updated.averageCost } }, { session });
+    }
+
+    return { stockItem: updated };
+  }
+
+  /**
+   * Email admins about stock that fell to its reorder level. Each item is
+   * claimed before sending, so it is reported once until stock recovers.
+   * @returns {Promise<number>} Items reported
+   */
+  async notifyLowStock() {
+    // Stock back above its reorder level can alert again
+    await StockItem.updateMany(
+      { lowStockAlertedAt: { $ne: null }, $expr: { $not: [LOW_STOCK_EXPR] } },
+      { $unset: { lowStockAlertedAt: 1 } }
+    );
+
+    const candidates = await StockItem.find({ ...this.lowStockQuery(), lowStockAlertedAt: null })
+      .populate('material', 'sku name unit')
+      .populate('warehouse', 'code name');
+
+    const now = new Date();
+    const items = [];
+    for (const stockItem of candidates) {
+      const claimed = await StockItem.updateOne(
+        { _id: stockItem._id, lowStockAlertedAt: null },
+        { $set: { lowStockAlertedAt: now } }
+      );
+      if (claimed.modifiedCount) items.push(stockItem);
+    }
+
+    if (items.length) {
+      const admins = await User.find({ role: config.roles.ADMIN, isActive: true }).select('email');
+      if (admins.length) {
+        await emailService.sendLowStockAlert(admins.map((admin) => admin.email), items);
+      }
+    }
+
+    return items.length;
+  }
+
+  /**
+   * Check for low stock on an interval
+   */
+  start() {
+    if (this.timer || !config.inventory.lowStockAlerts.enabled) {
+      return;
+    }
+
+    const tick = async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.notifyLowStock();
+      } catch (error) {
+        console.error('Low stock check failed:', error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(tick, config.inventory.lowStockAlerts.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,204 @@
+const { Payment, Project, WebhookEvent } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+const projectWorkflowService = require('./projectWorkflowService');
+const transactionService = require('./transactionService');
+const mockGateway = require('./gateways/mockGateway');
+const paymongoGateway = require('./gateways/paymongoGateway');
+
+/*
+ * A provider implements:
+ *   name
+ *   createCheckout({ amount, description, referenceNumber, successUrl, cancelUrl, metadata })
+ *     → { checkoutId, checkoutUrl, amount }
+ *   verifySignature(rawBody, headers) → boolean
+ *   parseEvent(rawBody)
+ *     → { eventId, type, checkoutId, amount, method, referenceNumber, paidAt }
+ *     where type is payment.paid, payment.failed or checkout.expired
+ *     (anything else is recorded and ignored)
+ */
+const PROVIDERS = {
+  [mockGateway.name]: mockGateway,
+  [paymongoGateway.name]: paymongoGateway,
+};
+
+// Checkout status for each event that closes a checkout
+const CHECKOUT_OUTCOMES = {
+  'payment.paid': 'paid',
+  'payment.failed': 'failed',
+  'checkout.expired': 'expired',
+};
+
+class PaymentGatewayService {
+  /**
+   * Provider by name (defaults to the configured provider)
+   */
+  getProvider(name = config.paymentGateway.provider) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new AppError(`Unknown payment gateway: ${name}`, 404);
+    }
+    if (provider === mockGateway && config.nodeEnv === 'production') {
+      throw new AppError('The mock payment gateway is disabled in production', 404);
+    }
+    return provider;
+  }
+
+  /**
+   * Open a checkout session for (part of) a payment's balance
+   * @param {Object} payment - Payment populated with project
+   * @param {{ amount?: number, successUrl?: string, cancelUrl?: string, userId }} options
+   */
+  async createCheckout(payment, { amount, successUrl, cancelUrl, userId }) {
+    if (payment.balance <= 0) {
+      throw new AppError('Payment has no remaining balance', 400);
+    }
+    // Money already on its way would be collected twice
+    const now = new Date();
+    const openCheckout = payment.checkouts.find((c) => c.status === 'open' && c.expiresAt > now);
+    if (openCheckout) {
+      throw new AppError(`A checkout for ₱${openCheckout.amount} is still open until ${openCheckout.expiresAt.toISOString()}`, 409);
+    }
+    if (payment.transactions.some((t) => t.status === 'submitted')) {
+      throw new AppError('A payment proof is waiting for verification', 409);
+    }
+    const checkoutAmount = amount || payment.balance;
+    if (checkoutAmount > payment.balance) {
+      throw new AppError(`Amount exceeds the remaining balance of ₱${payment.balance}`, 400);
+    }
+
+    const provider = this.getProvider();
+    const projectUrl = `${config.frontendUrl}/customer/projects/${payment.project._id}`;
+    const session = await provider.createCheckout({
+      amount: checkoutAmount,
+      description: `${payment.project.projectNumber} - ${payment.label || payment.stage}`,
+      referenceNumber: `${payment.project.projectNumber}-${payment.stage}`,
+      successUrl: successUrl || projectUrl,
+      cancelUrl: cancelUrl || projectUrl,
+      metadata: { paymentId: payment._id.toString() },
+    });
+
+    payment.checkouts.push({
+      provider: provider.name,
+      checkoutId: session.checkoutId,
+      checkoutUrl: session.checkoutUrl,
+      amount: checkoutAmount,
+      createdBy: userId,
+      expiresAt: new Date(Date.now() + config.paymentGateway.checkoutExpiryMinutes * 60 * 1000),
+    });
+    await payment.save();
+
+    return payment.checkouts[payment.checkouts.length - 1];
+  }
+
+  /**
+   * Apply a verified webhook event. Redelivered events are recognised by
+   * their event id and change nothing. A paid checkout becomes a verified
+   * transaction with a receipt number and advances the project like a
+   * cashier verification would.
+   * @param {string} providerName
+   * @param {Object} event - Normalized event from the provider's parseEvent
+   * @param {Object} payload - Raw event, stored for auditing
+   * @returns {Promise<{ status: string, payment?, transaction?, project? }>}
+   */
+  async processEvent(providerName, event, payload) {
+    try {
+      return await transactionService.run(async (session) => {
+        const seen = await WebhookEvent.exists({ provider: providerName, eventId: event.eventId })
+          .session(session);
+        if (seen) {
+          return { status: 'duplicate' };
+        }
+
+        const record = async (status, fields = {}) => {
+          await WebhookEvent.create([{
+            provider: providerName,
+            eventId: event.eventId,
+            type: event.type,
+            checkoutId: event.checkoutId,
+            status,
+            payload,
+            ...fields,
+          }], { session });
+          return { status, ...fields };
+        };
+
+        const outcome = CHECKOUT_OUTCOMES[event.type];
+        const payment = event.checkoutId
+          ? await Payment.findOne({ 'checkouts.checkoutId': event.checkoutId })
+            .session(session)
+            .populate('customer', 'email profile.firstName profile.lastName')
+          : null;
+        const checkout = payment?.checkouts.find(
+          (c) => c.provider === providerName && c.checkoutId === event.checkoutId
+        );
+
+        if (!outcome || !checkout) {
+          return record('ignored', { notes: outcome ? 'Unknown checkout' : 'Unsupported event type' });
+        }
+        if (checkout.status !== 'open') {
+          return record('ignored', { payment: payment._id, notes: `Checkout already ${checkout.status}` });
+        }
+
+        checkout.status = outcome;
+        checkout.completedAt = new Date();
+
+        if (outcome !== 'paid') {
+          await payment.save({ session });
+          return record('processed', { payment: payment._id });
+        }
+
+        const amount = event.amount || checkout.amount;
+        payment.transactions.push({
+          amount,
+          paymentMethod: event.method,
+          referenceNumber: event.referenceNumber,
+          submittedBy: checkout.createdBy,
+          submittedAt: event.paidAt,
+          status: 'verified',
+          amountReceived: amount,
+          verification: {
+            verifiedAt: new Date(),
+            notes: `Paid online via ${providerName}`,
+          },
+          receipt: {
+            receiptNumber: await Payment.generateReceiptNumber({ session }),
+            generatedAt: new Date(),
+          },
+          gateway: {
+            provider: providerName,
+            checkoutId: checkout.checkoutId,
+            eventId: event.eventId,
+          },
+        });
+        const transaction = payment.transactions[payment.transactions.length - 1];
+
+        payment.refreshStatus(checkout.createdBy, `Paid online via ${providerName} - Amount: ₱${amount}`);
+        await payment.save({ session });
+
+        const project = await Project.findById(payment.project).session(session);
+
+        // No one is acting on the webhook, so the role check is skipped; guards still apply
+        if (payment.status === 'verified'
+          && await projectWorkflowService.advanceAfterPayment(project, payment, {
+            userId: checkout.createdBy,
+            role: config.roles.CUSTOMER,
+            system: true,
+          })) {
+          await project.save({ session });
+        }
+
+        await record('processed', { payment: payment._id });
+        return { status: 'processed', payment, transaction, project };
+      });
+    } catch (error) {
+      // A concurrent delivery of the same event won the unique index
+      if (error.code === 11000 && error.message.includes('webhookevents')) {
+        return { status: 'duplicate' };
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new PaymentGatewayService();
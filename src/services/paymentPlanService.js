@@ -0,0 +1,306 @@
+const { Payment } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+const { PAYMENT_PHASES } = require('../config/vocabulary');
+
+// Payments that can no longer be repriced or removed
+const LOCKED_PAYMENT_STATUSES = ['submitted', 'partially_paid', 'verified'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Money is kept to the centavo
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const MILESTONE_FIELDS = ['key', 'label', 'phase', 'percentage', 'fixedAmount', 'triggerStatus', 'dueDays'];
+
+const pickMilestone = (milestone) => MILESTONE_FIELDS.reduce((picked, field) => {
+  if (milestone[field] !== undefined && milestone[field] !== null) {
+    picked[field] = milestone[field];
+  }
+  return picked;
+}, {});
+
+class PaymentPlanService {
+  /**
+   * Milestones of a configured template
+   * @param {string} name - Template name from config.business.paymentPlans
+   */
+  fromTemplate(name) {
+    const template = config.business.paymentPlans[name];
+    if (!template) {
+      throw new AppError(`Unknown payment plan template: ${name}`, 400);
+    }
+    return template.map((milestone) => ({ ...milestone }));
+  }
+
+  /**
+   * Standard template with the legacy initial/midpoint/final percentages.
+   * Stages set to 0% are dropped.
+   */
+  fromLegacyStages({ initial, midpoint, final }) {
+    const percentages = { initial, midpoint, final };
+    return this.fromTemplate('standard')
+      .map((milestone) => ({ ...milestone, percentage: percentages[milestone.key] }))
+      .filter((milestone) => milestone.percentage > 0);
+  }
+
+  /**
+   * Check a milestone list is a usable plan. With a total, also checks
+   * the fixed amounts fit inside it.
+   * @param {Array} milestones - Ordered milestones
+   * @param {number} [total] - Approved amount, if already known
+   */
+  validatePlan(milestones, total) {
+    if (!milestones.length) {
+      throw new AppError('A payment plan needs at least one milestone', 400);
+    }
+
+    const keys = new Set(milestones.map((m) => m.key));
+    if (keys.size !== milestones.length) {
+      throw new AppError('Payment milestone keys must be unique', 400);
+    }
+
+    // Phases follow the workflow: initial → midpoint → final
+    const ranks = milestones.map((m) => PAYMENT_PHASES.indexOf(m.phase));
+    if (ranks.some((rank, i) => i > 0 && rank < ranks[i - 1])) {
+      throw new AppError('Payment milestones must be ordered initial, midpoint, then final', 400);
+    }
+    if (milestones[0].phase !== 'initial') {
+      throw new AppError('The first payment milestone must be in the initial phase', 400);
+    }
+    if (milestones[milestones.length - 1].phase !== 'final') {
+      throw new AppError('The last payment milestone must be in the final phase', 400);
+    }
+
+    const percentageMilestones = milestones.filter((m) => m.fixedAmount == null);
+    const percentageTotal = percentageMilestones.reduce((sum, m) => sum + (m.percentage || 0), 0);
+    if (percentageMilestones.length && Math.abs(percentageTotal - 100) > 0.001) {
+      throw new AppError('Payment milestone percentages must sum to 100', 400);
+    }
+
+    if (total != null) {
+      const fixedTotal = milestones.reduce((sum, m) => sum + (m.fixedAmount || 0), 0);
+      if (fixedTotal - total >= 0.01) {
+        throw new AppError('Fixed milestone amounts exceed the approved amount', 400);
+      }
+      if (!percentageMilestones.length && Math.abs(fixedTotal - total) >= 0.01) {
+        throw new AppError('Fixed milestone amounts must add up to the approved amount', 400);
+      }
+    }
+  }
+
+  /**
+   * Replace a project's payment plan. The caller saves the project and,
+   * once it is approved, syncs the payment records.
+   * @param {Object} project - Project document
+   * @param {{ template?: string, milestones?: Array }} plan
+   */
+  applyPlan(project, { template, milestones }) {
+    const planMilestones = (milestones || this.fromTemplate(template)).map(pickMilestone);
+    this.validatePlan(planMilestones, project.costing?.approvedAmount || null);
+
+    project.paymentPlan.template = milestones ? 'custom' : template;
+    project.paymentPlan.milestones = planMilestones;
+  }
+
+  /**
+   * Create or update one payment record per milestone.
+   * Pending payments of removed milestones are deleted; payments already
+   * submitted or verified are never repriced or removed.
+   * @param {Object} project - Saved project with computed milestone amounts
+   * @param {ClientSession} [session]
+   */
+  async syncPayments(project, session = null) {
+    const { milestones } = project.paymentPlan;
+    const existing = await Payment.find({ project: project._id }).session(session);
+    const byStage = new Map(existing.map((payment) => [payment.stage, payment]));
+
+    milestones.forEach((milestone) => {
+      const payment = byStage.get(milestone.key);
+      if (payment
+        && LOCKED_PAYMENT_STATUSES.includes(payment.status)
+        && payment.amount.expected !== milestone.amount) {
+        throw new AppError(`Cannot reprice "${payment.label || payment.stage}": payment is already ${payment.status}`, 409);
+      }
+    });
+
+    const keys = milestones.map((m) => m.key);
+    const removed = existing.filter((payment) => !keys.includes(payment.stage));
+    const locked = removed.find((payment) => payment.status !== 'pending');
+    if (locked) {
+      throw new AppError(`Cannot remove "${locked.label || locked.stage}": payment is already ${locked.status}`, 409);
+    }
+
+    if (removed.length) {
+      await Payment.deleteMany({ _id: { $in: removed.map((p) => p._id) } }, { session });
+    }
+
+    // Upserts keep a retried call from tripping the unique { project, stage } index
+    await Payment.bulkWrite(milestones.map((milestone, index) => ({
+      updateOne: {
+        filter: { project: project._id, stage: milestone.key },
+        update: {
+          $set: {
+            customer: project.customer,
+            label: milestone.label,
+            phase: milestone.phase,
+            sequence: index,
+            'amount.expected': milestone.amount,
+          },
+          $setOnInsert: { status: 'pending' },
+        },
+        upsert: true,
+      },
+    })), { session });
+
+    await this.applyDueDates(project, session);
+  }
+
+  /**
+   * Change the approved amount of a project that already has payment
+   * records. Milestones whose payment is submitted or verified are pinned
+   * to their current amount; the open milestones take up the difference,
+   * percentage milestones keeping their proportions. When every payment
+   * is locked, an increase is billed as an extra final-phase milestone.
+   * The caller saves the project and syncs the payments.
+   * @param {Object} project - Approved project document
+   * @param {number} total - New approved amount
+   * @param {ClientSession} [session]
+   * @param {string} [extraLabel] - Label of an extra milestone, if one is added
+   */
+  async reprice(project, total, session = null, extraLabel = 'Additional payment') {
+    const { milestones } = project.paymentPlan;
+    const payments = await Payment.find({ project: project._id }).session(session);
+    const locked = new Set(payments
+      .filter((payment) => LOCKED_PAYMENT_STATUSES.includes(payment.status))
+      .map((payment) => payment.stage));
+
+    const open = milestones.filter((m) => !locked.has(m.key));
+    const lockedTotal = milestones
+      .filter((m) => locked.has(m.key))
+      .reduce((sum, m) => sum + (m.amount || 0), 0);
+
+    milestones
+      .filter((m) => locked.has(m.key) && m.fixedAmount == null)
+      .forEach((milestone) => {
+        milestone.fixedAmount = milestone.amount;
+      });
+
+    const openFixed = open.filter((m) => m.fixedAmount != null);
+    const openPercentage = open.filter((m) => m.fixedAmount == null);
+    const balance = total - lockedTotal - openFixed.reduce((sum, m) => sum + m.fixedAmount, 0);
+
+    if (!open.length) {
+      // Nothing left to reprice: the difference becomes its own payment
+      const extra = round2(balance);
+      if (extra <= 0) {
+        throw new AppError('Every payment is already submitted or verified; a reduction has to be refunded', 409);
+      }
+      let index = 1;
+      while (milestones.some((m) => m.key === `additional_${index}`)) index += 1;
+      milestones.push({
+        key: `additional_${index}`,
+        label: extraLabel,
+        phase: 'final',
+        fixedAmount: extra,
+      });
+    } else if (openPercentage.length) {
+      if (balance < 0) {
+        throw new AppError('The new amount does not cover the payments already made and the fixed open payments', 409);
+      }
+      // Percentages are shares of the balance; rescale the open ones to 100
+      const percentageTotal = openPercentage.reduce((sum, m) => sum + (m.percentage || 0), 0);
+      const share = (m) => (percentageTotal ? (m.percentage || 0) / percentageTotal : 1 / openPercentage.length);
+      let assigned = 0;
+      openPercentage.forEach((milestone, index) => {
+        milestone.percentage = index === openPercentage.length - 1
+          ? Math.round((100 - assigned) * 10000) / 10000
+          : Math.round(share(milestone) * 100 * 10000) / 10000;
+        assigned += milestone.percentage;
+      });
+    } else {
+      // All open milestones are fixed: the last one absorbs the change
+      const last = openFixed[openFixed.length - 1];
+      if (last.fixedAmount + balance < 0) {
+        throw new AppError('The new amount does not cover the payments already made', 409);
+      }
+      last.fixedAmount = round2(last.fixedAmount + balance);
+    }
+
+    this.validatePlan(milestones.map(pickMilestone), total);
+    project.paymentPlan.template = 'custom';
+    project.costing.approvedAmount = total;
+  }
+
+  /**
+   * Due date of a milestone: dueDays after the project first entered its
+   * trigger status, or null while the trigger has not been reached
+   */
+  getDueDate(project, milestone) {
+    if (!milestone.triggerStatus || milestone.dueDays == null) {
+      return null;
+    }
+    const entered = (project.statusHistory || []).find((h) => h.status === milestone.triggerStatus);
+    if (!entered) {
+      return null;
+    }
+    return new Date(new Date(entered.changedAt).getTime() + milestone.dueDays * DAY_MS);
+  }
+
+  /**
+   * Set due dates on payments whose milestone trigger has been reached.
+   * Due dates already set are kept.
+   * @param {Object} project - Project document
+   * @param {ClientSession} [session]
+   */
+  async applyDueDates(project, session = null) {
+    const updates = project.paymentPlan.milestones
+      .map((milestone) => ({ key: milestone.key, dueDate: this.getDueDate(project, milestone) }))
+      .filter(({ dueDate }) => dueDate);
+
+    if (!updates.length) {
+      return;
+    }
+
+    await Payment.bulkWrite(updates.map(({ key, dueDate }) => ({
+      updateOne: {
+        filter: { project: project._id, stage: key, dueDate: null },
+        update: { $set: { dueDate } },
+      },
+    })), { session });
+  }
+
+  /**
+   * True when every milestone up to and including a phase is verified
+   * @param {Object} project - Project document
+   * @param {string} phase - initial, midpoint or final
+   * @param {ClientSession} [session]
+   */
+  async isPhaseVerified(project, phase, session = null) {
+    const rank = PAYMENT_PHASES.indexOf(phase);
+    const keys = project.paymentPlan.milestones
+      .filter((m) => PAYMENT_PHASES.indexOf(m.phase) <= rank)
+      .map((m) => m.key);
+
+    if (!keys.length) {
+      return true;
+    }
+
+    const verified = await Payment.countDocuments({
+      project: project._id,
+      stage: { $in: keys },
+      status: 'verified',
+    }).session(session);
+
+    return verified === keys.length;
+  }
+
+  /**
+   * Milestone of a project by key
+   */
+  getMilestone(project, key) {
+    return project.paymentPlan?.milestones?.find((m) => m.key === key) || null;
+  }
+}
+
+module.exports = new PaymentPlanService();
@@ -0,0 +1,110 @@
+const { Payment } = require('../models');
+const config = require('../config');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Projects that no longer collect payments
+const CLOSED_PROJECT_STATUSES = ['completed', 'cancelled', 'on_hold'];
+
+class PaymentReminderService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Reminder due for a payment at a point in time, or null.
+   * Before the due date the closest configured offset wins; after it the
+   * largest offset reached wins, so a long-overdue payment gets one email.
+   */
+  getReminderKey(dueDate, now = new Date()) {
+    const { daysBefore, daysAfter } = config.paymentReminders;
+    const diffDays = (dueDate.getTime() - now.getTime()) / DAY_MS;
+
+    if (diffDays >= 0) {
+      const offset = [...daysBefore].sort((a, b) => a - b).find((days) => diffDays <= days);
+      return offset ? `before:${offset}` : null;
+    }
+
+    const offset = [...daysAfter].sort((a, b) => b - a).find((days) => -diffDays >= days);
+    return offset ? `after:${offset}` : null;
+  }
+
+  /**
+   * Send every reminder that has come due. Each reminder is claimed on the
+   * payment before sending, so overlapping runs never send it twice.
+   * @returns {Promise<{ checked: number, sent: number }>}
+   */
+  async runOnce(now = new Date()) {
+    const horizon = new Date(now.getTime() + Math.max(0, ...config.paymentReminders.daysBefore) * DAY_MS);
+
+    const payments = await Payment.find({
+      ...Payment.outstandingQuery(),
+      dueDate: { $lte: horizon },
+    })
+      .populate('project', 'projectNumber title status')
+      .populate('customer', 'email profile.firstName profile.lastName');
+
+    let sent = 0;
+    for (const payment of payments) {
+      if (!payment.project || CLOSED_PROJECT_STATUSES.includes(payment.project.status)) continue;
+
+      const key = this.getReminderKey(payment.dueDate, now);
+      if (!key) continue;
+
+      const claimed = await Payment.updateOne(
+        { _id: payment._id, 'reminders.key': { $ne: key } },
+        { $push: { reminders: { key, sentAt: now } } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await emailService.sendPaymentReminder(
+        payment.customer.email,
+        payment,
+        payment.project,
+        `${payment.customer.profile.firstName} ${payment.customer.profile.lastName}`,
+        now
+      );
+      sent += 1;
+    }
+
+    return { checked: payments.length, sent };
+  }
+
+  /**
+   * Run the reminder check on an interval
+   */
+  start() {
+    if (this.timer || !config.paymentReminders.enabled) {
+      return;
+    }
+
+    const tick = async () => {
+      // Skip a tick while the previous run is still sending
+      if (this.running) return;
+      this.running = true;
+      try {
+        const { sent } = await this.runOnce();
+        if (sent) {
+          console.log(`Payment reminders sent: ${sent}`);
+        }
+      } catch (error) {
+        console.error('Payment reminder run failed:', error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(tick, config.paymentReminders.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new PaymentReminderService();
@@ -0,0 +1,534 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const costingService = require('./costingService');
+const { COSTING_CATEGORIES } = require('../config/vocabulary');
+
+const BRAND_COLOR = '#1a1a2e';
+
+const formatCurrency = (amount) => `PHP ${Number(amount || 0).toLocaleString('en-PH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+})}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-PH', { year: 'numeric', month: 'long', day: 'numeric' })
+  : 'N/A');
+
+const fullName = (user) => (user?.profile
+  ? `${user.profile.firstName} ${user.profile.lastName}`
+  : 'N/A');
+
+class PdfService {
+  /**
+   * Render a document to uploads/<subdir>/<filename>
+   * @param {string} subdir - Folder under the upload base path
+   * @param {string} filename - Target file name
+   * @param {Function} render - Receives the PDFKit document
+   */
+  async writeDocument(subdir, filename, render) {
+    const dir = path.join(config.upload.basePath, subdir);
+    const absoluteDir = path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+    if (!fs.existsSync(absoluteDir)) {
+      fs.mkdirSync(absoluteDir, { recursive: true });
+    }
+
+    const filePath = path.join(dir, filename);
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const stream = fs.createWriteStream(path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath));
+
+    await new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.pipe(stream);
+      render(doc);
+      doc.end();
+    });
+
+    return { filename, path: filePath };
+  }
+
+  /**
+   * Company letterhead with document title
+   */
+  renderHeader(doc, title, subtitle) {
+    const { company } = config;
+
+    doc.rect(0, 0, doc.page.width, 110).fill(BRAND_COLOR);
+    doc.fillColor('white')
+      .font('Helvetica-Bold').fontSize(18)
+      .text(company.name, 50, 28)
+      .font('Helvetica').fontSize(9)
+      .text(company.address)
+      .text([company.phone, company.email].filter(Boolean).join('  |  '))
+      .text(company.tin ? `TIN: ${company.tin}` : '');
+
+    doc.fillColor(BRAND_COLOR)
+      .font('Helvetica-Bold').fontSize(16)
+      .text(title, 50, 135);
+    if (subtitle) {
+      doc.fillColor('#555').font('Helvetica').fontSize(10).text(subtitle);
+    }
+    doc.moveDown();
+  }
+
+  /**
+   * Label/value rows
+   */
+  renderDetails(doc, rows) {
+    rows.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.fillColor('#555').font('Helvetica').fontSize(10).text(label, 50, y, { width: 170 });
+      doc.fillColor('#000').font('Helvetica-Bold').text(String(value ?? 'N/A'), 220, y, { width: 325 });
+      doc.moveDown(0.4);
+    });
+  }
+
+  /**
+   * Simple table with a shaded header row; starts a new page when full
+   * @param {string[]} headers
+   * @param {Array<Array>} rows - Cell values
+   * @param {number[]} widths - Column widths (sum to the printable width)
+   */
+  renderTable(doc, headers, rows, widths) {
+    const rowHeight = 18;
+    const drawRow = (cells, bold) => {
+      if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      let x = 50;
+      if (bold) {
+        doc.rect(50, y - 3, widths.reduce((a, b) => a + b, 0), rowHeight).fill('#f1f5f9');
+      }
+      doc.fillColor('#000').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      cells.forEach((cell, i) => {
+        doc.text(String(cell ?? ''), x + 3, y, { width: widths[i] - 6, lineBreak: false, ellipsis: true });
+        x += widths[i];
+      });
+      doc.x = 50;
+      doc.y = y + rowHeight;
+    };
+
+    drawRow(headers, true);
+    rows.forEach((row) => drawRow(row, false));
+    doc.moveDown(0.5);
+  }
+
+  renderFooter(doc, note) {
+    doc.moveDown(2);
+    doc.fillColor('#666').font('Helvetica').fontSize(8)
+      .text(note, 50, doc.y, { align: 'center', width: doc.page.width - 100 })
+      .text(`${config.company.name} - ${config.company.address}`, { align: 'center', width: doc.page.width - 100 });
+  }
+
+  /**
+   * Official receipt for a verified transaction
+   * @param {Object} payment - Payment stage the transaction belongs to
+   * @param {Object} transaction - Transaction with verification.verifiedBy populated
+   * @param {Object} project - Project the payment belongs to
+   * @param {Object} customer - Paying customer
+   */
+  async generateReceipt(payment, transaction, project, customer) {
+    const { receiptNumber } = transaction.receipt;
+    const milestone = project.paymentPlan?.milestones?.find((m) => m.key === payment.stage);
+    const stageLabel = `${payment.label || milestone?.label || payment.stage}${milestone?.percentage ? ` (${milestone.percentage}%)` : ''}`;
+
+    // Random file name: /uploads is served statically and receipt numbers are sequential
+    return this.writeDocument('receipts', `${uuidv4()}.pdf`, (doc) => {
+      this.renderHeader(doc, 'OFFICIAL RECEIPT', `Receipt No. ${receiptNumber}`);
+
+      this.renderDetails(doc, [
+        ['Date Issued', formatDate(transaction.receipt.generatedAt)],
+        ['Received From', fullName(customer)],
+        ['Project Number', project.projectNumber],
+        ['Project', project.title],
+        ['Payment Stage', stageLabel],
+        ['Payment Method', (transaction.paymentMethod || 'other').replace('_', ' ').toUpperCase()],
+        ['Reference Number', transaction.referenceNumber || 'N/A'],
+      ]);
+
+      doc.moveDown();
+      const boxY = doc.y;
+      doc.rect(50, boxY, doc.page.width - 100, 55).fill('#f1f5f9');
+      doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11)
+        .text('AMOUNT RECEIVED', 65, boxY + 10)
+        .fontSize(16)
+        .text(formatCurrency(transaction.amountReceived), 65, boxY + 28);
+      doc.y = boxY + 70;
+
+      // VAT and withholding share of this payment, from the approved costing
+      const costing = project.getApprovedCosting?.();
+      const taxes = costingService.allocateTaxes(costing, transaction.amountReceived);
+      if (taxes) {
+        const rows = [];
+        if (taxes.vatableSales) rows.push(['VATable Sales', formatCurrency(taxes.vatableSales)]);
+        if (taxes.vat) rows.push([`VAT (${costing.tax.vatRate}%)`, formatCurrency(taxes.vat)]);
+        if (taxes.vatExemptSales) rows.push(['VAT-Exempt Sales', formatCurrency(taxes.vatExemptSales)]);
+        if (taxes.withholdingTax) {
+          rows.push([`Withholding Tax (${costing.tax.ewtRate}%)`, formatCurrency(taxes.withholdingTax)]);
+        }
+        this.renderDetails(doc, rows);
+      }
+
+      this.renderDetails(doc, [
+        ['Stage Amount', formatCurrency(payment.amount.expected)],
+        ['Stage Balance', formatCurrency(payment.balance)],
+        ['Received By', fullName(transaction.verification?.verifiedBy)],
+        ['Verified On', formatDate(transaction.verification?.verifiedAt)],
+      ]);
+
+      this.renderFooter(doc, 'This receipt was generated electronically and is valid without signature.');
+    });
+  }
+
+  /**
+   * Credit note for an approved refund
+   * @param {Object} refund - Refund with approval.approvedBy populated
+   * @param {Object} payment - Payment the refund is drawn from
+   * @param {Object} project - Project the payment belongs to
+   * @param {Object} customer - Customer receiving the refund
+   */
+  async generateCreditNote(refund, payment, project, customer) {
+    const { creditNoteNumber } = refund.creditNote;
+    const receipts = payment.transactions
+      .filter((t) => t.receipt?.receiptNumber)
+      .map((t) => t.receipt.receiptNumber);
+
+    return this.writeDocument('credit-notes', `${uuidv4()}.pdf`, (doc) => {
+      this.renderHeader(doc, 'CREDIT NOTE', `Credit Note No. ${creditNoteNumber}`);
+
+      this.renderDetails(doc, [
+        ['Date Issued', formatDate(refund.creditNote.issuedAt)],
+        ['Issued To', fullName(customer)],
+        ['Project Number', project.projectNumber],
+        ['Project', project.title],
+        ['Payment Stage', payment.label || payment.stage],
+        ['Against Receipt(s)', receipts.join(', ') || 'N/A'],
+        ['Type', refund.kind === 'cancellation' ? 'Cancellation settlement' : 'Refund'],
+        ['Reason', refund.reason],
+      ]);
+
+      doc.moveDown();
+      const boxY = doc.y;
+      doc.rect(50, boxY, doc.page.width - 100, 55).fill('#f1f5f9');
+      doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11)
+        .text('AMOUNT CREDITED', 65, boxY + 10)
+        .fontSize(16)
+        .text(formatCurrency(refund.amount), 65, boxY + 28);
+      doc.y = boxY + 70;
+
+      this.renderDetails(doc, [
+        ['Approved By', fullName(refund.approval?.approvedBy)],
+        ['Approved On', formatDate(refund.approval?.approvedAt)],
+      ]);
+
+      this.renderFooter(doc, 'This credit note was generated electronically and is valid without signature.');
+    });
+  }
+
+  /**
+   * Costing sheet rendered from a version's lines
+   * @param {Object} project - Project the costing belongs to
+   * @param {Object} version - Costing version with breakdown and summary
+   * @param {Object} customer - Project customer
+   * @param {Object} preparedBy - Engineer who prepared it
+   */
+  async generateCosting(project, version, customer, preparedBy) {
+    const { summary, tax } = version;
+    const title = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+    const discountLabel = (discount) => (discount?.type === 'percentage' ? `${discount.value}%` : formatCurrency(discount?.value));
+
+    return this.writeDocument('costings', `${uuidv4()}.pdf`, (doc) => {
+      this.renderHeader(doc, 'PROJECT COSTING', `${project.projectNumber} - Version ${version.version}`);
+
+      this.renderDetails(doc, [
+        ['Date', formatDate(version.finalizedAt || new Date())],
+        ['Prepared For', fullName(customer)],
+        ['Project', project.title],
+        ['Prepared By', fullName(preparedBy)],
+        ['Prices', tax.vatMode === 'exempt' ? 'VAT-exempt' : `VAT-${tax.vatMode} (${tax.vatRate}%)`],
+      ]);
+      doc.moveDown();
+
+      COSTING_CATEGORIES.forEach((category) => {
+        const lines = version.breakdown.filter((line) => (line.category || 'other') === category);
+        if (!lines.length) return;
+
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text(title(category), 50);
+        doc.moveDown(0.3);
+        this.renderTable(
+          doc,
+          ['Item', 'Qty', 'Unit', 'Unit Price', 'Discount', 'Total'],
+          lines.map((line) => [
+            line.item,
+            line.quantity,
+            line.unit || '',
+            formatCurrency(line.unitPrice),
+            line.discountAmount ? formatCurrency(line.discountAmount) : '',
+            formatCurrency(line.total),
+          ]),
+          [165, 40, 45, 85, 75, 85]
+        );
+      });
+
+      const rows = [['Subtotal', formatCurrency(summary.subtotal)]];
+      if (summary.headerDiscount) {
+        rows.push([`Discount (${discountLabel(version.discount)})`, `- ${formatCurrency(summary.headerDiscount)}`]);
+      }
+      if (summary.vatableSales) rows.push(['VATable Sales', formatCurrency(summary.vatableSales)]);
+      if (summary.vatExemptSales) rows.push(['VAT-Exempt Sales', formatCurrency(summary.vatExemptSales)]);
+      if (summary.vat) rows.push([`VAT (${tax.vatRate}%)`, formatCurrency(summary.vat)]);
+      rows.push(['Total Contract Price', formatCurrency(summary.totalAmount)]);
+      if (summary.withholdingTax) {
+        rows.push([`Less Withholding Tax (${tax.ewtRate}%)`, `- ${formatCurrency(summary.withholdingTax)}`]);
+      }
+      this.renderDetails(doc, rows);
+
+      doc.moveDown();
+      const boxY = doc.y;
+      doc.rect(50, boxY, doc.page.width - 100, 55).fill('#f1f5f9');
+      doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11)
+        .text('NET AMOUNT PAYABLE', 65, boxY + 10)
+        .fontSize(16)
+        .text(formatCurrency(summary.netPayable), 65, boxY + 28);
+      doc.y = boxY + 70;
+
+      if (version.notes) {
+        doc.fillColor('#555').font('Helvetica').fontSize(9).text(`Notes: ${version.notes}`, 50);
+      }
+
+      this.renderFooter(doc, 'Prices are valid for 30 days from the date above.');
+    });
+  }
+
+  /**
+   * Cutting list of a blueprint version for the shop floor
+   * @param {Object} project - Project the blueprint belongs to
+   * @param {Object} version - Blueprint version
+   * @param {Object} cuttingList - Output of cuttingListService.generate
+   */
+  async generateCuttingList(project, version, cuttingList) {
+    return this.writeDocument('cutting-lists', `${uuidv4()}.pdf`, (doc) => {
+      this.renderHeader(doc, 'CUTTING LIST', `${project.projectNumber} - Blueprint v${version.version}`);
+
+      this.renderDetails(doc, [
+        ['Project', project.title],
+        ['Generated', formatDate(new Date())],
+        ['Kerf', `${config.business.cutting.kerfMm} mm`],
+      ]);
+      doc.moveDown();
+
+      const heading = (text) => {
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text(text, 50);
+        doc.moveDown(0.3);
+      };
+
+      cuttingList.linear.forEach((group) => {
+        heading(`${group.stock}: ${group.stockCount} x ${group.stockLength} mm (waste ${group.wastePercent}%)`);
+        this.renderTable(
+          doc,
+          ['Length', 'Part', 'Cut (mm)', 'Offcut (mm)'],
+          group.bars.flatMap((bar) => bar.cuts.map((cut, index) => [
+            index === 0 ? `#${bar.number}` : '',
+            cut.part,
+            cut.length,
+            index === bar.cuts.length - 1 ? bar.offcut : '',
+          ])),
+          [55, 240, 100, 100]
+        );
+      });
+
+      cuttingList.sheets.forEach((group) => {
+        const { length, width } = group.sheetSize;
+        heading(`${group.stock}: ${group.stockCount} x ${length}x${width} mm sheets (waste ${group.wastePercent}%)`);
+        this.renderTable(
+          doc,
+          ['Sheet', 'Part', 'Size (mm)', 'Position (x, y)'],
+          group.sheets.flatMap((sheet) => sheet.placements.map((p) => [
+            `#${sheet.number}`,
+            p.part,
+            `${p.length} x ${p.width}`,
+            `${p.x}, ${p.y}`,
+          ])),
+          [55, 200, 120, 120]
+        );
+      });
+
+      if (cuttingList.hardware.length) {
+        heading('Fittings and hardware');
+        this.renderTable(
+          doc,
+          ['Item', 'Type', 'Qty'],
+          cuttingList.hardware.map((item) => [
+            item.part,
+            [item.category, item.size].filter(Boolean).join(' '),
+            item.quantity,
+          ]),
+          [255, 180, 60]
+        );
+      }
+
+      if (cuttingList.warnings.length) {
+        heading('Not on this list');
+        doc.fillColor('#b91c1c').font('Helvetica').fontSize(9);
+        cuttingList.warnings.forEach((warning) => doc.text(`- ${warning}`, 50));
+      }
+
+      this.renderFooter(doc, 'Check dimensions against the approved blueprint before cutting.');
+    });
+  }
+
+  /**
+   * End-of-day Z-report, one page per cashier
+   * @param {Array} reports - From cashierSessionService.getZReports
+   * @param {string} date - Report date (YYYY-MM-DD)
+   */
+  async generateZReport(reports, date) {
+    const time = (value) => (value
+      ? new Date(value).toLocaleTimeString('en-PH', { hour: '2-digit', minute: '2-digit' })
+      : '-');
+
+    return this.writeDocument('reports', `z-report-${date}-${uuidv4()}.pdf`, (doc) => {
+      reports.forEach((report, index) => {
+        if (index > 0) doc.addPage();
+        this.renderHeader(doc, 'Z-REPORT', `${fullName(report.cashier)} - ${formatDate(report.date)}`);
+
+        this.renderDetails(doc, [
+          ['Opening Float', formatCurrency(report.totals.openingFloat)],
+          ['Cash Payments', formatCurrency(report.totals.payments)],
+          ['Travel Fees', formatCurrency(report.totals.travelFees)],
+          ['Cash Refunds Paid Out', formatCurrency(report.totals.refundPayouts)],
+          ['Expected Cash', formatCurrency(report.totals.expectedCash)],
+          ['Counted Cash', formatCurrency(report.totals.countedCash)],
+          ['Variance', formatCurrency(report.totals.variance)],
+          ['Sessions Still Open', report.totals.openSessions],
+        ]);
+
+        doc.moveDown();
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text('Sessions', 50);
+        doc.moveDown(0.3);
+        this.renderTable(
+          doc,
+          ['Opened', 'Closed', 'Float', 'Expected', 'Counted', 'Variance'],
+          report.sessions.map((s) => [
+            time(s.openedAt),
+            s.status === 'closed' ? time(s.closedAt) : 'OPEN',
+            formatCurrency(s.openingFloat),
+            formatCurrency(s.totals.expectedCash),
+            s.closing ? formatCurrency(s.closing.countedAmount) : '-',
+            s.closing ? formatCurrency(s.closing.variance) : '-',
+          ]),
+          [70, 70, 90, 90, 90, 85]
+        );
+
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text('Cash Drawer Entries', 50);
+        doc.moveDown(0.3);
+        this.renderTable(
+          doc,
+          ['Time', 'Type', 'Reference', 'Description', 'Amount'],
+          report.sessions.flatMap((s) => s.entries).map((entry) => [
+            time(entry.recordedAt),
+            entry.source.replace('_', ' '),
+            entry.reference || '-',
+            entry.description || '-',
+            formatCurrency(entry.source === 'refund_payout' ? -entry.amount : entry.amount),
+          ]),
+          [60, 80, 120, 145, 90]
+        );
+
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text('Verified Payments by Method', 50);
+        doc.moveDown(0.3);
+        this.renderTable(
+          doc,
+          ['Method', 'Count', 'Total'],
+          report.verifiedByMethod.map((m) => [
+            m.method.replace('_', ' ').toUpperCase(),
+            m.count,
+            formatCurrency(m.total),
+          ]),
+          [200, 95, 200]
+        );
+
+        this.renderFooter(doc, `Generated ${new Date().toLocaleString('en-PH')}`);
+      });
+    });
+  }
+
+  /**
+   * Gate pass and delivery receipt. Before release it has blank lines for
+   * the receiver; after release it carries their name and signature.
+   * @param {Object} delivery - Delivery with release.releasedBy populated
+   * @param {Object} project - Project being released
+   * @param {Object} customer - Project customer
+   */
+  async generateGatePass(delivery, project, customer) {
+    const time = (value) => new Date(value).toLocaleTimeString('en-PH', { hour: 'numeric', minute: '2-digit' });
+    const isPickup = delivery.method === 'pickup';
+
+    return this.writeDocument('gate-passes', `${uuidv4()}.pdf`, (doc) => {
+      this.renderHeader(
+        doc,
+        isPickup ? 'GATE PASS / PICKUP RECEIPT' : 'GATE PASS / DELIVERY RECEIPT',
+        `No. ${delivery.deliveryNumber}`
+      );
+
+      this.renderDetails(doc, [
+        ['Customer', fullName(customer)],
+        ['Project Number', project.projectNumber],
+        ['Project', project.title],
+        ['Schedule', `${formatDate(delivery.slot.start)}, ${time(delivery.slot.start)} - ${time(delivery.slot.end)}`],
+        ...(isPickup ? [] : [
+          ['Deliver To', delivery.address],
+          ['Vehicle', [delivery.vehicle.plateNumber, delivery.vehicle.description].filter(Boolean).join(' - ')],
+          ['Driver', [delivery.driver.name, delivery.driver.phone].filter(Boolean).join(' - ')],
+        ]),
+        ['Contact', [delivery.contactPerson, delivery.contactPhone].filter(Boolean).join(' - ') || 'N/A'],
+      ]);
+
+      doc.moveDown();
+      this.renderTable(
+        doc,
+        ['Item', 'Qty'],
+        delivery.items.map((item) => [item.description, item.quantity]),
+        [435, 60]
+      );
+
+      if (delivery.paymentOverride?.approvedAt) {
+        doc.fillColor('#b91c1c').font('Helvetica-Bold').fontSize(9)
+          .text(`Released with final payment outstanding: ${delivery.paymentOverride.reason}`, 50);
+        doc.moveDown();
+      }
+
+      doc.moveDown();
+      doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text('Received in good condition by', 50);
+      doc.moveDown(0.5);
+
+      const { release } = delivery;
+      if (release?.releasedAt) {
+        const image = /^data:image\/(png|jpe?g);base64,/.exec(release.signature || '');
+        if (image) {
+          doc.image(Buffer.from(release.signature.slice(image[0].length), 'base64'), 50, doc.y, { fit: [200, 70] });
+          doc.y += 75;
+        }
+        this.renderDetails(doc, [
+          ['Name', release.receivedBy],
+          ['Date Released', `${formatDate(release.releasedAt)} ${time(release.releasedAt)}`],
+          ['Released By', fullName(release.releasedBy)],
+          ['Remarks', release.remarks || '-'],
+        ]);
+      } else {
+        doc.moveDown(2);
+        doc.fillColor('#000').font('Helvetica').fontSize(10)
+          .text('______________________________          ____________________', 50)
+          .text('Signature over printed name                         Date', 50);
+      }
+
+      this.renderFooter(doc, 'Present this pass at the gate. Items listed leave the premises only with an authorized release.');
+    });
+  }
+}
+
+module.exports = new PdfService();
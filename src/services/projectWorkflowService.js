@@ -0,0 +1,433 @@
+const { Delivery, QcInspection, WorkOrder } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+const paymentPlanService = require('./paymentPlanService');
+const inventoryService = require('./inventoryService');
+const warrantyService = require('./warrantyService');
+
+const {
+  ADMIN,
+  CUSTOMER,
+  SALES_STAFF,
+  ENGINEER,
+  CASHIER,
+  FABRICATION_STAFF,
+} = config.roles;
+
+// Statuses a project can never leave
+const TERMINAL_STATUSES = ['completed', 'cancelled'];
+
+// Session the project was loaded with, so guards read uncommitted writes
+const sessionOf = (project) => (typeof project.$session === 'function' ? project.$session() : null);
+
+const phaseVerified = (project, phase) => paymentPlanService
+  .isPhaseVerified(project, phase, sessionOf(project));
+
+/**
+ * Guard conditions evaluated before a transition is allowed.
+ * Each guard resolves to true when the project satisfies it.
+ */
+const GUARDS = {
+  hasBlueprintAndCosting: {
+    message: 'Blueprint and costing must be uploaded first',
+    check: async (project) => Boolean(project.blueprint?.currentVersion && project.costing?.currentVersion),
+  },
+  initialPaymentVerified: {
+    message: 'Initial payments must be verified',
+    check: (project) => phaseVerified(project, 'initial'),
+  },
+  midpointPaymentVerified: {
+    message: 'Midpoint payments must be verified',
+    check: (project) => phaseVerified(project, 'midpoint'),
+  },
+  finalPaymentVerified: {
+    message: 'All payments must be verified',
+    check: (project) => phaseVerified(project, 'final'),
+  },
+  workOrdersComplete: {
+    message: 'Every work order must be completed or cancelled',
+    check: async (project) => !(await WorkOrder.exists({
+      project: project._id,
+      status: { $in: ['open', 'in_progress'] },
+    }).session(sessionOf(project))),
+  },
+  qcPassed: {
+    message: 'Quality control inspection must pass',
+    check: async (project) => (await QcInspection.findLatest(project._id, sessionOf(project)))?.status === 'passed',
+  },
+  handedOver: {
+    message: 'Project must be installed, or released on a signed pickup or delivery',
+    check: async (project) => Boolean(project.installation?.startedAt) || GUARDS.releaseSignedFor.check(project),
+  },
+  releaseSignedFor: {
+    message: 'Release must be recorded on a pickup or delivery with the receiver\'s signature',
+    check: async (project) => Boolean(await Delivery.exists({
+      project: project._id,
+      status: 'released',
+    }).session(sessionOf(project))),
+  },
+};
+
+/**
+ * Transition table: from-status → to-status → { roles, guards }
+ */
+const TRANSITIONS = {
+  draft: {
+    pending_blueprint: { roles: [SALES_STAFF, ADMIN] },
+  },
+  pending_blueprint: {
+    blueprint_uploaded: { roles: [ENGINEER, ADMIN] },
+    pending_customer_approval: { roles: [ENGINEER, ADMIN], guards: ['hasBlueprintAndCosting'] },
+  },
+  blueprint_uploaded: {
+    pending_customer_approval: { roles: [ENGINEER, ADMIN], guards: ['hasBlueprintAndCosting'] },
+  },
+  pending_customer_approval: {
+    approved: { roles: [CUSTOMER], guards: ['hasBlueprintAndCosting'] },
+    revision_requested: { roles: [CUSTOMER] },
+    client_rejected: { roles: [CUSTOMER, SALES_STAFF, ADMIN] },
+  },
+  revision_requested: {
+    blueprint_uploaded: { roles: [ENGINEER, ADMIN] },
+    pending_customer_approval: { roles: [ENGINEER, ADMIN], guards: ['hasBlueprintAndCosting'] },
+  },
+  client_rejected: {
+    pending_blueprint: { roles: [SALES_STAFF, ENGINEER, ADMIN] },
+  },
+  approved: {
+    pending_initial_payment: { roles: [CUSTOMER, SALES_STAFF, CASHIER, ADMIN] },
+  },
+  pending_initial_payment: {
+    initial_payment_verified: { roles: [CASHIER, ADMIN], guards: ['initialPaymentVerified'] },
+  },
+  initial_payment_verified: {
+    in_fabrication: { roles: [CASHIER, FABRICATION_STAFF, ADMIN], guards: ['initialPaymentVerified'] },
+  },
+  in_fabrication: {
+    pending_midpoint_payment: { roles: [FABRICATION_STAFF, CASHIER, ADMIN] },
+    fabrication_done: { roles: [FABRICATION_STAFF, ADMIN], guards: ['workOrdersComplete', 'midpointPaymentVerified'] },
+  },
+  pending_midpoint_payment: {
+    midpoint_payment_verified: { roles: [CASHIER, ADMIN], guards: ['midpointPaymentVerified'] },
+  },
+  midpoint_payment_verified: {
+    in_fabrication: { roles: [FABRICATION_STAFF, ADMIN] },
+    fabrication_done: { roles: [FABRICATION_STAFF, ADMIN], guards: ['workOrdersComplete'] },
+  },
+  fabrication_done: {
+    ready_for_pickup: { roles: [FABRICATION_STAFF, ADMIN], guards: ['qcPassed'] },
+    ready_for_installation: { roles: [FABRICATION_STAFF, ADMIN], guards: ['qcPassed'] },
+    pending_final_payment: { roles: [CASHIER, ADMIN], guards: ['qcPassed'] },
+    released: { roles: [FABRICATION_STAFF, CASHIER, ADMIN], guards: ['finalPaymentVerified', 'qcPassed', 'releaseSignedFor'] },
+  },
+  ready_for_installation: {
+    in_installation: { roles: [FABRICATION_STAFF, ADMIN] },
+  },
+  in_installation: {
+    pending_final_payment: { roles: [FABRICATION_STAFF, CASHIER, ADMIN] },
+    completed: { roles: [ADMIN], guards: ['finalPaymentVerified', 'qcPassed'] },
+  },
+  ready_for_pickup: {
+    pending_final_payment: { roles: [CASHIER, ADMIN] },
+    released: { roles: [FABRICATION_STAFF, CASHIER, ADMIN], guards: ['finalPaymentVerified', 'qcPassed', 'releaseSignedFor'] },
+  },
+  pending_final_payment: {
+    released: { roles: [FABRICATION_STAFF, CASHIER, ADMIN], guards: ['finalPaymentVerified', 'qcPassed', 'releaseSignedFor'] },
+    completed: { roles: [CASHIER, ADMIN], guards: ['finalPaymentVerified', 'qcPassed', 'handedOver'] },
+  },
+  released: {
+    completed: { roles: [CASHIER, ADMIN], guards: ['finalPaymentVerified'] },
+  },
+  on_hold: {},
+  completed: {},
+  cancelled: {},
+};
+
+// Payment phase gates: statuses waiting on the phase → status once it is paid.
+// Projects released with the final payment overridden complete once it is paid.
+const PAYMENT_GATES = {
+  initial: { from: ['pending_initial_payment'], to: 'initial_payment_verified' },
+  midpoint: { from: ['pending_midpoint_payment'], to: 'midpoint_payment_verified' },
+  final: { from: ['pending_final_payment', 'released'], to: 'completed' },
+};
+
+// Available from every non-terminal status
+const GLOBAL_TRANSITIONS = {
+  on_hold: { roles: [ADMIN] },
+  cancelled: { roles: [SALES_STAFF, ADMIN] },
+};
+
+class ProjectWorkflowService {
+  /**
+   * Status a project on hold returns to when resumed
+   */
+  getResumeStatus(project) {
+    const history = project.statusHistory || [];
+    for (let i = history.length - 1; i >= 0; i -= 1) {
+      const { status } = history[i];
+      if (status && status !== 'on_hold') {
+        return status;
+      }
+    }
+    return 'draft';
+  }
+
+  /**
+   * Raw transition rules out of the project's current status
+   */
+  getRules(project) {
+    const from = project.status;
+
+    if (TERMINAL_STATUSES.includes(from)) {
+      return {};
+    }
+
+    if (from === 'on_hold') {
+      return {
+        [this.getResumeStatus(project)]: { roles: [ADMIN] },
+        cancelled: GLOBAL_TRANSITIONS.cancelled,
+      };
+    }
+
+    return {
+      ...(TRANSITIONS[from] || {}),
+      ...GLOBAL_TRANSITIONS,
+    };
+  }
+
+  /**
+   * Evaluate every guard of a rule, returning the messages of failed ones
+   * @param {string[]} [waive] - Guards skipped (e.g. an admin release override)
+   */
+  async evaluateGuards(project, rule, waive = []) {
+    const failures = [];
+    for (const name of (rule.guards || []).filter((g) => !waive.includes(g))) {
+      const guard = GUARDS[name];
+      if (!(await guard.check(project))) {
+        failures.push(guard.message);
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * List next statuses for a role, split into allowed and guard-blocked
+   */
+  async getTransitions(project, role) {
+    const rules = this.getRules(project);
+    const allowed = [];
+    const blocked = [];
+
+    for (const [status, rule] of Object.entries(rules)) {
+      if (!rule.roles.includes(role)) continue;
+
+      const failures = await this.evaluateGuards(project, rule);
+      if (failures.length === 0) {
+        allowed.push(status);
+      } else {
+        blocked.push({ status, reasons: failures });
+      }
+    }
+
+    return { currentStatus: project.status, allowed, blocked };
+  }
+
+  /**
+   * Throw a 409 unless the role may move the project to the given status.
+   * System transitions (e.g. payment gateway webhooks) skip the role check
+   * but still have to pass the guards, except the waived ones.
+   */
+  async assertTransition(project, toStatus, role, { system = false, waive = [] } = {}) {
+    const rule = this.getRules(project)[toStatus];
+    const failures = rule && (system || rule.roles.includes(role))
+      ? await this.evaluateGuards(project, rule, waive)
+      : null;
+
+    if (failures && failures.length === 0) {
+      return;
+    }
+
+    const { allowed } = await this.getTransitions(project, role);
+    const reason = failures
+      ? failures.join('; ')
+      : `Cannot change status from ${project.status} to ${toStatus}`;
+
+    const error = new AppError(
+      `${reason}. Allowed next statuses: ${allowed.length ? allowed.join(', ') : 'none'}`,
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+    error.details = {
+      currentStatus: project.status,
+      requestedStatus: toStatus,
+      allowedTransitions: allowed,
+    };
+    throw error;
+  }
+
+  /**
+   * Validate and apply a status change, recording history and
+   * stamping the timestamps tied to the new status.
+   * The caller is responsible for saving the project.
+   */
+  async transition(project, toStatus, {
+    userId,
+    role,
+    notes,
+    system = false,
+    waive = [],
+  } = {}) {
+    await this.assertTransition(project, toStatus, role, { system, waive });
+
+    const previousStatus = project.status;
+    project.status = toStatus;
+    project.statusHistory.push({
+      status: toStatus,
+      changedBy: userId,
+      notes,
+    });
+
+    this.applyStatusEffects(project, toStatus, previousStatus, userId);
+
+    // Payments triggered by this status start their due-date clock
+    if (project.customerApproval?.isApproved
+      && project.paymentPlan.milestones.some((m) => m.triggerStatus === toStatus)) {
+      await paymentPlanService.applyDueDates(project, sessionOf(project));
+    }
+
+    // Fabrication sets the BOM's materials aside; cancelling gives them back
+    if (toStatus === 'in_fabrication') {
+      await inventoryService.reserveForProject(project, { userId, session: sessionOf(project) });
+    }
+    // Completed work starts its warranty
+    if (toStatus === 'completed') {
+      await warrantyService.registerForProject(project, sessionOf(project));
+    }
+    if (toStatus === 'cancelled') {
+      await inventoryService.releaseForProject(project, {
+        userId,
+        session: sessionOf(project),
+        notes: 'Project cancelled',
+      });
+    }
+
+    return previousStatus;
+  }
+
+  /**
+   * Move a project past its payment gate once every milestone of the
+   * verified payment's phase is paid and the gate's guards pass; an
+   * initial payment also starts fabrication, and a midpoint payment
+   * finishes it when every work order task is already done. Returns true
+   * when the status changed. The caller saves.
+   * @param {Object} project - Project loaded in the payment's session
+   * @param {Object} payment - Payment that was just fully verified
+   * @param {{ userId, role, system }} actor
+   */
+  async advanceAfterPayment(project, payment, actor) {
+    const gate = PAYMENT_GATES[payment.phase];
+    if (!gate || !gate.from.includes(project.status)) {
+      return false;
+    }
+    if (!(await paymentPlanService.isPhaseVerified(project, payment.phase, sessionOf(project)))) {
+      return false;
+    }
+    // A paid project still waiting on QC or its signed release stays where it is
+    const rule = this.getRules(project)[gate.to];
+    if (!rule || (await this.evaluateGuards(project, rule)).length) {
+      return false;
+    }
+
+    await this.transition(project, gate.to, {
+      ...actor,
+      notes: `${payment.label || payment.stage} verified`,
+    });
+
+    if (payment.phase === 'initial') {
+      await this.transition(project, 'in_fabrication', {
+        ...actor,
+        notes: 'Fabrication started after initial payment',
+      });
+    }
+
+    // Work order tasks finished while the midpoint payment was due
+    if (payment.phase === 'midpoint'
+      && project.fabrication.progress === 100
+      && await WorkOrder.exists({ project: project._id }).session(sessionOf(project))) {
+      const rule = this.getRules(project).fabrication_done;
+      if (rule && !(await this.evaluateGuards(project, rule)).length) {
+        // Follows from the payment, whoever verified it
+        await this.transition(project, 'fabrication_done', {
+          ...actor,
+          system: true,
+          notes: 'All work order tasks finished',
+        });
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Finish fabrication once progress reaches 100%. While the midpoint
+   * payment is unpaid the project waits for it in pending_midpoint_payment
+   * instead of fabrication_done. The caller saves.
+   * @param {Object} project - Project document
+   * @param {{ userId, role, notes }} actor
+   * @returns {Promise<string|null>} The new status, or null when unchanged
+   */
+  async finishFabrication(project, { userId, role, notes }) {
+    if (project.status === 'in_fabrication' && !(await phaseVerified(project, 'midpoint'))) {
+      await this.transition(project, 'pending_midpoint_payment', {
+        userId,
+        role,
+        notes: `${notes}; waiting for the midpoint payment`,
+      });
+      return project.status;
+    }
+
+    if (this.getRules(project).fabrication_done) {
+      await this.transition(project, 'fabrication_done', { userId, role, notes });
+      return project.status;
+    }
+    return null;
+  }
+
+  /**
+   * Side effects of entering a status
+   */
+  applyStatusEffects(project, status, previousStatus, userId) {
+    const now = new Date();
+
+    if (status === 'in_fabrication' && previousStatus !== 'in_fabrication') {
+      project.fabrication.startedAt = project.fabrication.startedAt || now;
+      if (project.fabrication.progress === 0) {
+        project.fabrication.progress = 5;
+      }
+    }
+    if (status === 'fabrication_done' || status === 'ready_for_installation') {
+      project.fabrication.completedAt = project.fabrication.completedAt || now;
+      project.fabrication.progress = 100;
+    }
+    if (status === 'ready_for_pickup') {
+      project.fabrication.completedAt = project.fabrication.completedAt || now;
+      project.fabrication.progress = Math.max(project.fabrication.progress || 0, 100);
+    }
+    if (status === 'in_installation' && !project.installation.startedAt) {
+      project.installation.startedAt = now;
+    }
+    if (status === 'completed') {
+      if (project.installation.startedAt && !project.installation.completedAt) {
+        project.installation.completedAt = now;
+      }
+      project.timeline.actualCompletion = project.timeline.actualCompletion || now;
+    }
+    if (status === 'released') {
+      project.fabrication.releasedAt = now;
+      project.fabrication.releasedBy = userId;
+      project.timeline.actualCompletion = project.timeline.actualCompletion || now;
+    }
+  }
+}
+
+module.exports = new ProjectWorkflowService();
@@ -0,0 +1,204 @@
+const {
+  Material,
+  PurchaseOrder,
+  StockItem,
+  StockReservation,
+  Supplier,
+} = require('../models');
+const { AppError } = require('../middleware/error');
+const inventoryService = require('./inventoryService');
+
+// Orders whose undelivered quantities are still expected
+const OPEN_ORDER_STATUSES = ['ordered', 'partially_received'];
+
+// Stock items whose reservations plus reorder level exceed stock on hand
+const SHORTAGE_EXPR = { $gt: [{ $add: ['$reserved', '$reorderLevel'] }, '$onHand'] };
+
+const idOf = (ref) => String(ref?._id || ref);
+const stockKey = (material, warehouse) => `${idOf(material)}:${idOf(warehouse)}`;
+
+class PurchasingService {
+  /**
+   * Quantities ordered from suppliers and not yet delivered, per material
+   * and warehouse
+   * @returns {Promise<Map<string, number>>} Keyed by "materialId:warehouseId"
+   */
+  async getOnOrder() {
+    const rows = await PurchaseOrder.aggregate([
+      { $match: { status: { $in: OPEN_ORDER_STATUSES } } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { material: '$lines.material', warehouse: '$warehouse' },
+          quantity: { $sum: { $max: [0, { $subtract: ['$lines.quantity', '$lines.received'] }] } },
+        },
+      },
+    ]);
+    return new Map(rows.map((row) => [stockKey(row._id.material, row._id.warehouse), row.quantity]));
+  }
+
+  /**
+   * Suggested purchases: stock reserved for projects (plus the reorder
+   * level) beyond what is on hand or already on order. Lines are grouped
+   * by the supplier quoting the lowest price; materials no supplier quotes
+   * are grouped under a null supplier at the catalog price.
+   * @param {{ warehouseId?: string }} options
+   * @returns {Promise<Array<{ supplier, warehouse, lines: Array }>>}
+   */
+  async suggestFromShortages({ warehouseId } = {}) {
+    const query = { $expr: SHORTAGE_EXPR };
+    if (warehouseId) query.warehouse = warehouseId;
+
+    const [stockItems, onOrder] = await Promise.all([
+      StockItem.find(query)
+        .populate('material', 'sku name unit currentPrice isActive')
+        .populate('warehouse', 'code name'),
+      this.getOnOrder(),
+    ]);
+
+    const candidates = stockItems
+      .map((stockItem) => {
+        const ordered = onOrder.get(stockKey(stockItem.material, stockItem.warehouse)) || 0;
+        const quantity = stockItem.reserved + stockItem.reorderLevel - stockItem.onHand - ordered;
+        return { stockItem, ordered, quantity };
+      })
+      .filter(({ stockItem, quantity }) => quantity > 0 && stockItem.material?.isActive);
+
+    if (!candidates.length) {
+      return [];
+    }
+
+    const materialIds = candidates.map(({ stockItem }) => stockItem.material._id);
+    const [reservations, suppliers] = await Promise.all([
+      StockReservation.find({
+        stockItem: { $in: candidates.map(({ stockItem }) => stockItem._id) },
+        status: 'active',
+      }).populate('project', 'projectNumber title'),
+      Supplier.find({ isActive: true, 'materials.material': { $in: materialIds } })
+        .select('code name materials paymentTermsDays'),
+    ]);
+
+    const groups = new Map();
+    candidates.forEach(({ stockItem, ordered, quantity }) => {
+      const { material, warehouse } = stockItem;
+
+      // Cheapest quote wins
+      let supplier = null;
+      let quote = null;
+      suppliers.forEach((candidate) => {
+        const candidateQuote = candidate.getMaterialQuote(material._id);
+        if (candidateQuote?.unitPrice != null && (!quote || candidateQuote.unitPrice < quote.unitPrice)) {
+          supplier = candidate;
+          quote = candidateQuote;
+        }
+      });
+
+      const projects = reservations
+        .filter((r) => idOf(r.stockItem) === idOf(stockItem._id) && r.project)
+        .map((r) => ({ _id: r.project._id, projectNumber: r.project.projectNumber, outstanding: r.outstanding }));
+
+      const key = `${supplier ? idOf(supplier._id) : 'none'}:${idOf(warehouse._id)}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          supplier: supplier && { _id: supplier._id, code: supplier.code, name: supplier.name },
+          warehouse,
+          lines: [],
+        });
+      }
+      groups.get(key).lines.push({
+        material,
+        quantity,
+        unitPrice: quote ? quote.unitPrice : material.currentPrice,
+        onHand: stockItem.onHand,
+        reserved: stockItem.reserved,
+        reorderLevel: stockItem.reorderLevel,
+        onOrder: ordered,
+        leadTimeDays: quote?.leadTimeDays,
+        // Projects holding the reservations; a line for one project is tagged with it
+        project: projects.length === 1 ? projects[0]._id : undefined,
+        projects,
+      });
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Check purchase order lines against the catalog and price them
+   * (the supplier's quote, else the catalog price, unless given)
+   * @param {Object} supplier - Supplier document
+   * @param {Array} lines - { materialId, quantity, unitPrice?, description?, projectId? }
+   */
+  async buildLines(supplier, lines) {
+    const materials = await Material.find({
+      _id: { $in: lines.map((line) => line.materialId) },
+      isActive: true,
+    });
+
+    return lines.map((line) => {
+      const material = materials.find((m) => idOf(m._id) === String(line.materialId));
+      if (!material) {
+        throw new AppError(`Material ${line.materialId} not found or inactive`, 404);
+      }
+      const quote = supplier.getMaterialQuote(material._id);
+      return {
+        material: material._id,
+        description: line.description || `${material.sku} ${material.name}`,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice ?? quote?.unitPrice ?? material.currentPrice,
+        project: line.projectId,
+      };
+    });
+  }
+
+  /**
+   * Receive a delivery against a purchase order into its warehouse.
+   * Each line is received at its order price, which moves the average cost.
+   * @param {Object} order - Purchase order document (in the session)
+   * @param {{ reference?, lines: Array<{ lineId, quantity }>, notes?, userId }} delivery
+   * @param {ClientSession} [session]
+   * @returns {Promise<{ order, stockItems: Array }>}
+   */
+  async receiveDelivery(order, { reference, lines, notes, userId }, session = null) {
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      throw new AppError(`Cannot receive against a ${order.status} purchase order`, 409);
+    }
+
+    const received = [];
+    const stockItems = [];
+    for (const { lineId, quantity } of lines) {
+      const line = order.lines.id(lineId);
+      if (!line) {
+        throw new AppError(`Purchase order line ${lineId} not found`, 404);
+      }
+      const outstanding = order.getOutstanding(line);
+      if (quantity > outstanding) {
+        throw new AppError(`Only ${outstanding} of "${line.description}" is still to be delivered`, 409);
+      }
+
+      const { stockItem } = await inventoryService.changeOnHand('receive', {
+        materialId: line.material,
+        warehouseId: order.warehouse,
+        projectId: line.project,
+        purchaseOrderId: order._id,
+        quantity,
+        unitCost: line.unitPrice,
+        reference: reference ? `${order.poNumber} / ${reference}` : order.poNumber,
+        notes,
+        userId,
+      }, session);
+
+      line.received += quantity;
+      received.push({ line: line._id, material: line.material, quantity });
+      stockItems.push(stockItem);
+    }
+
+    order.deliveries.push({ reference, receivedBy: userId, lines: received, notes });
+    order.refreshReceiptStatus();
+    await order.save({ session });
+
+    return { order, stockItems };
+  }
+}
+
+module.exports = new PurchasingService();
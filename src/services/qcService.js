@@ -0,0 +1,82 @@
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+
+// Project statuses an inspection can be started in (before release or installation)
+const INSPECTABLE_PROJECT_STATUSES = ['fabrication_done', 'pending_final_payment'];
+
+class QcService {
+  /**
+   * Checklist template for a project category, falling back to the default
+   * @returns {{ key: string, items: Array }}
+   */
+  getChecklist(category) {
+    const checklists = config.business.qcChecklists;
+    const key = checklists[category] ? category : 'default';
+    return { key, items: checklists[key] };
+  }
+
+  /**
+   * Throw unless a new inspection can be started for the project
+   * @param {Object} project - Project document
+   * @param {Object|null} latest - The project's latest inspection
+   */
+  assertCanInspect(project, latest) {
+    if (!INSPECTABLE_PROJECT_STATUSES.includes(project.status)) {
+      throw new AppError(`Cannot inspect a ${project.status} project`, 409);
+    }
+    if (latest?.status === 'in_progress') {
+      throw new AppError(`Inspection ${latest.inspectionNumber} is still in progress`, 409);
+    }
+    if (latest?.status === 'passed') {
+      throw new AppError(`Project already passed QC (${latest.inspectionNumber})`, 409);
+    }
+  }
+
+  assertInProgress(inspection) {
+    if (inspection.status !== 'in_progress') {
+      throw new AppError(`Inspection is already ${inspection.status}`, 409);
+    }
+  }
+
+  /**
+   * Record the result of a checklist item. Failed items need remarks.
+   */
+  recordResult(inspection, item, { result, measurement, remarks }, userId) {
+    this.assertInProgress(inspection);
+
+    if (result === 'fail' && !(remarks || item.remarks)) {
+      throw new AppError('Describe the defect in remarks when an item fails', 400);
+    }
+
+    item.result = result;
+    if (measurement !== undefined) item.measurement = measurement;
+    if (remarks !== undefined) item.remarks = remarks;
+    item.checkedBy = userId;
+    item.checkedAt = new Date();
+  }
+
+  /**
+   * Close an inspection: passed when no item failed. Every item must be
+   * checked and failed items need a photo of the defect.
+   * @returns {string} The resulting status
+   */
+  complete(inspection, notes) {
+    this.assertInProgress(inspection);
+
+    const pending = inspection.getPendingItems();
+    if (pending.length) {
+      throw new AppError(`Items not yet checked: ${pending.map((item) => item.label).join('; ')}`, 400);
+    }
+    const undocumented = inspection.getFailedItems().filter((item) => !item.photos.length);
+    if (undocumented.length) {
+      throw new AppError(`Add a photo to each failed item: ${undocumented.map((item) => item.label).join('; ')}`, 400);
+    }
+
+    inspection.status = inspection.getFailedItems().length ? 'failed' : 'passed';
+    inspection.completedAt = new Date();
+    if (notes !== undefined) inspection.notes = notes;
+    return inspection.status;
+  }
+}
+
+module.exports = new QcService();
@@ -0,0 +1,148 @@
+const { Material } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+
+// Length units accepted in specifications and measurements, in metres
+const METRES_PER_UNIT = {
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+  in: 0.0254,
+  ft: 0.3048,
+};
+
+// Consultation measurement labels read as project dimensions
+const DIMENSION_LABELS = {
+  width: ['width', 'w', 'length', 'span'],
+  height: ['height', 'h'],
+  depth: ['depth', 'd', 'thickness'],
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const toMetres = (value, unit = 'cm') => {
+  const factor = METRES_PER_UNIT[String(unit).trim().toLowerCase()];
+  return factor && value > 0 ? value * factor : null;
+};
+
+class QuoteEstimatorService {
+  /**
+   * Project dimensions in metres. Consultation measurements labelled
+   * width/height/depth (or an alias) win over the specifications, since
+   * they are taken on site.
+   * @param {Object} project - Project document
+   */
+  getDimensions(project) {
+    const specs = project.specifications?.dimensions || {};
+    const dimensions = {};
+
+    Object.keys(DIMENSION_LABELS).forEach((key) => {
+      dimensions[key] = toMetres(specs[key], specs.unit || 'cm');
+    });
+
+    (project.consultation?.measurements || []).forEach((measurement) => {
+      const label = String(measurement.label || '').trim().toLowerCase();
+      const key = Object.keys(DIMENSION_LABELS).find((k) => DIMENSION_LABELS[k].includes(label));
+      const value = toMetres(measurement.value, measurement.unit || 'cm');
+      if (key && value) {
+        dimensions[key] = value;
+      }
+    });
+
+    const { width, height, depth } = dimensions;
+    const side = height || depth;
+    return {
+      width,
+      height,
+      depth,
+      area: width && side ? round2(width * side) : null,
+      perimeter: width && side ? round2(2 * (width + side)) : null,
+    };
+  }
+
+  /**
+   * Material the estimator prices a recipe line with: the preferred active
+   * material of the category and grade, else the cheapest
+   */
+  async pickMaterial(category, grade) {
+    return Material.findOne({ category, grade, isActive: true })
+      .sort({ preferred: -1, currentPrice: 1 });
+  }
+
+  /**
+   * Draft costing lines for a project from its category recipe,
+   * specifications and consultation measurements. Lines the catalog or the
+   * dimensions cannot cover are reported in warnings.
+   * @param {Object} project - Project document
+   * @returns {Promise<{ dimensions: Object, breakdown: Array, warnings: string[] }>}
+   */
+  async estimate(project) {
+    const { wastagePercent, laborPercent, finishRates, recipes } = config.business.estimator;
+    const recipe = recipes[project.category];
+    if (!recipe) {
+      throw new AppError(`No estimator recipe for ${project.category} projects`, 400);
+    }
+
+    const dimensions = this.getDimensions(project);
+    if (!dimensions.width) {
+      throw new AppError('Add the project width (specifications or consultation measurements) to estimate it', 400);
+    }
+
+    const grade = project.specifications?.material || '304_grade';
+    const breakdown = [];
+    const warnings = [];
+
+    for (const line of recipe) {
+      const basis = line.basis === 'fixed' ? 1 : dimensions[line.basis];
+      if (!basis) {
+        warnings.push(`Skipped ${line.materialCategory}: project ${line.basis} is unknown`);
+        continue;
+      }
+
+      const material = await this.pickMaterial(line.materialCategory, grade);
+      if (!material) {
+        warnings.push(`Skipped ${line.materialCategory}: no active ${grade} material in the catalog`);
+        continue;
+      }
+
+      const needed = basis * line.factor * (1 + wastagePercent / 100);
+      breakdown.push({
+        category: 'materials',
+        material: material._id,
+        item: [material.name, material.gauge && `${material.gauge} ga`, material.size].filter(Boolean).join(', '),
+        quantity: Math.ceil(needed / material.coverage),
+        unit: material.unit,
+        unitPrice: material.currentPrice,
+      });
+    }
+
+    const materials = breakdown.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0);
+
+    const { finish } = project.specifications || {};
+    if (finish && dimensions.area) {
+      breakdown.push({
+        category: 'finishing',
+        item: `${finish.charAt(0).toUpperCase()}${finish.slice(1)} finish`,
+        quantity: dimensions.area,
+        unit: 'm²',
+        unitPrice: finishRates[finish] ?? finishRates.other,
+      });
+    } else if (finish) {
+      warnings.push('Skipped finishing: project area is unknown');
+    }
+
+    if (materials > 0) {
+      breakdown.push({
+        category: 'labor',
+        item: 'Fabrication labor',
+        quantity: 1,
+        unit: 'lot',
+        unitPrice: round2((materials * laborPercent) / 100),
+      });
+    }
+
+    return { dimensions, breakdown, warnings };
+  }
+}
+
+module.exports = new QuoteEstimatorService();
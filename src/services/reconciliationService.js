@@ -0,0 +1,289 @@
+const { Payment, ReconciliationBatch } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shortest reference that may match as a substring (banks pad or truncate them)
+const MIN_PARTIAL_REFERENCE = 6;
+
+// Weight of each agreeing criterion when ranking candidate matches
+const MATCH_WEIGHTS = {
+  reference: 2,
+  amount: 1,
+  date: 1,
+};
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase();
+
+const normalizeReference = (value) => String(value || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+
+class ReconciliationService {
+  /**
+   * Split CSV text into rows of fields (quoted fields may hold commas,
+   * doubled quotes and line breaks)
+   * @param {string} text
+   * @returns {string[][]}
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i += 1) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i += 1;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Peso amount from a statement cell ("1,250.00", "PHP 500", "(300.00)")
+   */
+  parseAmount(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (Number.isNaN(amount)) return null;
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Date from a statement cell in the bank's format (any time part is kept)
+   * @param {string} value
+   * @param {string} format - YMD, MDY or DMY
+   */
+  parseDate(value, format) {
+    const match = String(value || '').trim()
+      .match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?/i);
+    if (!match) return null;
+
+    const [, a, b, c, hh = '0', mm = '0', ss = '0', meridiem] = match;
+    const parts = {
+      YMD: [a, b, c],
+      MDY: [c, a, b],
+      DMY: [c, b, a],
+    }[format];
+    if (!parts) return null;
+
+    const [year, month, day] = parts.map(Number);
+    let hours = Number(hh);
+    if (meridiem) {
+      hours = (hours % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    }
+
+    const date = new Date(year < 100 ? 2000 + year : year, month - 1, day, hours, Number(mm), Number(ss));
+    return Number.isNaN(date.getTime()) || date.getMonth() !== month - 1 ? null : date;
+  }
+
+  /**
+   * Incoming credits of a statement, using the bank's column mapping
+   * @param {string} text - CSV content
+   * @param {string} bank - Key of config.reconciliation.banks
+   * @returns {{ lines: Array, skippedRows: Array }}
+   */
+  parseStatement(text, bank) {
+    const mapping = config.reconciliation.banks[bank];
+    if (!mapping) {
+      throw new AppError(`Unknown statement format: ${bank}`, 400);
+    }
+
+    const [header = [], ...rows] = this.parseCsv(text);
+    const headers = header.map(normalizeHeader);
+    const column = (field) => (mapping[field] ? headers.indexOf(normalizeHeader(mapping[field])) : -1);
+    const columns = {
+      date: column('date'),
+      reference: column('reference'),
+      amount: column('amount'),
+      description: column('description'),
+    };
+
+    const missing = ['date', 'reference', 'amount'].filter((field) => columns[field] === -1);
+    if (missing.length) {
+      throw new AppError(
+        `Statement is missing columns for ${mapping.label}: ${missing.map((field) => `"${mapping[field]}"`).join(', ')}`,
+        400
+      );
+    }
+
+    const lines = [];
+    const skippedRows = [];
+    rows.forEach((cells, index) => {
+      const row = index + 2;
+      if (cells.every((cell) => !cell.trim())) return;
+
+      const amount = this.parseAmount(cells[columns.amount]);
+      const date = this.parseDate(cells[columns.date], mapping.dateFormat);
+      if (amount === null || amount <= 0) {
+        skippedRows.push({ row, reason: 'Not an incoming amount' });
+      } else if (!date) {
+        skippedRows.push({ row, reason: 'Unreadable date' });
+      } else {
+        lines.push({
+          row,
+          date,
+          reference: (cells[columns.reference] || '').trim(),
+          amount,
+          description: columns.description === -1 ? undefined : (cells[columns.description] || '').trim(),
+        });
+      }
+    });
+
+    return { lines, skippedRows };
+  }
+
+  /**
+   * Criteria a statement line and a submitted transaction agree on.
+   * A match needs the amount plus the reference or the date.
+   * @returns {{ score: number, reasons: string[] } | null}
+   */
+  scoreMatch(line, transaction) {
+    const { amountTolerance, dateToleranceDays } = config.reconciliation;
+    const reasons = [];
+
+    const lineRef = normalizeReference(line.reference);
+    const txRef = normalizeReference(transaction.referenceNumber);
+    if (lineRef && txRef) {
+      const [shorter, longer] = lineRef.length <= txRef.length ? [lineRef, txRef] : [txRef, lineRef];
+      if (shorter === longer || (shorter.length >= MIN_PARTIAL_REFERENCE && longer.includes(shorter))) {
+        reasons.push('reference');
+      }
+    }
+
+    if (Math.abs(line.amount - transaction.amount) <= amountTolerance + 0.001) {
+      reasons.push('amount');
+    }
+
+    if (Math.abs(line.date.getTime() - new Date(transaction.submittedAt).getTime()) <= dateToleranceDays * DAY_MS) {
+      reasons.push('date');
+    }
+
+    if (!reasons.includes('amount') || reasons.length < 2) {
+      return null;
+    }
+    return {
+      score: reasons.reduce((sum, reason) => sum + MATCH_WEIGHTS[reason], 0),
+      reasons,
+    };
+  }
+
+  /**
+   * Pair statement lines with submitted transactions, best matches first;
+   * each line and each transaction is used at most once
+   * @param {Array} lines - Parsed statement lines
+   * @param {Array} candidates - { payment, transaction } pairs
+   * @returns {{ matches: Map<number, Object>, unmatched: Array }}
+   */
+  matchLines(lines, candidates) {
+    const pairs = [];
+    lines.forEach((line, lineIndex) => {
+      candidates.forEach((candidate, candidateIndex) => {
+        const result = this.scoreMatch(line, candidate.transaction);
+        if (result) {
+          pairs.push({ lineIndex, candidateIndex, ...result });
+        }
+      });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const matches = new Map();
+    const used = new Set();
+    pairs.forEach((pair) => {
+      if (matches.has(pair.lineIndex) || used.has(pair.candidateIndex)) return;
+      matches.set(pair.lineIndex, { ...candidates[pair.candidateIndex], score: pair.score, reasons: pair.reasons });
+      used.add(pair.candidateIndex);
+    });
+
+    return {
+      matches,
+      unmatched: candidates.filter((candidate, index) => !used.has(index)),
+    };
+  }
+
+  /**
+   * Import a statement and propose matches against every submitted transaction
+   * @param {string} text - CSV content
+   * @param {{ bank: string, file: Object, userId }} options
+   */
+  async importStatement(text, { bank, file, userId }) {
+    const { lines, skippedRows } = this.parseStatement(text, bank);
+    if (!lines.length) {
+      throw new AppError('No incoming amounts found in the statement', 400);
+    }
+
+    const payments = await Payment.find({ 'transactions.status': 'submitted' });
+    const candidates = payments.flatMap((payment) => payment.transactions
+      .filter((transaction) => transaction.status === 'submitted')
+      .map((transaction) => ({ payment, transaction })));
+
+    const { matches, unmatched } = this.matchLines(lines, candidates);
+    const dates = lines.map((line) => line.date.getTime());
+
+    return ReconciliationBatch.create({
+      bank,
+      statement: file && {
+        filename: file.filename,
+        originalName: file.originalname,
+        path: file.path,
+      },
+      importedBy: userId,
+      lines: lines.map((line, index) => {
+        const match = matches.get(index);
+        return match
+          ? {
+            ...line,
+            status: 'proposed',
+            match: {
+              payment: match.payment._id,
+              transaction: match.transaction._id,
+              reasons: match.reasons,
+              score: match.score,
+            },
+          }
+          : { ...line, status: 'unmatched' };
+      }),
+      skippedRows,
+      unmatchedTransactions: unmatched.map(({ payment, transaction }) => ({
+        payment: payment._id,
+        transaction: transaction._id,
+        amount: transaction.amount,
+        referenceNumber: transaction.referenceNumber,
+        submittedAt: transaction.submittedAt,
+      })),
+      periodStart: new Date(Math.min(...dates)),
+      periodEnd: new Date(Math.max(...dates)),
+    });
+  }
+}
+
+module.exports = new ReconciliationService();
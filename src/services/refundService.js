@@ -0,0 +1,104 @@
+const { Payment, Refund } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+
+// Refunds that count against what a payment can still return
+const OPEN_REFUND_STATUSES = ['pending_approval', 'approved', 'processed'];
+
+// Money is kept to the centavo
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+class RefundService {
+  /**
+   * Percentage of the approved amount kept when cancelling from a status
+   */
+  getCancellationFeePercentage(status) {
+    const rule = config.business.cancellationFees.find((r) => r.statuses.includes(status));
+    return rule ? rule.percentage : 0;
+  }
+
+  /**
+   * Status the project was in when it was cancelled
+   */
+  getCancelledFrom(project) {
+    const history = project.statusHistory || [];
+    for (let i = history.length - 1; i >= 0; i -= 1) {
+      const { status } = history[i];
+      if (status && !['cancelled', 'on_hold'].includes(status)) {
+        return status;
+      }
+    }
+    return 'draft';
+  }
+
+  /**
+   * Amount of a payment not yet returned or requested for return
+   * @param {Object} payment - Payment document
+   * @param {ClientSession} [session]
+   */
+  async getRefundable(payment, session = null) {
+    const [pending] = await Refund.aggregate([
+      { $match: { payment: payment._id, status: 'pending_approval', isDeleted: { $ne: true } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]).session(session);
+
+    return Math.max(0, payment.netReceived - (pending?.total || 0));
+  }
+
+  /**
+   * Settlement of a cancelled project: what was paid, the cancellation fee
+   * kept, and how the refundable balance splits across its payments
+   * (latest milestone first).
+   * @param {Object} project - Cancelled project
+   * @param {ClientSession} [session]
+   */
+  async calculateSettlement(project, session = null) {
+    if (project.status !== 'cancelled') {
+      throw new AppError('Settlement is only available for cancelled projects', 400);
+    }
+
+    const cancelledFrom = this.getCancelledFrom(project);
+    const feePercentage = this.getCancellationFeePercentage(cancelledFrom);
+
+    const payments = await Payment.find({ project: project._id })
+      .sort({ sequence: -1 })
+      .session(session);
+    const refunds = await Refund.find({
+      project: project._id,
+      status: { $in: OPEN_REFUND_STATUSES },
+    }).session(session);
+
+    const totalReceived = payments.reduce((sum, p) => sum + (p.amount.received || 0), 0);
+    const alreadyRefunded = refunds.reduce((sum, r) => sum + r.amount, 0);
+    const cancellationFee = Math.min(
+      totalReceived,
+      round2(((project.costing?.approvedAmount || 0) * feePercentage) / 100)
+    );
+    const refundable = Math.max(0, round2(totalReceived - cancellationFee - alreadyRefunded));
+
+    // Fee is withheld from the earliest payments; refunds come from the latest
+    let remaining = refundable;
+    const allocation = [];
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+      const available = await this.getRefundable(payment, session);
+      const amount = Math.min(available, remaining);
+      if (amount > 0) {
+        allocation.push({ payment, amount });
+        remaining = round2(remaining - amount);
+      }
+    }
+
+    return {
+      cancelledFrom,
+      feePercentage,
+      totalReceived,
+      cancellationFee,
+      alreadyRefunded,
+      refundable,
+      allocation,
+    };
+  }
+}
+
+module.exports = new RefundService();
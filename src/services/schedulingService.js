@@ -0,0 +1,521 @@
+const {
+  Machine,
+  Project,
+  User,
+  WorkOrder,
+} = require('../models');
+const config = require('../config');
+
+// Projects whose work orders take shop capacity (on-hold projects drop out)
+const SCHEDULED_PROJECT_STATUSES = [
+  'approved',
+  'pending_initial_payment',
+  'initial_payment_verified',
+  'in_fabrication',
+  'pending_midpoint_payment',
+  'midpoint_payment_verified',
+];
+
+// Already on the shop floor: planned ahead of projects still waiting to start
+const IN_FABRICATION_STATUSES = ['in_fabrication', 'pending_midpoint_payment', 'midpoint_payment_verified'];
+
+const OPEN_WORK_ORDER_STATUSES = ['open', 'in_progress'];
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+const dateKey = (date) => {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+const isOpenTask = (task) => !['done', 'skipped'].includes(task.status);
+
+const staffName = (user) => `${user.profile.firstName} ${user.profile.lastName}`;
+
+class SchedulingService {
+  constructor() {
+    this.running = null;
+    this.rerun = false;
+  }
+
+  isWorkDay(date) {
+    return config.business.scheduling.workDays.includes(date.getDay());
+  }
+
+  /**
+   * First working day on or after a date
+   */
+  nextWorkDay(date) {
+    let day = startOfDay(date);
+    for (let i = 0; i < 7 && !this.isWorkDay(day); i += 1) {
+      day = addDays(day, 1);
+    }
+    return day;
+  }
+
+  /**
+   * Hours a task takes: its estimate, else the default for its type.
+   * Started tasks are planned with their whole estimate.
+   */
+  getTaskHours(task) {
+    const { defaultTaskHours, hoursPerDay } = config.business.scheduling;
+    return task.estimatedHours || defaultTaskHours[task.type] || hoursPerDay;
+  }
+
+  getStaffHours(user) {
+    return user.capacity?.hoursPerDay ?? config.business.scheduling.hoursPerDay;
+  }
+
+  hasSkill(user, type) {
+    const skills = user.capacity?.skills || [];
+    return !skills.length || skills.includes(type);
+  }
+
+  /**
+   * Active fabrication staff and machines
+   */
+  async loadCapacity() {
+    const [staff, machines] = await Promise.all([
+      User.find({ role: config.roles.FABRICATION_STAFF, isActive: true })
+        .select('profile.firstName profile.lastName capacity'),
+      Machine.find({ isActive: true }).sort({ code: 1 }),
+    ]);
+    return { staff, machines };
+  }
+
+  /**
+   * Days and hours a task would take on a staff member (and machine),
+   * using only what is still free on each working day
+   * @returns {Array<{ date, hours }>|null} null when it does not fit before the horizon
+   */
+  fit(ledger, { staff, machine, hours, earliest, horizon }) {
+    const staffHours = this.getStaffHours(staff);
+    const days = [];
+    let remaining = hours;
+
+    for (let day = this.nextWorkDay(earliest); day <= horizon && remaining > 0; day = this.nextWorkDay(addDays(day, 1))) {
+      const key = dateKey(day);
+      const staffFree = staffHours - (ledger.get(`${idOf(staff._id)}:${key}`) || 0);
+      const machineFree = machine
+        ? machine.hoursPerDay - (ledger.get(`${idOf(machine._id)}:${key}`) || 0)
+        : Infinity;
+      const hoursToday = round2(Math.min(remaining, staffFree, machineFree));
+      if (hoursToday > 0) {
+        days.push({ date: day, hours: hoursToday });
+        remaining = round2(remaining - hoursToday);
+      }
+    }
+
+    return remaining > 0 ? null : days;
+  }
+
+  book(ledger, resourceIds, days) {
+    days.forEach(({ date, hours }) => {
+      resourceIds.filter(Boolean).forEach((id) => {
+        const key = `${idOf(id)}:${dateKey(date)}`;
+        ledger.set(key, round2((ledger.get(key) || 0) + hours));
+      });
+    });
+  }
+
+  /**
+   * Place a task on the staff member and machine that finish it earliest.
+   * Assigned tasks stay with their assignee; unassigned tasks go to the
+   * project's fabrication staff with the skill.
+   * @returns {{ plan?: Object, reason?: string }}
+   */
+  placeTask(ledger, task, { candidates, machines, earliest, horizon }) {
+    if (!candidates.length) {
+      return {
+        reason: task.assignedTo
+          ? 'Assigned staff member is inactive'
+          : `No ${task.type} staff assigned to the project`,
+      };
+    }
+
+    const hours = this.getTaskHours(task);
+    const typeMachines = machines.filter((m) => m.taskTypes.includes(task.type));
+
+    let best = null;
+    candidates.forEach((staff) => {
+      (typeMachines.length ? typeMachines : [null]).forEach((machine) => {
+        const days = this.fit(ledger, { staff, machine, hours, earliest, horizon });
+        if (days && (!best || days[days.length - 1].date < best.days[best.days.length - 1].date)) {
+          best = { staff, machine, days };
+        }
+      });
+    });
+
+    if (!best) {
+      return { reason: `Does not fit in the next ${config.business.scheduling.horizonDays} days` };
+    }
+
+    this.book(ledger, [best.staff._id, best.machine?._id], best.days);
+    return {
+      plan: {
+        start: best.days[0].date,
+        end: best.days[best.days.length - 1].date,
+        staff: best.staff._id,
+        machine: best.machine?._id,
+        days: best.days,
+        pinned: false,
+      },
+    };
+  }
+
+  /**
+   * Book a pinned task from its pinned date at its staff member's daily
+   * hours, whatever else is booked (this is how days get overbooked)
+   */
+  placePinned(ledger, task, { staff, machines }) {
+    const perDay = this.getStaffHours(staff) || this.getTaskHours(task);
+    const machine = machines.find((m) => m.taskTypes.includes(task.type));
+    const days = [];
+    let remaining = this.getTaskHours(task);
+
+    for (let day = this.nextWorkDay(task.plan.start); remaining > 0; day = this.nextWorkDay(addDays(day, 1))) {
+      const hours = round2(Math.min(remaining, perDay));
+      days.push({ date: day, hours });
+      remaining = round2(remaining - hours);
+    }
+
+    this.book(ledger, [staff._id, machine?._id], days);
+    return {
+      start: days[0].date,
+      end: days[days.length - 1].date,
+      staff: staff._id,
+      machine: machine?._id,
+      days,
+      pinned: true,
+    };
+  }
+
+  /**
+   * Plan every open work order task onto the shop calendar with finite
+   * capacity: pinned tasks first, then projects already in fabrication,
+   * then by promised completion date and age. Tasks of a work order run
+   * in sequence. With apply, the plan is stored on the tasks and each
+   * project's projected completion in timeline.estimatedCompletion;
+   * on-hold projects lose their place.
+   * @param {{ apply?: boolean, now?: Date }} options
+   * @returns {Promise<{ projects: Array, warnings: Array, board: Object }>}
+   */
+  async plan({ apply = false, now = new Date() } = {}) {
+    const today = startOfDay(now);
+    const horizon = addDays(today, config.business.scheduling.horizonDays);
+
+    const projects = await Project.find({ status: { $in: SCHEDULED_PROJECT_STATUSES } })
+      .select('projectNumber title status assignedStaff.fabricationStaff timeline createdAt');
+    const [workOrders, { staff, machines }] = await Promise.all([
+      WorkOrder.find({
+        project: { $in: projects.map((p) => p._id) },
+        status: { $in: OPEN_WORK_ORDER_STATUSES },
+      }).sort({ createdAt: 1 }),
+      this.loadCapacity(),
+    ]);
+    const staffById = new Map(staff.map((member) => [idOf(member._id), member]));
+
+    const targetTime = (project) => project.timeline?.targetCompletion?.getTime() ?? Infinity;
+    projects.sort((a, b) => (IN_FABRICATION_STATUSES.includes(b.status) - IN_FABRICATION_STATUSES.includes(a.status))
+      || (targetTime(a) - targetTime(b))
+      || (a.createdAt - b.createdAt));
+
+    const ledger = new Map();
+    const plans = new Map();
+    const warnings = [];
+
+    // Pinned tasks keep their dates
+    workOrders.forEach((workOrder) => {
+      workOrder.tasks.filter((task) => isOpenTask(task) && task.plan?.pinned && task.plan.start).forEach((task) => {
+        const member = staffById.get(idOf(task.assignedTo || task.plan.staff));
+        if (member) {
+          plans.set(idOf(task._id), this.placePinned(ledger, task, { staff: member, machines }));
+        }
+      });
+    });
+
+    const completion = new Map();
+    projects.forEach((project) => {
+      const projectStaff = (project.assignedStaff?.fabricationStaff || [])
+        .map((id) => staffById.get(idOf(id)))
+        .filter(Boolean);
+      let unplaced = false;
+      let end = null;
+
+      workOrders.filter((wo) => idOf(wo.project) === idOf(project._id)).forEach((workOrder) => {
+        let earliest = today;
+        const tasks = workOrder.tasks.filter(isOpenTask).sort((a, b) => a.sequence - b.sequence);
+
+        for (const task of tasks) {
+          let plan = plans.get(idOf(task._id));
+          if (!plan) {
+            const assignee = task.assignedTo && staffById.get(idOf(task.assignedTo));
+            if (assignee && !this.hasSkill(assignee, task.type)) {
+              warnings.push({
+                type: 'skill',
+                projectNumber: project.projectNumber,
+                workOrderNumber: workOrder.workOrderNumber,
+                task: task.type,
+                message: `${staffName(assignee)} is not listed for ${task.type}`,
+              });
+            }
+            const candidates = task.assignedTo
+              ? [assignee].filter(Boolean)
+              : projectStaff.filter((member) => this.hasSkill(member, task.type));
+
+            const placed = this.placeTask(ledger, task, { candidates, machines, earliest, horizon });
+            if (!placed.plan) {
+              warnings.push({
+                type: 'unplaced',
+                projectNumber: project.projectNumber,
+                workOrderNumber: workOrder.workOrderNumber,
+                task: task.type,
+                message: placed.reason,
+              });
+              unplaced = true;
+              break;
+            }
+            plan = placed.plan;
+            plans.set(idOf(task._id), plan);
+          }
+
+          // The next task can start on the day this one ends
+          earliest = plan.end;
+          if (!end || plan.end > end) end = plan.end;
+        }
+      });
+
+      if (end && !unplaced) {
+        completion.set(idOf(project._id), end);
+        const target = project.timeline?.targetCompletion;
+        if (target && end > startOfDay(target)) {
+          warnings.push({
+            type: 'late',
+            projectNumber: project.projectNumber,
+            message: `Projected to finish ${dateKey(end)}, after the promised ${dateKey(target)}`,
+          });
+        }
+      }
+    });
+
+    // Days booked beyond capacity (by pinned tasks)
+    const capacityOf = new Map([
+      ...staff.map((member) => [idOf(member._id), { name: staffName(member), hours: this.getStaffHours(member) }]),
+      ...machines.map((machine) => [idOf(machine._id), { name: machine.code, hours: machine.hoursPerDay }]),
+    ]);
+    ledger.forEach((hours, key) => {
+      const [id, date] = key.split(':');
+      const capacity = capacityOf.get(id);
+      if (capacity && hours > capacity.hours) {
+        warnings.push({
+          type: 'overbooked',
+          date,
+          message: `${capacity.name} is booked ${hours}h of ${capacity.hours}h`,
+        });
+      }
+    });
+
+    if (apply) {
+      await this.applyPlan(workOrders, plans, projects, completion);
+    }
+
+    const lastDay = [...plans.values()].reduce((max, plan) => (plan.end > max ? plan.end : max), today);
+    const entries = this.toEntries(workOrders, plans, projects);
+
+    return {
+      generatedAt: now,
+      applied: apply,
+      projects: projects.map((project) => {
+        const projectedCompletion = completion.get(idOf(project._id)) || null;
+        const target = project.timeline?.targetCompletion || null;
+        return {
+          _id: project._id,
+          projectNumber: project.projectNumber,
+          title: project.title,
+          status: project.status,
+          projectedCompletion,
+          targetCompletion: target,
+          late: Boolean(projectedCompletion && target && projectedCompletion > startOfDay(target)),
+        };
+      }),
+      warnings,
+      board: this.buildBoard(entries, { staff, machines }, today, lastDay),
+    };
+  }
+
+  /**
+   * Store the plan on the tasks and the projected completion dates;
+   * tasks of on-hold projects are taken off the calendar
+   */
+  async applyPlan(workOrders, plans, projects, completion) {
+    for (const workOrder of workOrders) {
+      workOrder.tasks.filter(isOpenTask).forEach((task) => {
+        task.plan = plans.get(idOf(task._id)) || { pinned: task.plan?.pinned, start: task.plan?.pinned ? task.plan.start : undefined };
+      });
+      await workOrder.save();
+    }
+
+    await Promise.all(projects.map((project) => {
+      const end = completion.get(idOf(project._id));
+      return Project.updateOne(
+        { _id: project._id },
+        end ? { $set: { 'timeline.estimatedCompletion': end } } : { $unset: { 'timeline.estimatedCompletion': 1 } }
+      );
+    }));
+
+    const held = await Project.find({ status: 'on_hold' }).select('_id');
+    const heldOrders = await WorkOrder.find({
+      project: { $in: held.map((p) => p._id) },
+      status: { $in: OPEN_WORK_ORDER_STATUSES },
+      'tasks.plan.days.0': { $exists: true },
+    });
+    for (const workOrder of heldOrders) {
+      workOrder.tasks.filter(isOpenTask).forEach((task) => {
+        task.plan = { pinned: task.plan?.pinned, start: task.plan?.pinned ? task.plan.start : undefined };
+      });
+      await workOrder.save();
+    }
+    await Project.updateMany(
+      { _id: { $in: held.map((p) => p._id) } },
+      { $unset: { 'timeline.estimatedCompletion': 1 } }
+    );
+  }
+
+  /**
+   * Flatten planned tasks for the board
+   */
+  toEntries(workOrders, plans, projects) {
+    const projectNumbers = new Map(projects.map((p) => [idOf(p._id), p.projectNumber]));
+    return workOrders.flatMap((workOrder) => workOrder.tasks
+      .filter((task) => isOpenTask(task) && plans.has(idOf(task._id)))
+      .map((task) => ({
+        projectNumber: projectNumbers.get(idOf(workOrder.project)),
+        workOrderNumber: workOrder.workOrderNumber,
+        taskId: task._id,
+        type: task.type,
+        status: task.status,
+        ...plans.get(idOf(task._id)),
+      })));
+  }
+
+  /**
+   * Load per working day, per staff member and machine: booked hours
+   * against capacity, with the tasks behind them
+   * @param {Array} entries - Planned tasks ({ staff, machine, days, ... })
+   */
+  buildBoard(entries, { staff, machines }, from, to) {
+    const rowFor = (resource, capacity, key, field) => {
+      const tasks = entries
+        .map((entry) => ({ entry, day: entry.days.find((d) => dateKey(d.date) === key) }))
+        .filter(({ entry, day }) => day && idOf(entry[field]) === idOf(resource._id))
+        .map(({ entry, day }) => ({
+          projectNumber: entry.projectNumber,
+          workOrderNumber: entry.workOrderNumber,
+          taskId: entry.taskId,
+          type: entry.type,
+          hours: day.hours,
+          pinned: entry.pinned,
+        }));
+      const booked = round2(tasks.reduce((sum, t) => sum + t.hours, 0));
+      return {
+        booked,
+        capacity,
+        utilization: capacity ? Math.round((booked / capacity) * 100) : null,
+        overbooked: booked > capacity,
+        tasks,
+      };
+    };
+
+    const days = [];
+    for (let day = this.nextWorkDay(from); day <= to; day = this.nextWorkDay(addDays(day, 1))) {
+      const key = dateKey(day);
+      days.push({
+        date: key,
+        staff: staff
+          .map((member) => ({
+            staff: { _id: member._id, name: staffName(member) },
+            ...rowFor(member, this.getStaffHours(member), key, 'staff'),
+          }))
+          .filter((row) => row.capacity > 0 || row.booked > 0),
+        machines: machines.map((machine) => ({
+          machine: { _id: machine._id, code: machine.code, name: machine.name },
+          ...rowFor(machine, machine.hoursPerDay, key, 'machine'),
+        })),
+      });
+    }
+    return { from: dateKey(from), to: dateKey(to), days };
+  }
+
+  /**
+   * The stored plan between two dates
+   */
+  async getBoard(from, to) {
+    const start = startOfDay(from);
+    const end = startOfDay(to);
+
+    const [workOrders, capacity] = await Promise.all([
+      WorkOrder.find({
+        status: { $in: OPEN_WORK_ORDER_STATUSES },
+        'tasks.plan.days.date': { $gte: start, $lte: end },
+      }).populate('project', 'projectNumber status'),
+      this.loadCapacity(),
+    ]);
+
+    const entries = workOrders
+      .filter((workOrder) => SCHEDULED_PROJECT_STATUSES.includes(workOrder.project?.status))
+      .flatMap((workOrder) => workOrder.tasks
+        .filter((task) => isOpenTask(task) && task.plan?.days?.length)
+        .map((task) => ({
+          projectNumber: workOrder.project.projectNumber,
+          workOrderNumber: workOrder.workOrderNumber,
+          taskId: task._id,
+          type: task.type,
+          status: task.status,
+          staff: task.plan.staff,
+          machine: task.plan.machine,
+          days: task.plan.days,
+          pinned: task.plan.pinned,
+        })));
+
+    return this.buildBoard(entries, capacity, start, end);
+  }
+
+  /**
+   * Re-plan and store the schedule after a change in shop load; runs
+   * once more if asked again while running. Errors are logged only.
+   */
+  replanInBackground() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+
+    this.running = this.plan({ apply: true })
+      .catch((error) => {
+        console.error('Shop re-plan failed:', error);
+      })
+      .finally(() => {
+        this.running = null;
+        if (this.rerun) {
+          this.rerun = false;
+          this.replanInBackground();
+        }
+      });
+  }
+}
+
+module.exports = new SchedulingService();
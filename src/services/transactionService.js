@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+class TransactionService {
+  /**
+   * Run multi-document work inside a MongoDB transaction.
+   * The driver retries the callback on transient errors, so the work must
+   * re-read the documents it changes and be safe to run more than once.
+   * Emails, files and activity logs belong after this call resolves.
+   * @param {Function} work - Receives the session; its return value is resolved
+   */
+  async run(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+module.exports = new TransactionService();
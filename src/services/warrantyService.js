@@ -0,0 +1,112 @@
+const { Appointment, Warranty, WarrantyClaim } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+
+const addMonths = (date, months) => {
+  const end = new Date(date);
+  end.setMonth(end.getMonth() + months);
+  return end;
+};
+
+class WarrantyService {
+  /**
+   * Register the warranty of a completed project; coverage starts at its
+   * completion. Does nothing when the project already has one.
+   * @param {Object} project - Project document (in the session)
+   * @returns {Promise<Object|null>} The new warranty
+   */
+  async registerForProject(project, session = null) {
+    if (await Warranty.exists({ project: project._id }).session(session)) {
+      return null;
+    }
+
+    const coverageMonths = Warranty.getCoverageMonths(project.category, project.specifications?.material);
+    const startsAt = project.timeline?.actualCompletion || new Date();
+
+    const [warranty] = await Warranty.create([{
+      warrantyNumber: `${project.projectNumber}-WTY`,
+      project: project._id,
+      customer: project.customer?._id || project.customer,
+      category: project.category,
+      materialGrade: project.specifications?.material,
+      coverageMonths,
+      startsAt,
+      expiresAt: addMonths(startsAt, coverageMonths),
+    }], { session });
+
+    return warranty;
+  }
+
+  /**
+   * Query for warranties by coverage state
+   * @param {'active'|'expired'|'expiring'|'void'} status
+   */
+  statusQuery(status, now = new Date()) {
+    switch (status) {
+      case 'active':
+        return { voidedAt: null, expiresAt: { $gt: now } };
+      case 'expiring':
+        return {
+          voidedAt: null,
+          expiresAt: {
+            $gt: now,
+            $lte: new Date(now.getTime() + config.business.warranty.expiringSoonDays * 24 * 60 * 60 * 1000),
+          },
+        };
+      case 'expired':
+        return { voidedAt: null, expiresAt: { $lte: now } };
+      case 'void':
+        return { voidedAt: { $ne: null } };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Claim type for a filing: service when the warranty no longer covers
+   * the project (a customer can also ask for chargeable service)
+   */
+  getClaimType(warranty, requested) {
+    if (requested === 'service' || !warranty.covers()) {
+      return 'service';
+    }
+    return 'warranty';
+  }
+
+  /**
+   * Throw unless the claim is at one of the given statuses
+   */
+  assertStatus(claim, statuses, action) {
+    if (!statuses.includes(claim.status)) {
+      throw new AppError(`Cannot ${action} a ${claim.status.replace('_', ' ')} claim`, 409);
+    }
+  }
+
+  /**
+   * A repair visit that was cancelled or missed puts its claim back to
+   * approved so another visit can be booked
+   * @param {Object} appointment - The repair visit
+   */
+  async releaseVisit(appointment, userId) {
+    if (appointment.appointmentType !== 'repair_visit' || !appointment.warrantyClaim) {
+      return null;
+    }
+
+    const claim = await WarrantyClaim.findById(appointment.warrantyClaim);
+    if (!claim || claim.status !== 'visit_scheduled') {
+      return null;
+    }
+
+    const open = await Appointment.exists({
+      _id: { $in: claim.visits, $ne: appointment._id },
+      status: { $in: ['pending', 'scheduled', 'confirmed', 'in_progress'] },
+    });
+    if (!open) {
+      claim.setStatus('approved', userId, `Repair visit ${appointment.status.replace('_', ' ')}`);
+      await claim.save();
+    }
+    return claim;
+  }
+}
+
+module.exports = new WarrantyService();
@@ -0,0 +1,183 @@
+const { WorkOrder } = require('../models');
+const { AppError } = require('../middleware/error');
+const config = require('../config');
+const { FABRICATION_TASK_TYPES } = require('../config/vocabulary');
+const projectWorkflowService = require('./projectWorkflowService');
+
+// Project statuses in which shop-floor tasks can be worked
+const WORKABLE_PROJECT_STATUSES = ['in_fabrication', 'pending_midpoint_payment', 'midpoint_payment_verified'];
+
+// Work orders still counted towards progress
+const ACTIVE_WORK_ORDER_STATUSES = ['open', 'in_progress', 'completed'];
+
+const idOf = (ref) => String(ref?._id || ref);
+
+class WorkOrderService {
+  /**
+   * Number the tasks in the order given; without tasks the standard
+   * sequence (cutting through QC) is used
+   * @param {Array} [tasks] - { type, description?, assignedTo?, estimatedHours? }
+   */
+  buildTasks(tasks) {
+    const list = tasks?.length ? tasks : FABRICATION_TASK_TYPES.map((type) => ({ type }));
+    return list.map((task, index) => ({ ...task, sequence: index + 1, status: 'pending' }));
+  }
+
+  /**
+   * Only the project's fabrication staff can be given its tasks
+   * @param {Object} project - Project document
+   * @param {Array} staffIds - Users to check (empty values are skipped)
+   */
+  assertAssignable(project, staffIds) {
+    const assigned = (project.assignedStaff?.fabricationStaff || []).map(idOf);
+    const outsider = staffIds.find((id) => id && !assigned.includes(idOf(id)));
+    if (outsider) {
+      throw new AppError('Tasks can only be assigned to the project\'s fabrication staff', 400);
+    }
+  }
+
+  /**
+   * Fabrication staff work only on projects they are assigned to
+   */
+  assertProjectStaff(project, userId, role) {
+    if (role === config.roles.FABRICATION_STAFF
+      && !project.assignedStaff.fabricationStaff.some((id) => idOf(id) === idOf(userId))) {
+      throw new AppError('You are not assigned to this project', 403);
+    }
+  }
+
+  /**
+   * Percentage of the work done across a project's work orders. Skipped
+   * tasks do not count; tasks are weighted by estimated hours when every
+   * task has an estimate, else equally.
+   * @param {Array} workOrders - The project's work orders
+   * @returns {number|null} null when the project has no active work orders
+   */
+  computeProgress(workOrders) {
+    const active = workOrders.filter((wo) => ACTIVE_WORK_ORDER_STATUSES.includes(wo.status));
+    if (!active.length) {
+      return null;
+    }
+
+    const tasks = active.flatMap((wo) => wo.tasks).filter((t) => t.status !== 'skipped');
+    if (!tasks.length) {
+      return 100;
+    }
+
+    const byHours = tasks.every((t) => t.estimatedHours > 0);
+    const weight = (t) => (byHours ? t.estimatedHours : 1);
+    const total = tasks.reduce((sum, t) => sum + weight(t), 0);
+    const done = tasks.filter((t) => t.status === 'done').reduce((sum, t) => sum + weight(t), 0);
+
+    return Math.round((done / total) * 100);
+  }
+
+  /**
+   * Recompute a project's fabrication progress from its work orders and
+   * mark fabrication done once every task is finished. With the midpoint
+   * payment unpaid the project waits for it instead. Work order changes
+   * must be saved in the session first. The caller saves the project.
+   * @param {Object} project - Project document (in the session)
+   * @param {{ userId, role }} actor
+   * @param {ClientSession} [session]
+   * @returns {Promise<boolean>} True when fabrication was marked done
+   */
+  async refreshProgress(project, { userId, role }, session = null) {
+    const workOrders = await WorkOrder.find({ project: project._id }).session(session);
+    const progress = this.computeProgress(workOrders);
+    if (progress === null) {
+      return false;
+    }
+
+    project.fabrication.progress = progress;
+
+    if (progress === 100) {
+      const status = await projectWorkflowService.finishFabrication(project, {
+        userId,
+        role,
+        notes: 'All work order tasks finished',
+      });
+      return status === 'fabrication_done';
+    }
+    return false;
+  }
+
+  /**
+   * Start a task. Earlier tasks must be done or skipped; fabrication staff
+   * may start their own tasks or claim unassigned ones.
+   */
+  startTask(workOrder, task, project, { userId, role }) {
+    this.assertWorkable(workOrder, project);
+    if (task.status !== 'pending') {
+      throw new AppError(`Task is already ${task.status}`, 409);
+    }
+    if (role === config.roles.FABRICATION_STAFF && task.assignedTo && idOf(task.assignedTo) !== idOf(userId)) {
+      throw new AppError('This task is assigned to someone else', 403);
+    }
+
+    const blocking = workOrder.getBlockingTasks(task);
+    if (blocking.length) {
+      throw new AppError(`Finish ${blocking.map((t) => t.type).join(', ')} first`, 409);
+    }
+
+    if (!task.assignedTo) {
+      this.assertAssignable(project, [userId]);
+      task.assignedTo = userId;
+    }
+    task.status = 'in_progress';
+    task.startedAt = new Date();
+    task.startedBy = userId;
+    workOrder.refreshStatus();
+  }
+
+  /**
+   * Finish a started task
+   */
+  finishTask(workOrder, task, project, { userId, role }, notes) {
+    this.assertWorkable(workOrder, project);
+    if (task.status !== 'in_progress') {
+      throw new AppError('Only a started task can be finished', 409);
+    }
+    if (role === config.roles.FABRICATION_STAFF && idOf(task.assignedTo) !== idOf(userId)) {
+      throw new AppError('This task is assigned to someone else', 403);
+    }
+
+    task.status = 'done';
+    task.finishedAt = new Date();
+    task.finishedBy = userId;
+    if (notes) task.notes = notes;
+    workOrder.refreshStatus();
+  }
+
+  /**
+   * Skip a task that is not needed for this work order
+   */
+  skipTask(workOrder, task, { userId }, reason) {
+    if (['completed', 'cancelled'].includes(workOrder.status)) {
+      throw new AppError(`Work order is ${workOrder.status}`, 409);
+    }
+    if (['done', 'skipped'].includes(task.status)) {
+      throw new AppError(`Task is already ${task.status}`, 409);
+    }
+
+    task.status = 'skipped';
+    task.finishedAt = new Date();
+    task.finishedBy = userId;
+    task.notes = reason;
+    workOrder.refreshStatus();
+  }
+
+  /**
+   * Tasks are worked on open work orders of projects in fabrication
+   */
+  assertWorkable(workOrder, project) {
+    if (['completed', 'cancelled'].includes(workOrder.status)) {
+      throw new AppError(`Work order is ${workOrder.status}`, 409);
+    }
+    if (!WORKABLE_PROJECT_STATUSES.includes(project.status)) {
+      throw new AppError(`Tasks cannot be worked while the project is ${project.status}`, 409);
+    }
+  }
+}
+
+module.exports = new WorkOrderService();
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Project, WorkOrder } = require('../../src/models');
+const { activityService, paymentPlanService } = require('../../src/services');
+const { updateFabricationProgress } = require('../../src/controllers/projectController');
+const config = require('../../src/config');
+
+// Query stand-in: awaitable directly or through .session()
+const query = (value) => Object.assign(Promise.resolve(value), { session: async () => value });
+
+const callController = (handler, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    },
+  };
+  handler(req, res, (error) => resolve({ error }));
+});
+
+describe('updateFabricationProgress', () => {
+  let project;
+
+  beforeEach(() => {
+    project = new Project({
+      title: 'Gate',
+      customer: new mongoose.Types.ObjectId(),
+      category: 'gate',
+      status: 'in_fabrication',
+      statusHistory: [{ status: 'in_fabrication' }],
+    });
+    project.fabrication.progress = 60;
+
+    mock.method(Project, 'findById', async () => project);
+    mock.method(WorkOrder, 'exists', () => query(null));
+    mock.method(project, 'save', async () => project);
+    mock.method(activityService, 'logProject', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const finish = () => callController(updateFabricationProgress, {
+    params: { id: project._id.toString() },
+    body: { progress: 100 },
+    userId: new mongoose.Types.ObjectId(),
+    userRole: config.roles.FABRICATION_STAFF,
+  });
+
+  it('waits for the midpoint payment when it is not verified', async () => {
+    mock.method(paymentPlanService, 'isPhaseVerified', async (p, phase) => phase !== 'midpoint');
+
+    const { error, body } = await finish();
+
+    assert.equal(error, undefined);
+    assert.equal(body.data.status, 'pending_midpoint_payment');
+    assert.equal(body.data.progress, 100);
+    assert.equal(project.save.mock.callCount(), 1);
+  });
+
+  it('marks fabrication done once the midpoint payment is verified', async () => {
+    mock.method(paymentPlanService, 'isPhaseVerified', async () => true);
+
+    const { error, body } = await finish();
+
+    assert.equal(error, undefined);
+    assert.equal(body.data.status, 'fabrication_done');
+    assert.equal(project.save.mock.callCount(), 1);
+  });
+});